@@ -1,3 +1,306 @@
-chrome.action.onClicked.addListener((tab) => {
-  chrome.sidePanel.open({ windowId: tab.windowId });
-});
\ No newline at end of file
+/**
+ * BACKGROUND SERVICE WORKER
+ * =========================
+ * Clic sur l'icône selon la surface par défaut (popup, panneau latéral ou
+ * fenêtre) et accès aux API réservées au service worker
+ * (chrome.tabCapture.getMediaStreamId pour la capture audio de l'onglet,
+ * chrome.commands pour les raccourcis de masquage).
+ * Relaie les événements de l'appel aux overlays des onglets de réunion,
+ * détecte les réunions (proposition ou démarrage automatique de l'écoute)
+ * et arrête l'écoute à la fermeture de l'onglet de la réunion.
+ * Au démarrage du navigateur, clôture la session interrompue trop ancienne.
+ *
+ * Coordonne le document offscreen qui héberge l'appel : il est créé à la
+ * demande et reçoit les commandes des vues (popup, panneau, fenêtre).
+ */
+
+import {
+  CALL_COMMANDS,
+  MEETING_URL_PATTERNS,
+  OFFSCREEN_CONFIG,
+  OVERLAY_CONFIG,
+  PRIVACY_MUTE_COMMANDS,
+  RUNTIME_MESSAGES,
+  STORAGE_KEYS
+} from './src/utils/constants.js';
+import { Logger } from './src/utils/logger.js';
+import { SurfaceService } from './src/services/ui/SurfaceService.js';
+import { WindowSettingsStore } from './src/services/storage/WindowSettingsStore.js';
+import { SettingsService } from './src/services/settings/SettingsService.js';
+import { MeetingDetector } from './src/services/meeting/MeetingDetector.js';
+import { SessionRecovery } from './src/services/call/SessionRecovery.js';
+
+// Création du document offscreen en cours (évite les créations concurrentes)
+let creatingOffscreen = null;
+
+const settingsReady = SettingsService.initialize();
+
+const meetingDetector = new MeetingDetector({ sendCommand: relayCallCommand, ready: settingsReady });
+meetingDetector.listen();
+
+// Surface par défaut : appliquée au démarrage et à chaque changement de préférence
+chrome.runtime.onInstalled.addListener(applyStoredDefaultSurface);
+chrome.runtime.onStartup.addListener(applyStoredDefaultSurface);
+
+// Session interrompue par la fermeture du navigateur (ou le rechargement de l'extension)
+chrome.runtime.onInstalled.addListener(closeExpiredOrphanSession);
+chrome.runtime.onStartup.addListener(closeExpiredOrphanSession);
+
+chrome.storage.onChanged.addListener((changes, areaName) => {
+  const change = changes[STORAGE_KEYS.DEFAULT_SURFACE];
+  if (areaName !== 'local' || !change) {
+    return;
+  }
+
+  SurfaceService.applyDefaultSurface(change.newValue)
+    .catch((error) => Logger.warn('⚠️ Surface par défaut non appliquée', error));
+});
+
+// chrome.storage.onChanged n'existe pas dans le document offscreen : relayer (réglages en direct)
+chrome.storage.onChanged.addListener(async (changes, areaName) => {
+  if (areaName !== 'local' || !(await hasOffscreenDocument())) {
+    return;
+  }
+
+  chrome.runtime
+    .sendMessage({ type: RUNTIME_MESSAGES.STORAGE_CHANGED, changes })
+    .catch(() => {});
+});
+
+// Fenêtre détachée déplacée ou redimensionnée : mémoriser pour la prochaine ouverture
+chrome.windows.onBoundsChanged.addListener(async (window) => {
+  try {
+    if (window.id !== await SurfaceService.findWindowId()) {
+      return;
+    }
+
+    const store = new WindowSettingsStore();
+    if ((await store.load()).rememberBounds) {
+      await store.saveBounds(window);
+    }
+  } catch (error) {
+    Logger.warn('⚠️ Position de la fenêtre non mémorisée', error);
+  }
+});
+
+// Déclenché uniquement sans popup ni ouverture native du panneau : surface fenêtre
+chrome.action.onClicked.addListener(() => {
+  SurfaceService.openWindow()
+    .catch((error) => Logger.warn('⚠️ Ouverture de la fenêtre impossible', error));
+});
+
+chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
+  switch (message?.type) {
+    case RUNTIME_MESSAGES.GET_TAB_STREAM_ID:
+      getMeetingTabStreamId(message.tabId ?? null)
+        .then(sendResponse)
+        .catch((error) => {
+          Logger.warn('⚠️ tabCapture indisponible', error);
+          sendResponse({ error: error.message });
+        });
+      // Réponse asynchrone
+      return true;
+
+    // Diffusé par le document offscreen : les content scripts ne le reçoivent pas directement
+    case RUNTIME_MESSAGES.CALL_EVENT:
+      relayToMeetingTabs(message);
+      return false;
+
+    case RUNTIME_MESSAGES.CALL_COMMAND:
+      respondWith(relayCallCommand(message.command, message.payload), sendResponse);
+      return true;
+
+    case RUNTIME_MESSAGES.MEETING_PAGE_STATE:
+      if (sender.tab) {
+        meetingDetector.handlePageState(sender.tab, message.inCall)
+          .catch((error) => Logger.warn('⚠️ Détection de réunion en échec', error));
+      }
+      return false;
+
+    // chrome.storage n'est pas disponible dans le document offscreen
+    case RUNTIME_MESSAGES.STORAGE_GET:
+      respondWith(chrome.storage.local.get(message.keys), sendResponse);
+      return true;
+
+    case RUNTIME_MESSAGES.STORAGE_SET:
+      respondWith(chrome.storage.local.set(message.items), sendResponse);
+      return true;
+
+    default:
+      return false;
+  }
+});
+
+// Raccourcis de masquage : relayés à l'appel en cours
+chrome.commands.onCommand.addListener(async (command) => {
+  const speaker = PRIVACY_MUTE_COMMANDS[command];
+  if (!speaker || !(await hasOffscreenDocument())) {
+    return;
+  }
+
+  sendToOffscreen(CALL_COMMANDS.TOGGLE_PRIVACY_MUTE, { speaker })
+    .catch((error) => Logger.warn('⚠️ Raccourci de masquage ignoré', error));
+});
+
+/**
+ * Applique la surface par défaut mémorisée au clic sur l'icône
+ */
+async function applyStoredDefaultSurface() {
+  try {
+    await SurfaceService.applyDefaultSurface(await SurfaceService.getDefaultSurface());
+  } catch (error) {
+    Logger.warn('⚠️ Surface par défaut non appliquée', error);
+  }
+}
+
+/**
+ * Clôture la session interrompue si elle est trop ancienne pour être reprise
+ * (sinon la prochaine vue ouverte propose de la reprendre)
+ */
+async function closeExpiredOrphanSession() {
+  try {
+    await settingsReady;
+    await SessionRecovery.closeIfExpired();
+  } catch (error) {
+    Logger.warn('⚠️ Session interrompue non clôturée', error);
+  }
+}
+
+/**
+ * Répond à un message avec le résultat d'une promesse ({ result } ou { error })
+ * @param {Promise} promise - Traitement du message
+ * @param {Function} sendResponse - Callback de réponse chrome.runtime
+ */
+function respondWith(promise, sendResponse) {
+  promise
+    .then((result) => sendResponse({ result }))
+    .catch((error) => {
+      Logger.warn('⚠️ Message en échec', error);
+      sendResponse({ error: error.message });
+    });
+}
+
+/**
+ * Relaie une commande d'une vue à l'orchestrateur d'appel
+ * @param {string} command - CALL_COMMANDS.*
+ * @param {Object} payload - Paramètres de la commande
+ * @returns {Promise<Object|null>} Résultat de la commande
+ */
+async function relayCallCommand(command, payload) {
+  // Lecture de l'état sans appel en cours : inutile de créer le document
+  if (command === CALL_COMMANDS.GET_STATE && !(await hasOffscreenDocument())) {
+    return null;
+  }
+
+  const response = await sendToOffscreen(command, payload);
+
+  if (response?.error) {
+    throw new Error(response.error);
+  }
+
+  return response?.result ?? null;
+}
+
+/**
+ * Relaie un événement d'appel aux onglets de réunion (overlay)
+ * @param {Object} message - Message CALL_EVENT { event, payload }
+ */
+async function relayToMeetingTabs(message) {
+  if (!OVERLAY_CONFIG.RELAYED_EVENTS.includes(message.event)) {
+    return;
+  }
+
+  const tabs = await chrome.tabs.query({ url: MEETING_URL_PATTERNS });
+
+  tabs.forEach((tab) => {
+    // Onglet sans overlay (chargé avant l'installation) : rien à faire
+    chrome.tabs.sendMessage(tab.id, message).catch(() => {});
+  });
+}
+
+/**
+ * Envoie une commande au document offscreen (créé si besoin)
+ * @param {string} command - CALL_COMMANDS.*
+ * @param {Object} payload - Paramètres de la commande
+ * @returns {Promise<Object>} Réponse brute ({ result } ou { error })
+ */
+async function sendToOffscreen(command, payload = {}) {
+  await ensureOffscreenDocument();
+
+  return chrome.runtime.sendMessage({
+    type: RUNTIME_MESSAGES.OFFSCREEN_COMMAND,
+    command,
+    payload
+  });
+}
+
+/**
+ * Vérifie si le document offscreen existe
+ * @returns {Promise<boolean>}
+ */
+async function hasOffscreenDocument() {
+  const contexts = await chrome.runtime.getContexts({
+    contextTypes: ['OFFSCREEN_DOCUMENT'],
+    documentUrls: [chrome.runtime.getURL(OFFSCREEN_CONFIG.DOCUMENT_PATH)]
+  });
+
+  return contexts.length > 0;
+}
+
+/**
+ * Crée le document offscreen s'il n'existe pas encore
+ */
+async function ensureOffscreenDocument() {
+  if (await hasOffscreenDocument()) {
+    return;
+  }
+
+  if (!creatingOffscreen) {
+    Logger.info('📄 Création du document offscreen');
+
+    creatingOffscreen = chrome.offscreen
+      .createDocument({
+        url: OFFSCREEN_CONFIG.DOCUMENT_PATH,
+        reasons: OFFSCREEN_CONFIG.REASONS,
+        justification: OFFSCREEN_CONFIG.JUSTIFICATION
+      })
+      .finally(() => {
+        creatingOffscreen = null;
+      });
+  }
+
+  await creatingOffscreen;
+}
+
+/**
+ * Obtient un stream ID tabCapture pour l'onglet de la réunion : celui de la
+ * réunion détectée, sinon l'onglet actif de la dernière fenêtre de navigation
+ * (pas la fenêtre KITT). Chrome le refuse si KITT n'a pas été invoqué sur l'onglet.
+ * @param {number|null} tabId - Onglet de la réunion détectée
+ * @returns {Promise<{streamId: string, tabId: number, title: string}>}
+ */
+async function getMeetingTabStreamId(tabId = null) {
+  const tab = tabId !== null ? await chrome.tabs.get(tabId) : await getActiveBrowserTab();
+
+  if (!tab) {
+    throw new Error('Aucun onglet actif à capturer');
+  }
+
+  const streamId = await chrome.tabCapture.getMediaStreamId({ targetTabId: tab.id });
+
+  // Onglet écouté : sa fermeture arrête l'écoute
+  await meetingDetector.setSessionTab(tab.id);
+
+  Logger.info('🎯 Stream ID tabCapture obtenu', { tabId: tab.id, title: tab.title });
+
+  return { streamId, tabId: tab.id, title: tab.title };
+}
+
+/**
+ * @returns {Promise<chrome.tabs.Tab|undefined>} Onglet actif de la dernière fenêtre de navigation
+ */
+async function getActiveBrowserTab() {
+  const window = await chrome.windows.getLastFocused({ windowTypes: ['normal'] });
+  const [tab] = await chrome.tabs.query({ active: true, windowId: window.id });
+  return tab;
+}
@@ -1,22 +1,37 @@
-// Configuration de la fenêtre popup
-const WINDOW_CONFIG = {
+// Configuration par défaut de la fenêtre détachée
+// Valeurs modifiables depuis la page de réglages (chrome.storage, clé kitt_settings)
+export const WINDOW_CONFIG = {
   // Taille de la fenêtre
   width: 450,          // Largeur en pixels (min: 350, max: 800)
   height: 700,         // Hauteur en pixels (min: 400, max: 1200)
-  
+
   // Position de la fenêtre
   position: 'top-right', // Options: 'top-right', 'top-left', 'bottom-right', 'bottom-left', 'center'
-  
+
   // Marges par rapport aux bords de l'écran
   margin: 20,          // Marge en pixels
-  
+
   // Options avancées
-  alwaysOnTop: false,  // Garder la fenêtre toujours au premier plan (nécessite Chrome 90+)
-  resizable: true      // Permettre le redimensionnement manuel
+  rememberBounds: true, // Rouvrir la fenêtre à sa dernière position / taille
+  miniWidth: 320,      // Mode mini (Picture-in-Picture, toujours au premier plan)
+  miniHeight: 420
 };
 
-// Fonction pour calculer la position
-function getWindowPosition(screenWidth, screenHeight, windowWidth, windowHeight, margin) {
+// Bornes acceptées pour les réglages numériques
+export const WINDOW_LIMITS = {
+  width: { min: 350, max: 800 },
+  height: { min: 400, max: 1200 },
+  margin: { min: 0, max: 200 },
+  miniWidth: { min: 240, max: 600 },
+  miniHeight: { min: 200, max: 800 }
+};
+
+export const WINDOW_POSITIONS = ['top-right', 'top-left', 'bottom-right', 'bottom-left', 'center'];
+
+// Fonction pour calculer la position (zone de travail de l'écran : { left, top, width, height })
+export function getWindowPosition(workArea, windowWidth, windowHeight, position, margin) {
+  const { left: screenLeft = 0, top: screenTop = 0, width: screenWidth, height: screenHeight } = workArea;
+
   const positions = {
     'top-right': {
       left: screenWidth - windowWidth - margin,
@@ -39,11 +54,12 @@ function getWindowPosition(screenWidth, screenHeight, windowWidth, windowHeight,
       top: (screenHeight - windowHeight) / 2
     }
   };
-  
-  return positions[WINDOW_CONFIG.position] || positions['top-right'];
-}
 
-// Export pour utilisation dans popup.js
-if (typeof module !== 'undefined' && module.exports) {
-  module.exports = { WINDOW_CONFIG, getWindowPosition };
-}
\ No newline at end of file
+  const { left, top } = positions[position] || positions['top-right'];
+
+  // chrome.windows.create n'accepte que des entiers
+  return {
+    left: Math.round(screenLeft + Math.max(0, left)),
+    top: Math.round(screenTop + Math.max(0, top))
+  };
+}
@@ -1,23 +1,116 @@
 // content.js
-if (!document.getElementById("sales-coach-overlay")) {
-  const overlay = document.createElement("div");
-  overlay.id = "sales-coach-overlay";
-  overlay.style.position = "fixed";
-  overlay.style.bottom = "20px";
-  overlay.style.right = "20px";
-  overlay.style.width = "420px";
-  overlay.style.height = "600px";
-  overlay.style.backgroundColor = "#fff";
-  overlay.style.zIndex = "999999";
-  overlay.innerHTML = `<h3>🎯 Sales Call Coach</h3>
-                       <button id="start">Démarrer</button>
-                       <button id="stop">Arrêter</button>
-                       <div id="advice"></div>`;
-  document.body.appendChild(overlay);
-
-  const startBtn = overlay.querySelector("#start");
-  const stopBtn = overlay.querySelector("#stop");
-  
-  startBtn.onclick = () => console.log("Start clicked !");
-  stopBtn.onclick = () => console.log("Stop clicked !");
-}
+// Overlay KITT dans les pages de réunion (Meet, Teams, Zoom) et signal
+// "appel en cours" pour la détection des réunions (service worker).
+// Content script classique : les modules de l'extension sont chargés
+// dynamiquement (web_accessible_resources). Les commandes passent par le
+// service worker, qui relaie aussi les événements de l'appel à cet onglet.
+
+(async () => {
+  const load = (path) => import(chrome.runtime.getURL(path));
+
+  const [
+    { MeetingOverlay },
+    { CallClient },
+    {
+      CALL_COMMANDS,
+      CALL_EVENTS,
+      MEETING_DETECTION_CONFIG,
+      RECORDING_CONFIG,
+      RUNTIME_MESSAGES,
+      STORAGE_KEYS
+    },
+    { Logger },
+    { debounce, matchesUrlPattern }
+  ] = await Promise.all([
+    load('src/components/overlay/MeetingOverlay.js'),
+    load('src/services/call/CallClient.js'),
+    load('src/utils/constants.js'),
+    load('src/utils/logger.js'),
+    load('src/utils/helpers.js')
+  ]);
+
+  /**
+   * Signale au service worker l'entrée dans l'appel et sa sortie
+   * (présence du bouton Quitter de la page)
+   */
+  function watchInCallState() {
+    const [, selector] = Object.entries(MEETING_DETECTION_CONFIG.IN_CALL_SELECTORS)
+      .find(([pattern]) => matchesUrlPattern(location.href, pattern)) || [];
+
+    if (!selector) return;
+
+    let inCall = false;
+
+    const check = () => {
+      const present = !!document.querySelector(selector);
+      if (present === inCall) return;
+
+      inCall = present;
+      chrome.runtime
+        .sendMessage({ type: RUNTIME_MESSAGES.MEETING_PAGE_STATE, inCall })
+        .catch((error) => Logger.warn('Impossible de signaler l\'état de la réunion', error));
+    };
+
+    new MutationObserver(debounce(check, MEETING_DETECTION_CONFIG.IN_CALL_CHECK_DELAY_MS))
+      .observe(document.body, { childList: true, subtree: true });
+    check();
+  }
+
+  /**
+   * Démarre ou arrête l'écoute (micro et enregistrement choisis dans la popup)
+   * @param {boolean} listening - Écoute en cours
+   */
+  async function toggleListening(listening) {
+    try {
+      if (listening) {
+        overlay.renderState(await CallClient.send(CALL_COMMANDS.STOP));
+        return;
+      }
+
+      // Sans clic préalable sur l'icône, tabCapture peut être refusé :
+      // la capture bascule alors sur le partage d'écran
+      const settings = await chrome.storage.local.get([
+        STORAGE_KEYS.MIC_DEVICE_ID,
+        STORAGE_KEYS.RECORDING_ENABLED
+      ]);
+
+      overlay.renderState(await CallClient.send(CALL_COMMANDS.START, {
+        micDeviceId: settings[STORAGE_KEYS.MIC_DEVICE_ID] || null,
+        record: settings[STORAGE_KEYS.RECORDING_ENABLED] ?? RECORDING_CONFIG.ENABLED_BY_DEFAULT
+      }));
+
+    } catch (error) {
+      Logger.error('❌ Commande depuis l\'overlay en échec', error);
+      overlay.showError(error.message);
+    }
+  }
+
+  const overlay = new MeetingOverlay({ onToggleListening: toggleListening });
+  await overlay.mount();
+
+  CallClient.onEvent((event, payload) => {
+    switch (event) {
+      case CALL_EVENTS.STATE:
+        overlay.renderState(payload);
+        break;
+      case CALL_EVENTS.TRANSCRIPT:
+        overlay.addTranscriptEntry(payload);
+        break;
+      case CALL_EVENTS.INSIGHT:
+        overlay.addInsight(payload);
+        break;
+    }
+  });
+
+  watchInCallState();
+
+  // Appel déjà en cours : afficher ses derniers insights et sa transcription
+  try {
+    const state = await CallClient.send(CALL_COMMANDS.GET_STATE);
+    if (state) {
+      overlay.replay(state);
+    }
+  } catch (error) {
+    Logger.warn('Impossible de récupérer l\'état de l\'appel', error);
+  }
+})();
@@ -0,0 +1,86 @@
+/**
+ * AUDIO LEVEL METER
+ * =================
+ * Vumètre temps réel d'un MediaStream (AnalyserNode + requestAnimationFrame)
+ */
+
+import { Logger } from '../../utils/logger.js';
+
+// Gain d'affichage : un RMS de 0.25 (voix forte) remplit la barre
+const DISPLAY_GAIN = 4;
+
+export class AudioLevelMeter {
+  /**
+   * @param {HTMLElement} fillElement - Barre dont la largeur suit le niveau
+   */
+  constructor(fillElement) {
+    if (!fillElement) {
+      throw new Error('AudioLevelMeter: fillElement est requis');
+    }
+
+    this.fillElement = fillElement;
+    this.audioContext = null;
+    this.analyser = null;
+    this.samples = null;
+    this.animationFrame = null;
+  }
+
+  /**
+   * Démarre la mesure sur un flux
+   * @param {MediaStream} stream - Flux à mesurer
+   * @param {Object} options
+   * @param {boolean} options.monitor - Rejouer aussi le flux (onglet rendu muet par tabCapture)
+   */
+  start(stream, { monitor = false } = {}) {
+    this.stop();
+
+    this.audioContext = new (window.AudioContext || window.webkitAudioContext)();
+    this.analyser = this.audioContext.createAnalyser();
+    this.analyser.fftSize = 1024;
+    this.samples = new Float32Array(this.analyser.fftSize);
+
+    // Par défaut pas de connexion vers destination : on mesure sans rejouer le son
+    const source = this.audioContext.createMediaStreamSource(stream);
+    source.connect(this.analyser);
+    if (monitor) {
+      source.connect(this.audioContext.destination);
+    }
+
+    this._tick();
+    Logger.debug('📊 Vumètre démarré');
+  }
+
+  /**
+   * Arrête la mesure (le flux n'est pas arrêté)
+   */
+  stop() {
+    if (this.animationFrame) {
+      cancelAnimationFrame(this.animationFrame);
+      this.animationFrame = null;
+    }
+
+    if (this.audioContext) {
+      this.audioContext.close().catch(() => {});
+      this.audioContext = null;
+    }
+
+    this.analyser = null;
+    this.fillElement.style.width = '0%';
+  }
+
+  /**
+   * @private
+   */
+  _tick() {
+    this.analyser.getFloatTimeDomainData(this.samples);
+
+    let sumSquares = 0;
+    for (let i = 0; i < this.samples.length; i++) {
+      sumSquares += this.samples[i] * this.samples[i];
+    }
+    const rms = Math.sqrt(sumSquares / this.samples.length);
+
+    this.fillElement.style.width = `${Math.min(100, rms * DISPLAY_GAIN * 100)}%`;
+    this.animationFrame = requestAnimationFrame(() => this._tick());
+  }
+}
@@ -0,0 +1,208 @@
+/**
+ * DEVICE PICKER
+ * =============
+ * Choix du micro avant l'appel, avec vumètres du micro et de l'onglet
+ * partagé. Le micro choisi est mémorisé dans chrome.storage.
+ */
+
+import { CAPTURE_STRATEGIES, STORAGE_KEYS } from '../../utils/constants.js';
+import { Logger } from '../../utils/logger.js';
+import { AudioCaptureService } from '../../services/audio/AudioCaptureService.js';
+import { AudioLevelMeter } from './AudioLevelMeter.js';
+
+export class DevicePicker {
+  /**
+   * @param {Object} elements
+   * @param {HTMLSelectElement} elements.selectElement - Liste des micros
+   * @param {HTMLElement} elements.micMeterElement - Barre du vumètre micro
+   * @param {HTMLElement} elements.tabMeterElement - Barre du vumètre onglet
+   * @param {HTMLButtonElement} elements.tabPreviewButton - Bouton de partage de l'onglet
+   */
+  constructor({ selectElement, micMeterElement, tabMeterElement, tabPreviewButton }) {
+    if (!selectElement) {
+      throw new Error('DevicePicker: selectElement est requis');
+    }
+
+    this.select = selectElement;
+    this.tabPreviewButton = tabPreviewButton;
+    this.micMeter = micMeterElement ? new AudioLevelMeter(micMeterElement) : null;
+    this.tabMeter = tabMeterElement ? new AudioLevelMeter(tabMeterElement) : null;
+
+    this.selectedDeviceId = null;
+    this.micPreviewStream = null;
+    this.meetingPreview = null;
+    this.isPreviewing = false;
+
+    this.select.addEventListener('change', () => this._onDeviceSelected());
+    this.tabPreviewButton?.addEventListener('click', () => this._previewTab());
+
+    // Micro branché / débranché pendant que la popup est ouverte
+    this._onDeviceChange = () => this.refreshDevices();
+    navigator.mediaDevices.addEventListener('devicechange', this._onDeviceChange);
+
+    Logger.debug('✓ DevicePicker initialisé');
+  }
+
+  /**
+   * Charge le micro mémorisé et la liste des périphériques
+   */
+  async initialize() {
+    try {
+      const result = await chrome.storage.local.get(STORAGE_KEYS.MIC_DEVICE_ID);
+      this.selectedDeviceId = result[STORAGE_KEYS.MIC_DEVICE_ID] || null;
+    } catch (error) {
+      Logger.warn('Impossible de charger le micro mémorisé', error);
+    }
+
+    await this.refreshDevices();
+  }
+
+  /**
+   * Met à jour la liste des micros disponibles
+   */
+  async refreshDevices() {
+    const devices = await AudioCaptureService.listInputDevices();
+
+    this.select.innerHTML = '';
+    this.select.appendChild(new Option('Micro par défaut du système', ''));
+
+    devices
+      .filter(device => device.deviceId && device.deviceId !== 'default')
+      .forEach((device, index) => {
+        this.select.appendChild(new Option(device.label || `Micro ${index + 1}`, device.deviceId));
+      });
+
+    const stillPresent = devices.some(device => device.deviceId === this.selectedDeviceId);
+
+    if (this.selectedDeviceId && !stillPresent) {
+      Logger.warn('⚠️ Micro mémorisé absent, retour au micro par défaut', {
+        deviceId: this.selectedDeviceId
+      });
+    }
+
+    this.select.value = stillPresent ? this.selectedDeviceId : '';
+
+    Logger.debug('🎧 Périphériques d\'entrée', { count: devices.length });
+
+    if (this.isPreviewing) {
+      await this._restartMicPreview();
+    }
+  }
+
+  /**
+   * Micro sélectionné (null = périphérique par défaut)
+   * @returns {string|null}
+   */
+  getSelectedDeviceId() {
+    return this.select.value || null;
+  }
+
+  /**
+   * Démarre le vumètre du micro sélectionné
+   */
+  async startPreview() {
+    this.isPreviewing = true;
+    await this._restartMicPreview();
+  }
+
+  /**
+   * Arrête les vumètres
+   */
+  stopPreview() {
+    this.isPreviewing = false;
+    this._stopMicPreview();
+    this.tabMeter?.stop();
+    this._releaseDisplayStream();
+  }
+
+  /**
+   * Libère les ressources (fermeture de la popup)
+   */
+  destroy() {
+    this.stopPreview();
+    navigator.mediaDevices.removeEventListener('devicechange', this._onDeviceChange);
+  }
+
+  /**
+   * @private
+   */
+  async _onDeviceSelected() {
+    this.selectedDeviceId = this.getSelectedDeviceId();
+
+    try {
+      await chrome.storage.local.set({ [STORAGE_KEYS.MIC_DEVICE_ID]: this.selectedDeviceId });
+      Logger.info('🎧 Micro sélectionné', { deviceId: this.selectedDeviceId || 'default' });
+    } catch (error) {
+      Logger.warn('Impossible de mémoriser le micro', error);
+    }
+
+    if (this.isPreviewing) {
+      await this._restartMicPreview();
+    }
+  }
+
+  /**
+   * @private
+   */
+  async _restartMicPreview() {
+    this._stopMicPreview();
+
+    try {
+      this.micPreviewStream = await AudioCaptureService.openMicrophonePreview(this.getSelectedDeviceId());
+      this.micMeter?.start(this.micPreviewStream);
+    } catch (error) {
+      Logger.warn('⚠️ Prévisualisation micro impossible', error);
+    }
+  }
+
+  /**
+   * @private
+   */
+  _stopMicPreview() {
+    this.micMeter?.stop();
+
+    if (this.micPreviewStream) {
+      this.micPreviewStream.getTracks().forEach(track => track.stop());
+      this.micPreviewStream = null;
+    }
+  }
+
+  /**
+   * Partage l'onglet et affiche son niveau
+   * @private
+   */
+  async _previewTab() {
+    this._releaseDisplayStream();
+
+    try {
+      this.meetingPreview = await AudioCaptureService.openDisplayPreview();
+      const { stream, strategy } = this.meetingPreview;
+
+      this.tabMeter?.start(stream, {
+        monitor: strategy === CAPTURE_STRATEGIES.TAB_CAPTURE
+      });
+
+      // Partage arrêté depuis la barre Chrome
+      stream.getAudioTracks()[0].addEventListener('ended', () => {
+        this.tabMeter?.stop();
+        this.meetingPreview = null;
+      });
+
+    } catch (error) {
+      Logger.warn('⚠️ Prévisualisation de l\'onglet impossible', error);
+      alert(`❌ ${error.message}`);
+    }
+  }
+
+  /**
+   * @private
+   */
+  _releaseDisplayStream() {
+    this.tabMeter?.stop();
+
+    if (this.meetingPreview) {
+      this.meetingPreview.stream.getTracks().forEach(track => track.stop());
+      this.meetingPreview = null;
+    }
+  }
+}
@@ -0,0 +1,305 @@
+/**
+ * CALL HISTORY PANEL
+ * ==================
+ * Onglet Historique : liste des appels terminés avec recherche, réouverture
+ * d'un appel (compte-rendu, enregistrement, insights, transcription) et
+ * suppression. Les enregistrements sans appel dans l'historique (appel purgé
+ * ou vide) sont listés à part pour rester téléchargeables.
+ */
+
+import { CALL_HISTORY_CONFIG, INSIGHT_VISUAL_CONFIG } from '../../utils/constants.js';
+import { Logger } from '../../utils/logger.js';
+import { debounce, formatDate, formatDuration, sanitizeHTML } from '../../utils/helpers.js';
+import { CallHistoryStore } from '../../services/storage/CallHistoryStore.js';
+import { CallRecorder } from '../../services/audio/CallRecorder.js';
+import { ReportGenerator } from '../report/ReportGenerator.js';
+import { RecordingPanel } from '../recording/RecordingPanel.js';
+
+export class CallHistoryPanel {
+  /**
+   * @param {HTMLElement} containerElement - Conteneur de l'onglet
+   * @param {CallHistoryStore} store - Historique des appels
+   * @param {CallRecorder} recorder - Enregistrements locaux (liste, export WAV)
+   */
+  constructor(containerElement, store = new CallHistoryStore(), recorder = new CallRecorder()) {
+    if (!containerElement) {
+      throw new Error('CallHistoryPanel: containerElement est requis');
+    }
+
+    this.container = containerElement;
+    this.store = store;
+    this.recorder = recorder;
+    this.currentCallId = null;
+
+    this._render();
+
+    Logger.debug('✓ CallHistoryPanel initialisé');
+  }
+
+  /**
+   * Affiche la liste (recherche en cours conservée)
+   */
+  async show() {
+    this._closeDetail();
+    await this._refreshList();
+  }
+
+  /**
+   * @private
+   */
+  _render() {
+    this.container.innerHTML = `
+      <input type="search" class="history-search" placeholder="Rechercher (client, sujet, objection…)">
+      <div class="history-list"></div>
+      <div class="history-empty empty-state" style="display: none;"></div>
+      <div class="history-recordings" style="display: none;">
+        <h3 class="history-detail-title">Enregistrements sans appel dans l'historique</h3>
+        <div class="history-recordings-list"></div>
+      </div>
+      <div class="history-detail" style="display: none;">
+        <div class="history-detail-actions">
+          <button class="btn-history-back" type="button">‹ Retour</button>
+          <button class="btn-history-delete" type="button">Supprimer</button>
+        </div>
+        <div class="history-detail-header"></div>
+        <div class="history-detail-recording recording-panel" style="display: none;"></div>
+        <div class="history-detail-report report-data"></div>
+        <div class="history-detail-loading" style="display: none;"></div>
+        <h3 class="history-detail-title">Insights</h3>
+        <div class="history-detail-insights"></div>
+        <h3 class="history-detail-title">Transcription</h3>
+        <div class="history-detail-transcript"></div>
+      </div>
+    `;
+
+    const find = (selector) => this.container.querySelector(selector);
+
+    this.elements = {
+      search: find('.history-search'),
+      list: find('.history-list'),
+      empty: find('.history-empty'),
+      recordings: find('.history-recordings'),
+      recordingsList: find('.history-recordings-list'),
+      detail: find('.history-detail'),
+      backBtn: find('.btn-history-back'),
+      deleteBtn: find('.btn-history-delete'),
+      header: find('.history-detail-header'),
+      report: find('.history-detail-report'),
+      insights: find('.history-detail-insights'),
+      transcript: find('.history-detail-transcript')
+    };
+
+    this.recordingPanel = new RecordingPanel(find('.history-detail-recording'), this.recorder);
+
+    // Affichage du compte-rendu enregistré (pas de génération)
+    this.reportGenerator = new ReportGenerator(
+      this.elements.report,
+      find('.history-detail-loading'),
+      this.elements.empty
+    );
+
+    this.elements.search.addEventListener('input', debounce(
+      () => this._refreshList(),
+      CALL_HISTORY_CONFIG.SEARCH_DEBOUNCE_MS
+    ));
+    this.elements.backBtn.addEventListener('click', () => this.show());
+    this.elements.deleteBtn.addEventListener('click', () => this._delete(this.currentCallId));
+  }
+
+  /**
+   * @private
+   */
+  async _refreshList() {
+    try {
+      const query = this.elements.search.value.trim();
+      const calls = await this.store.list({ query });
+      const recordings = await this._listRecordings();
+      const recordedIds = new Set(recordings.map(recording => recording.sessionId));
+
+      this.elements.list.innerHTML = '';
+      calls.forEach(call => this.elements.list.appendChild(this._createListItem(call, recordedIds.has(call.id))));
+
+      // Sans recherche, la liste contient tous les appels : le reste est orphelin
+      const orphans = query ? [] : recordings.filter(recording => !calls.some(call => call.id === recording.sessionId));
+      this._renderOrphanRecordings(orphans);
+
+      this.elements.empty.textContent = query
+        ? 'Aucun appel ne correspond à la recherche.'
+        : 'Les appels terminés apparaîtront ici.';
+      this.elements.empty.style.display = calls.length === 0 ? 'block' : 'none';
+
+    } catch (error) {
+      Logger.error('❌ Erreur lors du chargement de l\'historique', error);
+      this.elements.empty.textContent = `❌ ${error.message}`;
+      this.elements.empty.style.display = 'block';
+    }
+  }
+
+  /**
+   * Enregistrements locaux (un échec n'empêche pas d'afficher l'historique)
+   * @private
+   * @returns {Promise<RecordingMetadata[]>}
+   */
+  async _listRecordings() {
+    try {
+      return await this.recorder.store.list();
+    } catch (error) {
+      Logger.warn('⚠️ Enregistrements indisponibles', error);
+      return [];
+    }
+  }
+
+  /**
+   * @private
+   * @param {RecordingMetadata[]} recordings - Enregistrements sans appel dans l'historique
+   */
+  _renderOrphanRecordings(recordings) {
+    this.elements.recordingsList.innerHTML = '';
+
+    recordings.forEach(metadata => {
+      const container = document.createElement('div');
+      container.className = 'recording-panel';
+      this.elements.recordingsList.appendChild(container);
+      new RecordingPanel(container, this.recorder).show(metadata);
+    });
+
+    this.elements.recordings.style.display = recordings.length > 0 ? 'block' : 'none';
+  }
+
+  /**
+   * @private
+   * @param {CallHistorySummary} call
+   * @param {boolean} hasRecording - Enregistrement local disponible
+   * @returns {HTMLElement}
+   */
+  _createListItem(call, hasRecording) {
+    const item = document.createElement('button');
+    item.type = 'button';
+    item.className = 'history-item';
+
+    item.innerHTML = `
+      <span class="history-item-title">${sanitizeHTML(call.title || 'Appel')}</span>
+      <span class="history-item-details">
+        ${formatDate(call.startedAt)} · ${formatDuration(call.durationMs)}
+        · ${call.insightCount} insight${call.insightCount > 1 ? 's' : ''}
+        ${call.hasSummary ? ' · 📄 compte-rendu' : ''}
+        ${hasRecording ? ' · ⏺️ enregistrement' : ''}
+      </span>
+    `;
+
+    item.addEventListener('click', () => this._openDetail(call.id));
+    return item;
+  }
+
+  /**
+   * Rouvre un appel : compte-rendu, insights et transcription
+   * @private
+   */
+  async _openDetail(id) {
+    try {
+      const call = await this.store.get(id);
+      if (!call) {
+        throw new Error('Appel introuvable');
+      }
+
+      this.currentCallId = id;
+
+      this.elements.header.innerHTML = `
+        <div class="history-item-title">${sanitizeHTML(call.title || 'Appel')}</div>
+        <div class="history-item-details">${formatDate(call.startedAt)} · ${formatDuration(call.durationMs)}</div>
+      `;
+
+      await this._showRecording(id);
+
+      if (call.summary) {
+        await this.reportGenerator.display(call.summary);
+      } else {
+        this.elements.report.innerHTML = '<div class="empty-state">Aucun compte-rendu généré pour cet appel.</div>';
+      }
+
+      this._renderInsights(call.insights);
+      this._renderTranscript(call.transcript);
+
+      this.elements.search.style.display = 'none';
+      this.elements.list.style.display = 'none';
+      this.elements.empty.style.display = 'none';
+      this.elements.recordings.style.display = 'none';
+      this.elements.detail.style.display = 'block';
+
+    } catch (error) {
+      Logger.error('❌ Erreur lors de l\'ouverture de l\'appel', error);
+      alert(`❌ Erreur: ${error.message}`);
+    }
+  }
+
+  /**
+   * Enregistrement local de l'appel (masqué s'il n'y en a pas)
+   * @private
+   */
+  async _showRecording(id) {
+    try {
+      this.recordingPanel.show(await this.recorder.store.getMetadata(id));
+    } catch (error) {
+      Logger.warn('⚠️ Enregistrement de l\'appel indisponible', error);
+      this.recordingPanel.hide();
+    }
+  }
+
+  /**
+   * @private
+   */
+  _renderInsights(insights) {
+    this.elements.insights.innerHTML = insights.length === 0
+      ? '<div class="empty-state">Aucun insight pendant cet appel.</div>'
+      : insights.map(({ advice }) => {
+        const visual = INSIGHT_VISUAL_CONFIG[advice.type] || {};
+        return `
+          <div class="history-insight" style="border-left-color: ${visual.color || '#4299E1'};">
+            <div class="history-insight-title">${visual.emoji || '💡'} ${sanitizeHTML(advice.title)}</div>
+            ${advice.details?.description
+              ? `<div class="history-insight-description">${sanitizeHTML(advice.details.description)}</div>`
+              : ''}
+          </div>
+        `;
+      }).join('');
+  }
+
+  /**
+   * @private
+   */
+  _renderTranscript(transcript) {
+    this.elements.transcript.innerHTML = transcript.length === 0
+      ? '<div class="empty-state">Transcription vide.</div>'
+      : transcript.map(({ kind, text }) => `
+          <div class="history-line${kind === 'marker' ? ' history-marker' : ''}">${sanitizeHTML(text)}</div>
+        `).join('');
+  }
+
+  /**
+   * @private
+   */
+  _closeDetail() {
+    this.currentCallId = null;
+    this.elements.detail.style.display = 'none';
+    this.elements.search.style.display = '';
+    this.elements.list.style.display = '';
+  }
+
+  /**
+   * Supprime un appel après confirmation
+   * @private
+   */
+  async _delete(id) {
+    if (!id || !confirm('Supprimer définitivement cet appel de l\'historique (et son enregistrement) ?')) {
+      return;
+    }
+
+    try {
+      await this.store.delete(id);
+      await this.show();
+    } catch (error) {
+      Logger.error('❌ Erreur lors de la suppression de l\'appel', error);
+      alert(`❌ Erreur: ${error.message}`);
+    }
+  }
+}
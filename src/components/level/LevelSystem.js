@@ -1,11 +1,14 @@
 /**
  * LEVEL SYSTEM
  * ============
- * Gère le système de niveaux et de gamification
+ * Gère le système de niveaux et de gamification.
+ * Les points sont partagés par toutes les surfaces ouvertes (popup, panneau,
+ * fenêtre) et par le document offscreen : chrome.storage fait foi.
  */
 
 import { LEVEL_CONFIG, STORAGE_KEYS } from '../../utils/constants.js';
 import { Logger } from '../../utils/logger.js';
+import { ExtensionStorage } from '../../services/storage/ExtensionStorage.js';
 
 export class LevelSystem {
   constructor(elements) {
@@ -39,6 +42,49 @@ export class LevelSystem {
     }
   }
 
+  /**
+   * Suit les points gagnés ailleurs (autre surface, document offscreen)
+   */
+  watchStorage() {
+    chrome.storage.onChanged.addListener((changes, areaName) => {
+      const change = changes[STORAGE_KEYS.USER_POINTS];
+      if (areaName !== 'local' || !change) return;
+
+      const oldLevel = this.currentLevel;
+      this.currentPoints = change.newValue || 0;
+      this.currentLevel = this._calculateLevel(this.currentPoints);
+
+      if (this.currentLevel > oldLevel) {
+        this._onLevelUp(oldLevel, this.currentLevel);
+      }
+
+      this.updateUI();
+    });
+  }
+
+  /**
+   * Ajoute des points sans composant affiché (document offscreen)
+   * @param {number} points - Points à ajouter
+   */
+  static async awardPoints(points) {
+    if (points <= 0) return;
+
+    try {
+      const result = await ExtensionStorage.get(STORAGE_KEYS.USER_POINTS);
+      const total = (result[STORAGE_KEYS.USER_POINTS] || 0) + points;
+
+      await ExtensionStorage.set({
+        [STORAGE_KEYS.USER_POINTS]: total,
+        [STORAGE_KEYS.USER_LEVEL]: LevelSystem.levelForPoints(total)
+      });
+
+      Logger.info(`💰 +${points} points`, { total });
+
+    } catch (error) {
+      Logger.error('Erreur lors de l\'attribution des points', error);
+    }
+  }
+
   /**
    * Sauvegarde les données dans le storage
    */
@@ -91,6 +137,15 @@ export class LevelSystem {
    * @private
    */
   _calculateLevel(points) {
+    return LevelSystem.levelForPoints(points);
+  }
+
+  /**
+   * Niveau correspondant à un total de points
+   * @param {number} points
+   * @returns {number}
+   */
+  static levelForPoints(points) {
     for (const threshold of LEVEL_CONFIG.LEVEL_THRESHOLDS) {
       if (points >= threshold.minPoints && points < threshold.maxPoints) {
         return threshold.level;
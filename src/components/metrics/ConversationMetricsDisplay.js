@@ -0,0 +1,114 @@
+/**
+ * CONVERSATION METRICS DISPLAY
+ * ============================
+ * Affiche en direct la dynamique de l'appel (temps de parole, monologue,
+ * interruptions, latence de réponse)
+ */
+
+import { Logger } from '../../utils/logger.js';
+import { SPEAKERS } from '../../utils/constants.js';
+
+export class ConversationMetricsDisplay {
+  /**
+   * @param {HTMLElement} containerElement - Conteneur de la carte
+   */
+  constructor(containerElement) {
+    if (!containerElement) {
+      throw new Error('ConversationMetricsDisplay: containerElement est requis');
+    }
+
+    this.container = containerElement;
+    this._build();
+
+    Logger.debug('✓ ConversationMetricsDisplay initialisé');
+  }
+
+  /**
+   * Met à jour l'affichage
+   * @param {Object} snapshot - ConversationMetricsSnapshot
+   */
+  render(snapshot) {
+    if (!snapshot) return;
+
+    const commercialPercent = Math.round(snapshot.talkRatio * 100);
+    const hasTalk = snapshot.talkSeconds[SPEAKERS.CLIENT] + snapshot.talkSeconds[SPEAKERS.COMMERCIAL] > 0;
+
+    this.fields.commercialBar.style.width = hasTalk ? `${commercialPercent}%` : '50%';
+    this.fields.clientBar.style.width = hasTalk ? `${100 - commercialPercent}%` : '50%';
+    this.fields.ratioLabel.textContent = hasTalk
+      ? `Vous ${commercialPercent}% · Client ${100 - commercialPercent}%`
+      : 'En attente de parole';
+
+    const { speaker, durationSeconds } = snapshot.longestMonologue;
+    this.fields.monologue.textContent = speaker
+      ? `${durationSeconds.toFixed(0)}s (${this._speakerLabel(speaker)})`
+      : '—';
+
+    this.fields.interruptions.textContent =
+      `${snapshot.interruptions} (vous: ${snapshot.interruptionsBy[SPEAKERS.COMMERCIAL]})`;
+
+    this.fields.latency.textContent = snapshot.averageResponseLatency !== null
+      ? `${snapshot.averageResponseLatency.toFixed(1)}s`
+      : '—';
+  }
+
+  /**
+   * Remet l'affichage à zéro
+   */
+  reset() {
+    this.fields.commercialBar.style.width = '50%';
+    this.fields.clientBar.style.width = '50%';
+    this.fields.ratioLabel.textContent = 'En attente de parole';
+    this.fields.monologue.textContent = '—';
+    this.fields.interruptions.textContent = '—';
+    this.fields.latency.textContent = '—';
+  }
+
+  /**
+   * Construit la structure DOM de la carte
+   * @private
+   */
+  _build() {
+    this.container.innerHTML = `
+      <div class="metrics-ratio">
+        <div class="metrics-ratio-bar">
+          <div class="metrics-ratio-commercial"></div>
+          <div class="metrics-ratio-client"></div>
+        </div>
+        <div class="metrics-ratio-label"></div>
+      </div>
+      <div class="metrics-grid">
+        <div class="metrics-item">
+          <span class="metrics-label">Plus long monologue</span>
+          <span class="metrics-value" data-field="monologue"></span>
+        </div>
+        <div class="metrics-item">
+          <span class="metrics-label">Interruptions</span>
+          <span class="metrics-value" data-field="interruptions"></span>
+        </div>
+        <div class="metrics-item">
+          <span class="metrics-label">Latence de réponse</span>
+          <span class="metrics-value" data-field="latency"></span>
+        </div>
+      </div>
+    `;
+
+    this.fields = {
+      commercialBar: this.container.querySelector('.metrics-ratio-commercial'),
+      clientBar: this.container.querySelector('.metrics-ratio-client'),
+      ratioLabel: this.container.querySelector('.metrics-ratio-label'),
+      monologue: this.container.querySelector('[data-field="monologue"]'),
+      interruptions: this.container.querySelector('[data-field="interruptions"]'),
+      latency: this.container.querySelector('[data-field="latency"]')
+    };
+
+    this.reset();
+  }
+
+  /**
+   * @private
+   */
+  _speakerLabel(speaker) {
+    return speaker === SPEAKERS.CLIENT ? 'client' : 'vous';
+  }
+}
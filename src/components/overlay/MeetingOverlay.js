@@ -0,0 +1,325 @@
+/**
+ * MEETING OVERLAY
+ * ===============
+ * Overlay injecté dans la page de réunion (Meet, Teams, Zoom) : derniers
+ * insights, mini transcription et bouton Start / Stop. Rendu dans un shadow
+ * root fermé pour que le CSS de la page ne puisse pas le casser.
+ * Déplaçable par son en-tête, repliable ; position et repli mémorisés.
+ * Sert aussi de vue compacte du mode mini (fenêtre Picture-in-Picture).
+ */
+
+import {
+  CALL_STATUS,
+  INSIGHT_VISUAL_CONFIG,
+  OVERLAY_CONFIG,
+  STORAGE_KEYS
+} from '../../utils/constants.js';
+import { Logger } from '../../utils/logger.js';
+
+export class MeetingOverlay {
+  /**
+   * @param {Object} options
+   * @param {Function} options.onToggleListening - Clic sur Start / Stop (listening: boolean)
+   * @param {Document} options.targetDocument - Document hôte (page de réunion ou fenêtre mini)
+   * @param {boolean} options.floating - Flottant et déplaçable (false : occupe tout le document)
+   */
+  constructor({ onToggleListening, targetDocument = document, floating = true }) {
+    this.onToggleListening = onToggleListening;
+    this.document = targetDocument;
+    this.window = targetDocument.defaultView;
+    this.floating = floating;
+
+    this.host = null;
+    this.root = null;
+    this.elements = {};
+
+    this.status = CALL_STATUS.IDLE;
+    this.collapsed = false;
+    this.position = null; // { left, top } ; null = coin inférieur droit
+    this.drag = null;
+  }
+
+  /**
+   * Injecte l'overlay dans la page (remplace celui d'une version précédente de l'extension)
+   */
+  async mount() {
+    this.document.getElementById(OVERLAY_CONFIG.HOST_ID)?.remove();
+
+    if (this.floating) {
+      await this._loadPersistedState();
+    }
+
+    this.host = this.document.createElement('div');
+    this.host.id = OVERLAY_CONFIG.HOST_ID;
+    if (this.floating) {
+      // En ligne : appliqué avant le chargement de la feuille de style du shadow root
+      this.host.style.position = 'fixed';
+      this.host.style.zIndex = '2147483647';
+    }
+    this.root = this.host.attachShadow({ mode: 'closed' });
+
+    this.root.innerHTML = `
+      <link rel="stylesheet" href="${chrome.runtime.getURL(OVERLAY_CONFIG.STYLESHEET_PATH)}">
+      <div class="overlay${this.floating ? '' : ' docked'}">
+        <header class="overlay-header">
+          <span class="overlay-title">🚗 KITT</span>
+          <span class="overlay-status"></span>
+          <button class="overlay-collapse" type="button" title="Replier / déplier"></button>
+        </header>
+        <div class="overlay-body">
+          <button class="overlay-start-stop" type="button"></button>
+          <div class="overlay-error"></div>
+          <div class="overlay-insights">
+            <div class="overlay-empty">Aucun insight pour le moment.</div>
+          </div>
+          <div class="overlay-transcript"></div>
+        </div>
+      </div>
+    `;
+
+    this.elements = {
+      overlay: this.root.querySelector('.overlay'),
+      header: this.root.querySelector('.overlay-header'),
+      status: this.root.querySelector('.overlay-status'),
+      collapseBtn: this.root.querySelector('.overlay-collapse'),
+      startStopBtn: this.root.querySelector('.overlay-start-stop'),
+      error: this.root.querySelector('.overlay-error'),
+      insights: this.root.querySelector('.overlay-insights'),
+      empty: this.root.querySelector('.overlay-empty'),
+      transcript: this.root.querySelector('.overlay-transcript')
+    };
+
+    this.elements.startStopBtn.addEventListener('click', () => {
+      this.showError(null);
+      this.onToggleListening(this.isListening());
+    });
+
+    if (this.floating) {
+      this.elements.collapseBtn.addEventListener('click', () => this._setCollapsed(!this.collapsed));
+      this.elements.header.addEventListener('pointerdown', (e) => this._startDrag(e));
+
+      // Fenêtre redimensionnée : garder l'overlay visible
+      this.window.addEventListener('resize', () => this._applyPosition());
+    } else {
+      this.elements.collapseBtn.style.display = 'none';
+    }
+
+    this.document.body.appendChild(this.host);
+
+    this._applyPosition();
+    this._setCollapsed(this.collapsed, { persist: false });
+    this.renderState({ status: CALL_STATUS.IDLE });
+
+    Logger.debug('✓ MeetingOverlay injecté');
+  }
+
+  /**
+   * L'appel est-il en écoute ?
+   * @returns {boolean}
+   */
+  isListening() {
+    return this.status === CALL_STATUS.LISTENING;
+  }
+
+  /**
+   * Reconstruit l'overlay depuis l'état de l'appel (rattachement)
+   * @param {Object} state - État de l'orchestrateur
+   */
+  replay(state) {
+    state.insights
+      .slice(-OVERLAY_CONFIG.MAX_INSIGHTS)
+      .forEach(({ advice }) => this.addInsight(advice));
+    state.transcript
+      .slice(-OVERLAY_CONFIG.MAX_TRANSCRIPT_LINES)
+      .forEach(entry => this.addTranscriptEntry(entry));
+
+    this.renderState(state);
+  }
+
+  /**
+   * Met à jour le statut et le bouton Start / Stop
+   * @param {Object} state - État de l'orchestrateur
+   */
+  renderState(state) {
+    this.status = state.status;
+
+    const { status, startStopBtn } = this.elements;
+    const listening = this.isListening();
+
+    if (state.status === CALL_STATUS.STARTING) {
+      status.textContent = 'Démarrage…';
+    } else if (state.status === CALL_STATUS.STOPPING) {
+      status.textContent = 'Envoi de l\'audio en attente…';
+    } else if (listening && state.queue?.authRequired) {
+      status.textContent = '🔑 Connexion requise (réglages de KITT)';
+    } else if (listening) {
+      status.textContent = state.isPaused ? '⏸ En pause' : '🔴 En écoute';
+    } else {
+      status.textContent = '';
+    }
+
+    startStopBtn.textContent = listening ? 'Stop Listening' : 'Start Listening';
+    startStopBtn.classList.toggle('listening', listening);
+    startStopBtn.disabled = state.status === CALL_STATUS.STARTING || state.status === CALL_STATUS.STOPPING;
+  }
+
+  /**
+   * Ajoute une carte d'insight (seuls les plus récents sont conservés)
+   * @param {Object} advice - Insight { type, title, details }
+   */
+  addInsight(advice) {
+    if (!advice?.title) return;
+
+    const visual = INSIGHT_VISUAL_CONFIG[advice.type] || {};
+
+    const card = this.document.createElement('div');
+    card.className = 'overlay-insight';
+    card.style.borderLeftColor = visual.color || '';
+    card.style.background = visual.bgColor || '';
+
+    const title = this.document.createElement('div');
+    title.className = 'overlay-insight-title';
+    title.textContent = `${visual.emoji || '💡'} ${advice.title}`;
+    card.appendChild(title);
+
+    if (advice.details?.description) {
+      const description = this.document.createElement('div');
+      description.className = 'overlay-insight-description';
+      description.textContent = advice.details.description;
+      card.appendChild(description);
+    }
+
+    this.elements.empty.style.display = 'none';
+    this.elements.insights.prepend(card);
+
+    const cards = this.elements.insights.querySelectorAll('.overlay-insight');
+    Array.from(cards).slice(OVERLAY_CONFIG.MAX_INSIGHTS).forEach(old => old.remove());
+  }
+
+  /**
+   * Ajoute une ligne à la mini transcription
+   * @param {Object} entry - TranscriptEntry { kind, text, timestamp }
+   */
+  addTranscriptEntry({ kind, text }) {
+    const line = this.document.createElement('div');
+    line.className = kind === 'marker' ? 'overlay-line overlay-marker' : 'overlay-line';
+    line.textContent = text;
+
+    const { transcript } = this.elements;
+    transcript.appendChild(line);
+
+    while (transcript.childElementCount > OVERLAY_CONFIG.MAX_TRANSCRIPT_LINES) {
+      transcript.firstElementChild.remove();
+    }
+  }
+
+  /**
+   * Affiche (ou efface avec null) un message d'erreur
+   * @param {string|null} message
+   */
+  showError(message) {
+    this.elements.error.textContent = message ? `❌ ${message}` : '';
+    this.elements.error.style.display = message ? 'block' : 'none';
+  }
+
+  /**
+   * @private
+   */
+  async _loadPersistedState() {
+    try {
+      const result = await chrome.storage.local.get(STORAGE_KEYS.OVERLAY_STATE);
+      const saved = result[STORAGE_KEYS.OVERLAY_STATE];
+
+      if (saved) {
+        this.collapsed = !!saved.collapsed;
+        this.position = saved.position || null;
+      }
+    } catch (error) {
+      Logger.warn('Impossible de charger la position de l\'overlay', error);
+    }
+  }
+
+  /**
+   * @private
+   */
+  _persistState() {
+    chrome.storage.local
+      .set({
+        [STORAGE_KEYS.OVERLAY_STATE]: { collapsed: this.collapsed, position: this.position }
+      })
+      .catch((error) => Logger.warn('Impossible de mémoriser l\'overlay', error));
+  }
+
+  /**
+   * @private
+   */
+  _setCollapsed(collapsed, { persist = true } = {}) {
+    this.collapsed = collapsed;
+    this.elements.overlay.classList.toggle('collapsed', collapsed);
+    this.elements.collapseBtn.textContent = collapsed ? '▢' : '–';
+
+    // La hauteur change : rester dans la fenêtre
+    this._applyPosition();
+
+    if (persist) {
+      this._persistState();
+    }
+  }
+
+  /**
+   * Place l'overlay (coin inférieur droit par défaut), borné à la fenêtre
+   * @private
+   */
+  _applyPosition() {
+    if (!this.host || !this.floating) return;
+
+    if (!this.position) {
+      this.host.style.left = '';
+      this.host.style.top = '';
+      this.host.style.right = '20px';
+      this.host.style.bottom = '20px';
+      return;
+    }
+
+    const margin = OVERLAY_CONFIG.EDGE_MARGIN;
+    const { width, height } = this.host.getBoundingClientRect();
+    const left = Math.min(Math.max(this.position.left, margin), this.window.innerWidth - width - margin);
+    const top = Math.min(Math.max(this.position.top, margin), this.window.innerHeight - height - margin);
+
+    this.host.style.right = '';
+    this.host.style.bottom = '';
+    this.host.style.left = `${Math.max(left, margin)}px`;
+    this.host.style.top = `${Math.max(top, margin)}px`;
+  }
+
+  /**
+   * Déplacement par l'en-tête (hors boutons)
+   * @private
+   */
+  _startDrag(event) {
+    if (event.button !== 0 || event.target.closest('button')) return;
+
+    const rect = this.host.getBoundingClientRect();
+    this.drag = { offsetX: event.clientX - rect.left, offsetY: event.clientY - rect.top };
+
+    const header = this.elements.header;
+    header.setPointerCapture(event.pointerId);
+
+    const onMove = (e) => {
+      this.position = { left: e.clientX - this.drag.offsetX, top: e.clientY - this.drag.offsetY };
+      this._applyPosition();
+    };
+
+    const onUp = () => {
+      header.removeEventListener('pointermove', onMove);
+      header.removeEventListener('pointerup', onUp);
+      header.removeEventListener('pointercancel', onUp);
+      this.drag = null;
+      this._persistState();
+    };
+
+    header.addEventListener('pointermove', onMove);
+    header.addEventListener('pointerup', onUp);
+    header.addEventListener('pointercancel', onUp);
+  }
+}
@@ -0,0 +1,123 @@
+/**
+ * RECORDING PANEL
+ * ===============
+ * Affiche un enregistrement local (appel terminé dans la section compte-rendu,
+ * appel de l'historique) avec téléchargement WAV et suppression
+ */
+
+import { Logger } from '../../utils/logger.js';
+import { formatDate, formatDuration, formatFileSize } from '../../utils/helpers.js';
+import { CallRecorder } from '../../services/audio/CallRecorder.js';
+
+export class RecordingPanel {
+  /**
+   * @param {HTMLElement} containerElement - Conteneur du panneau
+   * @param {CallRecorder} recorder - Recorder utilisé pour l'export WAV
+   */
+  constructor(containerElement, recorder = new CallRecorder()) {
+    if (!containerElement) {
+      throw new Error('RecordingPanel: containerElement est requis');
+    }
+
+    this.container = containerElement;
+    this.recorder = recorder;
+    this.metadata = null;
+
+    Logger.debug('✓ RecordingPanel initialisé');
+  }
+
+  /**
+   * Affiche un enregistrement
+   * @param {RecordingMetadata} metadata - Métadonnées de l'enregistrement
+   */
+  show(metadata) {
+    if (!metadata) {
+      this.hide();
+      return;
+    }
+
+    this.metadata = metadata;
+
+    const duration = formatDuration(metadata.durationSeconds * 1000);
+    const size = formatFileSize(metadata.bytes);
+
+    this.container.innerHTML = `
+      <div class="recording-info">
+        <span class="recording-title">⏺️ Enregistrement de l'appel</span>
+        <span class="recording-details">${formatDate(metadata.createdAt)} · ${duration} · ${size}${metadata.truncated ? ' · tronqué (taille max atteinte)' : ''}</span>
+      </div>
+      <div class="recording-actions">
+        <button class="btn-recording-download" type="button">Télécharger (.wav)</button>
+        <button class="btn-recording-delete" type="button">Supprimer</button>
+      </div>
+    `;
+
+    this.container.querySelector('.btn-recording-download')
+      .addEventListener('click', () => this._download());
+    this.container.querySelector('.btn-recording-delete')
+      .addEventListener('click', () => this._delete());
+
+    this.container.style.display = 'block';
+  }
+
+  /**
+   * Masque le panneau
+   */
+  hide() {
+    this.metadata = null;
+    this.container.innerHTML = '';
+    this.container.style.display = 'none';
+  }
+
+  /**
+   * Télécharge l'enregistrement en WAV
+   * @private
+   */
+  async _download() {
+    if (!this.metadata) return;
+
+    try {
+      const blob = await this.recorder.exportWav(this.metadata.sessionId);
+      if (!blob) {
+        throw new Error('Enregistrement introuvable');
+      }
+
+      const url = URL.createObjectURL(blob);
+      const date = new Date(this.metadata.createdAt).toISOString().slice(0, 16).replace(/[:T]/g, '-');
+
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = `kitt-appel-${date}.wav`;
+      link.click();
+
+      // Laisser le temps au téléchargement de démarrer
+      setTimeout(() => URL.revokeObjectURL(url), 10000);
+
+      Logger.info('💾 Enregistrement téléchargé', { sessionId: this.metadata.sessionId });
+
+    } catch (error) {
+      Logger.error('❌ Erreur lors du téléchargement de l\'enregistrement', error);
+      alert(`❌ Erreur: ${error.message}`);
+    }
+  }
+
+  /**
+   * Supprime l'enregistrement après confirmation
+   * @private
+   */
+  async _delete() {
+    if (!this.metadata) return;
+
+    if (!confirm('Supprimer définitivement l\'enregistrement de cet appel ?')) {
+      return;
+    }
+
+    try {
+      await this.recorder.store.delete(this.metadata.sessionId);
+      this.hide();
+    } catch (error) {
+      Logger.error('❌ Erreur lors de la suppression de l\'enregistrement', error);
+      alert(`❌ Erreur: ${error.message}`);
+    }
+  }
+}
@@ -4,9 +4,10 @@
  * Génère et affiche les comptes-rendus d'appel
  */
 
-import { API_CONFIG, ERROR_MESSAGES } from '../../utils/constants.js';
+import { ERROR_MESSAGES } from '../../utils/constants.js';
 import { Logger } from '../../utils/logger.js';
 import { replaceAsterisks } from '../../utils/helpers.js';
+import { ApiClient } from '../../services/api/ApiClient.js';
 
 export class ReportGenerator {
   constructor(reportDataElement, reportLoadingElement, reportEmptyElement) {
@@ -19,45 +20,59 @@ export class ReportGenerator {
    * Génère un compte-rendu pour une session
    * @param {string} sessionId - ID de la session
    * @param {string} transcript - Transcription complète
+   * @param {Object|null} conversationMetrics - Indicateurs de conversation (ConversationMetricsSnapshot)
    * @returns {Promise<Object>} Rapport généré
    */
-  async generate(sessionId, transcript) {
+  async generate(sessionId, transcript, conversationMetrics = null) {
     Logger.info('📊 Génération du compte-rendu', { sessionId });
 
     // Afficher l'état de chargement
     this._showLoading();
 
     try {
-      const response = await fetch(
-        `${API_CONFIG.BASE_URL}${API_CONFIG.ENDPOINTS.RESUME_GENERATE(sessionId)}`,
-        {
-          method: 'POST',
-          headers: { 'Content-Type': 'application/json' },
-          body: JSON.stringify({
-            call_id: sessionId,
-            user_message: transcript || '',
-            timestamp: Date.now()
-          })
-        }
-      );
-
-      if (!response.ok) {
-        throw new Error(ERROR_MESSAGES.SUMMARY_GENERATION_FAILED);
-      }
+      const data = await ApiClient.generateResume(sessionId, {
+        transcript: transcript || '',
+        conversationMetrics: this._formatMetrics(conversationMetrics)
+      });
 
-      const data = await response.json();
-      
       Logger.info('✅ Compte-rendu généré avec succès');
       
       return data.summary;
 
     } catch (error) {
       Logger.error('❌ Erreur lors de la génération du compte-rendu', error);
-      this._showError(error.message);
+      this._showError(`${ERROR_MESSAGES.SUMMARY_GENERATION_FAILED} : ${error.message}`);
       throw error;
     }
   }
 
+  /**
+   * Convertit les indicateurs de conversation au format du backend
+   * @private
+   * @param {Object|null} metrics - ConversationMetricsSnapshot
+   * @returns {Object|null}
+   */
+  _formatMetrics(metrics) {
+    if (!metrics) {
+      return null;
+    }
+
+    return {
+      duration_seconds: metrics.elapsedSeconds,
+      talk_seconds: metrics.talkSeconds,
+      talk_ratio_commercial: metrics.talkRatio,
+      longest_monologue: {
+        speaker: metrics.longestMonologue.speaker,
+        duration_seconds: metrics.longestMonologue.durationSeconds
+      },
+      interruptions: metrics.interruptions,
+      interruptions_by: metrics.interruptionsBy,
+      overlap_seconds: metrics.overlapSeconds,
+      average_response_latency_seconds: metrics.averageResponseLatency,
+      response_latency_by: metrics.responseLatencyBy
+    };
+  }
+
   /**
    * Affiche un rapport
    * @param {Object} summary - Résumé à afficher
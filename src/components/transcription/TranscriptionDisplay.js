@@ -23,8 +23,9 @@ export class TranscriptionDisplay {
   /**
    * Ajoute une nouvelle transcription
    * @param {string} transcriptionText - Texte de la transcription
+   * @param {number} timestamp - Réception (rejeu de l'historique d'un appel en cours)
    */
-  addTranscription(transcriptionText) {
+  addTranscription(transcriptionText, timestamp = Date.now()) {
     if (!transcriptionText || typeof transcriptionText !== 'string') {
       Logger.warn('⚠️ Transcription invalide', transcriptionText);
       return;
@@ -48,7 +49,7 @@ export class TranscriptionDisplay {
 
     // Ajouter chaque message
     messages.forEach(message => {
-      this._addMessage(message);
+      this._addMessage(message, timestamp);
     });
 
     // Limiter le nombre de transcriptions
@@ -60,6 +61,31 @@ export class TranscriptionDisplay {
     this._scrollToBottom();
   }
 
+  /**
+   * Ajoute un marqueur d'événement (coupure de capture, reprise...)
+   * @param {string} text - Texte du marqueur
+   * @param {number} timestamp - Horodatage de l'événement
+   */
+  addMarker(text, timestamp = Date.now()) {
+    const markerElement = document.createElement('div');
+    markerElement.className = 'transcription-marker';
+    markerElement.setAttribute('data-timestamp', timestamp.toString());
+    markerElement.textContent = `${this._formatTime(timestamp)} · ${text}`;
+
+    this.container.appendChild(markerElement);
+    this.transcriptions.push({
+      message: { speaker: 'marker', content: text },
+      timestamp,
+      element: markerElement
+    });
+
+    if (this.transcriptions.length > this.maxTranscriptions) {
+      this._removeOldestTranscription();
+    }
+
+    this._scrollToBottom();
+  }
+
   /**
    * Parse une transcription en messages individuels
    * @private
@@ -98,9 +124,7 @@ export class TranscriptionDisplay {
    * Ajoute un message au DOM
    * @private
    */
-  _addMessage(message) {
-    const timestamp = Date.now();
-
+  _addMessage(message, timestamp) {
     // Créer l'élément
     const messageElement = this._createMessageElement(message, timestamp);
 
@@ -0,0 +1,47 @@
+/**
+ * OFFSCREEN.JS - HÔTE DE L'APPEL
+ * ==============================
+ * Document offscreen créé par le service worker : héberge l'orchestrateur
+ * d'appel pour que la capture survive à la fermeture de la popup
+ */
+
+import { CallOrchestrator } from '../services/call/CallOrchestrator.js';
+import { SettingsService } from '../services/settings/SettingsService.js';
+import { AuthService } from '../services/auth/AuthService.js';
+import { Logger } from '../utils/logger.js';
+import { RUNTIME_MESSAGES } from '../utils/constants.js';
+
+// Réglages appliqués avant toute commande (URL du backend, VAD…) ; l'écoute des
+// messages commence immédiatement pour ne pas manquer la première commande
+const settingsReady = SettingsService.initialize();
+
+const orchestrator = new CallOrchestrator({
+  broadcast: (event, payload) => {
+    // Aucune vue ouverte : l'événement est perdu, l'état reste disponible via GET_STATE
+    chrome.runtime
+      .sendMessage({ type: RUNTIME_MESSAGES.CALL_EVENT, event, payload })
+      .catch(() => {});
+  }
+});
+
+// Reconnexion depuis les réglages : l'audio retenu faute de jeton valide repart
+AuthService.onLogin(() => orchestrator.resumeAfterLogin());
+
+chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
+  if (message?.type !== RUNTIME_MESSAGES.OFFSCREEN_COMMAND) {
+    return false;
+  }
+
+  settingsReady
+    .then(() => orchestrator.handleCommand(message.command, message.payload))
+    .then((result) => sendResponse({ result }))
+    .catch((error) => {
+      Logger.error(`❌ Commande ${message.command} en échec`, error);
+      sendResponse({ error: error.message });
+    });
+
+  // Réponse asynchrone
+  return true;
+});
+
+Logger.info('🚗 Document offscreen KITT prêt');
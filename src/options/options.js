@@ -0,0 +1,444 @@
+/**
+ * OPTIONS.JS - PAGE DE RÉGLAGES
+ * =============================
+ * Surface ouverte par l'icône, serveur et connexion, réglages décrits par
+ * SETTINGS_SCHEMA (backend, VAD, flags, logs), fenêtre détachée et import / export JSON
+ */
+
+import { WINDOW_LIMITS } from '../../config.js';
+import { API_CONFIG, ERROR_MESSAGES } from '../utils/constants.js';
+import { Logger } from '../utils/logger.js';
+import { SurfaceService } from '../services/ui/SurfaceService.js';
+import { WindowSettingsStore } from '../services/storage/WindowSettingsStore.js';
+import { SETTINGS_SCHEMA, SettingsService } from '../services/settings/SettingsService.js';
+import { BackendEnvironments } from '../services/settings/BackendEnvironments.js';
+import { AuthService } from '../services/auth/AuthService.js';
+
+const windowSettingsStore = new WindowSettingsStore();
+
+// Titres des sections du schéma
+const SECTION_LABELS = {
+  api: 'Backend',
+  audio: 'Audio et détection de la voix',
+  features: 'Fonctionnalités',
+  meetings: 'Détection des réunions',
+  sessions: 'Sessions interrompues',
+  logging: 'Journalisation'
+};
+
+let elements = null;
+
+/**
+ * Initialise les références aux éléments DOM
+ */
+function initializeDOMElements() {
+  elements = {
+    defaultSurface: document.getElementById('defaultSurface'),
+    environment: document.getElementById('backendEnvironment'),
+    hostPermissionHint: document.getElementById('hostPermissionHint'),
+    grantHostPermissionBtn: document.getElementById('grantHostPermission'),
+    authStatus: document.getElementById('authStatus'),
+    loginForm: document.getElementById('loginForm'),
+    logoutBtn: document.getElementById('logout'),
+    settingsForm: document.getElementById('settingsForm'),
+    settingsSections: document.getElementById('settingsSections'),
+    windowForm: document.getElementById('windowSettingsForm'),
+    clearBoundsBtn: document.getElementById('clearWindowBounds'),
+    exportBtn: document.getElementById('exportSettings'),
+    importBtn: document.getElementById('importSettings'),
+    importFile: document.getElementById('importFile'),
+    resetBtn: document.getElementById('resetSettings'),
+    status: document.getElementById('optionsStatus')
+  };
+
+  renderSchemaSections();
+
+  // Bornes affichées dans les champs numériques
+  Object.entries(WINDOW_LIMITS).forEach(([name, { min, max }]) => {
+    const input = elements.windowForm.elements[name];
+    input.min = min;
+    input.max = max;
+  });
+}
+
+/**
+ * Crée un champ par réglage du schéma (nom du champ : section.clé)
+ */
+function renderSchemaSections() {
+  Object.entries(SETTINGS_SCHEMA).forEach(([section, fields]) => {
+    const card = document.createElement('section');
+    card.className = 'options-card';
+
+    const title = document.createElement('h2');
+    title.textContent = SECTION_LABELS[section] || section;
+    card.appendChild(title);
+
+    Object.entries(fields).forEach(([key, definition]) => {
+      card.appendChild(createField(`${section}.${key}`, definition));
+    });
+
+    elements.settingsSections.appendChild(card);
+  });
+}
+
+/**
+ * @param {string} name - section.clé
+ * @param {SettingDefinition} definition
+ * @returns {HTMLLabelElement}
+ */
+function createField(name, definition) {
+  const label = document.createElement('label');
+  label.className = 'options-field';
+
+  const text = document.createElement('span');
+  text.textContent = definition.label;
+
+  let input;
+
+  if (definition.type === 'enum') {
+    input = document.createElement('select');
+    definition.options.forEach(option => input.appendChild(new Option(option, option)));
+  } else if (definition.type === 'list') {
+    input = document.createElement('textarea');
+    input.rows = 4;
+    label.classList.add('options-list');
+  } else {
+    input = document.createElement('input');
+    input.type = { boolean: 'checkbox', number: 'number' }[definition.type] || 'text';
+
+    if (definition.type === 'number') {
+      input.min = definition.min;
+      input.max = definition.max;
+      input.step = 'any';
+    }
+  }
+
+  input.name = name;
+
+  if (definition.type === 'boolean') {
+    label.classList.add('options-checkbox');
+    label.append(input, text);
+  } else {
+    label.append(text, input);
+  }
+
+  return label;
+}
+
+/**
+ * Remplit le formulaire avec les réglages enregistrés
+ */
+async function loadSettings() {
+  elements.defaultSurface.value = await SurfaceService.getDefaultSurface();
+
+  const settings = await SettingsService.load();
+  fillSettingsForm(settings);
+  await renderConnection(settings);
+
+  fillWindowForm(await windowSettingsStore.load());
+}
+
+/**
+ * Environnements, accès au serveur et état de la connexion
+ * @param {Object} settings - Réglages effectifs
+ */
+async function renderConnection(settings) {
+  const { baseUrl } = settings.api;
+  const environments = BackendEnvironments.parse(settings.api.environments);
+
+  elements.environment.innerHTML = '';
+  environments.forEach(({ name, baseUrl: url }) => {
+    elements.environment.appendChild(new Option(`${name} (${url})`, url));
+  });
+  if (!BackendEnvironments.findByUrl(environments, baseUrl)) {
+    elements.environment.appendChild(new Option(`Personnalisé (${baseUrl})`, baseUrl));
+  }
+  elements.environment.value = baseUrl;
+
+  const [hasAccess, session] = await Promise.all([
+    BackendEnvironments.hasHostPermission(baseUrl),
+    AuthService.load()
+  ]);
+
+  elements.hostPermissionHint.hidden = hasAccess;
+  elements.authStatus.textContent = session
+    ? `Connecté en tant que ${session.user?.name || session.user?.email || 'utilisateur'}`
+    : 'Non connecté (inutile si le serveur ne demande pas de connexion)';
+  elements.loginForm.hidden = !!session;
+  elements.logoutBtn.hidden = !session;
+}
+
+/**
+ * Enregistre des réglages et les applique tout de suite à cette page
+ * (les jetons de AuthService sont liés à API_CONFIG.BASE_URL)
+ * @param {Object} settings - { section: { clé: valeur } }
+ * @returns {Promise<Object>} Réglages effectifs
+ */
+async function saveAndApplySettings(settings) {
+  const saved = await SettingsService.save(settings);
+  SettingsService.apply(saved);
+
+  fillSettingsForm(saved);
+  await renderConnection(saved);
+
+  return saved;
+}
+
+/**
+ * @param {Object} settings - Réglages effectifs
+ */
+function fillSettingsForm(settings) {
+  Object.entries(SETTINGS_SCHEMA).forEach(([section, fields]) => {
+    Object.entries(fields).forEach(([key, definition]) => {
+      const input = elements.settingsForm.elements[`${section}.${key}`];
+      const value = settings[section][key];
+
+      if (definition.type === 'boolean') {
+        input.checked = value;
+      } else if (definition.type === 'list') {
+        input.value = value.join('\n');
+      } else {
+        input.value = value;
+      }
+    });
+  });
+}
+
+/**
+ * Lit le formulaire du schéma
+ * @returns {Object} { section: { clé: valeur } }
+ */
+function readSettingsForm() {
+  const settings = {};
+
+  Object.entries(SETTINGS_SCHEMA).forEach(([section, fields]) => {
+    settings[section] = {};
+
+    Object.entries(fields).forEach(([key, definition]) => {
+      const input = elements.settingsForm.elements[`${section}.${key}`];
+
+      if (definition.type === 'boolean') {
+        settings[section][key] = input.checked;
+      } else if (definition.type === 'number') {
+        settings[section][key] = input.value === '' ? NaN : Number(input.value);
+      } else if (definition.type === 'list') {
+        settings[section][key] = input.value.split('\n').map(line => line.trim()).filter(Boolean);
+      } else {
+        settings[section][key] = input.value.trim();
+      }
+    });
+  });
+
+  return settings;
+}
+
+/**
+ * @param {Object} settings - Réglages de la fenêtre
+ */
+function fillWindowForm(settings) {
+  const form = elements.windowForm.elements;
+
+  Object.keys(WINDOW_LIMITS).forEach(name => {
+    form[name].value = settings[name];
+  });
+  form.position.value = settings.position;
+  form.rememberBounds.checked = settings.rememberBounds;
+}
+
+/**
+ * Enregistre le formulaire de la fenêtre (valeurs hors bornes ramenées dans les bornes)
+ */
+async function saveWindowSettings() {
+  const form = elements.windowForm.elements;
+  const settings = {
+    position: form.position.value,
+    rememberBounds: form.rememberBounds.checked
+  };
+
+  Object.keys(WINDOW_LIMITS).forEach(name => {
+    settings[name] = Number(form[name].value);
+  });
+
+  fillWindowForm(await windowSettingsStore.save(settings));
+  showStatus('✅ Réglages enregistrés');
+}
+
+/**
+ * @param {string} message
+ * @param {boolean} isError
+ */
+function showStatus(message, isError = false) {
+  elements.status.textContent = message;
+  elements.status.classList.toggle('error', isError);
+}
+
+/**
+ * Initialise tous les event listeners
+ */
+function initializeEventListeners() {
+  elements.defaultSurface.addEventListener('change', async () => {
+    try {
+      await SurfaceService.setDefaultSurface(elements.defaultSurface.value);
+      showStatus('✅ Surface par défaut enregistrée');
+    } catch (error) {
+      Logger.error('❌ Surface par défaut non enregistrée', error);
+      showStatus(`❌ ${error.message}`, true);
+    }
+  });
+
+  elements.environment.addEventListener('change', async () => {
+    const baseUrl = elements.environment.value;
+
+    // Demandée dès le geste de l'utilisateur
+    const granted = await BackendEnvironments.requestHostPermission(baseUrl).catch(() => false);
+
+    try {
+      await saveAndApplySettings({
+        api: { baseUrl, wsBaseUrl: BackendEnvironments.toWebSocketUrl(baseUrl) }
+      });
+      showStatus(granted
+        ? '✅ Environnement sélectionné'
+        : `❌ ${ERROR_MESSAGES.HOST_PERMISSION_DENIED}`, !granted);
+    } catch (error) {
+      Logger.error('❌ Environnement non enregistré', error);
+      showStatus(`❌ ${formatErrors(error)}`, true);
+    }
+  });
+
+  elements.grantHostPermissionBtn.addEventListener('click', async () => {
+    const granted = await BackendEnvironments.requestHostPermission(API_CONFIG.BASE_URL).catch(() => false);
+
+    elements.hostPermissionHint.hidden = granted;
+    showStatus(granted ? '✅ Accès au serveur autorisé' : `❌ ${ERROR_MESSAGES.HOST_PERMISSION_DENIED}`, !granted);
+  });
+
+  elements.loginForm.addEventListener('submit', async (e) => {
+    e.preventDefault();
+    const form = elements.loginForm.elements;
+
+    try {
+      await AuthService.login({ email: form.email.value.trim(), password: form.password.value });
+      elements.loginForm.reset();
+      await renderConnection(await SettingsService.load());
+      showStatus('✅ Connecté au serveur');
+    } catch (error) {
+      Logger.error('❌ Connexion refusée', error);
+      showStatus(`❌ ${error.message}`, true);
+    }
+  });
+
+  elements.logoutBtn.addEventListener('click', async () => {
+    await AuthService.logout();
+    await renderConnection(await SettingsService.load());
+    showStatus('✅ Déconnecté');
+  });
+
+  elements.settingsForm.addEventListener('submit', async (e) => {
+    e.preventDefault();
+
+    const settings = readSettingsForm();
+
+    // Demandée dès le geste de l'utilisateur ; une URL invalide est refusée par la validation
+    const granted = await BackendEnvironments.requestHostPermission(settings.api.baseUrl).catch(() => false);
+
+    try {
+      await saveAndApplySettings(settings);
+      showStatus(granted
+        ? '✅ Réglages enregistrés (appliqués immédiatement, y compris à l\'appel en cours)'
+        : `✅ Réglages enregistrés\n❌ ${ERROR_MESSAGES.HOST_PERMISSION_DENIED}`, !granted);
+    } catch (error) {
+      Logger.error('❌ Réglages non enregistrés', error);
+      showStatus(`❌ ${formatErrors(error)}`, true);
+    }
+  });
+
+  elements.exportBtn.addEventListener('click', exportSettings);
+  elements.importBtn.addEventListener('click', () => elements.importFile.click());
+  elements.importFile.addEventListener('change', importSettings);
+
+  elements.resetBtn.addEventListener('click', async () => {
+    if (!confirm('Revenir aux réglages par défaut ?')) return;
+
+    await SettingsService.reset();
+    await loadSettings();
+    showStatus('✅ Réglages par défaut restaurés');
+  });
+
+  elements.windowForm.addEventListener('submit', async (e) => {
+    e.preventDefault();
+
+    try {
+      await saveWindowSettings();
+    } catch (error) {
+      Logger.error('❌ Réglages de la fenêtre non enregistrés', error);
+      showStatus(`❌ ${error.message}`, true);
+    }
+  });
+
+  elements.clearBoundsBtn.addEventListener('click', async () => {
+    await windowSettingsStore.clearBounds();
+    showStatus('✅ La fenêtre s\'ouvrira à la position configurée');
+  });
+}
+
+/**
+ * Télécharge les réglages au format JSON
+ */
+async function exportSettings() {
+  const json = await SettingsService.exportJson();
+  const url = URL.createObjectURL(new Blob([json], { type: 'application/json' }));
+
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = `kitt-settings-${new Date().toISOString().slice(0, 10)}.json`;
+  link.click();
+
+  URL.revokeObjectURL(url);
+  showStatus('✅ Réglages exportés');
+}
+
+/**
+ * Importe un fichier de réglages (refusé en entier si une valeur est invalide)
+ */
+async function importSettings() {
+  const [file] = elements.importFile.files;
+  elements.importFile.value = '';
+
+  if (!file) return;
+
+  try {
+    await SettingsService.importJson(await file.text());
+    await loadSettings();
+    showStatus(`✅ Réglages importés depuis ${file.name}`);
+  } catch (error) {
+    Logger.error('❌ Import des réglages refusé', error);
+    showStatus(`❌ ${formatErrors(error)}`, true);
+  }
+}
+
+/**
+ * Une erreur de validation par ligne
+ * @param {Error} error
+ * @returns {string}
+ */
+function formatErrors(error) {
+  return error.errors ? `Réglages invalides :\n${error.errors.join('\n')}` : error.message;
+}
+
+/**
+ * Point d'entrée de la page de réglages
+ */
+async function main() {
+  initializeDOMElements();
+  initializeEventListeners();
+
+  try {
+    await SettingsService.initialize();
+    await loadSettings();
+  } catch (error) {
+    Logger.error('❌ Réglages non chargés', error);
+    showStatus('❌ Impossible de charger les réglages', true);
+  }
+}
+
+main();
@@ -1,7 +1,10 @@
 /**
- * POPUP.JS - ORCHESTRATEUR PRINCIPAL
- * ===================================
- * Version restructurée selon l'architecture modulaire
+ * POPUP.JS - VUE DE L'APPEL
+ * ==========================
+ * Version restructurée selon l'architecture modulaire.
+ * L'appel (capture, traitement, session) tourne dans le document offscreen :
+ * la popup, le panneau latéral ou la fenêtre ne font qu'envoyer des commandes
+ * et afficher ses événements. Fermer la vue n'interrompt pas l'appel.
  */
 
 // ============================================================================
@@ -10,8 +13,11 @@
 
 // Services
 import { AudioCaptureService } from '../services/audio/AudioCaptureService.js';
-import { AudioProcessingService } from '../services/audio/AudioProcessingService.js';
-import { SessionService } from '../services/api/SessionService.js';
+import { CallClient } from '../services/call/CallClient.js';
+import { SessionRecovery } from '../services/call/SessionRecovery.js';
+import { SurfaceService } from '../services/ui/SurfaceService.js';
+import { WindowSettingsStore } from '../services/storage/WindowSettingsStore.js';
+import { SettingsService } from '../services/settings/SettingsService.js';
 
 // Composants
 import { InsightsManager } from '../components/insights/InsightsManager.js';
@@ -19,10 +25,28 @@ import { ReportGenerator } from '../components/report/ReportGenerator.js';
 import { LevelSystem } from '../components/level/LevelSystem.js';
 import { CollapsibleSection } from '../components/ui/CollapsibleSection.js';
 import { TranscriptionDisplay } from '../components/transcription/TranscriptionDisplay.js';
+import { ConversationMetricsDisplay } from '../components/metrics/ConversationMetricsDisplay.js';
+import { RecordingPanel } from '../components/recording/RecordingPanel.js';
+import { DevicePicker } from '../components/audio/DevicePicker.js';
+import { MeetingOverlay } from '../components/overlay/MeetingOverlay.js';
+import { CallHistoryPanel } from '../components/history/CallHistoryPanel.js';
 
 // Utils
 import { Logger } from '../utils/logger.js';
-import { FEATURE_FLAGS } from '../utils/constants.js';
+import {
+  CALL_COMMANDS,
+  CALL_EVENTS,
+  CALL_STATUS,
+  CAPTURE_TRACK_EVENTS,
+  ERROR_MESSAGES,
+  FEATURE_FLAGS,
+  LEVEL_CONFIG,
+  SPEAKERS,
+  STORAGE_KEYS,
+  RECORDING_CONFIG,
+  UI_SURFACES
+} from '../utils/constants.js';
+import { formatDuration } from '../utils/helpers.js';
 
 // ============================================================================
 // SÉLECTION DES ÉLÉMENTS DOM
@@ -35,15 +59,30 @@ let elements = null;
 // INITIALISATION DES SERVICES ET COMPOSANTS
 // ============================================================================
 
-let audioCaptureService = null;
-let audioProcessingService = null;
-let sessionService = null;
 let insightsManager = null;
 let reportGenerator = null;
 let levelSystem = null;
 let transcriptionDisplay = null;  // ✅ Nouveau composant
+let conversationMetricsDisplay = null;
+let recordingPanel = null;
+let callHistoryPanel = null;
+let devicePicker = null;
+
+// 🆕 Surface de cette vue (popup, panneau latéral ou fenêtre) et fenêtre de navigation
+// cible du panneau latéral (résolue à l'avance : sidePanel.open exige le geste utilisateur)
+const currentSurface = SurfaceService.getCurrentSurface();
+let browserWindowId = null;
+
+// 🆕 Vue compacte du mode mini (fenêtre Picture-in-Picture, toujours au premier plan)
+let miniOverlay = null;
+
+// 🆕 Dernier état connu de l'appel (document offscreen) et abonnement à ses événements
+let callState = null;
+let interruptedSession = null; // Session orpheline proposée à la reprise (PersistedSession)
+let unsubscribeCallEvents = null;
 
 let isListening = false;
+let isPaused = false;       // 🆕 Écoute en pause (session conservée)
 let isInitializing = false; // 🆕 Protection contre les appels multiples
 
 /**
@@ -60,7 +99,11 @@ function initializeDOMElements() {
   elements = {
     // Boutons
     startStopBtn: document.getElementById('startStopBtn'),
+    pauseResumeBtn: document.getElementById('pauseResumeBtn'),
     openWindowBtn: document.getElementById('openWindow'),
+    openSidePanelBtn: document.getElementById('openSidePanel'),
+    miniModeBtn: document.getElementById('miniMode'),
+    openSettingsBtn: document.getElementById('openSettings'),
     generateReportBtn: document.getElementById('generateReport'),
     resetBtn: document.getElementById('resetBtn'),
     testPermissionsBtn: document.getElementById('testPermissions'),
@@ -73,6 +116,45 @@ function initializeDOMElements() {
     reportData: document.getElementById('reportData'),
     reportEmpty: document.getElementById('reportEmpty'),
 
+    // File hors-ligne
+    pendingAudioStatus: document.getElementById('pendingAudioStatus'),
+
+    // Coupures de capture (piste terminée ou muette)
+    captureAlert: document.getElementById('captureAlert'),
+
+    // Session interrompue
+    resumeSessionBanner: document.getElementById('resumeSessionBanner'),
+    resumeSessionText: document.getElementById('resumeSessionText'),
+    resumeSessionBtn: document.getElementById('resumeSessionBtn'),
+    closeSessionBtn: document.getElementById('closeSessionBtn'),
+
+    // Masquage de confidentialité par canal
+    privacyControls: document.getElementById('privacyControls'),
+    muteButtons: {
+      [SPEAKERS.COMMERCIAL]: document.getElementById('muteCommercialBtn'),
+      [SPEAKERS.CLIENT]: document.getElementById('muteClientBtn')
+    },
+
+    // Tours de parole
+    turnIndicator: document.getElementById('turnIndicator'),
+
+    // Dynamique de l'appel
+    conversationMetrics: document.getElementById('conversationMetrics'),
+
+    // Périphériques audio
+    micDeviceSelect: document.getElementById('micDeviceSelect'),
+    micLevelFill: document.getElementById('micLevelFill'),
+    tabLevelFill: document.getElementById('tabLevelFill'),
+    tabPreviewBtn: document.getElementById('tabPreviewBtn'),
+
+    // Enregistrement local
+    recordToggle: document.getElementById('recordToggle'),
+    recordingPanel: document.getElementById('recordingPanel'),
+
+    // Onglets et historique des appels
+    viewTabs: document.querySelectorAll('.kitt-tab'),
+    callHistory: document.getElementById('callHistory'),
+
     // ✅ Transcriptions (nouveau)
     transcriptionList: document.getElementById('transcriptionList'),
     transcriptionEmpty: document.getElementById('transcriptionEmpty'),
@@ -143,11 +225,6 @@ async function initializeApp() {
       emptyState: !!elements.emptyState
     });
     
-    // Initialiser les services
-    audioCaptureService = new AudioCaptureService();
-    audioProcessingService = new AudioProcessingService();
-    sessionService = new SessionService();
-    
     // Initialiser les composants
     insightsManager = new InsightsManager(
       elements.adviceList,
@@ -162,6 +239,29 @@ async function initializeApp() {
     );
 
     Logger.debug('✓ TranscriptionDisplay créé avec succès');
+
+    if (elements.conversationMetrics) {
+      conversationMetricsDisplay = new ConversationMetricsDisplay(elements.conversationMetrics);
+    }
+
+    if (elements.recordingPanel) {
+      recordingPanel = new RecordingPanel(elements.recordingPanel);
+    }
+
+    if (elements.callHistory) {
+      callHistoryPanel = new CallHistoryPanel(elements.callHistory);
+    }
+
+    // ✅ Choix du micro + vumètres avant l'appel
+    if (elements.micDeviceSelect) {
+      devicePicker = new DevicePicker({
+        selectElement: elements.micDeviceSelect,
+        micMeterElement: elements.micLevelFill,
+        tabMeterElement: elements.tabLevelFill,
+        tabPreviewButton: elements.tabPreviewBtn
+      });
+      await devicePicker.initialize();
+    }
     
     reportGenerator = new ReportGenerator(
       elements.reportData,
@@ -185,10 +285,16 @@ async function initializeApp() {
     // Charger les données persistantes
     await loadPersistedData();
     
+    // Mise en page et boutons selon la surface
+    await initializeSurface();
+
     // Activer le mode debug si nécessaire
     if (FEATURE_FLAGS.DEBUG_MODE) {
       elements.debugCard.style.display = 'block';
     }
+
+    // Reprendre l'appel en cours (vue rouverte pendant un appel)
+    await attachToCall();
     
     Logger.info('✅ Application initialisée avec succès');
     
@@ -199,26 +305,255 @@ async function initializeApp() {
   }
 }
 
+/**
+ * Adapte la vue à sa surface (largeur du panneau latéral, boutons d'ouverture)
+ */
+async function initializeSurface() {
+  document.body.dataset.surface = currentSurface;
+
+  if (elements.openWindowBtn) {
+    elements.openWindowBtn.style.display = currentSurface === UI_SURFACES.WINDOW ? 'none' : '';
+  }
+  if (elements.openSidePanelBtn) {
+    elements.openSidePanelBtn.style.display = currentSurface === UI_SURFACES.SIDE_PANEL ? 'none' : '';
+  }
+  // Mode mini : la fenêtre Picture-in-Picture se ferme avec la popup
+  if (elements.miniModeBtn) {
+    const miniModeAvailable = 'documentPictureInPicture' in window && currentSurface !== UI_SURFACES.POPUP;
+    elements.miniModeBtn.style.display = miniModeAvailable ? '' : 'none';
+  }
+
+  try {
+    const browserWindow = await chrome.windows.getLastFocused({ windowTypes: ['normal'] });
+    browserWindowId = browserWindow.id;
+  } catch (error) {
+    Logger.warn('Aucune fenêtre de navigation pour le panneau latéral', error);
+    if (elements.openSidePanelBtn) {
+      elements.openSidePanelBtn.disabled = true;
+    }
+  }
+}
+
+/**
+ * Ouvre le mode mini : vue compacte toujours au premier plan (Document Picture-in-Picture)
+ */
+async function openMiniMode() {
+  if (miniOverlay) {
+    miniOverlay.window.focus();
+    return;
+  }
+
+  const { miniWidth, miniHeight } = await new WindowSettingsStore().load();
+  const pipWindow = await window.documentPictureInPicture.requestWindow({
+    width: miniWidth,
+    height: miniHeight
+  });
+  pipWindow.document.body.style.margin = '0';
+
+  miniOverlay = new MeetingOverlay({
+    onToggleListening: (listening) => (listening ? stopListening() : startListening()),
+    targetDocument: pipWindow.document,
+    floating: false
+  });
+  await miniOverlay.mount();
+
+  if (callState) {
+    miniOverlay.replay(callState);
+  }
+
+  pipWindow.addEventListener('pagehide', () => {
+    miniOverlay = null;
+  });
+
+  Logger.info('🪟 Mode mini ouvert');
+}
+
+/**
+ * Ferme la popup après ouverture d'une autre surface
+ */
+function closeIfPopup() {
+  if (currentSurface === UI_SURFACES.POPUP) {
+    window.close();
+  }
+}
+
 /**
  * Charge les données persistantes depuis le storage
  */
 async function loadPersistedData() {
   try {
     await levelSystem.loadFromStorage();
+    levelSystem.watchStorage();
     Logger.debug('Données de niveau chargées');
+
+    const result = await chrome.storage.local.get(STORAGE_KEYS.RECORDING_ENABLED);
+    if (elements.recordToggle) {
+      elements.recordToggle.checked = result[STORAGE_KEYS.RECORDING_ENABLED] ?? RECORDING_CONFIG.ENABLED_BY_DEFAULT;
+    }
   } catch (error) {
     Logger.warn('Impossible de charger les données persistantes', error);
   }
 }
 
+// ============================================================================
+// RATTACHEMENT À L'APPEL (DOCUMENT OFFSCREEN)
+// ============================================================================
+
+/**
+ * Se rattache à l'appel hébergé par le document offscreen : abonnement
+ * aux événements puis reconstruction de l'affichage depuis l'état courant
+ * (transcription et insights reçus pendant que la popup était fermée)
+ */
+async function attachToCall() {
+  unsubscribeCallEvents = CallClient.onEvent(handleCallEvent);
+
+  try {
+    const state = await CallClient.send(CALL_COMMANDS.GET_STATE);
+
+    if (state) {
+      replayCallHistory(state);
+      applyCallState(state);
+      Logger.info('🔗 Rattaché à l\'appel en cours', { status: state.status });
+    }
+
+    await checkInterruptedSession(state);
+  } catch (error) {
+    Logger.warn('Impossible de récupérer l\'état de l\'appel', error);
+  }
+
+  // Vumètres uniquement hors écoute (le micro est capturé par le document offscreen)
+  if (!isListening) {
+    devicePicker?.startPreview();
+  }
+}
+
+/**
+ * Propose de reprendre la session interrompue (clôturée d'office si trop ancienne)
+ * @param {Object|null} state - État de l'orchestrateur
+ */
+async function checkInterruptedSession(state) {
+  interruptedSession = state?.sessionId
+    ? null
+    : await SessionRecovery.closeIfExpired();
+
+  if (!elements.resumeSessionBanner) return;
+
+  if (!interruptedSession) {
+    elements.resumeSessionBanner.style.display = 'none';
+    return;
+  }
+
+  const age = formatDuration(Date.now() - interruptedSession.updatedAt);
+  const lines = interruptedSession.transcript.length;
+
+  elements.resumeSessionText.textContent =
+    `⚠️ Écoute interrompue il y a ${age} (${lines} ligne${lines > 1 ? 's' : ''} de transcription).`;
+  elements.resumeSessionBanner.style.display = 'flex';
+}
+
+/**
+ * Clôture la session interrompue (ajoutée à l'historique)
+ */
+async function closeInterruptedSession() {
+  if (!interruptedSession) return;
+
+  try {
+    await SessionRecovery.close(interruptedSession);
+    showSuccessNotification('Session interrompue clôturée');
+  } catch (error) {
+    Logger.error('❌ Erreur lors de la clôture de la session interrompue', error);
+    showErrorNotification(error.message);
+  } finally {
+    await checkInterruptedSession(callState);
+  }
+}
+
+/**
+ * Réaffiche l'historique de l'appel (rattachement d'une vue)
+ * @param {Object} state - État de l'orchestrateur
+ */
+function replayCallHistory(state) {
+  if (transcriptionDisplay && state.transcript.length > 0) {
+    transcriptionDisplay.clearAll();
+    state.transcript.forEach(renderTranscriptEntry);
+  }
+
+  // Rejouer les insights sans points : ils ont déjà été comptés (ou manqués) en direct
+  state.insights.forEach(({ advice }) => insightsManager.displayInsight(advice));
+
+  if (state.lastTurn) {
+    handleTurnChange(state.lastTurn);
+  }
+  if (state.conversationMetrics && conversationMetricsDisplay) {
+    conversationMetricsDisplay.render(state.conversationMetrics);
+  }
+  if (state.status !== CALL_STATUS.LISTENING && state.lastRecording && recordingPanel) {
+    recordingPanel.show(state.lastRecording);
+  }
+}
+
+/**
+ * Applique l'état de l'appel à l'interface
+ * @param {Object} state - État de l'orchestrateur
+ */
+function applyCallState(state) {
+  callState = state;
+  miniOverlay?.renderState(state);
+  isListening = state.status === CALL_STATUS.LISTENING;
+  isPaused = isListening && state.isPaused;
+
+  updateUIForListening(isListening);
+  // Arrêt en cours : les chunks en file partent avant de libérer le bouton
+  elements.startStopBtn.disabled = isInitializing || state.status === CALL_STATUS.STOPPING;
+  updateUIForPause(isPaused);
+  updateUIForPrivacyMute(state.mutedChannels);
+  renderCaptureAlert(state.captureGaps);
+  handleQueueChange(state.queue);
+
+  if (!isListening && elements.turnIndicator) {
+    elements.turnIndicator.style.display = 'none';
+  }
+}
+
+/**
+ * Événement diffusé par l'orchestrateur
+ * @param {string} event - CALL_EVENTS.*
+ * @param {*} payload - Données de l'événement
+ */
+function handleCallEvent(event, payload) {
+  switch (event) {
+    case CALL_EVENTS.STATE:
+      applyCallState(payload);
+      break;
+    case CALL_EVENTS.TRANSCRIPT:
+      renderTranscriptEntry(payload);
+      miniOverlay?.addTranscriptEntry(payload);
+      break;
+    case CALL_EVENTS.INSIGHT:
+      handleInsight(payload);
+      miniOverlay?.addInsight(payload);
+      break;
+    case CALL_EVENTS.QUEUE:
+      handleQueueChange(payload);
+      break;
+    case CALL_EVENTS.TURN:
+      handleTurnChange(payload);
+      break;
+    case CALL_EVENTS.METRICS:
+      handleMetricsUpdate(payload);
+      break;
+  }
+}
+
 // ============================================================================
 // GESTION DE L'ÉCOUTE (START / STOP)
 // ============================================================================
 
 /**
  * Démarre l'écoute audio
+ * @param {string} command - CALL_COMMANDS.START, ou RESUME_SESSION pour la session interrompue
  */
-async function startListening() {
+async function startListening(command = CALL_COMMANDS.START) {
   Logger.session('Démarrage de l\'écoute');
   
   // 🆕 PROTECTION : Empêcher les appels multiples
@@ -232,47 +567,45 @@ async function startListening() {
   try {
     // Désactiver le bouton pendant le démarrage
     elements.startStopBtn.disabled = true;
+
+    if (conversationMetricsDisplay) {
+      conversationMetricsDisplay.reset();
+    }
+    if (recordingPanel) {
+      recordingPanel.hide();
+    }
     
-    // 🆕 NETTOYER les anciennes instances si elles existent
-    await cleanupAudioResources();
-    
-    // 🆕 RECRÉER les services (pour être sûr d'avoir des instances fraîches)
-    audioCaptureService = new AudioCaptureService();
-    audioProcessingService = new AudioProcessingService();
-    
-    // 1. Créer la session
-    const sessionId = await sessionService.createSession();
-    Logger.session('Session créée', { sessionId });
-    
-    // 2. Capturer l'audio (microphone + écran)
-    const { micStream, displayStream } = await audioCaptureService.startCapture();
-    
-    // 3. Démarrer le traitement audio
-    await audioProcessingService.startProcessing(
-      micStream,
-      displayStream,
-      sessionId,
-      handleAudioData
-    );
-    
-    // 4. Mettre à jour l'UI
-    updateUIForListening(true);
-    isListening = true;
+    // Libérer le micro et l'onglet de la prévisualisation : le document offscreen les capture
+    devicePicker?.stopPreview();
+
+    const state = await CallClient.send(command, {
+      micDeviceId: devicePicker?.getSelectedDeviceId() || null,
+      record: !!elements.recordToggle?.checked
+    });
+    applyCallState(state);
     
-    Logger.session('✅ Écoute démarrée avec succès');
+    Logger.session('✅ Écoute démarrée avec succès', { strategy: state.captureStrategy });
     
   } catch (error) {
     Logger.error('❌ Erreur lors du démarrage de l\'écoute', error);
     
-    // Nettoyer en cas d'erreur
-    await cleanupAudioResources();
-    
     // Afficher un message d'erreur approprié
     showErrorNotification(error.message);
+
+    // Micro débranché : rafraîchir la liste ; relancer les vumètres
+    if (devicePicker) {
+      await devicePicker.refreshDevices();
+      devicePicker.startPreview();
+    }
     
   } finally {
     isInitializing = false;
     elements.startStopBtn.disabled = false;
+
+    // Reprise réussie, ou session clôturée faute d'exister encore côté serveur
+    if (interruptedSession) {
+      await checkInterruptedSession(callState);
+    }
   }
 }
 
@@ -283,66 +616,62 @@ async function stopListening() {
   Logger.session('Arrêt de l\'écoute');
   
   try {
-    // 1. Arrêter le traitement audio
-    if (audioProcessingService) {
-      audioProcessingService.stopProcessing();
-      Logger.debug('✓ AudioProcessingService arrêté');
-    }
+    const state = await CallClient.send(CALL_COMMANDS.STOP);
+    applyCallState(state);
     
-    // 2. Arrêter la capture audio
-    if (audioCaptureService) {
-      audioCaptureService.stopCapture();
-      Logger.debug('✓ AudioCaptureService arrêté');
+    // Proposer l'enregistrement local dans la section compte-rendu
+    if (state.lastRecording && recordingPanel) {
+      recordingPanel.show(state.lastRecording);
     }
-    
-    // 3. Mettre à jour l'UI
-    updateUIForListening(false);
-    isListening = false;
+
+    devicePicker?.startPreview();
     
     Logger.session('✅ Écoute arrêtée');
     
   } catch (error) {
     Logger.error('❌ Erreur lors de l\'arrêt de l\'écoute', error);
+    showErrorNotification(error.message);
   }
 }
 
 /**
- * Nettoie toutes les ressources audio
+ * Envoie une commande à l'appel en cours et applique l'état renvoyé
+ * @param {string} command - CALL_COMMANDS.*
+ * @param {Object} payload - Paramètres de la commande
  */
-async function cleanupAudioResources() {
-  Logger.debug('🧹 Nettoyage des ressources audio');
-  
-  // Arrêter le traitement audio
-  if (audioProcessingService) {
-    try {
-      audioProcessingService.stopProcessing();
-      Logger.debug('✓ AudioProcessingService arrêté');
-    } catch (e) {
-      Logger.warn('Erreur arrêt AudioProcessingService', e);
-    }
-  }
-  
-  // Arrêter la capture audio
-  if (audioCaptureService) {
-    try {
-      audioCaptureService.stopCapture();
-      Logger.debug('✓ AudioCaptureService arrêté');
-    } catch (e) {
-      Logger.warn('Erreur arrêt AudioCaptureService', e);
-    }
-  }
-  
-  // Fermer la session si active
-  if (sessionService && sessionService.hasActiveSession()) {
-    try {
-      await sessionService.endSession();
-      Logger.debug('✓ Session fermée');
-    } catch (e) {
-      Logger.warn('Erreur fermeture session', e);
-    }
+async function sendCallCommand(command, payload = {}) {
+  try {
+    applyCallState(await CallClient.send(command, payload));
+  } catch (error) {
+    Logger.error(`❌ Commande ${command} en échec`, error);
+    showErrorNotification(error.message);
   }
-  
-  Logger.debug('✅ Nettoyage terminé');
+}
+
+/**
+ * Met l'écoute en pause (attente, aparté) : la capture et la session
+ * restent ouvertes, l'audio n'est plus envoyé
+ */
+function pauseListening() {
+  if (!isListening || isPaused) return;
+  return sendCallCommand(CALL_COMMANDS.PAUSE);
+}
+
+/**
+ * Reprend l'écoute sur la même session (même call_id)
+ */
+function resumeListening() {
+  if (!isListening || !isPaused) return;
+  return sendCallCommand(CALL_COMMANDS.RESUME);
+}
+
+/**
+ * Masque ou rétablit un canal : rien de ce qui est dit n'atteint le backend
+ * @param {string} speaker - SPEAKERS.CLIENT ou SPEAKERS.COMMERCIAL
+ */
+function togglePrivacyMute(speaker) {
+  if (!isListening) return;
+  return sendCallCommand(CALL_COMMANDS.TOGGLE_PRIVACY_MUTE, { speaker });
 }
 
 /**
@@ -350,6 +679,21 @@ async function cleanupAudioResources() {
  * @param {boolean} listening - true si en écoute, false sinon
  */
 function updateUIForListening(listening) {
+  // Le micro ne peut pas être changé pendant l'écoute
+  if (elements.micDeviceSelect) {
+    elements.micDeviceSelect.disabled = listening;
+  }
+  if (elements.tabPreviewBtn) {
+    elements.tabPreviewBtn.disabled = listening;
+  }
+
+  if (elements.pauseResumeBtn) {
+    elements.pauseResumeBtn.style.display = listening ? 'inline-block' : 'none';
+  }
+  if (elements.privacyControls) {
+    elements.privacyControls.style.display = listening ? 'flex' : 'none';
+  }
+
   if (listening) {
     elements.startStopBtn.classList.remove('btn-start-listening');
     elements.startStopBtn.classList.add('btn-stop-listening');
@@ -361,66 +705,193 @@ function updateUIForListening(listening) {
   }
 }
 
+/**
+ * Met à jour le bouton pause / reprise
+ * @param {boolean} paused - true si l'écoute est en pause
+ */
+function updateUIForPause(paused) {
+  if (!elements.pauseResumeBtn) return;
+
+  elements.pauseResumeBtn.classList.toggle('paused', paused);
+  elements.pauseResumeBtn.textContent = paused ? 'Resume' : 'Pause';
+}
+
+/**
+ * Met à jour les boutons de masquage selon l'état des canaux
+ * @param {Object} mutedChannels - { client: boolean, commercial: boolean }
+ */
+function updateUIForPrivacyMute(mutedChannels) {
+  Object.entries(elements.muteButtons).forEach(([speaker, button]) => {
+    if (!button) return;
+
+    const muted = !!mutedChannels?.[speaker];
+    const label = speaker === SPEAKERS.COMMERCIAL ? 'mon micro' : 'le client';
+    const icon = speaker === SPEAKERS.COMMERCIAL ? '🎤' : '👤';
+
+    button.classList.toggle('muted', muted);
+    button.textContent = muted ? `🔇 Rétablir ${label}` : `${icon} Masquer ${label}`;
+  });
+}
+
 // ============================================================================
 // GESTION DES DONNÉES AUDIO
 // ============================================================================
 
 /**
- * Callback appelé quand des données audio sont traitées
- * @param {Object} data - Données retournées par le backend
+ * Affiche une entrée de transcription (texte du backend ou marqueur)
+ * @param {Object} entry - TranscriptEntry { kind, text, timestamp }
  */
-function handleAudioData(data) {
-  Logger.audio('📦 Données reçues du backend', data);
-  
-  // Vérifier la structure des données
-  if (!data) {
-    Logger.warn('⚠️ Données vides reçues du backend');
-    return;
+function renderTranscriptEntry({ kind, text, timestamp }) {
+  if (!transcriptionDisplay) return;
+
+  if (kind === 'marker') {
+    transcriptionDisplay.addMarker(text, timestamp);
+  } else {
+    Logger.debug('📝 Transcription reçue');
+    transcriptionDisplay.addTranscription(text, timestamp);
+  }
+
+  // Masquer l'état vide si on a des transcriptions
+  if (elements.transcriptionEmpty && transcriptionDisplay.getCount() > 0) {
+    elements.transcriptionEmpty.style.display = 'none';
   }
+}
+
+/**
+ * Callback appelé quand un insight est reçu du backend
+ * @param {Object} advice - Insight
+ */
+function handleInsight(advice) {
+  Logger.insight('💡 Insight détecté dans la réponse', advice);
   
-  // Traiter l'insight si présent
-  if (data.advice) {
-    Logger.insight('💡 Insight détecté dans la réponse', data.advice);
-    
-    try {
-      const displayed = insightsManager.displayInsight(data.advice);
-      
-      if (displayed) {
-        Logger.info('✅ Insight affiché avec succès');
-        // Ajouter des points si l'insight est affiché
-        levelSystem.addPoints(10);
-      } else {
-        Logger.warn('⚠️ Insight non affiché (doublon ou throttle)');
-      }
-    } catch (error) {
-      Logger.error('❌ Erreur lors de l\'affichage de l\'insight', error);
-    }
-  } else {
-    Logger.debug('ℹ️ Pas d\'insight dans cette réponse');
+  try {
+    const displayed = insightsManager.displayInsight(advice);
     
-    // Log la raison si présente
-    if (data.reason) {
-      Logger.debug(`Raison : ${data.reason}`);
+    if (displayed) {
+      Logger.info('✅ Insight affiché avec succès');
+    } else {
+      Logger.warn('⚠️ Insight non affiché (doublon ou throttle)');
     }
+  } catch (error) {
+    Logger.error('❌ Erreur lors de l\'affichage de l\'insight', error);
   }
-  
-  // ✅ Afficher et enregistrer la transcription si présente
-  if (data.transcription && data.transcription.trim()) {
-    Logger.debug('📝 Transcription reçue');
+}
 
-    // Afficher dans l'UI
-    if (transcriptionDisplay) {
-      transcriptionDisplay.addTranscription(data.transcription);
+/**
+ * Callback appelé quand la file hors-ligne change
+ * @param {Object} status - { pendingChunks, pendingSeconds, authRequired }
+ */
+function handleQueueChange({ pendingChunks, pendingSeconds, authRequired = false }) {
+  if (!elements.pendingAudioStatus) return;
 
-      // Masquer l'état vide si on a des transcriptions
-      if (elements.transcriptionEmpty && transcriptionDisplay.getCount() > 0) {
-        elements.transcriptionEmpty.style.display = 'none';
-      }
-    }
+  if (pendingChunks === 0 && !authRequired) {
+    elements.pendingAudioStatus.style.display = 'none';
+    return;
+  }
+
+  // Jeton refusé : rien ne repart avant une nouvelle connexion (réglages)
+  elements.pendingAudioStatus.textContent = authRequired
+    ? `🔑 ${ERROR_MESSAGES.AUTH_REQUIRED} (${formatDuration(pendingSeconds * 1000)} d'audio en attente)`
+    : `⏳ ${formatDuration(pendingSeconds * 1000)} d'audio en attente d'envoi (backend injoignable)`;
+  elements.pendingAudioStatus.style.display = 'block';
+}
+
+/**
+ * Callback appelé à la fin d'un tour de parole (client ou commercial)
+ * @param {Object} turn - TurnEvent { speaker, durationSeconds, isTurnChange, turnChanges }
+ */
+function handleTurnChange(turn) {
+  if (!elements.turnIndicator) return;
+
+  const label = turn.speaker === SPEAKERS.CLIENT ? '👤 Client' : '🎧 Vous';
 
-    // Enregistrer dans la session
-    sessionService.addTranscript(data.transcription);
+  elements.turnIndicator.textContent =
+    `${label} · ${turn.durationSeconds.toFixed(1)}s — ${turn.turnChanges} changement(s) de tour`;
+  elements.turnIndicator.dataset.speaker = turn.speaker;
+  elements.turnIndicator.style.display = 'block';
+}
+
+/**
+ * Callback appelé chaque seconde avec les indicateurs de conversation
+ * @param {Object} snapshot - ConversationMetricsSnapshot
+ */
+function handleMetricsUpdate(snapshot) {
+  if (conversationMetricsDisplay) {
+    conversationMetricsDisplay.render(snapshot);
+  }
+}
+
+// ============================================================================
+// COUPURES DE CAPTURE
+// ============================================================================
+
+/**
+ * Ré-acquiert une source perdue et la rebranche sur le traitement en cours
+ * @param {string} source - SPEAKERS.CLIENT ou SPEAKERS.COMMERCIAL
+ */
+async function reacquireCaptureSource(source) {
+  // Micro débranché : la liste retombe sur le micro par défaut
+  if (source === SPEAKERS.COMMERCIAL && devicePicker) {
+    await devicePicker.refreshDevices();
+  }
+
+  await sendCallCommand(CALL_COMMANDS.REACQUIRE_SOURCE, {
+    source,
+    micDeviceId: devicePicker?.getSelectedDeviceId() || null
+  });
+
+  // Échec : réactiver le bouton de ré-acquisition
+  renderCaptureAlert(callState?.captureGaps);
+}
+
+/**
+ * Affiche les coupures en cours (avec ré-acquisition des sources perdues)
+ * @param {Object} captureGaps - Coupures par source { reason, startedAt }
+ */
+function renderCaptureAlert(captureGaps) {
+  if (!elements.captureAlert) return;
+
+  const sources = Object.keys(captureGaps || {});
+
+  if (sources.length === 0) {
+    elements.captureAlert.style.display = 'none';
+    elements.captureAlert.innerHTML = '';
+    return;
   }
+
+  elements.captureAlert.innerHTML = '';
+
+  sources.forEach(source => {
+    const ended = captureGaps[source].reason === CAPTURE_TRACK_EVENTS.ENDED;
+    const isMic = source === SPEAKERS.COMMERCIAL;
+
+    const item = document.createElement('div');
+    item.className = 'capture-alert-item';
+
+    const message = document.createElement('span');
+    if (ended) {
+      message.textContent = isMic ? ERROR_MESSAGES.MICROPHONE_LOST : ERROR_MESSAGES.MEETING_AUDIO_LOST;
+    } else {
+      message.textContent = isMic ? ERROR_MESSAGES.MICROPHONE_MUTED : ERROR_MESSAGES.MEETING_AUDIO_MUTED;
+    }
+    item.appendChild(message);
+
+    if (ended) {
+      const button = document.createElement('button');
+      button.type = 'button';
+      button.className = 'btn-capture-reacquire';
+      button.textContent = isMic ? 'Reconnecter le micro' : 'Reprendre la capture';
+      button.addEventListener('click', () => {
+        button.disabled = true;
+        reacquireCaptureSource(source);
+      });
+      item.appendChild(button);
+    }
+
+    elements.captureAlert.appendChild(item);
+  });
+
+  elements.captureAlert.style.display = 'block';
 }
 
 // ============================================================================
@@ -433,29 +904,34 @@ function handleAudioData(data) {
 async function generateReport() {
   Logger.info('🎯 Génération du compte-rendu');
   
-  if (!sessionService.hasActiveSession()) {
+  if (!callState?.sessionId) {
     showErrorNotification('Aucune session active. Démarrez un appel d\'abord.');
     return;
   }
+
+  if (isListening) {
+    showErrorNotification('Arrêtez l\'écoute avant de générer le compte-rendu.');
+    return;
+  }
   
   try {
     // Désactiver le bouton pendant la génération
     elements.generateReportBtn.disabled = true;
+
+    const { sessionId, transcript, conversationMetrics } =
+      await CallClient.send(CALL_COMMANDS.GET_REPORT_DATA);
     
     // Générer le rapport
-    const report = await reportGenerator.generate(
-      sessionService.getSessionId(),
-      sessionService.getFullTranscript()
-    );
+    const report = await reportGenerator.generate(sessionId, transcript, conversationMetrics);
     
     // Afficher le rapport
     await reportGenerator.display(report);
     
     // Ajouter des points pour la génération du rapport
-    levelSystem.addPoints(200);
+    levelSystem.addPoints(LEVEL_CONFIG.POINTS_PER_ACTION.REPORT_GENERATED);
     
-    // Terminer la session
-    await sessionService.endSession();
+    // Terminer la session (ajoutée à l'historique avec son compte-rendu)
+    applyCallState(await CallClient.send(CALL_COMMANDS.END_SESSION, { summary: report }));
     
     Logger.info('✅ Compte-rendu généré avec succès');
     
@@ -468,6 +944,22 @@ async function generateReport() {
   }
 }
 
+/**
+ * Affiche l'onglet Appel ou Historique
+ * @param {string} viewId - ID de la vue (callView ou historyView)
+ */
+function switchView(viewId) {
+  elements.viewTabs.forEach(tab => {
+    const active = tab.dataset.view === viewId;
+    tab.classList.toggle('active', active);
+    document.getElementById(tab.dataset.view).style.display = active ? '' : 'none';
+  });
+
+  if (viewId === 'historyView') {
+    callHistoryPanel?.show();
+  }
+}
+
 // ============================================================================
 // GESTION DES ÉVÉNEMENTS
 // ============================================================================
@@ -487,24 +979,84 @@ function initializeEventListeners() {
     });
   }
   
+  // Bouton Pause / Resume
+  if (elements.pauseResumeBtn) {
+    elements.pauseResumeBtn.addEventListener('click', () => {
+      if (isPaused) {
+        resumeListening();
+      } else {
+        pauseListening();
+      }
+    });
+  }
+
+  // Masquage de confidentialité (les raccourcis sont relayés à l'appel par le service worker)
+  Object.entries(elements.muteButtons).forEach(([speaker, button]) => {
+    button?.addEventListener('click', () => togglePrivacyMute(speaker));
+  });
+
   // Bouton Open Window
   if (elements.openWindowBtn) {
-    elements.openWindowBtn.addEventListener('click', () => {
-      chrome.windows.create({
-        url: chrome.runtime.getURL('src/popup/popup.html'),
-        type: 'popup',
-        width: 450,
-        height: 900,
-        focused: true
+    elements.openWindowBtn.addEventListener('click', async () => {
+      await SurfaceService.openWindow();
+      closeIfPopup();
+    });
+  }
+
+  // Bouton panneau latéral (l'appel continue : la nouvelle surface s'y rattache)
+  if (elements.openSidePanelBtn) {
+    elements.openSidePanelBtn.addEventListener('click', () => {
+      SurfaceService.openSidePanel(browserWindowId)
+        .then(closeIfPopup)
+        .catch((error) => {
+          Logger.error('❌ Ouverture du panneau latéral impossible', error);
+          showErrorNotification(error.message);
+        });
+    });
+  }
+
+  // Mode mini (toujours au premier plan)
+  if (elements.miniModeBtn) {
+    elements.miniModeBtn.addEventListener('click', () => {
+      openMiniMode().catch((error) => {
+        Logger.error('❌ Mode mini impossible', error);
+        showErrorNotification(error.message);
       });
     });
   }
+
+  // Page de réglages (fenêtre détachée, surface par défaut…)
+  if (elements.openSettingsBtn) {
+    elements.openSettingsBtn.addEventListener('click', () => chrome.runtime.openOptionsPage());
+  }
   
+  // Session interrompue : reprise ou clôture
+  if (elements.resumeSessionBtn) {
+    elements.resumeSessionBtn.addEventListener('click', () => startListening(CALL_COMMANDS.RESUME_SESSION));
+  }
+  if (elements.closeSessionBtn) {
+    elements.closeSessionBtn.addEventListener('click', closeInterruptedSession);
+  }
+
+  // Onglets Appel / Historique
+  elements.viewTabs.forEach(tab => {
+    tab.addEventListener('click', () => switchView(tab.dataset.view));
+  });
+
   // Bouton Generate Report
   if (elements.generateReportBtn) {
     elements.generateReportBtn.addEventListener('click', generateReport);
   }
   
+  // Enregistrement local (opt-in, mémorisé)
+  if (elements.recordToggle) {
+    elements.recordToggle.addEventListener('click', (e) => e.stopPropagation());
+    elements.recordToggle.addEventListener('change', () => {
+      chrome.storage.local.set({ [STORAGE_KEYS.RECORDING_ENABLED]: elements.recordToggle.checked });
+      Logger.info(`⏺️ Enregistrement local ${elements.recordToggle.checked ? 'activé' : 'désactivé'}`);
+    });
+  }
+
   // Bouton Reset
   if (elements.resetBtn) {
     elements.resetBtn.addEventListener('click', (e) => {
@@ -547,11 +1099,10 @@ function initializeEventListeners() {
     });
   }
   
-  // Gérer la fermeture de la popup
-  window.addEventListener('beforeunload', async () => {
-    if (isListening) {
-      await cleanupAudioResources();
-    }
+  // Gérer la fermeture de la vue : l'appel continue dans le document offscreen
+  window.addEventListener('beforeunload', () => {
+    devicePicker?.destroy();
+    unsubscribeCallEvents?.();
   });
 }
 
@@ -590,6 +1141,9 @@ async function main() {
     Logger.info('🚗 KITT Extension - Démarrage');
     Logger.info('━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━');
     
+    // ÉTAPE 0 : Appliquer les réglages (URL du backend, flags…) et suivre leurs modifications
+    await SettingsService.initialize();
+
     // 🆕 ÉTAPE 1 : Initialiser les références DOM
     initializeDOMElements();
     
@@ -621,6 +1175,9 @@ if (document.readyState === 'loading') {
 export {
   startListening,
   stopListening,
+  pauseListening,
+  resumeListening,
+  togglePrivacyMute,
   generateReport,
-  handleAudioData
+  handleCallEvent
 };
\ No newline at end of file
@@ -0,0 +1,525 @@
+/**
+ * API CLIENT
+ * ==========
+ * Point d'accès unique aux endpoints du backend (API_CONFIG.ENDPOINTS) :
+ * validation des requêtes et des réponses, timeout, retry avec backoff.
+ * Le backend est interchangeable : fetch vers API_CONFIG.BASE_URL par défaut,
+ * MockBackend en mémoire si API_CONFIG.USE_MOCK_BACKEND, ou tout objet
+ * respectant ApiBackend (ApiClient.setBackend).
+ * Les requêtes portent le jeton de AuthService ; un 401 déclenche un
+ * rafraîchissement du jeton puis une seule nouvelle tentative.
+ */
+
+import { API_CONFIG, ERROR_MESSAGES, VALIDATION_RULES } from '../../utils/constants.js';
+import { Logger } from '../../utils/logger.js';
+import { retryWithBackoff } from '../../utils/helpers.js';
+import { MockBackend } from './MockBackend.js';
+import { AuthService } from '../auth/AuthService.js';
+
+/**
+ * @typedef {Object} ApiBackend
+ * @property {Function} request - ({ method, path, body, headers, signal }) => Promise<{status: number, data: *}>
+ *   body : objet (JSON), FormData ou null ; rejette une AbortError si signal est annulé
+ */
+
+/**
+ * @typedef {Object} StartCallResponse
+ * @property {string} call_id - ID de la session (UUID)
+ */
+
+/**
+ * @typedef {Object} AudioUploadResponse
+ * @property {Object} [advice] - Insight { type, title, details }
+ * @property {string} [transcription] - Texte transcrit du chunk
+ * @property {string} [reason] - Raison de l'absence d'insight
+ * @property {number} [sequence] - Numéro de séquence acquitté
+ */
+
+/**
+ * @typedef {Object} ResumeResponse
+ * @property {Object} summary - Compte-rendu { summary, key_points, next_actions }
+ */
+
+/**
+ * @typedef {Object} TokenResponse
+ * @property {string} access_token - Jeton bearer
+ * @property {string} [refresh_token] - Absent au rafraîchissement si le serveur ne le renouvelle pas
+ * @property {number} expires_in - Durée de validité du jeton d'accès (secondes)
+ * @property {Object} [user] - Utilisateur connecté { email, name }
+ */
+
+// Types attendus : 'string', 'number', 'boolean', 'object' ; suffixe '?' si facultatif
+const SHAPES = {
+  AUDIO_UPLOAD_REQUEST: {
+    sessionId: 'string',
+    sequence: 'number',
+    clientAudio: 'object',
+    commercialAudio: 'object',
+    sampleRate: 'number',
+    startOffsetMs: 'number',
+    endOffsetMs: 'number',
+    vadReason: 'string',
+    vadSpeaker: 'string?'
+  },
+  RESUME_REQUEST: {
+    call_id: 'string',
+    user_message: 'string',
+    conversation_metrics: 'object?',
+    timestamp: 'number'
+  },
+  CALLS_START: { call_id: 'string' },
+  CALLS_END: {},
+  CALLS_STATE: {},
+  AUDIO_UPLOAD: {
+    advice: 'object?',
+    transcription: 'string?',
+    reason: 'string?',
+    sequence: 'number?'
+  },
+  ADVICE: { type: 'string?', title: 'string', details: 'object?' },
+  RESUME_GENERATE: { summary: 'object' },
+  AUTH_LOGIN: { access_token: 'string', refresh_token: 'string?', expires_in: 'number', user: 'object?' },
+  AUTH_REFRESH: { access_token: 'string', refresh_token: 'string?', expires_in: 'number', user: 'object?' }
+};
+
+/**
+ * Backend réel : fetch vers API_CONFIG.BASE_URL (relu à chaque requête, réglable)
+ * @type {ApiBackend}
+ */
+const fetchBackend = {
+  async request({ method, path, body, headers, signal }) {
+    const isFormData = body instanceof FormData;
+
+    const response = await fetch(`${API_CONFIG.BASE_URL}${path}`, {
+      method,
+      headers: isFormData ? headers : { 'Content-Type': 'application/json', ...headers },
+      body: body === null ? undefined : isFormData ? body : JSON.stringify(body),
+      signal
+    });
+
+    // Corps illisible : la validation de la réponse le signalera
+    const data = await response.json().catch(() => null);
+    return { status: response.status, data };
+  }
+};
+
+export class ApiClient {
+  // Backend imposé (tests, outils) ; null = choix selon API_CONFIG.USE_MOCK_BACKEND
+  static backend = null;
+
+  // Instance du backend simulé, conservée pour garder ses sessions en mémoire
+  static mockBackend = null;
+
+  /**
+   * Remplace le backend (null pour revenir au choix par défaut)
+   * @param {ApiBackend|null} backend
+   */
+  static setBackend(backend) {
+    ApiClient.backend = backend;
+  }
+
+  /**
+   * Crée une session d'appel
+   * @returns {Promise<StartCallResponse>}
+   */
+  static async startCall() {
+    const data = await ApiClient._request('CALLS_START', {
+      method: 'POST',
+      path: API_CONFIG.ENDPOINTS.CALLS_START
+    });
+
+    if (!VALIDATION_RULES.SESSION_ID_PATTERN.test(data.call_id)) {
+      throw new ApiValidationError(ERROR_MESSAGES.BACKEND_INVALID_RESPONSE, 'CALLS_START', [
+        ERROR_MESSAGES.INVALID_SESSION_ID
+      ]);
+    }
+
+    return data;
+  }
+
+  /**
+   * Termine une session côté backend
+   * @param {string} callId
+   * @returns {Promise<Object>}
+   */
+  static async endCall(callId) {
+    ApiClient._assertCallId('CALLS_END', callId);
+
+    return ApiClient._request('CALLS_END', {
+      method: 'POST',
+      path: API_CONFIG.ENDPOINTS.CALLS_END(callId)
+    });
+  }
+
+  /**
+   * État d'une session côté backend (404 si elle n'existe plus)
+   * @param {string} callId
+   * @returns {Promise<Object>}
+   */
+  static async getCallState(callId) {
+    ApiClient._assertCallId('CALLS_STATE', callId);
+
+    return ApiClient._request('CALLS_STATE', {
+      method: 'GET',
+      path: API_CONFIG.ENDPOINTS.CALLS_STATE(callId)
+    });
+  }
+
+  /**
+   * Envoie un chunk audio (multipart : un fichier PCM 16-bit par canal)
+   * @param {import('../storage/AudioQueueStore.js').QueuedAudioChunk} chunk
+   * @param {Object} options
+   * @param {number} options.attempts - Tentatives (1 = aucun retry)
+   * @returns {Promise<AudioUploadResponse>}
+   */
+  static async uploadAudio(chunk, { attempts = API_CONFIG.RETRY_ATTEMPTS + 1 } = {}) {
+    ApiClient._assertShape('AUDIO_UPLOAD', chunk, SHAPES.AUDIO_UPLOAD_REQUEST, 'chunk');
+    ApiClient._assertCallId('AUDIO_UPLOAD', chunk.sessionId);
+
+    const formData = new FormData();
+    formData.append('client_audio', new Blob([chunk.clientAudio], { type: 'application/octet-stream' }));
+    formData.append('commercial_audio', new Blob([chunk.commercialAudio], { type: 'application/octet-stream' }));
+    formData.append('sample_rate', String(chunk.sampleRate));
+    formData.append('sequence', String(chunk.sequence));
+    formData.append('start_offset_ms', String(chunk.startOffsetMs));
+    formData.append('end_offset_ms', String(chunk.endOffsetMs));
+    formData.append('vad_reason', chunk.vadReason);
+    if (chunk.vadSpeaker) {
+      formData.append('vad_speaker', chunk.vadSpeaker);
+    }
+
+    const data = await ApiClient._request('AUDIO_UPLOAD', {
+      method: 'POST',
+      path: API_CONFIG.ENDPOINTS.AUDIO_UPLOAD(chunk.sessionId),
+      body: formData,
+      attempts
+    });
+
+    if (data.advice) {
+      ApiClient._assertShape('AUDIO_UPLOAD', data.advice, SHAPES.ADVICE, 'advice', ERROR_MESSAGES.BACKEND_INVALID_RESPONSE);
+    }
+
+    return data;
+  }
+
+  /**
+   * Génère le compte-rendu d'un appel
+   * @param {string} callId
+   * @param {Object} request
+   * @param {string} request.transcript - Transcription complète
+   * @param {Object|null} request.conversationMetrics - Indicateurs au format du backend
+   * @returns {Promise<ResumeResponse>}
+   */
+  static async generateResume(callId, { transcript, conversationMetrics = null }) {
+    ApiClient._assertCallId('RESUME_GENERATE', callId);
+
+    const body = {
+      call_id: callId,
+      user_message: transcript,
+      conversation_metrics: conversationMetrics,
+      timestamp: Date.now()
+    };
+    ApiClient._assertShape('RESUME_GENERATE', body, SHAPES.RESUME_REQUEST, 'body');
+
+    return ApiClient._request('RESUME_GENERATE', {
+      method: 'POST',
+      path: API_CONFIG.ENDPOINTS.RESUME_GENERATE(callId),
+      body,
+      timeout: API_CONFIG.RESUME_TIMEOUT,
+      attempts: 1
+    });
+  }
+
+  /**
+   * Ouvre une session sur le serveur configuré (sans jeton)
+   * @param {Object} credentials - { email, password }
+   * @returns {Promise<TokenResponse>}
+   */
+  static async login({ email, password }) {
+    const body = { email, password };
+    ApiClient._assertShape('AUTH_LOGIN', body, { email: 'string', password: 'string' }, 'body');
+
+    return ApiClient._request('AUTH_LOGIN', {
+      method: 'POST',
+      path: API_CONFIG.ENDPOINTS.AUTH_LOGIN,
+      body,
+      attempts: 1,
+      authenticated: false
+    });
+  }
+
+  /**
+   * Échange le jeton de rafraîchissement contre un nouveau jeton d'accès
+   * @param {string} refreshToken
+   * @returns {Promise<TokenResponse>}
+   */
+  static async refreshToken(refreshToken) {
+    const body = { refresh_token: refreshToken };
+    ApiClient._assertShape('AUTH_REFRESH', body, { refresh_token: 'string' }, 'body');
+
+    return ApiClient._request('AUTH_REFRESH', {
+      method: 'POST',
+      path: API_CONFIG.ENDPOINTS.AUTH_REFRESH,
+      body,
+      authenticated: false
+    });
+  }
+
+  /**
+   * Requête avec timeout et retry (erreurs réseau, timeouts, 5xx et 429),
+   * reprise après rafraîchissement du jeton sur un 401, puis validation de la réponse
+   * @private
+   * @param {string} endpoint - Clé de API_CONFIG.ENDPOINTS
+   * @param {Object} options
+   * @param {boolean} options.authenticated - Joindre le jeton de AuthService
+   * @returns {Promise<Object>} Réponse validée
+   */
+  static async _request(endpoint, {
+    method,
+    path,
+    body = null,
+    timeout = API_CONFIG.REQUEST_TIMEOUT,
+    attempts = API_CONFIG.RETRY_ATTEMPTS + 1,
+    authenticated = true
+  }) {
+    const backend = ApiClient._resolveBackend();
+
+    Logger.debug(`🌐 ${method} ${path}`, { mock: backend !== fetchBackend });
+
+    const send = () => retryWithBackoff(
+      async () => {
+        const headers = authenticated ? await ApiClient._authHeaders() : {};
+        return ApiClient._send(backend, endpoint, { method, path, body, headers, timeout });
+      },
+      attempts,
+      API_CONFIG.RETRY_DELAY,
+      API_CONFIG.RETRY_BACKOFF_MULTIPLIER,
+      (error) => error.retryable
+    );
+
+    let data;
+
+    try {
+      data = await send();
+    } catch (error) {
+      if (!authenticated || error.status !== 401) {
+        throw error;
+      }
+
+      data = await ApiClient._retryAfterRefresh(endpoint, send);
+    }
+
+    ApiClient._assertShape(endpoint, data, SHAPES[endpoint], 'réponse', ERROR_MESSAGES.BACKEND_INVALID_RESPONSE);
+
+    return data;
+  }
+
+  /**
+   * Une tentative, convertie en ApiError en cas d'échec
+   * @private
+   */
+  static async _send(backend, endpoint, { method, path, body, headers, timeout }) {
+    const controller = new AbortController();
+    const timeoutId = setTimeout(() => controller.abort(), timeout);
+
+    try {
+      const { status, data } = await backend.request({ method, path, body, headers, signal: controller.signal });
+
+      if (status < 200 || status >= 300) {
+        throw new ApiError(`HTTP ${status} (${endpoint})`, endpoint, {
+          status,
+          retryable: status >= 500 || status === 429
+        });
+      }
+
+      return data;
+
+    } catch (error) {
+      if (error instanceof ApiError) {
+        throw error;
+      }
+
+      if (controller.signal.aborted) {
+        throw new ApiTimeoutError(endpoint, timeout);
+      }
+
+      throw new ApiError(ERROR_MESSAGES.BACKEND_UNREACHABLE, endpoint, { retryable: true, cause: error });
+
+    } finally {
+      clearTimeout(timeoutId);
+    }
+  }
+
+  /**
+   * Jeton refusé (401) : rafraîchissement puis une seule nouvelle tentative
+   * @private
+   * @param {Function} send - Requête d'origine (jeton relu à chaque envoi)
+   * @throws {ApiAuthError} Connexion à refaire
+   */
+  static async _retryAfterRefresh(endpoint, send) {
+    Logger.api('🔑 Jeton refusé, rafraîchissement', { endpoint });
+
+    try {
+      await AuthService.refresh();
+    } catch (error) {
+      throw new ApiAuthError(endpoint, error);
+    }
+
+    try {
+      return await send();
+    } catch (error) {
+      if (error.status !== 401) {
+        throw error;
+      }
+
+      await AuthService.logout();
+      throw new ApiAuthError(endpoint, error);
+    }
+  }
+
+  /**
+   * @private
+   * @returns {Promise<Object>} En-têtes d'authentification (vide sans connexion)
+   */
+  static async _authHeaders() {
+    const accessToken = await AuthService.getAccessToken();
+    return accessToken ? { Authorization: `Bearer ${accessToken}` } : {};
+  }
+
+  /**
+   * @private
+   * @returns {ApiBackend}
+   */
+  static _resolveBackend() {
+    if (ApiClient.backend) {
+      return ApiClient.backend;
+    }
+
+    if (API_CONFIG.USE_MOCK_BACKEND) {
+      return ApiClient.getMockBackend();
+    }
+
+    return fetchBackend;
+  }
+
+  /**
+   * Backend simulé de ce contexte (partagé avec le flux WebSocket simulé)
+   * @returns {MockBackend}
+   */
+  static getMockBackend() {
+    ApiClient.mockBackend ??= new MockBackend();
+    return ApiClient.mockBackend;
+  }
+
+  /**
+   * @private
+   */
+  static _assertCallId(endpoint, callId) {
+    if (typeof callId !== 'string' || !VALIDATION_RULES.SESSION_ID_PATTERN.test(callId)) {
+      throw new ApiValidationError('Requête invalide', endpoint, [ERROR_MESSAGES.INVALID_SESSION_ID]);
+    }
+  }
+
+  /**
+   * @private
+   * @param {string} label - Nom de la valeur dans les messages d'erreur
+   * @param {string} message - Message de l'erreur levée
+   */
+  static _assertShape(endpoint, value, shape, label, message = 'Requête invalide') {
+    const errors = validateShape(value, shape, label);
+
+    if (errors.length > 0) {
+      throw new ApiValidationError(message, endpoint, errors);
+    }
+  }
+}
+
+/**
+ * Vérifie la présence et le type des champs
+ * @param {*} value
+ * @param {Object} shape - { champ: type }
+ * @param {string} label
+ * @returns {string[]} Erreurs (vide si conforme)
+ */
+function validateShape(value, shape, label) {
+  if (!value || typeof value !== 'object') {
+    return [`${label} : objet attendu`];
+  }
+
+  return Object.entries(shape).flatMap(([key, type]) => {
+    const optional = type.endsWith('?');
+    const expected = optional ? type.slice(0, -1) : type;
+    const field = value[key];
+
+    if (field === undefined || field === null) {
+      return optional ? [] : [`${label}.${key} manquant`];
+    }
+
+    return typeof field === expected ? [] : [`${label}.${key} : ${expected} attendu`];
+  });
+}
+
+// ============================================================================
+// CUSTOM ERRORS
+// ============================================================================
+
+/**
+ * Échec d'un appel au backend (réseau ou statut HTTP)
+ */
+export class ApiError extends Error {
+  /**
+   * @param {string} message
+   * @param {string} endpoint - Clé de API_CONFIG.ENDPOINTS
+   * @param {Object} options
+   * @param {number|null} options.status - Statut HTTP (null si pas de réponse)
+   * @param {boolean} options.retryable - Une nouvelle tentative peut réussir
+   * @param {Error} options.cause - Erreur d'origine
+   */
+  constructor(message, endpoint, { status = null, retryable = false, cause = undefined } = {}) {
+    super(message, { cause });
+    this.name = 'ApiError';
+    this.endpoint = endpoint;
+    this.status = status;
+    this.retryable = retryable;
+  }
+}
+
+/**
+ * Pas de réponse dans le délai imparti
+ */
+export class ApiTimeoutError extends ApiError {
+  constructor(endpoint, timeout) {
+    super(`${ERROR_MESSAGES.BACKEND_TIMEOUT} (${endpoint}, ${timeout}ms)`, endpoint, { retryable: true });
+    this.name = 'ApiTimeoutError';
+  }
+}
+
+/**
+ * Serveur qui exige une connexion (aucun jeton, ou jeton non renouvelable)
+ */
+export class ApiAuthError extends ApiError {
+  /**
+   * @param {string} endpoint
+   * @param {Error} cause - 401 du serveur ou échec du rafraîchissement
+   */
+  constructor(endpoint, cause) {
+    super(ERROR_MESSAGES.AUTH_REQUIRED, endpoint, { status: 401, cause });
+    this.name = 'ApiAuthError';
+  }
+}
+
+/**
+ * Requête ou réponse non conforme au contrat (jamais retentée)
+ */
+export class ApiValidationError extends ApiError {
+  /**
+   * @param {string} message
+   * @param {string} endpoint
+   * @param {string[]} errors - Erreurs de validation
+   */
+  constructor(message, endpoint, errors) {
+    super(`${message} (${endpoint}) : ${errors.join(' ; ')}`, endpoint);
+    this.name = 'ApiValidationError';
+    this.errors = errors;
+  }
+}
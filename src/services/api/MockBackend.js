@@ -0,0 +1,413 @@
+/**
+ * MOCK BACKEND
+ * ============
+ * Backend en mémoire qui imite le serveur Python (mêmes routes, mêmes
+ * réponses) pour développer et tester la popup sans lui : chaque chunk audio
+ * reçoit la réplique suivante d'un script (transcription et, parfois, insight).
+ * Le flux WebSocket est simulé aussi (openSocket) : la réplique suivante est
+ * poussée à chaque fin de phrase (vad_boundary).
+ * Activé par le réglage api.mockBackend (API_CONFIG.USE_MOCK_BACKEND).
+ * Les sessions ne vivent que dans le contexte qui a créé le MockBackend.
+ * Toute connexion est acceptée et les jetons ne sont pas vérifiés.
+ */
+
+import { API_CONFIG, INSIGHT_TYPES } from '../../utils/constants.js';
+import { Logger } from '../../utils/logger.js';
+import { sleep } from '../../utils/helpers.js';
+
+/**
+ * @typedef {Object} ScriptStep
+ * @property {string} transcription - Texte renvoyé pour le chunk
+ * @property {Object} [advice] - Insight renvoyé avec le texte
+ */
+
+/**
+ * Appel de démonstration, rejoué en boucle
+ * @type {ScriptStep[]}
+ */
+export const DEFAULT_MOCK_SCRIPT = [
+  { transcription: 'Bonjour, merci de prendre le temps de m\'écouter aujourd\'hui.' },
+  { transcription: 'Pour commencer, pouvez-vous me décrire votre organisation actuelle ?' },
+  {
+    transcription: 'Aujourd\'hui on gère tout dans des tableurs, et ça commence à devenir compliqué.',
+    advice: {
+      type: INSIGHT_TYPES.OPPORTUNITY,
+      title: 'Douleur exprimée : outillage',
+      details: { description: 'Le client évoque les limites des tableurs. Creusez l\'impact sur son équipe.' }
+    }
+  },
+  { transcription: 'Combien de personnes travaillent sur ces fichiers au quotidien ?' },
+  { transcription: 'Une dizaine, et on perd pas mal de temps à consolider les données.' },
+  {
+    transcription: 'Honnêtement, le budget est serré cette année.',
+    advice: {
+      type: INSIGHT_TYPES.ALERT,
+      title: 'Objection budget',
+      details: { description: 'Reformulez l\'objection puis chiffrez le temps perdu en consolidation.' }
+    }
+  },
+  { transcription: 'Si on gagne deux heures par semaine et par personne, qu\'est-ce que ça représente pour vous ?' },
+  {
+    transcription: 'Ce serait intéressant, il faudrait en parler avec ma directrice.',
+    advice: {
+      type: INSIGHT_TYPES.PROGRESSION,
+      title: 'Décideur identifié',
+      details: { description: 'Proposez un rendez-vous à trois avec la directrice.' }
+    }
+  }
+];
+
+export class MockBackend {
+  /**
+   * @param {Object} options
+   * @param {ScriptStep[]} options.script - Répliques rejouées à chaque chunk audio
+   * @param {number} options.latencyMs - Délai simulé de chaque réponse
+   */
+  constructor({ script = DEFAULT_MOCK_SCRIPT, latencyMs = API_CONFIG.MOCK_LATENCY_MS } = {}) {
+    this.script = script;
+    this.latencyMs = latencyMs;
+    // Sessions par ID : { startedAt, endedAt, step, transcript }
+    this.calls = new Map();
+    // Flux WebSocket ouverts
+    this.sockets = new Set();
+
+    this.routes = [
+      { method: 'POST', pattern: routePattern(API_CONFIG.ENDPOINTS.CALLS_START), handle: () => this._startCall() },
+      { method: 'POST', pattern: routePattern(API_CONFIG.ENDPOINTS.CALLS_END), handle: (id) => this._endCall(id) },
+      { method: 'GET', pattern: routePattern(API_CONFIG.ENDPOINTS.CALLS_STATE), handle: (id) => this._getCallState(id) },
+      { method: 'POST', pattern: routePattern(API_CONFIG.ENDPOINTS.AUDIO_UPLOAD), handle: (id, body) => this._uploadAudio(id, body) },
+      { method: 'POST', pattern: routePattern(API_CONFIG.ENDPOINTS.RESUME_GENERATE), handle: (id, body) => this._generateResume(id, body) },
+      { method: 'POST', pattern: routePattern(API_CONFIG.ENDPOINTS.AUTH_LOGIN), handle: (id, body) => this._login(body) },
+      { method: 'POST', pattern: routePattern(API_CONFIG.ENDPOINTS.AUTH_REFRESH), handle: () => this._refreshToken() }
+    ];
+
+    Logger.api('🧪 Backend simulé actif', { scriptSteps: script.length });
+  }
+
+  /**
+   * @param {Object} request
+   * @param {string} request.method
+   * @param {string} request.path
+   * @param {Object|FormData|null} request.body
+   * @param {Object} request.headers - Ignorés (jeton non vérifié)
+   * @param {AbortSignal} request.signal
+   * @returns {Promise<{status: number, data: *}>}
+   */
+  async request({ method, path, body = null, signal = null }) {
+    await sleep(this.latencyMs);
+
+    if (signal?.aborted) {
+      throw new DOMException('Requête annulée', 'AbortError');
+    }
+
+    for (const route of this.routes) {
+      const match = route.method === method && path.match(route.pattern);
+      if (match) {
+        return route.handle(match[1], body);
+      }
+    }
+
+    return { status: 404, data: { detail: `Route inconnue : ${method} ${path}` } };
+  }
+
+  /**
+   * Ouvre un flux audio simulé (AudioStreamTransport.socketFactory)
+   * @param {string} url - URL WebSocket (API_CONFIG.ENDPOINTS.AUDIO_STREAM)
+   * @returns {MockStreamSocket}
+   */
+  openSocket(url) {
+    return new MockStreamSocket(this, url);
+  }
+
+  /**
+   * Ferme côté serveur tous les flux ouverts (coupure, redémarrage du backend)
+   * @param {number} code - Code de fermeture WebSocket
+   */
+  closeSockets(code = 1011) {
+    for (const socket of this.sockets) {
+      socket._serverClose(code, 'Fermeture par le backend simulé');
+    }
+  }
+
+  /**
+   * Réplique suivante du script
+   * @private
+   * @param {Object} call - Session active
+   * @param {number|null} sequence - Numéro de séquence du chunk
+   */
+  _nextStep(call, sequence) {
+    const { transcription, advice } = this.script[call.step % this.script.length];
+    call.step++;
+    call.transcript.push(transcription);
+
+    return {
+      transcription,
+      advice: advice ? structuredClone(advice) : null,
+      reason: advice ? null : 'Pas d\'insight sur ce segment (backend simulé)',
+      sequence
+    };
+  }
+
+  /**
+   * @private
+   */
+  _startCall() {
+    const callId = crypto.randomUUID();
+    this.calls.set(callId, { startedAt: Date.now(), endedAt: null, step: 0, transcript: [] });
+
+    return { status: 200, data: { call_id: callId } };
+  }
+
+  /**
+   * @private
+   */
+  _endCall(callId) {
+    const call = this.calls.get(callId);
+    if (!call) {
+      return notFound(callId);
+    }
+
+    call.endedAt = Date.now();
+    return { status: 200, data: { call_id: callId, status: 'ended' } };
+  }
+
+  /**
+   * @private
+   */
+  _getCallState(callId) {
+    const call = this.calls.get(callId);
+    if (!call || call.endedAt) {
+      return notFound(callId);
+    }
+
+    return {
+      status: 200,
+      data: { call_id: callId, status: 'active', transcript_count: call.transcript.length }
+    };
+  }
+
+  /**
+   * @private
+   * @param {FormData} body
+   */
+  _uploadAudio(callId, body) {
+    const call = this.calls.get(callId);
+    if (!call || call.endedAt) {
+      return notFound(callId);
+    }
+
+    return { status: 200, data: this._nextStep(call, Number(body.get('sequence'))) };
+  }
+
+  /**
+   * Compte-rendu construit à partir de la transcription envoyée
+   * (la session peut appartenir à un autre contexte)
+   * @private
+   */
+  _generateResume(callId, body) {
+    const lines = body.user_message.split('\n').filter(line => line.trim());
+
+    return {
+      status: 200,
+      data: {
+        summary: {
+          summary: {
+            main: `Appel simulé de ${lines.length} répliques.`,
+            details: lines.slice(0, 3).join(' ')
+          },
+          key_points: {
+            score: { value: 14, comment: 'Score fictif du backend simulé' },
+            strengths: ['Découverte structurée des besoins'],
+            weaknesses: ['Objection budget peu chiffrée'],
+            improvements: ['Quantifier le gain de temps avant de parler du prix']
+          },
+          next_actions: {
+            actions: [
+              { action: 'Envoyer un récapitulatif', deadline: 'Demain', reason: `Session ${callId}` }
+            ]
+          }
+        }
+      }
+    };
+  }
+
+  /**
+   * @private
+   */
+  _login(body) {
+    return {
+      status: 200,
+      data: {
+        access_token: `mock-access-${crypto.randomUUID()}`,
+        refresh_token: `mock-refresh-${crypto.randomUUID()}`,
+        expires_in: 3600,
+        user: { email: body.email, name: 'Commercial (backend simulé)' }
+      }
+    };
+  }
+
+  /**
+   * @private
+   */
+  _refreshToken() {
+    return {
+      status: 200,
+      data: { access_token: `mock-access-${crypto.randomUUID()}`, expires_in: 3600 }
+    };
+  }
+}
+
+/**
+ * Socket du flux audio simulé : même interface que WebSocket (readyState,
+ * send, close, onopen / onmessage / onerror / onclose), même protocole
+ * que le serveur (voir AudioStreamTransport)
+ */
+export class MockStreamSocket {
+  /**
+   * @param {MockBackend} backend - Backend qui porte les sessions
+   * @param {string} url - URL WebSocket du flux
+   */
+  constructor(backend, url) {
+    this.backend = backend;
+    this.url = url;
+    this.readyState = SOCKET_STATES.CONNECTING;
+    this.binaryType = 'blob';
+    this.onopen = null;
+    this.onmessage = null;
+    this.onerror = null;
+    this.onclose = null;
+    // Messages de contrôle reçus, et volume audio reçu
+    this.controls = [];
+    this.bytesReceived = 0;
+    this.callId = new URL(url).pathname.match(routePattern(API_CONFIG.ENDPOINTS.AUDIO_STREAM))?.[1] || null;
+
+    this._open();
+  }
+
+  /**
+   * @param {string|ArrayBuffer} data - Contrôle JSON ou trame PCM
+   */
+  send(data) {
+    if (this.readyState !== SOCKET_STATES.OPEN) {
+      throw new DOMException('Socket non ouverte', 'InvalidStateError');
+    }
+
+    if (typeof data !== 'string') {
+      this.bytesReceived += data.byteLength;
+      return;
+    }
+
+    const message = JSON.parse(data);
+    this.controls.push(message);
+
+    if (message.type === 'vad_boundary') {
+      this._pushNextStep(message.sequence ?? null);
+    } else if (!['start', 'stop'].includes(message.type)) {
+      this._push({ type: 'error', message: `Message inconnu : ${message.type}` });
+    }
+  }
+
+  /**
+   * @param {number} code
+   * @param {string} reason
+   */
+  close(code = 1000, reason = '') {
+    if (this.readyState >= SOCKET_STATES.CLOSING) {
+      return;
+    }
+
+    this.readyState = SOCKET_STATES.CLOSING;
+    this._closed(code, reason);
+  }
+
+  /**
+   * Fermeture à l'initiative du serveur
+   * @private
+   */
+  _serverClose(code, reason) {
+    if (this.readyState < SOCKET_STATES.CLOSING) {
+      this.readyState = SOCKET_STATES.CLOSING;
+      this._closed(code, reason);
+    }
+  }
+
+  /**
+   * Accepte le flux d'une session active, le refuse sinon
+   * @private
+   */
+  async _open() {
+    await sleep(this.backend.latencyMs);
+
+    const call = this.backend.calls.get(this.callId);
+    if (!call || call.endedAt) {
+      // Refus du serveur : fermeture sans ouverture
+      this.readyState = SOCKET_STATES.CLOSING;
+      this._closed(4404, `Session inconnue : ${this.callId}`);
+      return;
+    }
+
+    this.readyState = SOCKET_STATES.OPEN;
+    this.backend.sockets.add(this);
+    this.onopen?.({ type: 'open' });
+  }
+
+  /**
+   * Réplique du segment clos par un vad_boundary (sa séquence en accusé de réception)
+   * @private
+   * @param {number|null} sequence - Séquence du vad_boundary
+   */
+  _pushNextStep(sequence) {
+    const call = this.backend.calls.get(this.callId);
+    if (!call || call.endedAt) {
+      this._serverClose(4404, `Session terminée : ${this.callId}`);
+      return;
+    }
+
+    this._push(this.backend._nextStep(call, sequence));
+  }
+
+  /**
+   * @private
+   */
+  async _push(payload) {
+    await sleep(this.backend.latencyMs);
+
+    if (this.readyState === SOCKET_STATES.OPEN) {
+      this.onmessage?.({ type: 'message', data: JSON.stringify(payload) });
+    }
+  }
+
+  /**
+   * @private
+   */
+  async _closed(code, reason) {
+    await sleep(0);
+
+    this.readyState = SOCKET_STATES.CLOSED;
+    this.backend.sockets.delete(this);
+    this.onclose?.({ type: 'close', code, reason, wasClean: code === 1000 });
+  }
+}
+
+/**
+ * Valeurs de readyState (celles de WebSocket)
+ */
+const SOCKET_STATES = { CONNECTING: 0, OPEN: 1, CLOSING: 2, CLOSED: 3 };
+
+/**
+ * Expression d'une route ({id} capturé) à partir d'un endpoint de API_CONFIG.ENDPOINTS
+ * @param {string|Function} endpoint
+ * @returns {RegExp}
+ */
+function routePattern(endpoint) {
+  const path = typeof endpoint === 'function' ? endpoint('{id}') : endpoint;
+  return new RegExp(`^${path.replace('{id}', '([^/]+)')}$`);
+}
+
+/**
+ * @param {string} callId
+ * @returns {{status: number, data: Object}}
+ */
+function notFound(callId) {
+  return { status: 404, data: { detail: `Session inconnue : ${callId}` } };
+}
@@ -1,17 +1,64 @@
 /**
  * SESSION SERVICE
  * ===============
- * Gère les sessions d'appel et les transcriptions
+ * Gère les sessions d'appel et les transcriptions.
+ * La session active est persistée au fil de l'eau (STORAGE_KEYS.CURRENT_SESSION_ID)
+ * pour pouvoir être reprise ou clôturée après une interruption.
  */
 
-import { API_CONFIG, ERROR_MESSAGES } from '../../utils/constants.js';
+import {
+  CAPTURE_TRACK_EVENTS,
+  ERROR_MESSAGES,
+  SESSION_RECOVERY_CONFIG,
+  SPEAKERS,
+  STORAGE_KEYS
+} from '../../utils/constants.js';
 import { Logger } from '../../utils/logger.js';
+import { formatDuration } from '../../utils/helpers.js';
+import { ExtensionStorage } from '../storage/ExtensionStorage.js';
+import { ApiClient } from './ApiClient.js';
+
+/**
+ * @typedef {Object} PersistedSession
+ * @property {string} sessionId - ID de la session backend
+ * @property {number} startTime - Timestamp de début
+ * @property {string[]} transcript - Transcription (textes et marqueurs)
+ * @property {Object[]} pauses - Pauses terminées { startedAt, endedAt }
+ * @property {number|null} pauseStartedAt - Pause en cours au moment de l'écriture
+ * @property {Object[]} captureGaps - Coupures de capture
+ * @property {Object[]} privacyMutes - Masquages terminés
+ * @property {number} lastAcknowledgedSequence - Dernier chunk acquitté
+ * @property {number[]} missingSequences - Chunks non acquittés avant le dernier (getMissingSequences)
+ * @property {number} lastIssuedSequence - Plus grand numéro de séquence attribué (envoyé ou non)
+ * @property {number} updatedAt - Dernière écriture (≈ moment de l'interruption)
+ */
 
 export class SessionService {
   constructor() {
     this.currentSessionId = null;
     this.conversationTranscript = [];
     this.sessionStartTime = null;
+    // Accusés de réception des chunks audio (numéros de séquence)
+    this.lastAcknowledgedSequence = -1;
+    this.acknowledgedSequences = new Set();
+    // Plus grand numéro attribué : jamais réutilisé sur la session (chunks en vol, refusés, flux)
+    this.lastIssuedSequence = -1;
+    // Tours de parole par interlocuteur (émis par le TurnTakingDetector)
+    this.turnStatistics = this._createEmptyTurnStatistics();
+    // Dernier instantané des indicateurs de conversation (ConversationMetrics)
+    this.conversationMetrics = null;
+    // Coupures de capture (source perdue ou muette) signalées dans la transcription
+    this.captureGaps = [];
+    // Pauses de l'écoute (exclues de la durée de la session)
+    this.pauses = [];
+    this.pauseStartedAt = null;
+    // Masquages de confidentialité par canal (début du masquage en cours)
+    this.privacyMutes = [];
+    this.muteStartedAt = {};
+    // Écriture différée de la session persistée
+    this.persistTimer = null;
+    // Début de l'interruption d'une session restaurée (null sinon)
+    this.interruptedAt = null;
   }
 
   /**
@@ -22,22 +69,21 @@ export class SessionService {
     Logger.session('📞 Création d\'une nouvelle session');
 
     try {
-      const response = await fetch(
-        `${API_CONFIG.BASE_URL}${API_CONFIG.ENDPOINTS.CALLS_START}`,
-        {
-          method: 'POST',
-          headers: { 'Content-Type': 'application/json' }
-        }
-      );
-
-      if (!response.ok) {
-        throw new Error(ERROR_MESSAGES.SESSION_CREATE_FAILED);
-      }
-
-      const data = await response.json();
+      const data = await ApiClient.startCall();
       this.currentSessionId = data.call_id;
       this.conversationTranscript = [];
       this.sessionStartTime = Date.now();
+      this._resetAcknowledgements();
+      this.turnStatistics = this._createEmptyTurnStatistics();
+      this.conversationMetrics = null;
+      this.captureGaps = [];
+      this.pauses = [];
+      this.pauseStartedAt = null;
+      this.privacyMutes = [];
+      this.muteStartedAt = {};
+      this.interruptedAt = null;
+
+      await this.persist();
 
       Logger.session('✅ Session créée', {
         sessionId: this.currentSessionId
@@ -47,7 +93,7 @@ export class SessionService {
 
     } catch (error) {
       Logger.error('❌ Erreur lors de la création de la session', error);
-      throw error;
+      throw new Error(`${ERROR_MESSAGES.SESSION_CREATE_FAILED} : ${error.message}`, { cause: error });
     }
   }
 
@@ -65,39 +111,168 @@ export class SessionService {
       sessionId: this.currentSessionId
     });
 
-    try {
-      const response = await fetch(
-        `${API_CONFIG.BASE_URL}${API_CONFIG.ENDPOINTS.CALLS_END(this.currentSessionId)}`,
-        {
-          method: 'POST',
-          headers: { 'Content-Type': 'application/json' }
-        }
-      );
-
-      if (!response.ok) {
-        Logger.warn('Erreur lors de la fermeture de la session côté serveur');
-      }
+    clearTimeout(this.persistTimer);
 
-      const data = await response.json();
+    try {
+      const data = await ApiClient.endCall(this.currentSessionId);
       Logger.session('✅ Session terminée', data);
 
     } catch (error) {
-      Logger.error('❌ Erreur lors de la fin de session', error);
+      Logger.error(`❌ ${ERROR_MESSAGES.SESSION_CLOSE_FAILED}`, error);
     } finally {
-      // Nettoyer l'état local même si la requête échoue
-      const duration = this.sessionStartTime 
-        ? Date.now() - this.sessionStartTime 
-        : 0;
-        
+      // Plus rien à reprendre
+      await SessionService.clearPersisted();
+
+      // Nettoyer l'état local même si la requête échoue (durée pauses exclues)
+      const duration = this.getSessionDuration();
+
       Logger.session('📊 Durée de la session', {
         duration: `${(duration / 1000 / 60).toFixed(2)} minutes`,
-        messagesCount: this.conversationTranscript.length
+        messagesCount: this.conversationTranscript.length,
+        lastAcknowledgedSequence: this.lastAcknowledgedSequence,
+        missingSegments: this.getMissingSequences().length,
+        turns: this.turnStatistics.turnChanges
       });
 
       this.currentSessionId = null;
       this.conversationTranscript = [];
       this.sessionStartTime = null;
+      this._resetAcknowledgements();
+      this.turnStatistics = this._createEmptyTurnStatistics();
+      this.conversationMetrics = null;
+      this.captureGaps = [];
+      this.pauses = [];
+      this.pauseStartedAt = null;
+      this.privacyMutes = [];
+      this.muteStartedAt = {};
+      this.interruptedAt = null;
+    }
+  }
+
+  /**
+   * Session persistée par une écoute interrompue (ou en cours dans un autre contexte)
+   * @returns {Promise<PersistedSession|null>}
+   */
+  static async loadPersisted() {
+    const result = await ExtensionStorage.get(STORAGE_KEYS.CURRENT_SESSION_ID);
+    return result[STORAGE_KEYS.CURRENT_SESSION_ID] || null;
+  }
+
+  /**
+   * Oublie la session persistée
+   */
+  static async clearPersisted() {
+    try {
+      await ExtensionStorage.set({ [STORAGE_KEYS.CURRENT_SESSION_ID]: null });
+    } catch (error) {
+      Logger.warn('Impossible d\'effacer la session persistée', error);
+    }
+  }
+
+  /**
+   * Persiste immédiatement la session active
+   */
+  async persist() {
+    clearTimeout(this.persistTimer);
+    this.persistTimer = null;
+
+    if (!this.currentSessionId) return;
+
+    /** @type {PersistedSession} */
+    const snapshot = {
+      sessionId: this.currentSessionId,
+      startTime: this.sessionStartTime,
+      transcript: this.conversationTranscript,
+      pauses: this.pauses,
+      pauseStartedAt: this.pauseStartedAt,
+      captureGaps: this.captureGaps,
+      privacyMutes: this.privacyMutes,
+      lastAcknowledgedSequence: this.lastAcknowledgedSequence,
+      missingSequences: this.getMissingSequences(),
+      lastIssuedSequence: this.lastIssuedSequence,
+      updatedAt: Date.now()
+    };
+
+    try {
+      await ExtensionStorage.set({ [STORAGE_KEYS.CURRENT_SESSION_ID]: snapshot });
+    } catch (error) {
+      Logger.warn('⚠️ Session non persistée', error);
+    }
+  }
+
+  /**
+   * Restaure une session persistée (reprise ou clôture d'une session interrompue).
+   * L'interruption est comptée comme une pause : exclue de la durée.
+   * @param {PersistedSession} snapshot
+   */
+  restore(snapshot) {
+    this.currentSessionId = snapshot.sessionId;
+    this.sessionStartTime = snapshot.startTime;
+    this.conversationTranscript = [...snapshot.transcript];
+    this.captureGaps = [...snapshot.captureGaps];
+    this.privacyMutes = [...snapshot.privacyMutes];
+    this.muteStartedAt = {};
+    this.turnStatistics = this._createEmptyTurnStatistics();
+    this.conversationMetrics = null;
+
+    // Pause en cours au moment de l'interruption : prolongée jusqu'à maintenant
+    this.interruptedAt = snapshot.pauseStartedAt ?? snapshot.updatedAt;
+    this.pauses = [...snapshot.pauses, { startedAt: this.interruptedAt, endedAt: Date.now() }];
+    this.pauseStartedAt = null;
+
+    // Les trous d'avant le dernier acquitté restent manquants (rejeu de la file
+    // hors-ligne, statistiques). Les numéros attribués mais non acquittés ont pu
+    // atteindre le backend : la numérotation reprend après le plus grand attribué
+    this._resetAcknowledgements();
+    this.lastAcknowledgedSequence = snapshot.lastAcknowledgedSequence;
+    this.lastIssuedSequence = snapshot.lastIssuedSequence ?? snapshot.lastAcknowledgedSequence;
+    const missing = new Set(snapshot.missingSequences ?? []);
+    for (let sequence = 0; sequence <= snapshot.lastAcknowledgedSequence; sequence++) {
+      if (!missing.has(sequence)) {
+        this.acknowledgedSequences.add(sequence);
+      }
+    }
+
+    Logger.session('♻️ Session restaurée', {
+      sessionId: this.currentSessionId,
+      transcriptCount: this.conversationTranscript.length
+    });
+  }
+
+  /**
+   * Marqueur de reprise d'une session restaurée
+   * @returns {string|null} Marqueur ajouté, null si la session n'a pas été interrompue
+   */
+  recordResume() {
+    if (this.interruptedAt === null) {
+      return null;
     }
+
+    const marker = `[REPRISE après ${formatDuration(Date.now() - this.interruptedAt)} d'interruption]`;
+    this.conversationTranscript.push(marker);
+    this.interruptedAt = null;
+    this._schedulePersist();
+
+    return marker;
+  }
+
+  /**
+   * Un texte de la transcription est-il un marqueur (pause, coupure, masquage, reprise) ?
+   * @param {string} text
+   * @returns {boolean}
+   */
+  static isMarker(text) {
+    return /^\[.*\]$/.test(text);
+  }
+
+  /**
+   * Persistance différée (regroupe les écritures pendant l'appel)
+   * @private
+   */
+  _schedulePersist() {
+    if (this.persistTimer || !this.currentSessionId) return;
+
+    this.persistTimer = setTimeout(() => this.persist(), SESSION_RECOVERY_CONFIG.SAVE_DELAY_MS);
   }
 
   /**
@@ -110,20 +285,7 @@ export class SessionService {
     }
 
     try {
-      const response = await fetch(
-        `${API_CONFIG.BASE_URL}${API_CONFIG.ENDPOINTS.CALLS_STATE(this.currentSessionId)}`,
-        {
-          method: 'GET',
-          headers: { 'Content-Type': 'application/json' }
-        }
-      );
-
-      if (!response.ok) {
-        throw new Error('Impossible de récupérer l\'état de la session');
-      }
-
-      const data = await response.json();
-      return data;
+      return await ApiClient.getCallState(this.currentSessionId);
 
     } catch (error) {
       Logger.error('❌ Erreur lors de la récupération de l\'état', error);
@@ -141,6 +303,7 @@ export class SessionService {
     }
 
     this.conversationTranscript.push(text.trim());
+    this._schedulePersist();
     
     Logger.debug('📝 Transcription ajoutée', {
       length: text.length,
@@ -148,6 +311,261 @@ export class SessionService {
     });
   }
 
+  /**
+   * Enregistre une coupure de capture et ajoute un marqueur à la transcription
+   * @param {Object} gap
+   * @param {string} gap.source - SPEAKERS.CLIENT ou SPEAKERS.COMMERCIAL
+   * @param {string} gap.reason - CAPTURE_TRACK_EVENTS.ENDED ou MUTE
+   * @param {number} gap.startedAt - Timestamp du début de la coupure
+   * @param {number} gap.endedAt - Timestamp de la reprise
+   * @returns {string} Marqueur ajouté à la transcription
+   */
+  recordCaptureGap({ source, reason, startedAt, endedAt }) {
+    const durationSeconds = Math.max(0, (endedAt - startedAt) / 1000);
+    const offsetSeconds = this.sessionStartTime
+      ? Math.max(0, (startedAt - this.sessionStartTime) / 1000)
+      : 0;
+
+    this.captureGaps.push({ source, reason, offsetSeconds, durationSeconds });
+
+    const who = source === SPEAKERS.CLIENT ? 'CLIENT' : 'COMMERCIAL';
+    const cause = reason === CAPTURE_TRACK_EVENTS.ENDED ? 'source perdue' : 'source muette';
+    const marker = `[COUPURE AUDIO ${who} — ${formatDuration(durationSeconds * 1000)} (${cause}) à ${formatDuration(offsetSeconds * 1000)} d'appel]`;
+    this.conversationTranscript.push(marker);
+    this._schedulePersist();
+
+    Logger.session('🔇 Coupure de capture enregistrée', { source, reason, durationSeconds });
+
+    return marker;
+  }
+
+  /**
+   * Audio resté en file hors-ligne à l'arrêt de l'écoute (jamais transcrit)
+   * @param {Object} unsent
+   * @param {number} unsent.pendingChunks - Chunks non envoyés
+   * @param {number} unsent.pendingSeconds - Durée d'audio correspondante
+   * @returns {string} Marqueur ajouté à la transcription
+   */
+  recordUnsentAudio({ pendingChunks, pendingSeconds }) {
+    const marker = `[AUDIO NON TRANSMIS — ${formatDuration(pendingSeconds * 1000)} (${pendingChunks} segment(s)) à l'arrêt de l'écoute]`;
+    this.conversationTranscript.push(marker);
+    this._schedulePersist();
+
+    Logger.warn('⚠️ Audio non transmis à l\'arrêt de l\'écoute', { pendingChunks, pendingSeconds });
+
+    return marker;
+  }
+
+  /**
+   * Début d'une pause de l'écoute (marqueur dans la transcription)
+   * @returns {string|null} Marqueur ajouté, null si déjà en pause
+   */
+  startPause() {
+    if (this.isPaused()) {
+      return null;
+    }
+
+    this.pauseStartedAt = Date.now();
+
+    const marker = `[PAUSE à ${formatDuration(this.getSessionDuration())} d'appel]`;
+    this.conversationTranscript.push(marker);
+    this._schedulePersist();
+
+    Logger.session('⏸️ Pause de l\'écoute');
+
+    return marker;
+  }
+
+  /**
+   * Fin de la pause en cours (marqueur dans la transcription)
+   * @returns {string|null} Marqueur ajouté, null si pas en pause
+   */
+  endPause() {
+    if (!this.isPaused()) {
+      return null;
+    }
+
+    const endedAt = Date.now();
+    const durationMs = endedAt - this.pauseStartedAt;
+
+    this.pauses.push({ startedAt: this.pauseStartedAt, endedAt });
+    this.pauseStartedAt = null;
+
+    const marker = `[REPRISE après ${formatDuration(durationMs)} de pause]`;
+    this.conversationTranscript.push(marker);
+    this._schedulePersist();
+
+    Logger.session('▶️ Reprise de l\'écoute', { pausedSeconds: Math.round(durationMs / 1000) });
+
+    return marker;
+  }
+
+  /**
+   * Vérifie si l'écoute est en pause
+   * @returns {boolean}
+   */
+  isPaused() {
+    return this.pauseStartedAt !== null;
+  }
+
+  /**
+   * Durée cumulée des pauses, pause en cours comprise (ms)
+   * @returns {number}
+   */
+  getPausedDuration() {
+    const ongoing = this.isPaused() ? Date.now() - this.pauseStartedAt : 0;
+    return this.pauses.reduce((acc, pause) => acc + pause.endedAt - pause.startedAt, ongoing);
+  }
+
+  /**
+   * Enregistre le masquage / rétablissement d'un canal (marqueur dans la transcription)
+   * @param {string} speaker - SPEAKERS.CLIENT ou SPEAKERS.COMMERCIAL
+   * @param {boolean} muted - true au masquage, false au rétablissement
+   * @returns {string|null} Marqueur ajouté, null si l'état ne change pas
+   */
+  recordPrivacyMute(speaker, muted) {
+    const isMuted = this.muteStartedAt[speaker] !== undefined;
+    if (muted === isMuted) {
+      return null;
+    }
+
+    const who = speaker === SPEAKERS.CLIENT ? 'CLIENT' : 'COMMERCIAL';
+    let marker;
+
+    if (muted) {
+      this.muteStartedAt[speaker] = Date.now();
+      marker = `[AUDIO ${who} MASQUÉ à ${formatDuration(this.getSessionDuration())} d'appel]`;
+    } else {
+      const endedAt = Date.now();
+      const startedAt = this.muteStartedAt[speaker];
+      delete this.muteStartedAt[speaker];
+
+      this.privacyMutes.push({ speaker, startedAt, endedAt });
+      marker = `[AUDIO ${who} RÉTABLI après ${formatDuration(endedAt - startedAt)}]`;
+    }
+
+    this.conversationTranscript.push(marker);
+    this._schedulePersist();
+    Logger.session(muted ? '🔇 Canal masqué' : '🔊 Canal rétabli', { speaker });
+
+    return marker;
+  }
+
+  /**
+   * Enregistre l'accusé de réception d'un chunk audio
+   * @param {number} sequence - Numéro de séquence acquitté par le backend
+   */
+  acknowledgeChunk(sequence) {
+    if (!Number.isInteger(sequence) || sequence < 0) {
+      return;
+    }
+
+    this.acknowledgedSequences.add(sequence);
+
+    if (sequence > this.lastAcknowledgedSequence) {
+      this.lastAcknowledgedSequence = sequence;
+    }
+  }
+
+  /**
+   * Enregistre l'attribution d'un numéro de séquence à un chunk audio.
+   * Persisté aussitôt : un numéro perdu dans un crash serait réattribué à la reprise
+   * @param {number} sequence - Numéro attribué par AudioProcessingService
+   */
+  recordIssuedSequence(sequence) {
+    if (!Number.isInteger(sequence) || sequence <= this.lastIssuedSequence) {
+      return;
+    }
+
+    this.lastIssuedSequence = sequence;
+    this.persist();
+  }
+
+  /**
+   * Liste les séquences non acquittées entre 0 et la dernière séquence acquittée
+   * (segments manquants dans la transcription côté backend)
+   * @returns {number[]}
+   */
+  getMissingSequences() {
+    const missing = [];
+
+    for (let sequence = 0; sequence < this.lastAcknowledgedSequence; sequence++) {
+      if (!this.acknowledgedSequences.has(sequence)) {
+        missing.push(sequence);
+      }
+    }
+
+    return missing;
+  }
+
+  /**
+   * Prochain numéro de séquence à utiliser (reprise d'une écoute sur la même session) :
+   * après le dernier attribué, pas le dernier acquitté, pour rester strictement croissant
+   * @returns {number}
+   */
+  getNextSequence() {
+    return Math.max(this.lastIssuedSequence, this.lastAcknowledgedSequence) + 1;
+  }
+
+  /**
+   * Réinitialise le suivi des accusés de réception
+   * @private
+   */
+  _resetAcknowledgements() {
+    this.lastAcknowledgedSequence = -1;
+    this.acknowledgedSequences = new Set();
+    this.lastIssuedSequence = -1;
+  }
+
+  /**
+   * Enregistre un tour de parole terminé
+   * @param {Object} turn - TurnEvent { speaker, durationSeconds, isTurnChange }
+   */
+  recordTurn(turn) {
+    const stats = this.turnStatistics[turn.speaker];
+    if (!stats) {
+      return;
+    }
+
+    stats.turns++;
+    stats.speechSeconds += turn.durationSeconds;
+    stats.longestTurnSeconds = Math.max(stats.longestTurnSeconds, turn.durationSeconds);
+
+    if (turn.isTurnChange) {
+      this.turnStatistics.turnChanges++;
+    }
+  }
+
+  /**
+   * Mémorise le dernier instantané des indicateurs de conversation
+   * @param {Object} snapshot - ConversationMetricsSnapshot
+   */
+  updateConversationMetrics(snapshot) {
+    this.conversationMetrics = snapshot;
+  }
+
+  /**
+   * Récupère les indicateurs de conversation de la session
+   * @returns {Object|null} ConversationMetricsSnapshot
+   */
+  getConversationMetrics() {
+    return this.conversationMetrics;
+  }
+
+  /**
+   * Statistiques de tours de parole vides
+   * @private
+   */
+  _createEmptyTurnStatistics() {
+    const stats = { turnChanges: 0 };
+
+    for (const speaker of Object.values(SPEAKERS)) {
+      stats[speaker] = { turns: 0, speechSeconds: 0, longestTurnSeconds: 0 };
+    }
+
+    return stats;
+  }
+
   /**
    * Récupère la transcription complète
    * @returns {string}
@@ -181,12 +599,12 @@ export class SessionService {
   }
 
   /**
-   * Récupère la durée de la session en millisecondes
+   * Récupère la durée de la session en millisecondes (pauses exclues)
    * @returns {number}
    */
   getSessionDuration() {
     if (!this.sessionStartTime) return 0;
-    return Date.now() - this.sessionStartTime;
+    return Date.now() - this.sessionStartTime - this.getPausedDuration();
   }
 
   /**
@@ -198,9 +616,17 @@ export class SessionService {
       sessionId: this.currentSessionId,
       isActive: this.hasActiveSession(),
       duration: this.getSessionDuration(),
+      pausedDuration: this.getPausedDuration(),
+      pauseCount: this.pauses.length + (this.isPaused() ? 1 : 0),
       transcriptCount: this.getTranscriptCount(),
       totalCharacters: this.getFullTranscript().length,
-      startTime: this.sessionStartTime
+      startTime: this.sessionStartTime,
+      lastAcknowledgedSequence: this.lastAcknowledgedSequence,
+      missingSegments: this.getMissingSequences(),
+      turns: this.turnStatistics,
+      conversationMetrics: this.conversationMetrics,
+      captureGaps: this.captureGaps,
+      privacyMutes: this.privacyMutes
     };
   }
 
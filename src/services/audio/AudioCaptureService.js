@@ -1,34 +1,73 @@
 /**
  * AUDIO CAPTURE SERVICE
  * =====================
- * Gère la capture audio bidirectionnelle (microphone + écran)
+ * Gère la capture audio bidirectionnelle (microphone + réunion)
  * avec gestion d'erreurs spécifiques à chaque plateforme
+ *
+ * L'audio de la réunion est capturé via chrome.tabCapture (audio seul, onglet
+ * actif, stream ID fourni par le service worker) ou, en fallback, via
+ * getDisplayMedia (sélecteur de partage d'écran).
  */
 
-import { AUDIO_CONFIG, ERROR_MESSAGES, SUCCESS_MESSAGES } from '../../utils/constants.js';
+import {
+  AUDIO_CONFIG,
+  CAPTURE_STRATEGIES,
+  CAPTURE_TRACK_EVENTS,
+  ERROR_MESSAGES,
+  RUNTIME_MESSAGES,
+  SPEAKERS,
+  SUCCESS_MESSAGES
+} from '../../utils/constants.js';
 import { Logger } from '../../utils/logger.js';
 
+/**
+ * @typedef {Object} MeetingCapture
+ * @property {MediaStream} stream - Flux audio de la réunion
+ * @property {string} strategy - CAPTURE_STRATEGIES.TAB_CAPTURE ou DISPLAY_MEDIA
+ * @property {Object|null} tab - Onglet capturé { id, title } (tabCapture uniquement)
+ */
+
+/**
+ * @typedef {Object} TrackEvent
+ * @property {string} source - SPEAKERS.CLIENT (réunion) ou SPEAKERS.COMMERCIAL (micro)
+ * @property {string} type - CAPTURE_TRACK_EVENTS.*
+ * @property {string} label - Libellé de la piste (nom du périphérique ou de l'onglet)
+ */
+
 export class AudioCaptureService {
   constructor() {
     this.micStream = null;
     this.displayStream = null;
+    this.captureStrategy = null;
+    this.capturedTab = null;
+    // Onglet de la réunion demandé au démarrage (repris à la ré-acquisition)
+    this.meetingTabId = null;
+    // tabCapture coupe le son de l'onglet : on le rejoue pour l'utilisateur
+    this.playbackContext = null;
     this.isCapturing = false;
+    // Fin / coupure d'une piste en cours d'appel (voir watchTracks)
+    this.onTrackEvent = null;
   }
 
   /**
    * Démarre la capture audio bidirectionnelle
+   * @param {Object} options
+   * @param {string|null} options.micDeviceId - Micro choisi (null = périphérique par défaut)
+   * @param {number|null} options.tabId - Onglet de la réunion détectée (null = onglet actif)
    * @returns {Promise<{micStream: MediaStream, displayStream: MediaStream}>}
    * @throws {AudioCaptureError}
    */
-  async startCapture() {
-    Logger.info('🎤 Démarrage de la capture audio');
+  async startCapture({ micDeviceId = null, tabId = null } = {}) {
+    Logger.info('🎤 Démarrage de la capture audio', { micDeviceId: micDeviceId || 'default' });
+
+    this.meetingTabId = tabId;
 
     try {
       // ÉTAPE 1 : Capturer le microphone EN PREMIER (plus fiable sur macOS)
-      await this._captureMicrophone();
+      await this._captureMicrophone(micDeviceId);
       
-      // ÉTAPE 2 : Capturer l'audio de l'écran
-      await this._captureDisplay();
+      // ÉTAPE 2 : Capturer l'audio de la réunion
+      await this._captureDisplay({ tabId });
       
       // ÉTAPE 3 : Valider les pistes audio
       this._validateAudioTracks();
@@ -51,17 +90,28 @@ export class AudioCaptureService {
   /**
    * Capture le flux du microphone
    * @private
+   * @param {string|null} deviceId - Micro choisi (null = périphérique par défaut)
    */
-  async _captureMicrophone() {
+  async _captureMicrophone(deviceId = null) {
     Logger.debug('🎤 Demande d\'accès au microphone...');
+
+    // Vérifier que le micro choisi est toujours branché (sinon getUserMedia échoue sans détail)
+    if (deviceId) {
+      const devices = await AudioCaptureService.listInputDevices();
+      if (!devices.some(device => device.deviceId === deviceId)) {
+        Logger.error('❌ Micro sélectionné introuvable', { deviceId });
+        throw new SelectedDeviceMissingError(ERROR_MESSAGES.MICROPHONE_DEVICE_MISSING);
+      }
+    }
     
     try {
       this.micStream = await navigator.mediaDevices.getUserMedia(
-        AUDIO_CONFIG.CAPTURE_CONSTRAINTS
+        AudioCaptureService.getMicrophoneConstraints(deviceId)
       );
       
       Logger.info('✅ Microphone capturé', {
-        tracks: this.micStream.getAudioTracks().length
+        tracks: this.micStream.getAudioTracks().length,
+        label: this.micStream.getAudioTracks()[0]?.label
       });
       
     } catch (error) {
@@ -69,6 +119,8 @@ export class AudioCaptureService {
       
       if (error.name === 'NotAllowedError' || error.name === 'PermissionDeniedError') {
         throw new MicrophonePermissionError(ERROR_MESSAGES.MICROPHONE_DENIED);
+      } else if (deviceId && (error.name === 'NotFoundError' || error.name === 'OverconstrainedError')) {
+        throw new SelectedDeviceMissingError(ERROR_MESSAGES.MICROPHONE_DEVICE_MISSING);
       } else if (error.name === 'NotFoundError') {
         throw new MicrophoneNotFoundError('Aucun microphone détecté');
       } else {
@@ -78,30 +130,123 @@ export class AudioCaptureService {
   }
 
   /**
-   * Capture le flux de l'écran avec audio
+   * Capture l'audio de la réunion selon la stratégie configurée
    * @private
+   * @param {Object} options
+   * @param {number|null} options.tabId - Onglet de la réunion détectée (null = onglet actif)
    */
-  async _captureDisplay() {
-    Logger.debug('🖥️ Demande d\'accès à l\'audio de l\'onglet...');
-    
-    try {
-      this.displayStream = await navigator.mediaDevices.getDisplayMedia(
-        AUDIO_CONFIG.DISPLAY_CONSTRAINTS
-      );
-      
-      Logger.info('✅ Audio de l\'onglet capturé', {
-        audioTracks: this.displayStream.getAudioTracks().length,
-        videoTracks: this.displayStream.getVideoTracks().length
-      });
-      
-    } catch (error) {
-      Logger.error('❌ Erreur capture écran', error);
-      
-      if (error.name === 'NotAllowedError' || error.name === 'PermissionDeniedError') {
-        throw new ScreenCaptureError(ERROR_MESSAGES.SCREEN_DENIED);
-      } else {
-        throw new AudioCaptureError(`Erreur capture écran: ${error.message}`);
+  async _captureDisplay({ tabId = null } = {}) {
+    const capture = await AudioCaptureService.acquireMeetingStream({ tabId });
+
+    this.displayStream = capture.stream;
+    this.captureStrategy = capture.strategy;
+    this.capturedTab = capture.tab;
+
+    if (this.captureStrategy === CAPTURE_STRATEGIES.TAB_CAPTURE) {
+      this._startTabPlayback();
+    }
+  }
+
+  /**
+   * Rejoue l'audio de l'onglet capturé (sinon la réunion devient muette)
+   * @private
+   */
+  _startTabPlayback() {
+    this._stopTabPlayback();
+
+    this.playbackContext = new (window.AudioContext || window.webkitAudioContext)();
+    this.playbackContext
+      .createMediaStreamSource(this.displayStream)
+      .connect(this.playbackContext.destination);
+
+    Logger.debug('🔊 Lecture de l\'audio de l\'onglet capturé');
+  }
+
+  /**
+   * @private
+   */
+  _stopTabPlayback() {
+    if (this.playbackContext) {
+      this.playbackContext.close().catch(() => {});
+      this.playbackContext = null;
+    }
+  }
+
+  /**
+   * Surveille la fin et la coupure des pistes capturées pendant l'appel
+   * @param {Function} onTrackEvent - Callback (TrackEvent)
+   */
+  watchTracks(onTrackEvent) {
+    this.onTrackEvent = onTrackEvent;
+    this._watchSource(SPEAKERS.COMMERCIAL);
+    this._watchSource(SPEAKERS.CLIENT);
+  }
+
+  /**
+   * Ré-acquiert une source perdue (nouveau partage, micro rebranché)
+   * sans toucher à l'autre source
+   * @param {string} source - SPEAKERS.CLIENT ou SPEAKERS.COMMERCIAL
+   * @param {Object} options
+   * @param {string|null} options.micDeviceId - Micro à utiliser (null = périphérique par défaut)
+   * @returns {Promise<MediaStream>} Nouveau flux de la source
+   * @throws {AudioCaptureError}
+   */
+  async reacquireSource(source, { micDeviceId = null } = {}) {
+    Logger.info('🔄 Ré-acquisition de la source audio', { source });
+
+    if (source === SPEAKERS.COMMERCIAL) {
+      this._releaseMicrophone();
+      await this._captureMicrophone(micDeviceId);
+    } else {
+      this._releaseDisplay();
+      await this._captureDisplay({ tabId: this.meetingTabId });
+      this._validateAudioTracks();
+    }
+
+    this._watchSource(source);
+
+    return this._getSourceStream(source);
+  }
+
+  /**
+   * Flux courant d'une source
+   * @private
+   * @param {string} source - SPEAKERS.CLIENT ou SPEAKERS.COMMERCIAL
+   * @returns {MediaStream|null}
+   */
+  _getSourceStream(source) {
+    return source === SPEAKERS.COMMERCIAL ? this.micStream : this.displayStream;
+  }
+
+  /**
+   * Branche les événements ended / mute / unmute de la piste audio d'une source
+   * @private
+   * @param {string} source - SPEAKERS.CLIENT ou SPEAKERS.COMMERCIAL
+   */
+  _watchSource(source) {
+    const [track] = this._getSourceStream(source)?.getAudioTracks() || [];
+    if (!track) {
+      return;
+    }
+
+    const notify = (type) => {
+      // Piste remplacée ou capture arrêtée entre-temps : événement obsolète
+      const [currentTrack] = this._getSourceStream(source)?.getAudioTracks() || [];
+      if (currentTrack !== track || !this.onTrackEvent) {
+        return;
       }
+
+      Logger.warn(`⚠️ Piste ${source} : ${type}`, { label: track.label });
+      this.onTrackEvent({ source, type, label: track.label });
+    };
+
+    Object.values(CAPTURE_TRACK_EVENTS).forEach(type => {
+      track.addEventListener(type, () => notify(type));
+    });
+
+    // Déjà muette au démarrage (micro coupé au niveau système)
+    if (track.muted) {
+      notify(CAPTURE_TRACK_EVENTS.MUTE);
     }
   }
 
@@ -125,7 +270,20 @@ export class AudioCaptureService {
    */
   stopCapture() {
     Logger.info('🛑 Arrêt de la capture audio');
-    
+
+    this.onTrackEvent = null;
+    this._releaseMicrophone();
+    this._releaseDisplay();
+
+    this.meetingTabId = null;
+    this.isCapturing = false;
+    Logger.info('✅ Capture arrêtée');
+  }
+
+  /**
+   * @private
+   */
+  _releaseMicrophone() {
     if (this.micStream) {
       this.micStream.getTracks().forEach(track => {
         track.stop();
@@ -133,7 +291,12 @@ export class AudioCaptureService {
       });
       this.micStream = null;
     }
-    
+  }
+
+  /**
+   * @private
+   */
+  _releaseDisplay() {
     if (this.displayStream) {
       this.displayStream.getTracks().forEach(track => {
         track.stop();
@@ -141,9 +304,10 @@ export class AudioCaptureService {
       });
       this.displayStream = null;
     }
-    
-    this.isCapturing = false;
-    Logger.info('✅ Capture arrêtée');
+
+    this._stopTabPlayback();
+    this.captureStrategy = null;
+    this.capturedTab = null;
   }
 
   /**
@@ -164,6 +328,7 @@ export class AudioCaptureService {
     if (!this.isActive()) {
       return {
         isActive: false,
+        captureStrategy: null,
         micTracks: 0,
         displayTracks: 0
       };
@@ -171,6 +336,8 @@ export class AudioCaptureService {
     
     return {
       isActive: true,
+      captureStrategy: this.captureStrategy,
+      capturedTab: this.capturedTab,
       micTracks: this.micStream.getAudioTracks().length,
       displayTracks: this.displayStream.getAudioTracks().length,
       micSettings: this.micStream.getAudioTracks()[0]?.getSettings(),
@@ -178,6 +345,177 @@ export class AudioCaptureService {
     };
   }
 
+  /**
+   * Contraintes getUserMedia pour un micro donné
+   * @param {string|null} deviceId - Micro choisi (null = périphérique par défaut)
+   * @returns {MediaStreamConstraints}
+   */
+  static getMicrophoneConstraints(deviceId = null) {
+    if (!deviceId) {
+      return AUDIO_CONFIG.CAPTURE_CONSTRAINTS;
+    }
+
+    return {
+      audio: {
+        ...AUDIO_CONFIG.CAPTURE_CONSTRAINTS.audio,
+        deviceId: { exact: deviceId }
+      }
+    };
+  }
+
+  /**
+   * Liste les périphériques d'entrée audio
+   * Les libellés ne sont exposés qu'une fois la permission micro accordée :
+   * on la demande brièvement si nécessaire
+   * @returns {Promise<MediaDeviceInfo[]>}
+   */
+  static async listInputDevices() {
+    const enumerate = async () => (await navigator.mediaDevices.enumerateDevices())
+      .filter(device => device.kind === 'audioinput');
+
+    let devices = await enumerate();
+
+    if (devices.length > 0 && devices.every(device => !device.label)) {
+      try {
+        const stream = await navigator.mediaDevices.getUserMedia({ audio: true });
+        stream.getTracks().forEach(track => track.stop());
+        devices = await enumerate();
+      } catch (error) {
+        Logger.warn('⚠️ Permission micro refusée, libellés des périphériques indisponibles', error);
+      }
+    }
+
+    return devices;
+  }
+
+  /**
+   * Ouvre un flux micro de prévisualisation (vumètre avant l'appel)
+   * @param {string|null} deviceId - Micro choisi (null = périphérique par défaut)
+   * @returns {Promise<MediaStream>}
+   */
+  static async openMicrophonePreview(deviceId = null) {
+    return navigator.mediaDevices.getUserMedia(AudioCaptureService.getMicrophoneConstraints(deviceId));
+  }
+
+  /**
+   * Ouvre l'audio de la réunion pour prévisualiser son niveau
+   * @returns {Promise<MeetingCapture>}
+   * @throws {ScreenCaptureError|NoAudioTrackError}
+   */
+  static async openDisplayPreview() {
+    const capture = await AudioCaptureService.acquireMeetingStream();
+
+    if (capture.stream.getAudioTracks().length === 0) {
+      capture.stream.getTracks().forEach(track => track.stop());
+      throw new NoAudioTrackError(ERROR_MESSAGES.NO_AUDIO_TRACK);
+    }
+
+    return capture;
+  }
+
+  /**
+   * Obtient le flux audio de la réunion : tabCapture d'abord (si configuré),
+   * getDisplayMedia en fallback.
+   * Pour une réunion détectée (tabId), tabCapture seul : l'écoute ne démarre pas
+   * d'un geste de l'utilisateur, le sélecteur de partage d'écran serait refusé.
+   * @param {Object} options
+   * @param {number|null} options.tabId - Onglet de la réunion détectée (null = onglet actif)
+   * @returns {Promise<MeetingCapture>}
+   * @throws {AudioCaptureError}
+   */
+  static async acquireMeetingStream({ tabId = null } = {}) {
+    if (tabId !== null) {
+      try {
+        return await AudioCaptureService._acquireTabStream(tabId);
+      } catch (error) {
+        Logger.warn('⚠️ tabCapture refusé pour l\'onglet de la réunion détectée', error);
+        throw new TabCaptureError(ERROR_MESSAGES.MEETING_TAB_CAPTURE_REFUSED);
+      }
+    }
+
+    if (AUDIO_CONFIG.CAPTURE_STRATEGY === CAPTURE_STRATEGIES.TAB_CAPTURE) {
+      try {
+        return await AudioCaptureService._acquireTabStream();
+      } catch (error) {
+        Logger.warn('⚠️ tabCapture impossible, fallback sur le partage d\'écran', error);
+      }
+    }
+
+    return AudioCaptureService._acquireDisplayStream();
+  }
+
+  /**
+   * Capture audio seule de l'onglet de la réunion (stream ID du service worker)
+   * @private
+   * @param {number|null} tabId - Onglet à capturer (null = onglet actif)
+   * @returns {Promise<MeetingCapture>}
+   * @throws {TabCaptureError}
+   */
+  static async _acquireTabStream(tabId = null) {
+    Logger.debug('🎯 Demande de capture de l\'onglet (tabCapture)...', { tabId });
+
+    const response = await chrome.runtime.sendMessage({ type: RUNTIME_MESSAGES.GET_TAB_STREAM_ID, tabId });
+
+    if (!response || response.error) {
+      throw new TabCaptureError(response?.error || 'Aucune réponse du service worker');
+    }
+
+    try {
+      const stream = await navigator.mediaDevices.getUserMedia({
+        audio: {
+          mandatory: {
+            chromeMediaSource: 'tab',
+            chromeMediaSourceId: response.streamId
+          }
+        },
+        video: false
+      });
+
+      Logger.info('✅ Audio de l\'onglet capturé (tabCapture)', { tab: response.title });
+
+      return {
+        stream,
+        strategy: CAPTURE_STRATEGIES.TAB_CAPTURE,
+        tab: { id: response.tabId, title: response.title }
+      };
+
+    } catch (error) {
+      throw new TabCaptureError(`Stream tabCapture inutilisable: ${error.message}`);
+    }
+  }
+
+  /**
+   * Capture via le sélecteur de partage d'écran
+   * @private
+   * @returns {Promise<MeetingCapture>}
+   * @throws {ScreenCaptureError|AudioCaptureError}
+   */
+  static async _acquireDisplayStream() {
+    Logger.debug('🖥️ Demande d\'accès à l\'audio de l\'onglet...');
+
+    try {
+      const stream = await navigator.mediaDevices.getDisplayMedia(
+        AUDIO_CONFIG.DISPLAY_CONSTRAINTS
+      );
+
+      Logger.info('✅ Audio de l\'onglet capturé', {
+        audioTracks: stream.getAudioTracks().length,
+        videoTracks: stream.getVideoTracks().length
+      });
+
+      return { stream, strategy: CAPTURE_STRATEGIES.DISPLAY_MEDIA, tab: null };
+
+    } catch (error) {
+      Logger.error('❌ Erreur capture écran', error);
+
+      if (error.name === 'NotAllowedError' || error.name === 'PermissionDeniedError') {
+        throw new ScreenCaptureError(ERROR_MESSAGES.SCREEN_DENIED);
+      } else {
+        throw new AudioCaptureError(`Erreur capture écran: ${error.message}`);
+      }
+    }
+  }
+
   /**
    * Teste les permissions avant de démarrer
    * @returns {Promise<Object>} Résultat du test
@@ -256,6 +594,16 @@ export class MicrophoneNotFoundError extends AudioCaptureError {
   }
 }
 
+/**
+ * Erreur micro sélectionné débranché / introuvable
+ */
+export class SelectedDeviceMissingError extends MicrophoneNotFoundError {
+  constructor(message) {
+    super(message);
+    this.name = 'SelectedDeviceMissingError';
+  }
+}
+
 /**
  * Erreur de capture d'écran
  */
@@ -266,6 +614,16 @@ export class ScreenCaptureError extends AudioCaptureError {
   }
 }
 
+/**
+ * Erreur de capture via chrome.tabCapture (déclenche le fallback getDisplayMedia)
+ */
+export class TabCaptureError extends AudioCaptureError {
+  constructor(message) {
+    super(message);
+    this.name = 'TabCaptureError';
+  }
+}
+
 /**
  * Erreur piste audio manquante
  */
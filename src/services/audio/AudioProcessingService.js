@@ -4,19 +4,45 @@
  * Traite l'audio capturé et l'envoie au backend
  */
 
-import { AUDIO_CONFIG, API_CONFIG } from '../../utils/constants.js';
+import { AUDIO_CONFIG, AUDIO_TRANSPORT_MODES, API_CONFIG, ERROR_MESSAGES, RECORDING_CONFIG, SPEAKERS } from '../../utils/constants.js';
 import { Logger } from '../../utils/logger.js';
-import { float32ToPCM16 } from '../../utils/helpers.js';
-import { VoiceActivityDetector } from './VoiceActivityDetector.js';
+import { float32ToPCM16, concatFloat32Arrays, sleep } from '../../utils/helpers.js';
+import { TurnTakingDetector } from './TurnTakingDetector.js';
+import { ConversationMetrics } from './ConversationMetrics.js';
+import { CallRecorder } from './CallRecorder.js';
+import { AudioStreamTransport } from './AudioStreamTransport.js';
+import { Resampler } from './Resampler.js';
+import { AudioQueueStore } from '../storage/AudioQueueStore.js';
+import { VadCalibrationStore } from '../storage/VadCalibrationStore.js';
+import { ApiClient, ApiAuthError, ApiTimeoutError, ApiValidationError } from '../api/ApiClient.js';
+import { AuthService } from '../auth/AuthService.js';
+
+// Module AudioWorklet chargé dans l'AudioContext (résolu relativement à ce fichier)
+const WORKLET_MODULE_URL = new URL('./worklets/StereoCaptureProcessor.js', import.meta.url);
+const WORKLET_PROCESSOR_NAME = 'kitt-stereo-capture';
 
 export class AudioProcessingService {
-  constructor() {
+  /**
+   * @param {Object} options
+   * @param {AudioStreamTransport} options.streamTransport - Transport WebSocket (injectable pour un serveur mock)
+   */
+  constructor({ streamTransport = null } = {}) {
     this.audioContext = null;
-    this.processor = null;
+    this.workletNode = null;
+    // Flush du worklet en cours (pause) : { promise, resolve, timeoutId }
+    this._workletFlush = null;
+    // Sources branchées sur le merger (remplaçables en cours d'appel)
+    this.merger = null;
+    this.sourceNodes = {};
     // 🆕 DOUBLE BUFFER : un pour l'accumulation, un pour l'envoi
-    this.audioBuffer = { client: [], commercial: [] };  // Buffer actif
-    this.sendingBuffer = { client: [], commercial: [] }; // Buffer en cours d'envoi
+    // Chaque buffer contient des listes de chunks Float32Array postés par l'AudioWorklet
+    this.audioBuffer = this._createEmptyBuffer();   // Buffer actif
+    this.sendingBuffer = this._createEmptyBuffer(); // Buffer en cours d'envoi
     this.isProcessing = false;
+    // 🆕 Pause : capture maintenue, audio ni analysé ni envoyé ni enregistré
+    this.isPaused = false;
+    // 🆕 Masquage de confidentialité : canal remplacé par du silence avant tout traitement
+    this.mutedChannels = { [SPEAKERS.CLIENT]: false, [SPEAKERS.COMMERCIAL]: false };
     this.sendIntervalSeconds = AUDIO_CONFIG.SEND_INTERVAL_SECONDS;
     this.bufferThreshold = 0;
     this.sessionId = null;
@@ -24,12 +50,46 @@ export class AudioProcessingService {
     this._isSending = false; // Flag pour éviter les envois multiples
     this._lastSendTime = 0; // Timestamp du dernier envoi
     // ✅ CORRECTION: Ajout système de retry avec backoff exponentiel
-    this._retryCount = 0;
     this._maxRetries = API_CONFIG.RETRY_ATTEMPTS; // 3 tentatives
-    this._failedBuffer = null; // Stocke le buffer en cas d'échec pour retry
+    // 🆕 File hors-ligne : chunks non envoyés, rejoués dans l'ordre des séquences
+    this.queueStore = new AudioQueueStore();
+    this.onQueueChange = null;
+    this.onSequenceIssued = null;
+    this._nextSequence = 0;
+    this._pendingQueue = { count: 0, durationSeconds: 0 };
+    // Chunks comptés dans _pendingQueue mais pas encore écrits dans IndexedDB
+    this._enqueuesInFlight = { count: 0, durationSeconds: 0 };
+    // Jeton refusé (ApiAuthError) : envoi suspendu jusqu'à une nouvelle connexion
+    this._authRequired = false;
+    // 🆕 Position dans l'appel : échantillons reçus (fréquence de sortie) depuis le démarrage
+    this._samplesReceived = 0;
+    this._processingOffsetMs = 0;   // Décalage entre le début de l'appel et le démarrage du traitement
+    this._streamSegmentStart = 0;   // Début du segment en cours (mode flux)
+    this._replayTimer = null;
+    this._replayPromise = null;   // Rejeu en cours (attendu par drainQueue)
     // ✅ NOUVEAU: Voice Activity Detection pour envoi intelligent
-    this.vad = null;
+    // 🆕 Un VAD par interlocuteur, combinés par le détecteur de tours de parole
+    this.turnDetector = null;
+    this.onTurnChange = null;
+    // 🆕 Dynamique de l'appel (temps de parole, interruptions, latence)
+    this.conversationMetrics = new ConversationMetrics();
+    this.onMetricsUpdate = null;
+    this._lastMetricsUpdate = 0;
+    // 🆕 Enregistrement local (opt-in) ; lastRecording : Promise<RecordingMetadata|null> après arrêt
+    this.recorder = new CallRecorder();
+    this.lastRecording = Promise.resolve(null);
+    // 🆕 Calibration du bruit de fond mémorisée par micro
+    this.calibrationStore = new VadCalibrationStore();
+    this.micDeviceId = null;
     this.vadEnabled = AUDIO_CONFIG.VAD_ENABLED !== undefined ? AUDIO_CONFIG.VAD_ENABLED : true;
+    // 🆕 Transport : flux WebSocket continu, ou POST par phrase (fallback)
+    this.transportMode = AUDIO_CONFIG.TRANSPORT_MODE || AUDIO_TRANSPORT_MODES.POST;
+    this.activeTransport = AUDIO_TRANSPORT_MODES.POST;
+    this.streamTransport = streamTransport || new AudioStreamTransport();
+    // 🆕 Rééchantillonnage : fréquence de l'AudioContext → fréquence envoyée au backend
+    this.captureSampleRate = 0;
+    this.outputSampleRate = 0;
+    this.resamplers = null;
   }
 
   /**
@@ -38,8 +98,24 @@ export class AudioProcessingService {
    * @param {MediaStream} displayStream - Stream de l'écran
    * @param {string} sessionId - ID de la session
    * @param {Function} onDataCallback - Callback pour les données reçues
+   * @param {Object} options - Options optionnelles
+   * @param {Function} options.onQueueChange - État de la file hors-ligne ({ pendingChunks, pendingSeconds })
+   * @param {number} options.callStartTime - Timestamp de début de l'appel (offsets des chunks)
+   * @param {number} options.nextSequence - Prochain numéro de séquence (reprise d'une session)
+   * @param {Function} options.onSequenceIssued - Numéro de séquence attribué (sequence: number)
+   * @param {Function} options.onTurnChange - Fin d'un tour de parole (TurnEvent)
+   * @param {Function} options.onMetricsUpdate - Indicateurs de conversation (chaque seconde)
+   * @param {boolean} options.record - Enregistrer l'appel localement
    */
-  async startProcessing(micStream, displayStream, sessionId, onDataCallback) {
+  async startProcessing(micStream, displayStream, sessionId, onDataCallback, {
+    onQueueChange = null,
+    callStartTime = Date.now(),
+    nextSequence = 0,
+    onSequenceIssued = null,
+    onTurnChange = null,
+    onMetricsUpdate = null,
+    record = false
+  } = {}) {
     Logger.audio('🎛️ Démarrage du traitement audio');
 
     if (this.isProcessing) {
@@ -49,6 +125,16 @@ export class AudioProcessingService {
 
     this.sessionId = sessionId;
     this.onDataCallback = onDataCallback;
+    this.onQueueChange = onQueueChange;
+    this.onSequenceIssued = onSequenceIssued;
+    this.onTurnChange = onTurnChange;
+    this.onMetricsUpdate = onMetricsUpdate;
+    this.conversationMetrics.reset();
+    this._lastMetricsUpdate = 0;
+    this._nextSequence = nextSequence;
+    this._samplesReceived = 0;
+    this._streamSegmentStart = 0;
+    this._processingOffsetMs = Math.max(0, Date.now() - callStartTime);
 
     // 🆕 VÉRIFIER que le callback est bien défini
     if (!onDataCallback || typeof onDataCallback !== 'function') {
@@ -61,41 +147,82 @@ export class AudioProcessingService {
     try {
       // Créer le contexte audio
       this.audioContext = new (window.AudioContext || window.webkitAudioContext)();
-      const sampleRate = this.audioContext.sampleRate || 44100;
+      this.captureSampleRate = this.audioContext.sampleRate || AUDIO_CONFIG.SAMPLE_RATE;
+
+      // ✅ Fréquence envoyée : cible configurée, sans jamais suréchantillonner
+      this.outputSampleRate = AUDIO_CONFIG.TARGET_SAMPLE_RATE
+        ? Math.min(AUDIO_CONFIG.TARGET_SAMPLE_RATE, this.captureSampleRate)
+        : this.captureSampleRate;
 
-      // ✅ Initialiser le Voice Activity Detector
-      this.vad = new VoiceActivityDetector(sampleRate);
+      this.resamplers = {
+        client: new Resampler(this.captureSampleRate, this.outputSampleRate),
+        commercial: new Resampler(this.captureSampleRate, this.outputSampleRate)
+      };
+
+      // ✅ Initialiser les VAD client + commercial (analysent l'audio rééchantillonné)
+      this.turnDetector = new TurnTakingDetector(this.outputSampleRate);
+      await this._restoreVadCalibration(micStream);
+
+      if (record) {
+        await this.recorder.start(sessionId, this.outputSampleRate, {
+          maxSizeMb: RECORDING_CONFIG.MAX_SIZE_MB
+        });
+      }
 
       // Calculer le seuil de buffer (utilisé comme fallback si VAD désactivé)
-      this.bufferThreshold = Math.round(sampleRate * this.sendIntervalSeconds);
+      this.bufferThreshold = Math.round(this.outputSampleRate * this.sendIntervalSeconds);
 
-      Logger.debug('Audio Context créé', { sampleRate, bufferThreshold: this.bufferThreshold, vadEnabled: this.vadEnabled });
+      Logger.debug('Audio Context créé', {
+        captureSampleRate: this.captureSampleRate,
+        outputSampleRate: this.outputSampleRate,
+        bufferThreshold: this.bufferThreshold,
+        vadEnabled: this.vadEnabled
+      });
 
-      // Créer les sources audio
-      const displaySource = this.audioContext.createMediaStreamSource(displayStream);
-      const micSource = this.audioContext.createMediaStreamSource(micStream);
+      // Ouvrir le flux WebSocket si demandé (fallback POST en cas d'échec)
+      if (this.transportMode === AUDIO_TRANSPORT_MODES.STREAM) {
+        await this._openStream(this.outputSampleRate);
+      }
 
       // Créer un merger pour combiner les deux sources
-      const merger = this.audioContext.createChannelMerger(2);
-      displaySource.connect(merger, 0, 0); // Client (écran) → canal 0
-      micSource.connect(merger, 0, 1);     // Commercial (micro) → canal 1
-
-      // Créer le processeur audio
-      this.processor = this.audioContext.createScriptProcessor(
-        AUDIO_CONFIG.BUFFER_SIZE,
-        2, // 2 canaux en entrée
-        1  // 1 canal en sortie (pas utilisé)
-      );
+      // Client (écran) → canal 0, Commercial (micro) → canal 1
+      this.merger = this.audioContext.createChannelMerger(2);
+      this._connectSource(SPEAKERS.CLIENT, displayStream);
+      this._connectSource(SPEAKERS.COMMERCIAL, micStream);
+
+      // Reprendre la numérotation des chunks restés en file pour cette session
+      await this._restoreQueue();
+
+      // Charger le module AudioWorklet (accumulation hors thread principal)
+      await this.audioContext.audioWorklet.addModule(WORKLET_MODULE_URL);
+
+      // Créer le node de capture stéréo
+      this.workletNode = new AudioWorkletNode(this.audioContext, WORKLET_PROCESSOR_NAME, {
+        numberOfInputs: 1,
+        numberOfOutputs: 1,
+        channelCount: 2,
+        channelCountMode: 'explicit',
+        channelInterpretation: 'discrete',
+        processorOptions: {
+          chunkSize: AUDIO_CONFIG.BUFFER_SIZE
+        }
+      });
 
-      // Connecter le merger au processeur
-      merger.connect(this.processor);
-      this.processor.connect(this.audioContext.destination);
+      // Recevoir les chunks prêts à l'envoi
+      this.workletNode.port.onmessage = (e) => this._handleWorkletMessage(e.data);
 
-      // Traiter l'audio
-      this.processor.onaudioprocess = (e) => this._processAudioBuffer(e);
+      // Connecter le merger au worklet (sortie silencieuse, nécessaire pour le rendu)
+      this.merger.connect(this.workletNode);
+      this.workletNode.connect(this.audioContext.destination);
 
       this.isProcessing = true;
-      Logger.audio('✅ Traitement audio démarré');
+
+      // Rejouer les chunks restés en file pour cette session
+      if (this._pendingQueue.count > 0) {
+        this._scheduleReplay();
+      }
+
+      Logger.audio('✅ Traitement audio démarré', { transport: this.activeTransport });
 
     } catch (error) {
       Logger.error('❌ Erreur lors du démarrage du traitement audio', error);
@@ -105,72 +232,373 @@ export class AudioProcessingService {
   }
 
   /**
-   * Traite un buffer audio avec protection contre débordement mémoire
+   * Branche le flux d'une source sur son canal du merger (remplace l'ancien)
+   * @private
+   * @param {string} source - SPEAKERS.CLIENT (canal 0) ou SPEAKERS.COMMERCIAL (canal 1)
+   * @param {MediaStream} stream - Flux de la source
+   */
+  _connectSource(source, stream) {
+    const channel = source === SPEAKERS.CLIENT ? 0 : 1;
+
+    this.sourceNodes[source]?.disconnect();
+    this.sourceNodes[source] = this.audioContext.createMediaStreamSource(stream);
+    this.sourceNodes[source].connect(this.merger, 0, channel);
+  }
+
+  /**
+   * Met l'écoute en pause : la phrase en cours est envoyée (dernier chunk
+   * partiel du worklet compris), puis l'audio est ignoré jusqu'à resume()
+   * (la session backend reste ouverte)
+   * @returns {Promise<void>} Résolue une fois la phrase en cours partie
+   */
+  async pause() {
+    if (!this.isProcessing || this.isPaused) {
+      return;
+    }
+
+    this.isPaused = true;
+    Logger.audio('⏸️ Traitement audio en pause');
+
+    await this._flushWorklet();
+
+    // Reprise pendant le flush : le buffer appartient déjà à la phrase suivante
+    if (this.isPaused) {
+      this._flushBeforeGap('pause');
+    }
+  }
+
+  /**
+   * Demande au worklet ses frames restantes (chunk partiel) et attend leur
+   * réception : les chunks reçus avant 'flushed' sont traités malgré la pause
+   * @private
+   * @returns {Promise<void>}
+   */
+  _flushWorklet() {
+    if (!this.workletNode) {
+      return Promise.resolve();
+    }
+
+    if (!this._workletFlush) {
+      let resolve;
+      const promise = new Promise(done => { resolve = done; });
+      // Worklet muet (contexte fermé) : ne pas bloquer la pause
+      const timeoutId = setTimeout(() => this._endWorkletFlush(), AUDIO_CONFIG.WORKLET_FLUSH_TIMEOUT);
+
+      this._workletFlush = { promise, resolve, timeoutId };
+      this.workletNode.port.postMessage({ type: 'flush' });
+    }
+
+    return this._workletFlush.promise;
+  }
+
+  /**
+   * Termine le flush du worklet en cours
+   * @private
+   */
+  _endWorkletFlush() {
+    if (!this._workletFlush) {
+      return;
+    }
+
+    clearTimeout(this._workletFlush.timeoutId);
+    this._workletFlush.resolve();
+    this._workletFlush = null;
+  }
+
+  /**
+   * Reprend l'écoute après une pause, sur la même session
+   */
+  resume() {
+    if (!this.isProcessing || !this.isPaused) {
+      return;
+    }
+
+    // Audio d'avant la pause resté en buffer (envoi en cours au moment de la pause)
+    this._flushBeforeGap('pause');
+
+    // Ne pas prolonger une phrase commencée avant la pause
+    this.turnDetector?.resetSpeechState();
+    this._streamSegmentStart = this._samplesReceived;
+    this.isPaused = false;
+
+    Logger.audio('▶️ Reprise du traitement audio');
+  }
+
+  /**
+   * Masque ou rétablit un canal (confidentialité) : les échantillons masqués
+   * sont remplacés par du silence avant l'enregistrement et l'encodage PCM
+   * @param {string} speaker - SPEAKERS.CLIENT ou SPEAKERS.COMMERCIAL
+   * @param {boolean} muted - true pour masquer
+   */
+  setChannelMuted(speaker, muted) {
+    if (!(speaker in this.mutedChannels)) {
+      Logger.warn('Canal inconnu', { speaker });
+      return;
+    }
+
+    this.mutedChannels[speaker] = muted;
+    Logger.audio(`${muted ? '🔇 Canal masqué' : '🔊 Canal rétabli'}`, { speaker });
+  }
+
+  /**
+   * Vérifie si un canal est masqué
+   * @param {string} speaker - SPEAKERS.CLIENT ou SPEAKERS.COMMERCIAL
+   * @returns {boolean}
+   */
+  isChannelMuted(speaker) {
+    return !!this.mutedChannels[speaker];
+  }
+
+  /**
+   * Envoie l'audio accumulé avant une interruption de l'écoute
    * @private
+   * @param {string} reason - Raison transmise au backend (vad_reason)
    */
-  _processAudioBuffer(event) {
+  _flushBeforeGap(reason) {
+    if (this.activeTransport === AUDIO_TRANSPORT_MODES.STREAM) {
+      const segmentEnd = this._samplesReceived;
+
+      if (segmentEnd > this._streamSegmentStart) {
+        this.streamTransport.sendControl({
+          type: 'vad_boundary',
+          reason,
+          speaker: null,
+          sequence: this._issueSequence(),
+          start_offset_ms: this._sampleToCallOffsetMs(this._streamSegmentStart),
+          end_offset_ms: this._sampleToCallOffsetMs(segmentEnd)
+        });
+      }
+      this._streamSegmentStart = segmentEnd;
+      return;
+    }
+
+    if (this.audioBuffer.length > 0 && !this._isSending) {
+      this._sendAudioToBackend(reason);
+    }
+  }
+
+  /**
+   * Remplace le flux d'une source en cours d'appel (source ré-acquise),
+   * sans interrompre la session ni la numérotation des chunks
+   * @param {string} source - SPEAKERS.CLIENT ou SPEAKERS.COMMERCIAL
+   * @param {MediaStream} stream - Nouveau flux
+   */
+  async replaceSource(source, stream) {
+    if (!this.isProcessing) {
+      Logger.warn('Remplacement de source ignoré : traitement arrêté');
+      return;
+    }
+
+    this._connectSource(source, stream);
+
+    // Autre micro : calibration du bruit de fond propre à ce périphérique
+    if (source === SPEAKERS.COMMERCIAL) {
+      this._saveVadCalibration();
+      await this._restoreVadCalibration(stream);
+    }
+
+    Logger.audio('🔄 Source audio remplacée', { source });
+  }
+
+  /**
+   * Restaure la calibration VAD du micro utilisé et mémorise la prochaine
+   * @private
+   * @param {MediaStream} micStream - Flux du microphone
+   */
+  async _restoreVadCalibration(micStream) {
+    const [micTrack] = micStream.getAudioTracks();
+    this.micDeviceId = micTrack?.getSettings().deviceId || 'default';
+
+    const calibration = await this.calibrationStore.load(this.micDeviceId);
+    if (calibration) {
+      this.turnDetector.applyCalibration(SPEAKERS.COMMERCIAL, calibration);
+    }
+
+    // Nouveau micro (ou première utilisation) : sauvegarder dès la calibration terminée
+    this.turnDetector.onCalibrated(SPEAKERS.COMMERCIAL, () => this._saveVadCalibration());
+  }
+
+  /**
+   * Mémorise le bruit de fond suivi pour le micro courant
+   * @private
+   */
+  _saveVadCalibration() {
+    if (!this.turnDetector || !this.micDeviceId) {
+      return;
+    }
+
+    const calibration = this.turnDetector.getCalibration(SPEAKERS.COMMERCIAL);
+    if (calibration) {
+      this.calibrationStore.save(this.micDeviceId, calibration);
+    }
+  }
+
+  /**
+   * Ouvre le flux WebSocket, ou bascule en mode POST si impossible
+   * @private
+   * @param {number} sampleRate - Fréquence des trames envoyées
+   */
+  async _openStream(sampleRate) {
+    try {
+      await this.streamTransport.connect(this.sessionId, {
+        sampleRate,
+        accessToken: await AuthService.getAccessToken(),
+        onMessage: (data) => this._handleBackendData(data),
+        onClose: () => this._fallbackToPost('flux fermé par le serveur')
+      });
+
+      this.activeTransport = AUDIO_TRANSPORT_MODES.STREAM;
+
+    } catch (error) {
+      Logger.warn(`⚠️ Flux WebSocket indisponible, bascule en mode POST : ${error.message}`);
+      this.activeTransport = AUDIO_TRANSPORT_MODES.POST;
+    }
+  }
+
+  /**
+   * Bascule en mode POST pour le reste de la session
+   * @private
+   */
+  _fallbackToPost(reason) {
+    if (this.activeTransport === AUDIO_TRANSPORT_MODES.POST) {
+      return;
+    }
+
+    Logger.warn(`🔄 Bascule en mode POST (${reason})`);
+    this.activeTransport = AUDIO_TRANSPORT_MODES.POST;
+
+    // Repartir de VAD vierges : l'accumulation reprend à zéro
+    if (this.turnDetector) {
+      this.turnDetector.hardReset();
+    }
+  }
+
+  /**
+   * Traite les messages postés par l'AudioWorklet
+   * @private
+   */
+  _handleWorkletMessage(message) {
+    if (message?.type === 'flushed') {
+      this._endWorkletFlush();
+      return;
+    }
+
+    if (!message || message.type !== 'chunk') {
+      return;
+    }
+
+    // Rééchantillonner les deux canaux avant tout traitement (VAD, envoi)
+    let client = this.resamplers.client.process(message.client);
+    let commercial = this.resamplers.commercial.process(message.commercial);
+
+    // Canal masqué : silence à la place de l'audio (jamais enregistré ni envoyé)
+    if (this.mutedChannels[SPEAKERS.CLIENT]) {
+      client = new Float32Array(client.length);
+    }
+    if (this.mutedChannels[SPEAKERS.COMMERCIAL]) {
+      commercial = new Float32Array(commercial.length);
+    }
+
+    if (client.length === 0) {
+      return;
+    }
+
+    // En pause : l'audio est ignoré mais le temps d'appel continue de s'écouler
+    // (les offsets des chunks suivants restent alignés sur l'horloge de l'appel).
+    // Flush en cours : chunk capturé avant la pause, traité normalement
+    if (this.isPaused && !this._workletFlush) {
+      this._samplesReceived += client.length;
+      return;
+    }
+
+    // Enregistrement local (no-op si désactivé)
+    this.recorder.append(client, commercial);
+
+    this._processAudioChunk(client, commercial);
+  }
+
+  /**
+   * Traite un chunk audio avec protection contre débordement mémoire
+   * @private
+   * @param {Float32Array} channel1 - Client (écran)
+   * @param {Float32Array} channel2 - Commercial (micro)
+   */
+  _processAudioChunk(channel1, channel2) {
     // Vérifications pour éviter le traitement après arrêt
     if (!this.isProcessing) {
       Logger.debug('⏸️ Traitement arrêté, skip buffer');
       return;
     }
 
-    if (!this.audioContext || !this.processor) {
+    if (!this.audioContext || !this.workletNode) {
       Logger.debug('⏸️ Contexte audio inexistant, skip buffer');
       return;
     }
 
+    // Position du chunk dans l'appel (échantillons à la fréquence de sortie)
+    const chunkStartSample = this._samplesReceived;
+    this._samplesReceived += channel1.length;
+
+    // Mode flux : envoi immédiat, pas d'accumulation locale
+    if (this.activeTransport === AUDIO_TRANSPORT_MODES.STREAM) {
+      this._streamAudioChunk(channel1, channel2);
+      return;
+    }
+
     try {
-      // Récupérer les données des deux canaux
-      const channel1 = event.inputBuffer.getChannelData(0); // Client (écran)
-      const channel2 = event.inputBuffer.getChannelData(1); // Commercial (micro)
+      if (this.audioBuffer.length === 0) {
+        this.audioBuffer.startSample = chunkStartSample;
+      }
 
-      // Ajouter au buffer actif
-      this.audioBuffer.client.push(...channel1);
-      this.audioBuffer.commercial.push(...channel2);
+      // Ajouter au buffer actif (pas de copie : les chunks sont transférés par le worklet)
+      this.audioBuffer.client.push(channel1);
+      this.audioBuffer.commercial.push(channel2);
+      this.audioBuffer.length += channel1.length;
 
       // ✅ AMÉLIORATION: Protection contre débordement mémoire (réduit à 10s)
-      const MAX_BUFFER_SIZE = AUDIO_CONFIG.SAMPLE_RATE * 10; // 10 secondes max (réduit de 15s)
+      const MAX_BUFFER_SIZE = this.outputSampleRate * 10; // 10 secondes max (réduit de 15s)
 
-      if (this.audioBuffer.client.length > MAX_BUFFER_SIZE) {
-        const excess = this.audioBuffer.client.length - MAX_BUFFER_SIZE;
-        Logger.warn(`⚠️ Buffer approchant la limite (${this.audioBuffer.client.length} samples), suppression des ${excess} plus anciens`);
+      if (this.audioBuffer.length > MAX_BUFFER_SIZE) {
+        Logger.warn(`⚠️ Buffer approchant la limite (${this.audioBuffer.length} samples), suppression des chunks les plus anciens`);
 
-        this.audioBuffer.client = this.audioBuffer.client.slice(-MAX_BUFFER_SIZE);
-        this.audioBuffer.commercial = this.audioBuffer.commercial.slice(-MAX_BUFFER_SIZE);
+        while (this.audioBuffer.length > MAX_BUFFER_SIZE && this.audioBuffer.client.length > 1) {
+          const dropped = this.audioBuffer.client.shift();
+          this.audioBuffer.commercial.shift();
+          this.audioBuffer.length -= dropped.length;
+          this.audioBuffer.startSample += dropped.length;
+        }
       }
 
-      // ✅ NOUVEAU: Décision d'envoi basée sur VAD (Voice Activity Detection)
-      if (this.vadEnabled && this.vad) {
-        // Analyser l'activité vocale sur les deux canaux
-        const bufferDuration = channel1.length / AUDIO_CONFIG.SAMPLE_RATE;
+      // ✅ Analyse de l'activité vocale sur les deux canaux (tours de parole)
+      const decision = this._analyzeTurns(channel1, channel2);
 
-        // Analyser commercial (microphone) - priorité
-        const commercialDecision = this.vad.analyze(channel2, bufferDuration);
-
-        if (commercialDecision.shouldSend) {
-          Logger.info(`[VAD] 🎤 ${commercialDecision.description}`);
+      // ✅ NOUVEAU: Décision d'envoi basée sur VAD (Voice Activity Detection)
+      if (this.vadEnabled && decision) {
+        // Envoi dès que le client OU le commercial termine son tour
+        if (decision.shouldSend) {
+          Logger.info(`[VAD] 🎤 ${decision.description}`);
 
-          if (!this._isSending && this.audioBuffer.client.length > 0) {
+          if (!this._isSending && this.audioBuffer.length > 0) {
             Logger.debug(`[VAD] 📤 Envoi déclenché par fin de phrase`, {
-              bufferSize: this.audioBuffer.client.length,
-              durationSeconds: (this.audioBuffer.client.length / AUDIO_CONFIG.SAMPLE_RATE).toFixed(2)
+              speaker: decision.speaker,
+              bufferSize: this.audioBuffer.length,
+              durationSeconds: (this.audioBuffer.length / this.outputSampleRate).toFixed(2)
             });
-            this._sendAudioToBackend();
+            this._sendAudioToBackend(decision.reason, decision.speaker);
           }
         } else {
           // Log de debug occasionnel (tous les 50 buffers pour éviter le spam)
           if (Math.random() < 0.02) {
-            Logger.debug(`[VAD] ${commercialDecision.reason}: ${commercialDecision.description}`, commercialDecision.stats);
+            Logger.debug(`[VAD] ${decision.reason}: ${decision.description}`, decision.stats);
           }
         }
       } else {
         // Mode LEGACY : Envoi basé sur le seuil de temps fixe
-        if (this.audioBuffer.client.length >= this.bufferThreshold) {
-          Logger.debug(`📊 Seuil atteint: ${this.audioBuffer.client.length} échantillons`);
+        if (this.audioBuffer.length >= this.bufferThreshold) {
+          Logger.debug(`📊 Seuil atteint: ${this.audioBuffer.length} échantillons`);
 
           if (!this._isSending) {
-            this._sendAudioToBackend();
+            this._sendAudioToBackend('interval');
           }
         }
       }
@@ -179,11 +607,141 @@ export class AudioProcessingService {
     }
   }
 
+  /**
+   * Analyse les deux canaux et émet les tours de parole terminés
+   * @private
+   * @returns {Object|null} Décision du TurnTakingDetector
+   */
+  _analyzeTurns(channel1, channel2) {
+    if (!this.turnDetector) {
+      return null;
+    }
+
+    const bufferDuration = channel1.length / this.outputSampleRate;
+    const decision = this.turnDetector.analyze(channel1, channel2, bufferDuration);
+
+    if (this.onTurnChange) {
+      decision.turns.forEach(turn => this.onTurnChange(turn));
+    }
+
+    this.conversationMetrics.update({
+      [SPEAKERS.CLIENT]: decision.stats[SPEAKERS.CLIENT].isSpeechNow,
+      [SPEAKERS.COMMERCIAL]: decision.stats[SPEAKERS.COMMERCIAL].isSpeechNow
+    }, bufferDuration);
+    this._emitMetrics();
+
+    return decision;
+  }
+
+  /**
+   * Publie les indicateurs de conversation (au plus une fois par intervalle)
+   * @private
+   * @param {boolean} force - Ignorer l'intervalle (arrêt du traitement)
+   */
+  _emitMetrics(force = false) {
+    if (!this.onMetricsUpdate) {
+      return;
+    }
+
+    const now = Date.now();
+    if (!force && now - this._lastMetricsUpdate < AUDIO_CONFIG.CONVERSATION_METRICS.UPDATE_INTERVAL) {
+      return;
+    }
+
+    this._lastMetricsUpdate = now;
+    this.onMetricsUpdate(this.conversationMetrics.getSnapshot());
+  }
+
+  /**
+   * Envoie un chunk sur le flux WebSocket et signale les fins de phrase
+   * @private
+   */
+  _streamAudioChunk(channel1, channel2) {
+    try {
+      if (!this.streamTransport.sendFrame(channel1, channel2)) {
+        this._fallbackToPost('socket non ouverte');
+        return;
+      }
+
+      // Le VAD ne déclenche plus d'upload : il marque les fins de phrase pour le serveur
+      const decision = this._analyzeTurns(channel1, channel2);
+
+      if (this.vadEnabled && decision) {
+        if (decision.shouldSend) {
+          Logger.debug(`[VAD] 📍 Fin de phrase signalée au flux : ${decision.description}`);
+
+          // Chaque segment entre deux fins de phrase reçoit un numéro de séquence
+          const segmentEnd = this._samplesReceived;
+          this.streamTransport.sendControl({
+            type: 'vad_boundary',
+            reason: decision.reason,
+            speaker: decision.speaker,
+            sequence: this._issueSequence(),
+            start_offset_ms: this._sampleToCallOffsetMs(this._streamSegmentStart),
+            end_offset_ms: this._sampleToCallOffsetMs(segmentEnd)
+          });
+          this._streamSegmentStart = segmentEnd;
+        }
+      }
+    } catch (error) {
+      Logger.error('Erreur envoi trame WebSocket', error);
+    }
+  }
+
+  /**
+   * Traite une réponse du backend (POST ou message du flux)
+   * @private
+   * @param {Object} data - { advice, transcription, reason, sequence? }
+   * @param {Object} chunk - Chunk envoyé (mode POST), pour l'accusé de réception
+   */
+  _handleBackendData(data, chunk = null) {
+    // Numéro de séquence acquitté : celui renvoyé par le serveur, sinon celui du chunk envoyé
+    if (chunk && !Number.isInteger(data.sequence)) {
+      data = { ...data, sequence: chunk.sequence };
+    }
+
+    Logger.audio('✅ Réponse du backend reçue', {
+      hasAdvice: !!data.advice,
+      hasTranscription: !!data.transcription,
+      reason: data.reason || 'N/A'
+    });
+
+    // LOG DÉTAILLÉ de l'advice si présent
+    if (data.advice) {
+      Logger.info('💡 INSIGHT REÇU DU BACKEND:', {
+        type: data.advice.type,
+        title: data.advice.title,
+        description: data.advice.details?.description
+      });
+    }
+
+    // LOG de la transcription si présente
+    if (data.transcription) {
+      const transcriptLength = data.transcription.length;
+      Logger.debug(`📝 Transcription reçue (${transcriptLength} caractères)`);
+
+      if (transcriptLength > 500) {
+        Logger.warn(`⚠️ TRANSCRIPTION ANORMALEMENT LONGUE: ${transcriptLength} caractères`);
+      }
+    }
+
+    // Appeler le callback avec les données
+    if (this.onDataCallback) {
+      Logger.debug('📞 Appel du callback avec les données');
+      this.onDataCallback(data);
+    } else {
+      Logger.error('❌ CALLBACK NON DÉFINI ! Les insights ne peuvent pas être affichés');
+    }
+  }
+
   /**
    * Envoie l'audio au backend avec gestion d'erreurs et retry
+   * En cas d'échec définitif, le chunk est mis en file hors-ligne (IndexedDB)
    * @private
+   * @param {string} vadReason - Raison de l'envoi (décision VAD, 'interval' en mode legacy)
+   * @param {string|null} vadSpeaker - Interlocuteur dont le VAD a déclenché l'envoi
    */
-  async _sendAudioToBackend() {
+  async _sendAudioToBackend(vadReason = 'unknown', vadSpeaker = null) {
     // Protection contre les envois multiples
     if (this._isSending) {
       Logger.warn('⚠️ Envoi déjà en cours, skip');
@@ -195,152 +753,407 @@ export class AudioProcessingService {
     const now = Date.now();
     this._lastSendTime = now;
 
+    let chunk = null;
+
     try {
-      const originalSize = this.audioBuffer.client.length;
+      const originalSize = this.audioBuffer.length;
       Logger.audio('📤 Envoi de l\'audio au backend', {
-        clientSamples: originalSize,
-        commercialSamples: this.audioBuffer.commercial.length,
-        durationSeconds: (originalSize / AUDIO_CONFIG.SAMPLE_RATE).toFixed(2),
-        retryAttempt: this._retryCount
+        samplesPerChannel: originalSize,
+        chunks: this.audioBuffer.client.length,
+        durationSeconds: (originalSize / this.outputSampleRate).toFixed(2),
+        pendingChunks: this._pendingQueue.count
       });
 
       // SWAP: Le buffer actif devient le buffer d'envoi
       this.sendingBuffer = this.audioBuffer;
 
       // Créer de nouveaux buffers vides pour continuer l'accumulation
-      this.audioBuffer = { client: [], commercial: [] };
+      this.audioBuffer = this._createEmptyBuffer();
 
-      Logger.debug(`✓ Buffers swappés - Nouveau buffer actif vide, envoi de ${this.sendingBuffer.client.length} échantillons`);
+      Logger.debug(`✓ Buffers swappés - Nouveau buffer actif vide, envoi de ${this.sendingBuffer.length} échantillons`);
 
       // Convertir Float32 → PCM 16-bit depuis le buffer d'envoi
-      const clientBuffer = float32ToPCM16(new Float32Array(this.sendingBuffer.client));
-      const commercialBuffer = float32ToPCM16(new Float32Array(this.sendingBuffer.commercial));
-
-      // Créer le FormData
-      const formData = new FormData();
-      formData.append('client_audio', new Blob([clientBuffer], { type: 'application/octet-stream' }));
-      formData.append('commercial_audio', new Blob([commercialBuffer], { type: 'application/octet-stream' }));
-
-      // ✅ CORRECTION: Ajout de timeout sur la requête
-      const controller = new AbortController();
-      const timeoutId = setTimeout(() => controller.abort(), API_CONFIG.REQUEST_TIMEOUT);
-
-      // Envoyer au backend avec timeout
-      const response = await fetch(
-        `${API_CONFIG.BASE_URL}${API_CONFIG.ENDPOINTS.AUDIO_UPLOAD(this.sessionId)}`,
-        {
-          method: 'POST',
-          body: formData,
-          signal: controller.signal
-        }
-      );
+      chunk = this._encodeChunk(this.sendingBuffer, vadReason, vadSpeaker);
+
+      // ✅ Ordre garanti : tant que la file hors-ligne n'est pas vide,
+      // les nouveaux chunks passent derrière les chunks en attente
+      // (connexion à refaire : aucun envoi, chaque tentative relancerait un rafraîchissement)
+      if (this._pendingQueue.count > 0 || this._authRequired) {
+        await this._enqueueChunk(chunk);
+        return;
+      }
 
-      clearTimeout(timeoutId);
+      // ✅ Retry avec backoff exponentiel (1 tentative + RETRY_ATTEMPTS retries)
+      const data = await this._uploadChunk(chunk, this._maxRetries + 1);
 
-      if (!response.ok) {
-        throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+      // Ignorer une réponse arrivée après l'arrêt ou un changement de session
+      if (data && this.sessionId === chunk.sessionId) {
+        this._handleBackendData(data, chunk);
       }
 
-      const data = await response.json();
+      Logger.audio('✅ Audio envoyé avec succès', { sequence: chunk.sequence });
 
-      // ✅ Succès : réinitialiser le compteur de retry
-      this._retryCount = 0;
-      this._failedBuffer = null;
+    } catch (error) {
+      if (!chunk) {
+        Logger.error('❌ Erreur lors de la préparation de l\'audio', error);
+        return;
+      }
 
-      Logger.audio('✅ Réponse du backend reçue', {
-        hasAdvice: !!data.advice,
-        hasTranscription: !!data.transcription,
-        reason: data.reason || 'N/A'
+      // Échec définitif après tous les retries : conserver le chunk pour rejeu
+      Logger.error('❌ ÉCHEC DÉFINITIF : Nombre maximum de tentatives atteint, mise en file hors-ligne', {
+        sequence: chunk.sequence
       });
 
-      // LOG DÉTAILLÉ de l'advice si présent
-      if (data.advice) {
-        Logger.info('💡 INSIGHT REÇU DU BACKEND:', {
-          type: data.advice.type,
-          title: data.advice.title,
-          description: data.advice.details?.description
+      await this._enqueueChunk(chunk);
+
+      // Notifier l'utilisateur via le callback (si disponible)
+      if (this.onDataCallback) {
+        this.onDataCallback({
+          error: true,
+          message: error instanceof ApiAuthError ? ERROR_MESSAGES.AUTH_REQUIRED : ERROR_MESSAGES.AUDIO_QUEUED
         });
       }
 
-      // LOG de la transcription si présente
-      if (data.transcription) {
-        const transcriptLength = data.transcription.length;
-        Logger.debug(`📝 Transcription reçue (${transcriptLength} caractères)`);
+    } finally {
+      // Vider le buffer d'envoi et libérer le flag
+      this.sendingBuffer = this._createEmptyBuffer();
+      this._isSending = false;
+    }
+  }
 
-        if (transcriptLength > 500) {
-          Logger.warn(`⚠️ TRANSCRIPTION ANORMALEMENT LONGUE: ${transcriptLength} caractères`);
-        }
-      }
+  /**
+   * Encode un buffer en chunk prêt à l'envoi (PCM 16-bit par canal)
+   * @private
+   * @returns {import('../storage/AudioQueueStore.js').QueuedAudioChunk}
+   */
+  _encodeChunk(buffer, vadReason, vadSpeaker) {
+    return {
+      sessionId: this.sessionId,
+      sequence: this._issueSequence(),
+      clientAudio: float32ToPCM16(concatFloat32Arrays(buffer.client, buffer.length)),
+      commercialAudio: float32ToPCM16(concatFloat32Arrays(buffer.commercial, buffer.length)),
+      sampleRate: this.outputSampleRate,
+      durationSeconds: buffer.length / this.outputSampleRate,
+      startOffsetMs: this._sampleToCallOffsetMs(buffer.startSample),
+      endOffsetMs: this._sampleToCallOffsetMs(buffer.startSample + buffer.length),
+      vadReason,
+      vadSpeaker,
+      createdAt: Date.now()
+    };
+  }
 
-      // Appeler le callback avec les données
-      if (this.onDataCallback) {
-        Logger.debug('📞 Appel du callback avec les données');
-        this.onDataCallback(data);
-      } else {
-        Logger.error('❌ CALLBACK NON DÉFINI ! Les insights ne peuvent pas être affichés');
-      }
+  /**
+   * Attribue le prochain numéro de séquence (chunk POST ou segment du flux)
+   * @private
+   * @returns {number}
+   */
+  _issueSequence() {
+    const sequence = this._nextSequence++;
+    this.onSequenceIssued?.(sequence);
+    return sequence;
+  }
 
-      Logger.audio('✅ Audio envoyé avec succès');
+  /**
+   * Convertit une position (échantillons depuis le démarrage) en offset dans l'appel
+   * @private
+   * @returns {number} Offset en millisecondes depuis le début de l'appel
+   */
+  _sampleToCallOffsetMs(sample) {
+    return Math.round(this._processingOffsetMs + (sample / this.outputSampleRate) * 1000);
+  }
+
+  /**
+   * Envoie un chunk au backend (timeout et backoff gérés par ApiClient)
+   * Seuls les échecs transitoires (réseau, timeout, 5xx, 429) sont relancés pour la
+   * file hors-ligne : un chunk refusé (invalide, 4xx) est abandonné, sinon il
+   * bloquerait indéfiniment les chunks suivants de la session.
+   * Un jeton refusé (ApiAuthError) garde le chunk en file et suspend l'envoi
+   * jusqu'à resumeAfterLogin()
+   * @private
+   * @param {number} attempts - Tentatives (1 = aucun retry)
+   * @returns {Promise<Object|null>} Réponse du backend, null si le chunk est abandonné
+   */
+  async _uploadChunk(chunk, attempts = 1) {
+    try {
+      return await ApiClient.uploadAudio(chunk, { attempts });
 
     } catch (error) {
-      // ✅ CORRECTION: Gestion robuste des erreurs avec retry
-      const errorType = error.name === 'AbortError' ? 'TIMEOUT' :
-                       error.message.includes('Failed to fetch') ? 'NETWORK' :
-                       'SERVER';
+      const errorType = error instanceof ApiValidationError ? 'VALIDATION' :
+                       error instanceof ApiTimeoutError ? 'TIMEOUT' :
+                       error.status ? 'SERVER' :
+                       'NETWORK';
 
       Logger.error(`❌ Erreur ${errorType} lors de l'envoi de l'audio`, {
         error: error.message,
-        retryCount: this._retryCount,
-        maxRetries: this._maxRetries
+        sequence: chunk.sequence
       });
 
-      // Stocker le buffer pour retry
-      this._failedBuffer = this.sendingBuffer;
+      if (error instanceof ApiAuthError) {
+        this._suspendUntilLogin();
+        throw error;
+      }
 
-      // Tenter un retry si possible
-      if (this._retryCount < this._maxRetries) {
-        this._retryCount++;
-        const delay = API_CONFIG.RETRY_DELAY * Math.pow(API_CONFIG.RETRY_BACKOFF_MULTIPLIER, this._retryCount - 1);
+      if (error.retryable) {
+        throw error;
+      }
 
-        Logger.warn(`🔄 Tentative de retry dans ${delay}ms (${this._retryCount}/${this._maxRetries})`);
+      Logger.error('🗑️ Chunk refusé par le backend, abandonné', {
+        sequence: chunk.sequence,
+        status: error.status
+      });
 
-        // Libérer le flag pour permettre le retry
-        this._isSending = false;
+      if (this.onDataCallback) {
+        this.onDataCallback({
+          error: true,
+          message: ERROR_MESSAGES.AUDIO_REJECTED
+        });
+      }
 
-        // Programmer le retry avec backoff exponentiel
-        setTimeout(() => {
-          if (this._failedBuffer && this.isProcessing) {
-            // Restaurer le buffer pour retry
-            this.sendingBuffer = this._failedBuffer;
-            this._sendAudioToBackend();
-          }
-        }, delay);
+      return null;
+    }
+  }
 
-        return; // Sortir sans libérer le flag (sera fait par le retry)
-      } else {
-        // Échec définitif après tous les retries
-        Logger.error('❌ ÉCHEC DÉFINITIF : Nombre maximum de tentatives atteint');
-        this._retryCount = 0;
-        this._failedBuffer = null;
-
-        // Notifier l'utilisateur via le callback (si disponible)
-        if (this.onDataCallback) {
-          this.onDataCallback({
-            error: true,
-            message: 'Impossible de joindre le backend. Vérifiez votre connexion.'
-          });
+  /**
+   * Met un chunk en file hors-ligne et programme le rejeu
+   * @private
+   */
+  async _enqueueChunk(chunk) {
+    // Compteurs mis à jour AVANT l'écriture : les chunks suivants doivent passer derrière
+    this._pendingQueue.count++;
+    this._pendingQueue.durationSeconds += chunk.durationSeconds;
+    this._enqueuesInFlight.count++;
+    this._enqueuesInFlight.durationSeconds += chunk.durationSeconds;
+    this._notifyQueueChange();
+
+    let stored = true;
+    try {
+      await this.queueStore.enqueue(chunk);
+    } catch (error) {
+      Logger.error('❌ Impossible de persister le chunk audio, il est perdu', error);
+      stored = false;
+    }
+
+    this._enqueuesInFlight.count--;
+    this._enqueuesInFlight.durationSeconds -= chunk.durationSeconds;
+
+    if (!stored) {
+      await this._refreshQueueStatus(chunk.sessionId);
+      return;
+    }
+
+    this._scheduleReplay();
+  }
+
+  /**
+   * Programme une tentative de rejeu de la file hors-ligne
+   * @private
+   */
+  _scheduleReplay() {
+    if (this._replayTimer || !this.isProcessing || this._authRequired) {
+      return;
+    }
+
+    this._replayTimer = setTimeout(() => {
+      this._replayTimer = null;
+      this._replayQueue();
+    }, AUDIO_CONFIG.OFFLINE_QUEUE_REPLAY_INTERVAL);
+  }
+
+  /**
+   * Rejoue la file hors-ligne (un seul rejeu à la fois)
+   * @private
+   * @returns {Promise<void>} Fin du rejeu en cours
+   */
+  _replayQueue() {
+    if (!this.isProcessing) {
+      return Promise.resolve();
+    }
+
+    this._replayPromise ??= this._replayPendingChunks()
+      .finally(() => { this._replayPromise = null; });
+
+    return this._replayPromise;
+  }
+
+  /**
+   * Rejoue les chunks en file dans l'ordre des séquences
+   * S'arrête au premier échec et reprogramme une tentative
+   * @private
+   */
+  async _replayPendingChunks() {
+    const sessionId = this.sessionId;
+
+    try {
+      let chunk = await this.queueStore.peekOldest(sessionId);
+
+      while (chunk && this.isProcessing && this.sessionId === sessionId) {
+        Logger.audio('🔁 Rejeu d\'un chunk en attente', {
+          sequence: chunk.sequence,
+          pendingChunks: this._pendingQueue.count
+        });
+
+        const data = await this._uploadChunk(chunk);
+        await this.queueStore.remove(sessionId, chunk.sequence);
+        await this._refreshQueueStatus(sessionId);
+
+        if (data) {
+          this._handleBackendData(data, chunk);
         }
+
+        chunk = await this.queueStore.peekOldest(sessionId);
       }
 
-    } finally {
-      // Vider le buffer d'envoi et libérer le flag (sauf si retry en cours)
-      if (this._retryCount === 0) {
-        this.sendingBuffer = { client: [], commercial: [] };
-        this._isSending = false;
+      if (!chunk) {
+        Logger.audio('✅ File hors-ligne vidée');
+      }
+
+    } catch (error) {
+      if (error instanceof ApiAuthError) {
+        Logger.warn('🔑 Rejeu suspendu jusqu\'à la reconnexion');
+        return;
       }
+
+      Logger.warn(`⚠️ Backend toujours injoignable, nouveau rejeu dans ${AUDIO_CONFIG.OFFLINE_QUEUE_REPLAY_INTERVAL}ms`);
+      this._scheduleReplay();
     }
   }
 
+  /**
+   * Reprend l'envoi suspendu par un jeton refusé, une fois l'utilisateur reconnecté
+   * @returns {Promise<void>} Fin du rejeu de la file
+   */
+  resumeAfterLogin() {
+    if (!this._authRequired) {
+      return Promise.resolve();
+    }
+
+    Logger.audio('🔑 Connexion rétablie, reprise de l\'envoi', {
+      pendingChunks: this._pendingQueue.count
+    });
+
+    this._authRequired = false;
+    this._notifyQueueChange();
+
+    return this._replayQueue();
+  }
+
+  /**
+   * Suspend l'envoi (live et rejeu) jusqu'à une nouvelle connexion
+   * @private
+   */
+  _suspendUntilLogin() {
+    if (this._authRequired) {
+      return;
+    }
+
+    Logger.warn('🔑 Connexion requise : envoi de l\'audio suspendu');
+    this._authRequired = true;
+
+    clearTimeout(this._replayTimer);
+    this._replayTimer = null;
+    this._notifyQueueChange();
+  }
+
+  /**
+   * Dernier rejeu avant l'arrêt : passé stopProcessing(), les chunks restés
+   * en file ne sont plus envoyés (la session se termine, ils finissent purgés).
+   * À appeler une fois l'écoute en pause (plus de nouvel audio).
+   * @param {number} timeoutMs - Attente maximale (envoi en cours compris)
+   * @returns {Promise<{pendingChunks: number, pendingSeconds: number}>} Chunks restés en file
+   */
+  async drainQueue(timeoutMs = AUDIO_CONFIG.OFFLINE_QUEUE_DRAIN_TIMEOUT) {
+    const deadline = Date.now() + timeoutMs;
+
+    // Un envoi en cours peut encore échouer et rejoindre la file
+    while (this._isSending && Date.now() < deadline) {
+      await sleep(100);
+    }
+
+    if (this.isProcessing && !this._authRequired && this._pendingQueue.count > 0) {
+      Logger.audio('📦 Envoi des chunks en attente avant l\'arrêt', {
+        pendingChunks: this._pendingQueue.count
+      });
+
+      clearTimeout(this._replayTimer);
+      this._replayTimer = null;
+
+      let timeoutId;
+      await Promise.race([
+        this._replayQueue(),
+        new Promise(resolve => { timeoutId = setTimeout(resolve, Math.max(0, deadline - Date.now())); })
+      ]);
+      clearTimeout(timeoutId);
+    }
+
+    return {
+      pendingChunks: this._pendingQueue.count,
+      pendingSeconds: this._pendingQueue.durationSeconds
+    };
+  }
+
+  /**
+   * Restaure l'état de la file pour la session (chunks laissés par une précédente écoute)
+   * Le rejeu est programmé par startProcessing une fois le traitement actif
+   * @private
+   */
+  async _restoreQueue() {
+    try {
+      await this.queueStore.purgeOlderThan(AUDIO_CONFIG.OFFLINE_QUEUE_MAX_AGE);
+
+      const summary = await this._refreshQueueStatus(this.sessionId);
+      this._nextSequence = Math.max(this._nextSequence, summary.lastSequence + 1);
+
+      if (summary.count > 0) {
+        Logger.audio(`📦 ${summary.count} chunk(s) en attente pour cette session`);
+      }
+    } catch (error) {
+      Logger.warn('File hors-ligne indisponible (IndexedDB)', error);
+    }
+  }
+
+  /**
+   * Relit l'état de la file depuis IndexedDB et notifie l'UI
+   * Les écritures encore en cours sont ajoutées : sans elles, le compteur
+   * retomberait à 0 et le chunk suivant partirait avant un chunk plus ancien
+   * @private
+   */
+  async _refreshQueueStatus(sessionId) {
+    const summary = await this.queueStore.getSummary(sessionId);
+
+    if (this.sessionId === sessionId) {
+      this._pendingQueue = {
+        count: summary.count + this._enqueuesInFlight.count,
+        durationSeconds: summary.durationSeconds + this._enqueuesInFlight.durationSeconds
+      };
+      this._notifyQueueChange();
+    }
+
+    return summary;
+  }
+
+  /**
+   * Notifie l'UI de l'état de la file hors-ligne
+   * @private
+   */
+  _notifyQueueChange() {
+    if (this.onQueueChange) {
+      this.onQueueChange({
+        pendingChunks: this._pendingQueue.count,
+        pendingSeconds: this._pendingQueue.durationSeconds,
+        authRequired: this._authRequired
+      });
+    }
+  }
+
+  /**
+   * Crée un buffer vide (listes de chunks par canal)
+   * @private
+   * @returns {{client: Float32Array[], commercial: Float32Array[], length: number, startSample: number}}
+   */
+  _createEmptyBuffer() {
+    return { client: [], commercial: [], length: 0, startSample: 0 };
+  }
+
   /**
    * Arrête le traitement audio
    */
@@ -349,20 +1162,34 @@ export class AudioProcessingService {
 
     // Marquer comme arrêté IMMÉDIATEMENT pour stopper les callbacks
     this.isProcessing = false;
+    this.isPaused = false;
+    this.mutedChannels = { [SPEAKERS.CLIENT]: false, [SPEAKERS.COMMERCIAL]: false };
+
+    // Fermer le flux WebSocket (no-op en mode POST)
+    if (this.streamTransport) {
+      this.streamTransport.close();
+    }
+    this.activeTransport = AUDIO_TRANSPORT_MODES.POST;
 
-    // Déconnecter et nettoyer le processor
-    if (this.processor) {
+    // Déconnecter et nettoyer le worklet
+    this._endWorkletFlush();
+    if (this.workletNode) {
       try {
         // Retirer le handler AVANT de déconnecter
-        this.processor.onaudioprocess = null;
-        this.processor.disconnect();
-        Logger.debug('✓ Processor déconnecté');
+        this.workletNode.port.onmessage = null;
+        this.workletNode.port.postMessage({ type: 'stop' });
+        this.workletNode.disconnect();
+        Logger.debug('✓ AudioWorklet déconnecté');
       } catch (e) {
-        Logger.warn('Erreur déconnexion processor', e);
+        Logger.warn('Erreur déconnexion AudioWorklet', e);
       }
-      this.processor = null;
+      this.workletNode = null;
     }
 
+    Object.values(this.sourceNodes).forEach(node => node.disconnect());
+    this.sourceNodes = {};
+    this.merger = null;
+
     // Fermer l'audio context
     if (this.audioContext) {
       try {
@@ -375,19 +1202,43 @@ export class AudioProcessingService {
     }
 
     // Vider complètement les buffers (les deux)
-    this.audioBuffer = { client: [], commercial: [] };
-    this.sendingBuffer = { client: [], commercial: [] };
+    this.audioBuffer = this._createEmptyBuffer();
+    this.sendingBuffer = this._createEmptyBuffer();
+
+    // Arrêter le rejeu (les chunks restent persistés dans IndexedDB)
+    if (this._replayTimer) {
+      clearTimeout(this._replayTimer);
+      this._replayTimer = null;
+    }
+    this._pendingQueue = { count: 0, durationSeconds: 0 };
+    this._authRequired = false;
+    this._nextSequence = 0;
+    this._samplesReceived = 0;
+    this._streamSegmentStart = 0;
+    this.onQueueChange = null;
+    this.onSequenceIssued = null;
 
     // Réinitialiser les flags
     this._isSending = false;
     this._lastSendTime = 0;
+    this.resamplers = null;
     this.sessionId = null;
     this.onDataCallback = null;
 
-    // ✅ Réinitialiser le VAD
-    if (this.vad) {
-      this.vad.hardReset();
+    // Finaliser l'enregistrement local (écritures IndexedDB en cours)
+    this.lastRecording = this.recorder.stop();
+
+    // Dernier état des indicateurs de conversation
+    this._emitMetrics(true);
+    this.onMetricsUpdate = null;
+
+    // ✅ Mémoriser le bruit de fond suivi pendant l'appel, puis réinitialiser les VAD
+    this._saveVadCalibration();
+    if (this.turnDetector) {
+      this.turnDetector.hardReset();
     }
+    this.onTurnChange = null;
+    this.micDeviceId = null;
 
     Logger.audio('✅ Traitement audio arrêté');
   }
@@ -406,8 +1257,8 @@ export class AudioProcessingService {
    * @param {Object} thresholds - Nouveaux seuils
    */
   setVADThresholds(thresholds) {
-    if (this.vad) {
-      this.vad.setThresholds(thresholds);
+    if (this.turnDetector) {
+      this.turnDetector.setThresholds(thresholds);
     }
   }
 
@@ -426,10 +1277,21 @@ export class AudioProcessingService {
   getInfo() {
     return {
       isProcessing: this.isProcessing,
+      isPaused: this.isPaused,
+      mutedChannels: { ...this.mutedChannels },
       sessionId: this.sessionId,
+      transport: this.activeTransport,
       bufferThreshold: this.bufferThreshold,
-      currentBufferSize: this.audioBuffer.client.length,
-      sampleRate: this.audioContext?.sampleRate || 0
+      currentBufferSize: this.audioBuffer.length,
+      nextSequence: this._nextSequence,
+      pendingChunks: this._pendingQueue.count,
+      pendingSeconds: this._pendingQueue.durationSeconds,
+      sampleRate: this.outputSampleRate,
+      captureSampleRate: this.audioContext?.sampleRate || 0,
+      vadCalibration: this.turnDetector ? {
+        client: this.turnDetector.getCalibration(SPEAKERS.CLIENT),
+        commercial: this.turnDetector.getCalibration(SPEAKERS.COMMERCIAL)
+      } : null
     };
   }
 
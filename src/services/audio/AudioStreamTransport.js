@@ -0,0 +1,297 @@
+/**
+ * AUDIO STREAM TRANSPORT
+ * ======================
+ * Transport WebSocket : une socket par session, envoi continu de petites
+ * trames PCM et réception des messages (advice / transcription) poussés
+ * par le backend.
+ *
+ * Protocole :
+ * - Client → serveur (texte)   : { type: 'start', ... } à l'ouverture (avec le
+ *                                jeton access_token si connecté : pas d'en-tête en WebSocket),
+ *                                { type: 'vad_boundary', reason, speaker, sequence } en fin de phrase,
+ *                                { type: 'stop' } à la fermeture
+ * - Client → serveur (binaire) : PCM 16-bit LE stéréo entrelacé
+ *                                (canal 0 = client, canal 1 = commercial)
+ * - Serveur → client (texte)   : JSON au même format que la réponse de
+ *                                POST /audio/{id} ({ advice, transcription, reason, sequence }) ;
+ *                                sequence reprend celle du vad_boundary auquel le message
+ *                                répond (accusé de réception du segment)
+ */
+
+import { API_CONFIG } from '../../utils/constants.js';
+import { Logger } from '../../utils/logger.js';
+import { float32ToInterleavedPCM16, safeJSONParse } from '../../utils/helpers.js';
+import { ApiClient } from '../api/ApiClient.js';
+
+// WebSocket.OPEN (valeur partagée par les sockets simulées)
+const SOCKET_OPEN = 1;
+
+export class AudioStreamTransport {
+  /**
+   * @param {Object} options
+   * @param {Function} options.socketFactory - (url) => WebSocket, injectable pour un serveur mock
+   *   (défaut: WebSocket, ou flux du MockBackend si API_CONFIG.USE_MOCK_BACKEND)
+   * @param {string} options.baseUrl - URL WebSocket de base (défaut: API_CONFIG.WS_BASE_URL)
+   */
+  constructor({ socketFactory = null, baseUrl = null } = {}) {
+    this.socketFactory = socketFactory || openSocket;
+    this.baseUrl = baseUrl;
+    this.socket = null;
+    this.sessionId = null;
+    this.onMessageCallback = null;
+    this.onCloseCallback = null;
+    this._closedByClient = false;
+    this._framesSent = 0;
+    this._bytesSent = 0;
+  }
+
+  /**
+   * Ouvre la socket et envoie le message de démarrage
+   * @param {string} sessionId - ID de la session
+   * @param {Object} options
+   * @param {number} options.sampleRate - Fréquence des trames envoyées
+   * @param {Function} options.onMessage - Callback pour les messages du serveur
+   * @param {Function} options.onClose - Callback en cas de fermeture inattendue
+   * @param {string|null} options.accessToken - Jeton bearer (AuthService)
+   * @returns {Promise<void>}
+   * @throws {StreamConnectionError}
+   */
+  connect(sessionId, { sampleRate, onMessage, onClose, accessToken = null }) {
+    const url = `${this.baseUrl || API_CONFIG.WS_BASE_URL}${API_CONFIG.ENDPOINTS.AUDIO_STREAM(sessionId)}`;
+
+    Logger.api('🔌 Ouverture du flux audio WebSocket', { url });
+
+    this.sessionId = sessionId;
+    this.onMessageCallback = onMessage;
+    this.onCloseCallback = onClose;
+    this._closedByClient = false;
+
+    return new Promise((resolve, reject) => {
+      let settled = false;
+
+      const fail = (message) => {
+        if (settled) return;
+        settled = true;
+        clearTimeout(timeoutId);
+        this._teardown();
+        reject(new StreamConnectionError(message));
+      };
+
+      const timeoutId = setTimeout(
+        () => fail(`Timeout d'ouverture du flux (${API_CONFIG.STREAM_CONNECT_TIMEOUT}ms)`),
+        API_CONFIG.STREAM_CONNECT_TIMEOUT
+      );
+
+      try {
+        this.socket = this.socketFactory(url);
+        this.socket.binaryType = 'arraybuffer';
+      } catch (error) {
+        fail(`Impossible de créer la socket: ${error.message}`);
+        return;
+      }
+
+      this.socket.onopen = () => {
+        if (settled) return;
+        settled = true;
+        clearTimeout(timeoutId);
+
+        this.sendControl({
+          type: 'start',
+          call_id: sessionId,
+          sample_rate: sampleRate,
+          channels: 2,
+          encoding: 'pcm_s16le',
+          layout: 'interleaved',
+          channel_map: ['client', 'commercial'],
+          ...(accessToken && { access_token: accessToken })
+        });
+
+        Logger.api('✅ Flux audio WebSocket ouvert');
+        resolve();
+      };
+
+      this.socket.onerror = () => {
+        // Le détail de l'erreur n'est pas exposé par l'API WebSocket
+        fail('Erreur lors de l\'ouverture du flux audio');
+      };
+
+      this.socket.onclose = (event) => {
+        if (!settled) {
+          fail(`Flux fermé avant ouverture (code ${event.code})`);
+          return;
+        }
+        this._handleClose(event);
+      };
+
+      this.socket.onmessage = (event) => this._handleMessage(event);
+    });
+  }
+
+  /**
+   * Envoie une trame audio stéréo
+   * @param {Float32Array} client - Canal client
+   * @param {Float32Array} commercial - Canal commercial
+   * @returns {boolean} true si la trame a été envoyée
+   */
+  sendFrame(client, commercial) {
+    if (!this.isOpen()) {
+      return false;
+    }
+
+    const frame = float32ToInterleavedPCM16(client, commercial);
+    this.socket.send(frame);
+
+    this._framesSent++;
+    this._bytesSent += frame.byteLength;
+    return true;
+  }
+
+  /**
+   * Envoie un message de contrôle JSON
+   * @param {Object} payload - Message à envoyer
+   * @returns {boolean} true si le message a été envoyé
+   */
+  sendControl(payload) {
+    if (!this.isOpen()) {
+      return false;
+    }
+
+    this.socket.send(JSON.stringify(payload));
+    return true;
+  }
+
+  /**
+   * Ferme proprement le flux
+   */
+  close() {
+    if (!this.socket) {
+      return;
+    }
+
+    Logger.api('🔌 Fermeture du flux audio WebSocket', {
+      framesSent: this._framesSent,
+      bytesSent: this._bytesSent
+    });
+
+    this._closedByClient = true;
+    this.sendControl({ type: 'stop' });
+
+    try {
+      this.socket.close(1000, 'client_stop');
+    } catch (e) {
+      Logger.warn('Erreur fermeture WebSocket', e);
+    }
+
+    this._teardown();
+  }
+
+  /**
+   * Vérifie si la socket est ouverte
+   * @returns {boolean}
+   */
+  isOpen() {
+    return this.socket !== null && this.socket.readyState === SOCKET_OPEN;
+  }
+
+  /**
+   * Obtient les statistiques du flux
+   * @returns {Object}
+   */
+  getStatistics() {
+    return {
+      isOpen: this.isOpen(),
+      framesSent: this._framesSent,
+      bytesSent: this._bytesSent
+    };
+  }
+
+  /**
+   * Traite un message du serveur
+   * @private
+   */
+  _handleMessage(event) {
+    if (typeof event.data !== 'string') {
+      Logger.debug('Message binaire inattendu du serveur, ignoré');
+      return;
+    }
+
+    const data = safeJSONParse(event.data);
+
+    if (!data) {
+      Logger.warn('⚠️ Message WebSocket invalide', event.data);
+      return;
+    }
+
+    if (data.type === 'error') {
+      Logger.error('❌ Erreur signalée par le serveur de flux', data.message);
+      return;
+    }
+
+    if (this.onMessageCallback) {
+      this.onMessageCallback(data);
+    }
+  }
+
+  /**
+   * Gère la fermeture de la socket après ouverture
+   * @private
+   */
+  _handleClose(event) {
+    const closedByClient = this._closedByClient;
+    this._teardown();
+
+    if (closedByClient) {
+      return;
+    }
+
+    Logger.warn('⚠️ Flux audio WebSocket fermé par le serveur', {
+      code: event.code,
+      reason: event.reason
+    });
+
+    if (this.onCloseCallback) {
+      this.onCloseCallback(event);
+    }
+  }
+
+  /**
+   * Détache les handlers et oublie la socket
+   * @private
+   */
+  _teardown() {
+    if (this.socket) {
+      this.socket.onopen = null;
+      this.socket.onerror = null;
+      this.socket.onclose = null;
+      this.socket.onmessage = null;
+    }
+    this.socket = null;
+  }
+}
+
+/**
+ * Socket du serveur configuré, ou du backend simulé
+ * @param {string} url
+ * @returns {WebSocket|MockStreamSocket}
+ */
+function openSocket(url) {
+  if (API_CONFIG.USE_MOCK_BACKEND) {
+    return ApiClient.getMockBackend().openSocket(url);
+  }
+
+  return new WebSocket(url);
+}
+
+// ============================================================================
+// CUSTOM ERRORS
+// ============================================================================
+
+/**
+ * Erreur d'ouverture du flux WebSocket
+ */
+export class StreamConnectionError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'StreamConnectionError';
+  }
+}
@@ -0,0 +1,216 @@
+/**
+ * CALL RECORDER
+ * =============
+ * Enregistrement local (opt-in) de l'appel complet en stéréo :
+ * canal gauche = client, canal droit = commercial.
+ *
+ * L'audio rééchantillonné est accumulé puis écrit dans IndexedDB par
+ * segments ; l'enregistrement s'arrête à la taille maximale reçue au démarrage
+ * (réglage audio.recordingMaxSizeMb, RECORDING_CONFIG.MAX_SIZE_MB).
+ * Une session reprise complète son enregistrement existant.
+ */
+
+import { RECORDING_CONFIG } from '../../utils/constants.js';
+import { Logger } from '../../utils/logger.js';
+import { concatFloat32Arrays, createWavHeader, float32ToInterleavedPCM16 } from '../../utils/helpers.js';
+import { RecordingStore } from '../storage/RecordingStore.js';
+
+// PCM 16-bit stéréo : 4 octets par frame
+const BYTES_PER_FRAME = 4;
+
+export class CallRecorder {
+  /**
+   * @param {Object} options
+   * @param {RecordingStore} options.store - Stockage des enregistrements
+   */
+  constructor({ store = null } = {}) {
+    this.store = store || new RecordingStore();
+    this.maxBytes = 0;
+    this.metadata = null;
+    this.isRecording = false;
+    this._pending = { client: [], commercial: [], frames: 0 };
+    this._segmentFrames = 0;
+    this._writeChain = Promise.resolve();
+  }
+
+  /**
+   * Démarre un enregistrement, ou reprend celui de la session (session reprise) :
+   * les segments suivants sont ajoutés après les segments existants
+   * @param {string} sessionId - ID de la session
+   * @param {number} sampleRate - Fréquence de l'audio enregistré
+   * @param {Object} options
+   * @param {number} options.maxSizeMb - Taille max de l'enregistrement (Mo), session reprise comprise
+   */
+  async start(sessionId, sampleRate, { maxSizeMb = RECORDING_CONFIG.MAX_SIZE_MB } = {}) {
+    this.maxBytes = maxSizeMb * 1024 * 1024;
+    const existing = await this._loadExisting(sessionId);
+
+    if (existing && existing.sampleRate !== sampleRate) {
+      // Un même fichier WAV ne peut pas changer de fréquence : l'enregistrement existant est conservé tel quel
+      Logger.warn('⚠️ Fréquence différente de l\'enregistrement existant, enregistrement non repris', {
+        sessionId,
+        recordedSampleRate: existing.sampleRate,
+        sampleRate
+      });
+      return;
+    }
+
+    this.metadata = existing
+      ? { ...existing, completedAt: null }
+      : {
+        sessionId,
+        sampleRate,
+        channels: 2,
+        bytes: 0,
+        durationSeconds: 0,
+        segmentCount: 0,
+        truncated: false,
+        createdAt: Date.now(),
+        completedAt: null
+      };
+    this._pending = { client: [], commercial: [], frames: 0 };
+    this._segmentFrames = Math.round(sampleRate * RECORDING_CONFIG.SEGMENT_SECONDS);
+    this.isRecording = !this.metadata.truncated;
+
+    Logger.audio(existing ? '⏺️ Enregistrement local repris' : '⏺️ Enregistrement local démarré', {
+      sessionId,
+      segmentCount: this.metadata.segmentCount,
+      maxSizeMb: Math.round(this.maxBytes / 1024 / 1024)
+    });
+  }
+
+  /**
+   * Ajoute un chunk stéréo
+   * @param {Float32Array} client - Canal client
+   * @param {Float32Array} commercial - Canal commercial
+   */
+  append(client, commercial) {
+    if (!this.isRecording) {
+      return;
+    }
+
+    // Tronquer au dernier chunk qui tient dans la taille maximale
+    const committedBytes = this.metadata.bytes + this._pending.frames * BYTES_PER_FRAME;
+    const remainingFrames = Math.floor((this.maxBytes - committedBytes) / BYTES_PER_FRAME);
+    const frames = Math.min(client.length, commercial.length, remainingFrames);
+
+    if (frames > 0) {
+      this._pending.client.push(client.slice(0, frames));
+      this._pending.commercial.push(commercial.slice(0, frames));
+      this._pending.frames += frames;
+    }
+
+    if (frames < client.length) {
+      Logger.warn('⚠️ Taille maximale d\'enregistrement atteinte, arrêt de l\'enregistrement');
+      this.metadata.truncated = true;
+      this.isRecording = false;
+      this._flush();
+      return;
+    }
+
+    if (this._pending.frames >= this._segmentFrames) {
+      this._flush();
+    }
+  }
+
+  /**
+   * Termine l'enregistrement (dernier segment + métadonnées finales)
+   * @returns {Promise<RecordingMetadata|null>} Métadonnées, null si rien n'a été enregistré
+   */
+  async stop() {
+    if (!this.metadata) {
+      return null;
+    }
+
+    this.isRecording = false;
+    this._flush();
+
+    const metadata = this.metadata;
+    this.metadata = null;
+
+    await this._writeChain;
+
+    if (metadata.bytes === 0) {
+      return null;
+    }
+
+    metadata.completedAt = Date.now();
+
+    try {
+      await this.store.saveMetadata(metadata);
+    } catch (error) {
+      Logger.error('❌ Impossible de finaliser l\'enregistrement', error);
+    }
+
+    Logger.audio('⏹️ Enregistrement local terminé', {
+      sessionId: metadata.sessionId,
+      durationSeconds: metadata.durationSeconds.toFixed(1),
+      bytes: metadata.bytes,
+      truncated: metadata.truncated
+    });
+
+    return metadata;
+  }
+
+  /**
+   * Construit le fichier WAV d'un enregistrement
+   * @param {string} sessionId - ID de la session
+   * @returns {Promise<Blob|null>}
+   */
+  async exportWav(sessionId) {
+    const metadata = await this.store.getMetadata(sessionId);
+    if (!metadata) {
+      return null;
+    }
+
+    const segments = await this.store.getSegments(sessionId);
+    const dataBytes = segments.reduce((acc, segment) => acc + segment.byteLength, 0);
+    const header = createWavHeader(dataBytes, metadata.sampleRate, metadata.channels);
+
+    return new Blob([header, ...segments], { type: 'audio/wav' });
+  }
+
+  /**
+   * Enregistrement déjà commencé pour la session (avant une interruption)
+   * @private
+   * @returns {Promise<RecordingMetadata|null>}
+   */
+  async _loadExisting(sessionId) {
+    try {
+      return await this.store.getMetadata(sessionId);
+    } catch (error) {
+      Logger.warn('⚠️ Enregistrement existant illisible, nouvel enregistrement', error);
+      return null;
+    }
+  }
+
+  /**
+   * Écrit les frames accumulées en un segment (écritures sérialisées)
+   * @private
+   */
+  _flush() {
+    if (this._pending.frames === 0) {
+      return;
+    }
+
+    const client = concatFloat32Arrays(this._pending.client, this._pending.frames);
+    const commercial = concatFloat32Arrays(this._pending.commercial, this._pending.frames);
+    const pcm = float32ToInterleavedPCM16(client, commercial);
+
+    const index = this.metadata.segmentCount;
+    this.metadata.segmentCount++;
+    this.metadata.bytes += pcm.byteLength;
+    this.metadata.durationSeconds += this._pending.frames / this.metadata.sampleRate;
+    this._pending = { client: [], commercial: [], frames: 0 };
+
+    const snapshot = { ...this.metadata };
+
+    this._writeChain = this._writeChain
+      .then(() => this.store.appendSegment(snapshot, index, pcm))
+      .catch((error) => {
+        // Quota dépassé ou base indisponible : on arrête d'enregistrer, l'appel continue
+        Logger.error('❌ Écriture de l\'enregistrement impossible, enregistrement arrêté', error);
+        this.isRecording = false;
+      });
+  }
+}
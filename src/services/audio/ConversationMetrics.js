@@ -0,0 +1,215 @@
+/**
+ * CONVERSATION METRICS
+ * ====================
+ * Indicateurs de dynamique d'appel calculés côté client à partir de
+ * l'activité vocale des deux canaux :
+ * - temps de parole et ratio commercial / client
+ * - plus long monologue
+ * - interruptions (prise de parole pendant que l'autre parle)
+ * - latence moyenne de réponse entre interlocuteurs
+ *
+ * Le temps de référence est la durée d'audio analysée (pas l'horloge murale).
+ */
+
+import { AUDIO_CONFIG, SPEAKERS } from '../../utils/constants.js';
+import { Logger } from '../../utils/logger.js';
+
+const CONFIG = AUDIO_CONFIG.CONVERSATION_METRICS;
+
+/**
+ * @typedef {Object} ConversationMetricsSnapshot
+ * @property {number} elapsedSeconds - Durée d'audio analysée
+ * @property {Object} talkSeconds - Temps de parole par interlocuteur
+ * @property {number} talkRatio - Part du commercial dans le temps de parole total (0..1)
+ * @property {Object} longestMonologue - { speaker, durationSeconds }
+ * @property {number} interruptions - Nombre d'interruptions
+ * @property {Object} interruptionsBy - Interruptions par interlocuteur (celui qui coupe)
+ * @property {number} overlapSeconds - Temps de parole simultanée
+ * @property {number|null} averageResponseLatency - Latence moyenne de réponse (s)
+ * @property {Object} responseLatencyBy - Latence moyenne par interlocuteur qui répond (s)
+ */
+
+export class ConversationMetrics {
+  constructor() {
+    this.reset();
+  }
+
+  /**
+   * Intègre l'activité vocale d'un buffer
+   * @param {Object} activity - { client: boolean, commercial: boolean } (parole détectée)
+   * @param {number} bufferDuration - Durée du buffer en secondes
+   */
+  update(activity, bufferDuration) {
+    const now = this.elapsedSeconds + bufferDuration;
+    // État au buffer précédent : les deux interlocuteurs sont évalués sur la même base
+    const wasSpeaking = {
+      [SPEAKERS.CLIENT]: this.speakers[SPEAKERS.CLIENT].isSpeaking,
+      [SPEAKERS.COMMERCIAL]: this.speakers[SPEAKERS.COMMERCIAL].isSpeaking
+    };
+
+    for (const speaker of Object.values(SPEAKERS)) {
+      const isSpeaking = !!activity[speaker];
+      const state = this.speakers[speaker];
+
+      if (isSpeaking) {
+        this.talkSeconds[speaker] += bufferDuration;
+
+        if (!wasSpeaking[speaker]) {
+          this._onSpeechStart(speaker, wasSpeaking, this.elapsedSeconds);
+        }
+        state.lastSpeechAt = now;
+      }
+
+      state.isSpeaking = isSpeaking;
+    }
+
+    // Parole simultanée : une interruption par épisode, au-delà d'une durée minimale
+    if (activity[SPEAKERS.CLIENT] && activity[SPEAKERS.COMMERCIAL]) {
+      this.overlapSeconds += bufferDuration;
+      this._currentOverlap += bufferDuration;
+
+      if (!this._overlapCounted && this._currentOverlap >= CONFIG.MIN_INTERRUPTION_SECONDS && this._overlapInterrupter) {
+        this.interruptions++;
+        this.interruptionsBy[this._overlapInterrupter]++;
+        this._overlapCounted = true;
+
+        Logger.debug(`[METRICS] ✋ Interruption par ${this._overlapInterrupter}`);
+      }
+    } else {
+      this._currentOverlap = 0;
+      this._overlapCounted = false;
+      this._overlapInterrupter = null;
+    }
+
+    this._updateMonologue(activity, now);
+    this.elapsedSeconds = now;
+  }
+
+  /**
+   * Instantané des indicateurs
+   * @returns {ConversationMetricsSnapshot}
+   */
+  getSnapshot() {
+    const totalTalk = this.talkSeconds[SPEAKERS.CLIENT] + this.talkSeconds[SPEAKERS.COMMERCIAL];
+    const allLatencies = [
+      ...this.latencies[SPEAKERS.CLIENT],
+      ...this.latencies[SPEAKERS.COMMERCIAL]
+    ];
+
+    return {
+      elapsedSeconds: this.elapsedSeconds,
+      talkSeconds: { ...this.talkSeconds },
+      talkRatio: totalTalk > 0 ? this.talkSeconds[SPEAKERS.COMMERCIAL] / totalTalk : 0,
+      longestMonologue: { ...this.longestMonologue },
+      interruptions: this.interruptions,
+      interruptionsBy: { ...this.interruptionsBy },
+      overlapSeconds: this.overlapSeconds,
+      averageResponseLatency: this._average(allLatencies),
+      responseLatencyBy: {
+        [SPEAKERS.CLIENT]: this._average(this.latencies[SPEAKERS.CLIENT]),
+        [SPEAKERS.COMMERCIAL]: this._average(this.latencies[SPEAKERS.COMMERCIAL])
+      }
+    };
+  }
+
+  /**
+   * Réinitialise tous les indicateurs (nouvelle session)
+   */
+  reset() {
+    this.elapsedSeconds = 0;
+    this.talkSeconds = { [SPEAKERS.CLIENT]: 0, [SPEAKERS.COMMERCIAL]: 0 };
+    this.speakers = {
+      [SPEAKERS.CLIENT]: { isSpeaking: false, lastSpeechAt: null },
+      [SPEAKERS.COMMERCIAL]: { isSpeaking: false, lastSpeechAt: null }
+    };
+
+    this.interruptions = 0;
+    this.interruptionsBy = { [SPEAKERS.CLIENT]: 0, [SPEAKERS.COMMERCIAL]: 0 };
+    this.overlapSeconds = 0;
+    this._currentOverlap = 0;
+    this._overlapCounted = false;
+    this._overlapInterrupter = null;
+
+    this.latencies = { [SPEAKERS.CLIENT]: [], [SPEAKERS.COMMERCIAL]: [] };
+    this._lastResponder = null;
+
+    this.longestMonologue = { speaker: null, durationSeconds: 0 };
+    this._monologue = null;
+  }
+
+  /**
+   * Début de parole : interruption potentielle ou réponse à l'autre interlocuteur
+   * @private
+   */
+  _onSpeechStart(speaker, wasSpeaking, startedAt) {
+    const other = this._otherSpeaker(speaker);
+    const otherState = this.speakers[other];
+
+    if (wasSpeaking[other]) {
+      // Prise de parole pendant que l'autre parle
+      this._overlapInterrupter = speaker;
+      this._lastResponder = speaker;
+      return;
+    }
+
+    // Réponse : latence entre la fin de parole de l'autre et ce début
+    if (otherState.lastSpeechAt !== null && this._lastResponder !== speaker) {
+      const latency = startedAt - otherState.lastSpeechAt;
+
+      if (latency >= 0 && latency <= CONFIG.MAX_RESPONSE_GAP_SECONDS) {
+        this.latencies[speaker].push(latency);
+      }
+    }
+
+    this._lastResponder = speaker;
+  }
+
+  /**
+   * Suit le monologue en cours (pauses courtes tolérées tant que l'autre se tait)
+   * @private
+   */
+  _updateMonologue(activity, now) {
+    const client = !!activity[SPEAKERS.CLIENT];
+    const commercial = !!activity[SPEAKERS.COMMERCIAL];
+    const soleSpeaker = client !== commercial
+      ? (client ? SPEAKERS.CLIENT : SPEAKERS.COMMERCIAL)
+      : null;
+
+    if (this._monologue) {
+      const other = this._otherSpeaker(this._monologue.speaker);
+      const pause = now - this.speakers[this._monologue.speaker].lastSpeechAt;
+
+      // L'autre prend la parole, ou la pause est trop longue : fin du monologue
+      if (activity[other] || pause > CONFIG.MONOLOGUE_PAUSE_TOLERANCE_SECONDS) {
+        this._monologue = null;
+      }
+    }
+
+    if (!this._monologue && soleSpeaker) {
+      this._monologue = { speaker: soleSpeaker, startedAt: this.elapsedSeconds };
+    }
+
+    if (this._monologue) {
+      const duration = this.speakers[this._monologue.speaker].lastSpeechAt - this._monologue.startedAt;
+
+      if (duration > this.longestMonologue.durationSeconds) {
+        this.longestMonologue = { speaker: this._monologue.speaker, durationSeconds: duration };
+      }
+    }
+  }
+
+  /**
+   * @private
+   */
+  _otherSpeaker(speaker) {
+    return speaker === SPEAKERS.CLIENT ? SPEAKERS.COMMERCIAL : SPEAKERS.CLIENT;
+  }
+
+  /**
+   * @private
+   */
+  _average(values) {
+    if (values.length === 0) return null;
+    return values.reduce((acc, value) => acc + value, 0) / values.length;
+  }
+}
@@ -0,0 +1,148 @@
+/**
+ * RESAMPLER
+ * =========
+ * Rééchantillonnage en flux (ex: 48 kHz → 16 kHz) par interpolation
+ * sinc fenêtrée (Blackman). Le noyau sert aussi de filtre anti-repliement :
+ * sa fréquence de coupure est placée sous la Nyquist de la fréquence cible.
+ *
+ * Une instance par canal : l'état (historique + phase) est conservé entre
+ * deux appels à process() pour éviter les discontinuités entre chunks.
+ */
+
+import { Logger } from '../../utils/logger.js';
+
+export class Resampler {
+  /**
+   * @param {number} inputRate - Fréquence d'entrée (Hz)
+   * @param {number} outputRate - Fréquence de sortie (Hz)
+   * @param {Object} options
+   * @param {number} options.halfTaps - Nombre de lobes du sinc de chaque côté (qualité)
+   * @param {number} options.tableResolution - Points de table par échantillon d'entrée
+   */
+  constructor(inputRate, outputRate, { halfTaps = 16, tableResolution = 256 } = {}) {
+    if (!inputRate || !outputRate) {
+      throw new Error('Resampler: inputRate et outputRate sont requis');
+    }
+
+    this.inputRate = inputRate;
+    this.outputRate = outputRate;
+    this.isPassthrough = inputRate === outputRate;
+
+    // Pas d'avancement dans l'entrée pour chaque échantillon de sortie
+    this.ratio = inputRate / outputRate;
+
+    // Coupure normalisée (1 = Nyquist d'entrée), 10% de marge pour la bande de transition
+    this.cutoff = Math.min(1, outputRate / inputRate) * 0.9;
+
+    // Demi-largeur du noyau, en échantillons d'entrée
+    this.halfWidth = Math.ceil(halfTaps / this.cutoff);
+
+    this.tableResolution = tableResolution;
+    this.kernelTable = this._buildKernelTable();
+
+    this.reset();
+
+    Logger.debug('✓ Resampler initialisé', {
+      inputRate,
+      outputRate,
+      taps: this.halfWidth * 2,
+      passthrough: this.isPassthrough
+    });
+  }
+
+  /**
+   * Rééchantillonne un chunk
+   * @param {Float32Array} input - Échantillons à la fréquence d'entrée
+   * @returns {Float32Array} Échantillons à la fréquence de sortie
+   */
+  process(input) {
+    if (this.isPassthrough || !input || input.length === 0) {
+      return input;
+    }
+
+    // Historique (contexte gauche du filtre) + nouvel échantillon
+    const work = new Float32Array(this.history.length + input.length);
+    work.set(this.history, 0);
+    work.set(input, this.history.length);
+
+    const maxOutput = Math.ceil((work.length - this.position) / this.ratio) + 1;
+    const output = new Float32Array(Math.max(0, maxOutput));
+
+    let count = 0;
+    let position = this.position;
+
+    // Produire tant que le contexte droit du filtre est disponible
+    while (Math.floor(position) + this.halfWidth < work.length) {
+      const center = Math.floor(position);
+      const start = center - this.halfWidth + 1;
+      const end = center + this.halfWidth;
+
+      let sum = 0;
+      for (let k = start; k <= end; k++) {
+        sum += work[k] * this._kernelAt(k - position);
+      }
+
+      output[count++] = sum;
+      position += this.ratio;
+    }
+
+    // Conserver la queue nécessaire au prochain appel
+    const keepFrom = Math.floor(position) - this.halfWidth + 1;
+    this.history = work.slice(keepFrom);
+    this.position = position - keepFrom;
+
+    return output.subarray(0, count);
+  }
+
+  /**
+   * Réinitialise l'état du filtre (nouvelle session)
+   */
+  reset() {
+    // Silence initial : le premier échantillon de sortie est aligné sur le premier d'entrée
+    this.history = new Float32Array(this.halfWidth - 1);
+    this.position = this.halfWidth - 1;
+  }
+
+  /**
+   * Précalcule le noyau h(x) = fc·sinc(fc·x)·blackman(x / halfWidth) pour x ≥ 0
+   * @private
+   */
+  _buildKernelTable() {
+    const size = this.halfWidth * this.tableResolution + 2;
+    const table = new Float32Array(size);
+
+    for (let i = 0; i < size; i++) {
+      const x = i / this.tableResolution;
+
+      if (x >= this.halfWidth) {
+        table[i] = 0;
+        continue;
+      }
+
+      const t = this.cutoff * x;
+      const sinc = t === 0 ? 1 : Math.sin(Math.PI * t) / (Math.PI * t);
+      const u = x / this.halfWidth;
+      const window = 0.42 + 0.5 * Math.cos(Math.PI * u) + 0.08 * Math.cos(2 * Math.PI * u);
+
+      table[i] = this.cutoff * sinc * window;
+    }
+
+    return table;
+  }
+
+  /**
+   * Lit le noyau avec interpolation linéaire
+   * @private
+   */
+  _kernelAt(x) {
+    const scaled = Math.abs(x) * this.tableResolution;
+    const index = Math.floor(scaled);
+
+    if (index >= this.kernelTable.length - 1) {
+      return 0;
+    }
+
+    const frac = scaled - index;
+    return this.kernelTable[index] + (this.kernelTable[index + 1] - this.kernelTable[index]) * frac;
+  }
+}
@@ -0,0 +1,206 @@
+/**
+ * SPECTRAL FEATURES
+ * =================
+ * Descripteurs spectraux d'un buffer audio pour distinguer la voix des
+ * bruits énergétiques (clavier, ventilation, musique) :
+ * - taux de passage par zéro (ZCR)
+ * - part d'énergie dans la bande vocale
+ * - platitude spectrale (bruit blanc ≈ 1, son tonal ≈ 0)
+ *
+ * Fonctions pures, sans dépendance au navigateur : testables avec des
+ * Float32Array synthétiques.
+ */
+
+/**
+ * @typedef {Object} SpectralFeatureSet
+ * @property {number} zeroCrossingRate - Passages par zéro par échantillon (0..1)
+ * @property {number} speechBandRatio - Énergie dans la bande vocale / énergie totale (0..1)
+ * @property {number} spectralFlatness - Moyenne géométrique / arithmétique du spectre (0..1)
+ */
+
+/**
+ * Calcule les descripteurs spectraux d'un buffer
+ * @param {Float32Array} samples - Échantillons audio
+ * @param {number} sampleRate - Fréquence d'échantillonnage (Hz)
+ * @param {Object} options
+ * @param {number} options.fftSize - Taille de trame FFT (puissance de 2)
+ * @param {number[]} options.speechBand - Bande vocale [min, max] en Hz
+ * @returns {SpectralFeatureSet}
+ */
+export function computeSpectralFeatures(samples, sampleRate, { fftSize = 512, speechBand = [300, 3400] } = {}) {
+  const spectrum = averagePowerSpectrum(samples, fftSize);
+
+  return {
+    zeroCrossingRate: zeroCrossingRate(samples),
+    speechBandRatio: bandEnergyRatio(spectrum, sampleRate, fftSize, speechBand),
+    spectralFlatness: spectralFlatness(spectrum)
+  };
+}
+
+/**
+ * Taux de passage par zéro
+ * @param {Float32Array} samples - Échantillons audio
+ * @returns {number} Passages par zéro par échantillon
+ */
+export function zeroCrossingRate(samples) {
+  if (!samples || samples.length < 2) return 0;
+
+  let crossings = 0;
+  for (let i = 1; i < samples.length; i++) {
+    if ((samples[i] >= 0) !== (samples[i - 1] >= 0)) {
+      crossings++;
+    }
+  }
+
+  return crossings / (samples.length - 1);
+}
+
+/**
+ * Spectre de puissance moyen (trames fenêtrées Hann, sans recouvrement)
+ * Un buffer plus court qu'une trame est complété par des zéros
+ * @param {Float32Array} samples - Échantillons audio
+ * @param {number} fftSize - Taille de trame (puissance de 2)
+ * @returns {Float32Array} Puissance des bins 0..fftSize/2
+ */
+export function averagePowerSpectrum(samples, fftSize) {
+  const bins = fftSize / 2 + 1;
+  const spectrum = new Float32Array(bins);
+  const window = hannWindow(fftSize);
+  const real = new Float32Array(fftSize);
+  const imag = new Float32Array(fftSize);
+
+  const frameCount = Math.max(1, Math.floor(samples.length / fftSize));
+
+  for (let frame = 0; frame < frameCount; frame++) {
+    const offset = frame * fftSize;
+
+    for (let i = 0; i < fftSize; i++) {
+      const sample = offset + i < samples.length ? samples[offset + i] : 0;
+      real[i] = sample * window[i];
+      imag[i] = 0;
+    }
+
+    fft(real, imag);
+
+    for (let k = 0; k < bins; k++) {
+      spectrum[k] += (real[k] * real[k] + imag[k] * imag[k]) / frameCount;
+    }
+  }
+
+  return spectrum;
+}
+
+/**
+ * Part de l'énergie contenue dans une bande de fréquences
+ * @param {Float32Array} spectrum - Spectre de puissance
+ * @param {number} sampleRate - Fréquence d'échantillonnage (Hz)
+ * @param {number} fftSize - Taille de trame utilisée pour le spectre
+ * @param {number[]} band - [min, max] en Hz
+ * @returns {number}
+ */
+export function bandEnergyRatio(spectrum, sampleRate, fftSize, [minHz, maxHz]) {
+  const binHz = sampleRate / fftSize;
+  let total = 0;
+  let inBand = 0;
+
+  // Le bin DC est ignoré (offset du micro)
+  for (let k = 1; k < spectrum.length; k++) {
+    const frequency = k * binHz;
+    total += spectrum[k];
+    if (frequency >= minHz && frequency <= maxHz) {
+      inBand += spectrum[k];
+    }
+  }
+
+  return total > 0 ? inBand / total : 0;
+}
+
+/**
+ * Platitude spectrale (Wiener entropy)
+ * @param {Float32Array} spectrum - Spectre de puissance
+ * @returns {number} 1 pour un bruit blanc, proche de 0 pour un son tonal
+ */
+export function spectralFlatness(spectrum) {
+  // Epsilon pour éviter log(0) sur les bins vides
+  const epsilon = 1e-12;
+  let logSum = 0;
+  let sum = 0;
+  let count = 0;
+
+  for (let k = 1; k < spectrum.length; k++) {
+    logSum += Math.log(spectrum[k] + epsilon);
+    sum += spectrum[k] + epsilon;
+    count++;
+  }
+
+  if (count === 0 || sum <= count * epsilon) return 0;
+
+  return Math.exp(logSum / count) / (sum / count);
+}
+
+/**
+ * FFT radix-2 en place
+ * @param {Float32Array} real - Partie réelle (modifiée)
+ * @param {Float32Array} imag - Partie imaginaire (modifiée)
+ */
+export function fft(real, imag) {
+  const n = real.length;
+
+  if ((n & (n - 1)) !== 0) {
+    throw new Error(`fft: la taille doit être une puissance de 2 (reçu ${n})`);
+  }
+
+  // Permutation bit-reverse
+  for (let i = 1, j = 0; i < n; i++) {
+    let bit = n >> 1;
+    for (; j & bit; bit >>= 1) {
+      j ^= bit;
+    }
+    j ^= bit;
+
+    if (i < j) {
+      [real[i], real[j]] = [real[j], real[i]];
+      [imag[i], imag[j]] = [imag[j], imag[i]];
+    }
+  }
+
+  // Papillons
+  for (let size = 2; size <= n; size <<= 1) {
+    const half = size >> 1;
+    const angle = -2 * Math.PI / size;
+
+    for (let start = 0; start < n; start += size) {
+      for (let k = 0; k < half; k++) {
+        const cos = Math.cos(angle * k);
+        const sin = Math.sin(angle * k);
+        const even = start + k;
+        const odd = even + half;
+
+        const tr = real[odd] * cos - imag[odd] * sin;
+        const ti = real[odd] * sin + imag[odd] * cos;
+
+        real[odd] = real[even] - tr;
+        imag[odd] = imag[even] - ti;
+        real[even] += tr;
+        imag[even] += ti;
+      }
+    }
+  }
+}
+
+/**
+ * Fenêtre de Hann (mise en cache par taille)
+ * @private
+ */
+const windowCache = new Map();
+
+function hannWindow(size) {
+  if (!windowCache.has(size)) {
+    const window = new Float32Array(size);
+    for (let i = 0; i < size; i++) {
+      window[i] = 0.5 - 0.5 * Math.cos(2 * Math.PI * i / (size - 1));
+    }
+    windowCache.set(size, window);
+  }
+  return windowCache.get(size);
+}
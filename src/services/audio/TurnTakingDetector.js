@@ -0,0 +1,172 @@
+/**
+ * TURN TAKING DETECTOR
+ * ====================
+ * Combine un VoiceActivityDetector par interlocuteur (client / commercial)
+ * et décide de l'envoi dès que l'un des deux termine son tour de parole.
+ * Émet aussi les tours de parole terminés (qui a parlé, combien de temps).
+ */
+
+import { SPEAKERS } from '../../utils/constants.js';
+import { Logger } from '../../utils/logger.js';
+import { VoiceActivityDetector } from './VoiceActivityDetector.js';
+
+/**
+ * @typedef {Object} TurnEvent
+ * @property {string} speaker - SPEAKERS.CLIENT ou SPEAKERS.COMMERCIAL
+ * @property {number} durationSeconds - Durée de parole du tour
+ * @property {number} endedAtSeconds - Fin du tour (secondes d'audio analysées depuis le démarrage)
+ * @property {boolean} isTurnChange - true si l'interlocuteur diffère du tour précédent
+ */
+
+export class TurnTakingDetector {
+  constructor(sampleRate) {
+    this.sampleRate = sampleRate;
+    this.detectors = {
+      [SPEAKERS.CLIENT]: new VoiceActivityDetector(sampleRate),
+      [SPEAKERS.COMMERCIAL]: new VoiceActivityDetector(sampleRate)
+    };
+
+    this.lastTurnSpeaker = null;
+    this.elapsedSeconds = 0;
+    this.turnCounts = {
+      [SPEAKERS.CLIENT]: 0,
+      [SPEAKERS.COMMERCIAL]: 0
+    };
+
+    Logger.debug('✓ TurnTakingDetector initialisé');
+  }
+
+  /**
+   * Analyse les deux canaux et décide de l'envoi
+   * @param {Float32Array} clientData - Canal client
+   * @param {Float32Array} commercialData - Canal commercial
+   * @param {number} bufferDuration - Durée du buffer en secondes
+   * @returns {Object} { shouldSend, reason, speaker, description, turns: TurnEvent[], stats }
+   */
+  analyze(clientData, commercialData, bufferDuration) {
+    this.elapsedSeconds += bufferDuration;
+
+    const decisions = {
+      [SPEAKERS.CLIENT]: this.detectors[SPEAKERS.CLIENT].analyze(clientData, bufferDuration),
+      [SPEAKERS.COMMERCIAL]: this.detectors[SPEAKERS.COMMERCIAL].analyze(commercialData, bufferDuration)
+    };
+
+    // Tours de parole terminés sur ce buffer
+    const turns = [];
+    for (const speaker of Object.values(SPEAKERS)) {
+      if (decisions[speaker].reason === 'end_of_speech') {
+        turns.push(this._closeTurn(speaker, decisions[speaker].stats.speechDuration));
+      }
+    }
+
+    // Priorité à une vraie fin de tour, puis à la parole trop longue, puis aux
+    // timeouts sans parole (commercial d'abord) : l'envoi est attribué à qui parle
+    const trigger =
+      [SPEAKERS.COMMERCIAL, SPEAKERS.CLIENT].find(s => decisions[s].reason === 'end_of_speech') ||
+      [SPEAKERS.COMMERCIAL, SPEAKERS.CLIENT].find(s => decisions[s].reason === 'max_time_reached') ||
+      [SPEAKERS.COMMERCIAL, SPEAKERS.CLIENT].find(s => decisions[s].shouldSend);
+
+    if (trigger) {
+      // Le buffer est envoyé : l'autre détecteur repart d'une accumulation vide
+      for (const speaker of Object.values(SPEAKERS)) {
+        if (speaker !== trigger && !decisions[speaker].shouldSend) {
+          this.detectors[speaker].resetAccumulation();
+        }
+      }
+    }
+
+    const decision = trigger ? decisions[trigger] : decisions[SPEAKERS.COMMERCIAL];
+
+    return {
+      shouldSend: !!trigger,
+      reason: decision.reason,
+      speaker: trigger || null,
+      description: trigger ? `${trigger}: ${decision.description}` : decision.description,
+      turns,
+      stats: {
+        [SPEAKERS.CLIENT]: decisions[SPEAKERS.CLIENT].stats,
+        [SPEAKERS.COMMERCIAL]: decisions[SPEAKERS.COMMERCIAL].stats
+      }
+    };
+  }
+
+  /**
+   * Construit l'événement de fin de tour
+   * @private
+   * @returns {TurnEvent}
+   */
+  _closeTurn(speaker, durationSeconds) {
+    const event = {
+      speaker,
+      durationSeconds,
+      endedAtSeconds: this.elapsedSeconds,
+      isTurnChange: this.lastTurnSpeaker !== null && this.lastTurnSpeaker !== speaker
+    };
+
+    this.lastTurnSpeaker = speaker;
+    this.turnCounts[speaker]++;
+
+    Logger.debug(`[TURN] 🔁 Fin de tour ${speaker}`, {
+      duration: durationSeconds.toFixed(2) + 's',
+      turnChange: event.isTurnChange
+    });
+
+    return event;
+  }
+
+  /**
+   * Restaure la calibration du bruit de fond d'un interlocuteur
+   * @param {string} speaker - SPEAKERS.CLIENT ou SPEAKERS.COMMERCIAL
+   * @param {Object} calibration - { noiseFloor }
+   */
+  applyCalibration(speaker, calibration) {
+    this.detectors[speaker].applyCalibration(calibration);
+  }
+
+  /**
+   * Récupère la calibration courante d'un interlocuteur
+   * @param {string} speaker - SPEAKERS.CLIENT ou SPEAKERS.COMMERCIAL
+   * @returns {Object|null}
+   */
+  getCalibration(speaker) {
+    return this.detectors[speaker].getCalibration();
+  }
+
+  /**
+   * Écoute la fin de calibration d'un interlocuteur
+   * @param {string} speaker - SPEAKERS.CLIENT ou SPEAKERS.COMMERCIAL
+   * @param {Function} callback - (calibration) => void
+   */
+  onCalibrated(speaker, callback) {
+    this.detectors[speaker].onCalibrated = callback;
+  }
+
+  /**
+   * Ajuste les seuils des deux détecteurs
+   * @param {Object} thresholds - Nouveaux seuils
+   */
+  setThresholds(thresholds) {
+    Object.values(this.detectors).forEach(detector => detector.setThresholds(thresholds));
+  }
+
+  /**
+   * Oublie la parole en cours (pause de l'écoute) sans toucher
+   * aux compteurs de tours ni à la calibration
+   */
+  resetSpeechState() {
+    Object.values(this.detectors).forEach(detector => detector.hardReset());
+  }
+
+  /**
+   * Réinitialisation complète (changement de session)
+   */
+  hardReset() {
+    Object.values(this.detectors).forEach(detector => detector.hardReset());
+    this.lastTurnSpeaker = null;
+    this.elapsedSeconds = 0;
+    this.turnCounts = {
+      [SPEAKERS.CLIENT]: 0,
+      [SPEAKERS.COMMERCIAL]: 0
+    };
+  }
+}
@@ -2,13 +2,36 @@
  * VOICE ACTIVITY DETECTOR (VAD)
  * ==============================
  * Détecte l'activité vocale et les pauses pour envoyer l'audio au bon moment
+ *
+ * Les seuils RMS sont adaptatifs : une phase de calibration mesure le bruit
+ * de fond au démarrage, puis le plancher est suivi en continu pendant les
+ * silences. setThresholds() reste disponible comme surcharge manuelle.
+ *
+ * En mode spectral (AUDIO_CONFIG.VAD_MODE), un buffer n'est considéré comme
+ * de la parole que si son énergie ET ses descripteurs spectraux concordent.
+ *
+ * Les durées sont mesurées en temps audio (somme des buffers analysés) et non
+ * en temps réel : le tour de parole (speechDuration) est suivi indépendamment
+ * de l'accumulation envoyée (totalAccumulatedTime), qu'un envoi sur timeout
+ * remet à zéro sans interrompre le tour.
  */
 
+import { AUDIO_CONFIG, VAD_MODES } from '../../utils/constants.js';
 import { Logger } from '../../utils/logger.js';
+import { computeSpectralFeatures } from './SpectralFeatures.js';
+
+const CALIBRATION = AUDIO_CONFIG.VAD_CALIBRATION;
+const SPECTRAL = AUDIO_CONFIG.VAD_SPECTRAL;
 
 export class VoiceActivityDetector {
-  constructor(sampleRate = 44100) {
+  /**
+   * @param {number} sampleRate - Fréquence des buffers analysés
+   * @param {Object} options
+   * @param {string} options.mode - VAD_MODES.ENERGY ou VAD_MODES.SPECTRAL
+   */
+  constructor(sampleRate = 44100, { mode = AUDIO_CONFIG.VAD_MODE || VAD_MODES.ENERGY } = {}) {
     this.sampleRate = sampleRate;
+    this.mode = mode;
 
     // Seuils de détection
     this.SILENCE_THRESHOLD = 0.005;  // ✅ CORRIGÉ: Moins sensible (0.01→0.005) pour ignorer pauses naturelles
@@ -22,7 +45,8 @@ export class VoiceActivityDetector {
     this.MAX_WAIT_TIME = 6.0;            // ✅ CRITIQUE: 6s max (réduit de 8s pour éviter débordement à 10s)
     this.SHORT_PHRASE_EXTENSION = 1.5;   // ✅ RÉDUIT: +1.5s d'attente (réduit de 2.0s)
 
-    // État
+    // État (instants exprimés sur l'horloge audio, en secondes)
+    this.audioTime = 0;
     this.isSpeaking = false;
     this.speechStartTime = null;
     this.lastSpeechTime = null;
@@ -34,7 +58,16 @@ export class VoiceActivityDetector {
     this.energyHistory = [];
     this.historySize = 5;  // Moyenner sur 5 mesures
 
+    // Calibration du bruit de fond (conservée entre deux sessions de VAD)
+    this.adaptiveThresholds = true;  // false dès qu'un seuil est fixé manuellement
+    this.noiseFloor = null;
+    this.isCalibrating = true;
+    this.calibrationElapsed = 0;
+    this.calibrationLevels = [];
+    this.onCalibrated = null;
+
     Logger.debug('✓ VoiceActivityDetector initialisé', {
+      mode: this.mode,
       silenceThreshold: this.SILENCE_THRESHOLD,
       minSpeechDuration: this.MIN_SPEECH_DURATION,
       silenceBeforeSend: this.SILENCE_BEFORE_SEND
@@ -44,10 +77,10 @@ export class VoiceActivityDetector {
   /**
    * Analyse un buffer audio et retourne si on doit envoyer
    * @param {Float32Array} audioData - Données audio à analyser
-   * @param {number} bufferDuration - Durée du buffer en secondes
+   * @param {number} bufferDuration - Durée du buffer en secondes (déduite de sampleRate si absente)
    * @returns {Object} { shouldSend: boolean, reason: string, stats: Object }
    */
-  analyze(audioData, bufferDuration) {
+  analyze(audioData, bufferDuration = audioData.length / this.sampleRate) {
     // Calculer l'énergie RMS du buffer
     const rms = this._calculateRMS(audioData);
 
@@ -59,11 +92,25 @@ export class VoiceActivityDetector {
 
     const smoothedRMS = this._getSmoothedRMS();
 
+    // Mode spectral : l'énergie seule ne suffit pas à qualifier la parole
+    const features = this.mode === VAD_MODES.SPECTRAL
+      ? computeSpectralFeatures(audioData, this.sampleRate, {
+        fftSize: SPECTRAL.FFT_SIZE,
+        speechBand: SPECTRAL.SPEECH_BAND
+      })
+      : null;
+
     // Détecter si c'est de la parole ou du silence
-    const isSpeechNow = smoothedRMS > this.SPEECH_THRESHOLD;
-    const isSilenceNow = smoothedRMS < this.SILENCE_THRESHOLD;
+    const isLoudNow = smoothedRMS > this.SPEECH_THRESHOLD;
+    const isSpeechNow = isLoudNow && (!features || this._isSpeechLike(features));
+    // Un bruit énergétique non vocal compte comme du silence (fin de phrase possible)
+    const isSilenceNow = smoothedRMS < this.SILENCE_THRESHOLD || (isLoudNow && !isSpeechNow);
+
+    // Suivre le bruit de fond (calibration, puis suivi pendant les silences)
+    this._updateNoiseFloor(rms, bufferDuration, isSpeechNow);
 
     // Mettre à jour les compteurs
+    this.audioTime += bufferDuration;
     this.totalAccumulatedTime += bufferDuration;
 
     // MACHINE À ÉTATS
@@ -72,18 +119,17 @@ export class VoiceActivityDetector {
       if (!this.isSpeaking) {
         // Début de parole
         this.isSpeaking = true;
-        this.speechStartTime = Date.now();
+        this.speechStartTime = this.audioTime - bufferDuration;
         this.silenceDuration = 0;
         Logger.debug('[VAD] 🎤 Début de parole détecté', { rms: smoothedRMS.toFixed(4) });
       }
 
-      this.lastSpeechTime = Date.now();
-      this.speechDuration = (Date.now() - this.speechStartTime) / 1000;
+      this.lastSpeechTime = this.audioTime;
+      this.speechDuration = this.audioTime - this.speechStartTime;
 
     } else if (isSilenceNow && this.isSpeaking) {
       // SILENCE APRÈS PAROLE
-      const timeSinceLastSpeech = (Date.now() - this.lastSpeechTime) / 1000;
-      this.silenceDuration = timeSinceLastSpeech;
+      this.silenceDuration = this.audioTime - this.lastSpeechTime;
 
       // ✅ AMÉLIORATION: Ne logger que les silences significatifs (> 0.8s)
       // Les micro-pauses (respiration) ne sont pas considérées comme fin de phrase
@@ -99,20 +145,29 @@ export class VoiceActivityDetector {
     // DÉCISION D'ENVOI
     const decision = this._shouldSendAudio();
 
-    // Réinitialiser si on envoie
-    if (decision.shouldSend) {
+    // Capturer les stats AVANT une éventuelle réinitialisation
+    const stats = {
+      rms: smoothedRMS,
+      isSpeechNow,
+      isSpeaking: this.isSpeaking,
+      speechDuration: this.speechDuration,
+      silenceDuration: this.silenceDuration,
+      totalTime: this.totalAccumulatedTime,
+      noiseFloor: this.noiseFloor,
+      features
+    };
+
+    // Réinitialiser si on envoie : seule une fin de phrase clôt le tour,
+    // un timeout n'envoie que l'audio accumulé (la parole peut continuer)
+    if (decision.reason === 'end_of_speech') {
       this._reset();
+    } else if (decision.shouldSend) {
+      this.resetAccumulation();
     }
 
     return {
       ...decision,
-      stats: {
-        rms: smoothedRMS,
-        isSpeaking: this.isSpeaking,
-        speechDuration: this.speechDuration,
-        silenceDuration: this.silenceDuration,
-        totalTime: this.totalAccumulatedTime
-      }
+      stats
     };
   }
 
@@ -206,6 +261,17 @@ export class VoiceActivityDetector {
     };
   }
 
+  /**
+   * Vérifie si les descripteurs spectraux correspondent à de la voix
+   * @private
+   * @param {Object} features - SpectralFeatureSet
+   */
+  _isSpeechLike(features) {
+    return features.speechBandRatio >= SPECTRAL.MIN_SPEECH_BAND_RATIO &&
+      features.spectralFlatness <= SPECTRAL.MAX_SPECTRAL_FLATNESS &&
+      features.zeroCrossingRate <= SPECTRAL.MAX_ZERO_CROSSING_RATE;
+  }
+
   /**
    * Calcule le RMS (Root Mean Square) d'un buffer audio
    * @private
@@ -232,6 +298,119 @@ export class VoiceActivityDetector {
     return sum / this.energyHistory.length;
   }
 
+  /**
+   * Met à jour le bruit de fond
+   * @private
+   * @param {number} rms - RMS brut du buffer
+   * @param {number} bufferDuration - Durée du buffer en secondes
+   * @param {boolean} isSpeechNow - Parole détectée sur ce buffer
+   */
+  _updateNoiseFloor(rms, bufferDuration, isSpeechNow) {
+    if (this.isCalibrating) {
+      this.calibrationLevels.push(rms);
+      this.calibrationElapsed += bufferDuration;
+
+      if (this.calibrationElapsed >= CALIBRATION.DURATION_SECONDS) {
+        this._finishCalibration();
+      }
+      return;
+    }
+
+    // La parole ne doit pas faire monter le plancher
+    if (isSpeechNow || this.noiseFloor === null) {
+      return;
+    }
+
+    // Lissage exponentiel asymétrique, indépendant de la taille des buffers
+    const timeConstant = rms < this.noiseFloor
+      ? CALIBRATION.FLOOR_FALL_SECONDS
+      : CALIBRATION.FLOOR_RISE_SECONDS;
+    const alpha = 1 - Math.exp(-bufferDuration / timeConstant);
+
+    this.noiseFloor += (rms - this.noiseFloor) * alpha;
+    this._applyNoiseFloor();
+  }
+
+  /**
+   * Termine la phase de calibration : bruit de fond = percentile bas des RMS mesurés
+   * @private
+   */
+  _finishCalibration() {
+    const sorted = [...this.calibrationLevels].sort((a, b) => a - b);
+    const index = Math.floor((sorted.length - 1) * CALIBRATION.NOISE_PERCENTILE);
+
+    this.noiseFloor = sorted[index] || 0;
+    this.isCalibrating = false;
+    this.calibrationLevels = [];
+    this._applyNoiseFloor();
+
+    Logger.info('[VAD] 🎚️ Calibration terminée', {
+      noiseFloor: this.noiseFloor.toFixed(4),
+      silenceThreshold: this.SILENCE_THRESHOLD.toFixed(4),
+      speechThreshold: this.SPEECH_THRESHOLD.toFixed(4)
+    });
+
+    if (this.onCalibrated) {
+      this.onCalibrated(this.getCalibration());
+    }
+  }
+
+  /**
+   * Dérive les seuils du bruit de fond (sauf surcharge manuelle)
+   * @private
+   */
+  _applyNoiseFloor() {
+    if (!this.adaptiveThresholds || this.noiseFloor === null) {
+      return;
+    }
+
+    this.SILENCE_THRESHOLD = Math.max(
+      CALIBRATION.MIN_SILENCE_THRESHOLD,
+      this.noiseFloor * CALIBRATION.SILENCE_RATIO
+    );
+    this.SPEECH_THRESHOLD = Math.min(
+      CALIBRATION.MAX_SPEECH_THRESHOLD,
+      Math.max(CALIBRATION.MIN_SPEECH_THRESHOLD, this.noiseFloor * CALIBRATION.SPEECH_RATIO)
+    );
+  }
+
+  /**
+   * Repart d'une calibration mémorisée (même périphérique) : pas de phase de calibration
+   * @param {Object} calibration - { noiseFloor }
+   */
+  applyCalibration(calibration) {
+    if (!calibration || typeof calibration.noiseFloor !== 'number') {
+      return;
+    }
+
+    this.noiseFloor = calibration.noiseFloor;
+    this.isCalibrating = false;
+    this.calibrationLevels = [];
+    this._applyNoiseFloor();
+
+    Logger.debug('[VAD] 🎚️ Calibration restaurée', {
+      noiseFloor: this.noiseFloor.toFixed(4),
+      silenceThreshold: this.SILENCE_THRESHOLD.toFixed(4),
+      speechThreshold: this.SPEECH_THRESHOLD.toFixed(4)
+    });
+  }
+
+  /**
+   * Récupère la calibration courante (à mémoriser)
+   * @returns {Object|null} { noiseFloor, silenceThreshold, speechThreshold } ou null si en cours
+   */
+  getCalibration() {
+    if (this.noiseFloor === null) {
+      return null;
+    }
+
+    return {
+      noiseFloor: this.noiseFloor,
+      silenceThreshold: this.SILENCE_THRESHOLD,
+      speechThreshold: this.SPEECH_THRESHOLD
+    };
+  }
+
   /**
    * Réinitialise l'état après un envoi
    * @private
@@ -248,6 +427,14 @@ export class VoiceActivityDetector {
     this.energyHistory = [];
   }
 
+  /**
+   * Remet à zéro le temps accumulé sans toucher à l'état de parole
+   * (buffer envoyé sur timeout ou suite à la décision d'un autre détecteur)
+   */
+  resetAccumulation() {
+    this.totalAccumulatedTime = 0;
+  }
+
   /**
    * Réinitialisation complète (changement de session)
    */
@@ -258,14 +445,22 @@ export class VoiceActivityDetector {
 
   /**
    * Ajuste les seuils de détection
+   * Fixer silenceThreshold ou speechThreshold désactive les seuils adaptatifs,
+   * { adaptive: true } les réactive
    * @param {Object} thresholds - Nouveaux seuils
    */
   setThresholds(thresholds) {
     if (thresholds.silenceThreshold !== undefined) {
       this.SILENCE_THRESHOLD = thresholds.silenceThreshold;
+      this.adaptiveThresholds = false;
     }
     if (thresholds.speechThreshold !== undefined) {
       this.SPEECH_THRESHOLD = thresholds.speechThreshold;
+      this.adaptiveThresholds = false;
+    }
+    if (thresholds.adaptive !== undefined) {
+      this.adaptiveThresholds = thresholds.adaptive;
+      this._applyNoiseFloor();
     }
     if (thresholds.silenceBeforeSend !== undefined) {
       this.SILENCE_BEFORE_SEND = thresholds.silenceBeforeSend;
@@ -274,7 +469,8 @@ export class VoiceActivityDetector {
     Logger.info('[VAD] ⚙️ Seuils ajustés', {
       silenceThreshold: this.SILENCE_THRESHOLD,
       speechThreshold: this.SPEECH_THRESHOLD,
-      silenceBeforeSend: this.SILENCE_BEFORE_SEND
+      silenceBeforeSend: this.SILENCE_BEFORE_SEND,
+      adaptive: this.adaptiveThresholds
     });
   }
 }
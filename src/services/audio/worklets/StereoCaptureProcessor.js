@@ -0,0 +1,130 @@
+/**
+ * STEREO CAPTURE PROCESSOR (AudioWorklet)
+ * ========================================
+ * Accumule les deux canaux (client / commercial) dans des ring buffers
+ * Float32 préalloués, hors du thread principal, et poste des chunks
+ * prêts à l'envoi vers AudioProcessingService.
+ * Le ring est vidé à chaque quantum dès qu'un chunk est complet : il ne
+ * déborde jamais (postMessage met les chunks en file sans bloquer l'audio).
+ *
+ * ⚠️ Ce fichier est chargé via audioWorklet.addModule() : il s'exécute dans
+ * l'AudioWorkletGlobalScope (pas de DOM, pas de Logger, pas de chrome.*).
+ */
+
+// Frames par appel de process() (taille du quantum de rendu Web Audio)
+const RENDER_QUANTUM_FRAMES = 128;
+
+class StereoCaptureProcessor extends AudioWorkletProcessor {
+  constructor(options) {
+    super();
+
+    const { chunkSize = 4096 } = options?.processorOptions || {};
+
+    // Taille d'un chunk posté (échantillons par canal)
+    this.chunkSize = chunkSize;
+
+    // Ring buffers préalloués : un chunk incomplet + un quantum (128 frames).
+    // Seuls les chunks postés sont alloués (un tous les chunkSize frames), puis transférés
+    this.capacity = chunkSize + RENDER_QUANTUM_FRAMES;
+    this.ring = {
+      client: new Float32Array(this.capacity),
+      commercial: new Float32Array(this.capacity)
+    };
+
+    // État du ring buffer
+    this.writeIndex = 0;
+    this.readIndex = 0;
+    this.available = 0;
+
+    this.isActive = true;
+
+    this.port.onmessage = (event) => this._handleMessage(event.data);
+  }
+
+  /**
+   * Appelé par le moteur audio pour chaque quantum (128 frames)
+   * @param {Float32Array[][]} inputs - inputs[0][0] = client, inputs[0][1] = commercial
+   * @returns {boolean} false pour laisser le node être collecté
+   */
+  process(inputs) {
+    if (!this.isActive) {
+      return false;
+    }
+
+    const input = inputs[0];
+
+    // Aucune source connectée pour ce quantum
+    if (!input || input.length === 0) {
+      return true;
+    }
+
+    const client = input[0];
+    const commercial = input[1];
+    const frames = client.length;
+
+    for (let i = 0; i < frames; i++) {
+      this.ring.client[this.writeIndex] = client[i];
+      this.ring.commercial[this.writeIndex] = commercial ? commercial[i] : 0;
+      this.writeIndex = (this.writeIndex + 1) % this.capacity;
+    }
+
+    this.available += frames;
+
+    while (this.available >= this.chunkSize) {
+      this._postChunk(this.chunkSize);
+    }
+
+    return true;
+  }
+
+  /**
+   * Copie N frames du ring buffer et les transfère au thread principal
+   * @private
+   */
+  _postChunk(frames) {
+    const client = new Float32Array(frames);
+    const commercial = new Float32Array(frames);
+
+    for (let i = 0; i < frames; i++) {
+      client[i] = this.ring.client[this.readIndex];
+      commercial[i] = this.ring.commercial[this.readIndex];
+      this.readIndex = (this.readIndex + 1) % this.capacity;
+    }
+
+    this.available -= frames;
+
+    // Transfert (zero-copy) des buffers vers le thread principal
+    this.port.postMessage({
+      type: 'chunk',
+      client,
+      commercial,
+      frames
+    }, [client.buffer, commercial.buffer]);
+  }
+
+  /**
+   * Traite les messages du service
+   * @private
+   */
+  _handleMessage(message) {
+    if (!message) return;
+
+    switch (message.type) {
+      case 'flush':
+        // Poster les frames restantes (chunk partiel), puis signaler la fin du flush :
+        // les messages du port arrivent dans l'ordre, le chunk partiel précède 'flushed'
+        if (this.available > 0) {
+          this._postChunk(this.available);
+        }
+        this.port.postMessage({ type: 'flushed' });
+        break;
+
+      case 'stop':
+        this.isActive = false;
+        this.available = 0;
+        break;
+    }
+  }
+}
+
+registerProcessor('kitt-stereo-capture', StereoCaptureProcessor);
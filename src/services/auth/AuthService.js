@@ -0,0 +1,182 @@
+/**
+ * AUTH SERVICE
+ * ============
+ * Connexion au serveur configuré (API_CONFIG.BASE_URL) : jeton d'accès
+ * (bearer) et jeton de rafraîchissement, conservés sous STORAGE_KEYS.AUTH_SESSION
+ * pour tous les contextes (document offscreen compris, via ExtensionStorage).
+ * Les jetons ne valent que pour le serveur qui les a délivrés : changer
+ * d'environnement revient à se déconnecter.
+ * Un serveur sans authentification (backend local) fonctionne sans connexion.
+ */
+
+import { API_CONFIG, AUTH_CONFIG, ERROR_MESSAGES, STORAGE_KEYS } from '../../utils/constants.js';
+import { Logger } from '../../utils/logger.js';
+import { ExtensionStorage } from '../storage/ExtensionStorage.js';
+import { ApiClient } from '../api/ApiClient.js';
+
+/**
+ * @typedef {Object} AuthSession
+ * @property {string} baseUrl - Serveur qui a délivré les jetons
+ * @property {string} accessToken - Jeton bearer
+ * @property {string|null} refreshToken - Jeton de rafraîchissement
+ * @property {number} expiresAt - Expiration du jeton d'accès (timestamp)
+ * @property {Object|null} user - Utilisateur connecté { email, name }
+ */
+
+export class AuthService {
+  // Rafraîchissement en cours (partagé par les requêtes simultanées de ce contexte)
+  static refreshPromise = null;
+
+  /**
+   * Session du serveur configuré
+   * @returns {Promise<AuthSession|null>}
+   */
+  static async load() {
+    const result = await ExtensionStorage.get(STORAGE_KEYS.AUTH_SESSION);
+    const session = result[STORAGE_KEYS.AUTH_SESSION];
+
+    return session?.baseUrl === API_CONFIG.BASE_URL ? session : null;
+  }
+
+  /**
+   * Se connecte au serveur configuré
+   * @param {Object} credentials
+   * @param {string} credentials.email
+   * @param {string} credentials.password
+   * @returns {Promise<AuthSession>}
+   * @throws {AuthError}
+   */
+  static async login({ email, password }) {
+    Logger.info('🔑 Connexion au serveur', { baseUrl: API_CONFIG.BASE_URL, email });
+
+    let data;
+    try {
+      data = await ApiClient.login({ email, password });
+    } catch (error) {
+      throw new AuthError(error.status === 401 ? ERROR_MESSAGES.AUTH_FAILED : error.message, error);
+    }
+
+    const session = await AuthService._save(data, null);
+    Logger.info('✅ Connecté', { email: session.user?.email || email });
+
+    return session;
+  }
+
+  /**
+   * Oublie les jetons (le serveur les laissera expirer)
+   */
+  static async logout() {
+    await ExtensionStorage.set({ [STORAGE_KEYS.AUTH_SESSION]: null });
+    Logger.info('🔒 Déconnecté');
+  }
+
+  /**
+   * Suit les connexions au serveur configuré (et les rafraîchissements de jeton)
+   * @param {Function} callback - (session: AuthSession) => void
+   */
+  static onLogin(callback) {
+    ExtensionStorage.onChanged((changes) => {
+      const session = changes[STORAGE_KEYS.AUTH_SESSION]?.newValue;
+      if (session?.accessToken && session.baseUrl === API_CONFIG.BASE_URL) {
+        callback(session);
+      }
+    });
+  }
+
+  /**
+   * Jeton d'accès à joindre aux requêtes, rafraîchi s'il expire bientôt
+   * @returns {Promise<string|null>} null si aucune connexion (serveur sans authentification)
+   */
+  static async getAccessToken() {
+    const session = await AuthService.load();
+    if (!session) {
+      return null;
+    }
+
+    if (session.refreshToken && session.expiresAt - Date.now() < AUTH_CONFIG.REFRESH_MARGIN_MS) {
+      try {
+        return (await AuthService.refresh()).accessToken;
+      } catch (error) {
+        Logger.warn('⚠️ Rafraîchissement anticipé du jeton en échec', error);
+      }
+    }
+
+    return session.accessToken;
+  }
+
+  /**
+   * Obtient un nouveau jeton d'accès (jeton refusé ou bientôt expiré)
+   * @returns {Promise<AuthSession>}
+   * @throws {AuthError} Aucune session à rafraîchir ou rafraîchissement refusé (session effacée)
+   */
+  static refresh() {
+    AuthService.refreshPromise ??= AuthService._refresh()
+      .finally(() => { AuthService.refreshPromise = null; });
+
+    return AuthService.refreshPromise;
+  }
+
+  /**
+   * @private
+   */
+  static async _refresh() {
+    const session = await AuthService.load();
+    if (!session?.refreshToken) {
+      throw new AuthError(ERROR_MESSAGES.AUTH_REQUIRED);
+    }
+
+    try {
+      const data = await ApiClient.refreshToken(session.refreshToken);
+      Logger.debug('🔑 Jeton d\'accès rafraîchi');
+
+      return await AuthService._save(data, session);
+
+    } catch (error) {
+      // Réseau ou serveur indisponible : la session reste valable pour plus tard
+      if (error.retryable) {
+        throw new AuthError(error.message, error);
+      }
+
+      await AuthService.logout();
+      throw new AuthError(ERROR_MESSAGES.AUTH_REQUIRED, error);
+    }
+  }
+
+  /**
+   * @private
+   * @param {Object} data - Réponse de AUTH_LOGIN ou AUTH_REFRESH
+   * @param {AuthSession|null} previous - Session rafraîchie
+   * @returns {Promise<AuthSession>}
+   */
+  static async _save(data, previous) {
+    const session = {
+      baseUrl: API_CONFIG.BASE_URL,
+      accessToken: data.access_token,
+      // Sans rotation, le serveur ne renvoie pas de nouveau jeton de rafraîchissement
+      refreshToken: data.refresh_token || previous?.refreshToken || null,
+      expiresAt: Date.now() + data.expires_in * 1000,
+      user: data.user || previous?.user || null
+    };
+
+    await ExtensionStorage.set({ [STORAGE_KEYS.AUTH_SESSION]: session });
+    return session;
+  }
+}
+
+// ============================================================================
+// CUSTOM ERRORS
+// ============================================================================
+
+/**
+ * Connexion impossible ou à refaire (message formulé pour l'utilisateur)
+ */
+export class AuthError extends Error {
+  /**
+   * @param {string} message
+   * @param {Error} cause - Erreur d'origine
+   */
+  constructor(message, cause = undefined) {
+    super(message, { cause });
+    this.name = 'AuthError';
+  }
+}
@@ -0,0 +1,64 @@
+/**
+ * CALL CLIENT
+ * ===========
+ * Côté vue (popup, panneau latéral, fenêtre) : commandes envoyées à
+ * l'orchestrateur d'appel via le service worker, et abonnement à ses événements
+ */
+
+import { RUNTIME_MESSAGES } from '../../utils/constants.js';
+import { Logger } from '../../utils/logger.js';
+
+export class CallClient {
+  /**
+   * Envoie une commande à l'orchestrateur (document offscreen créé si besoin)
+   * @param {string} command - CALL_COMMANDS.*
+   * @param {Object} payload - Paramètres de la commande
+   * @returns {Promise<Object|null>} Résultat (état de l'appel), null si aucun appel n'existe
+   * @throws {CallCommandError}
+   */
+  static async send(command, payload = {}) {
+    Logger.debug('📨 Commande d\'appel', { command });
+
+    const response = await chrome.runtime.sendMessage({
+      type: RUNTIME_MESSAGES.CALL_COMMAND,
+      command,
+      payload
+    });
+
+    if (response?.error) {
+      throw new CallCommandError(response.error);
+    }
+
+    return response?.result ?? null;
+  }
+
+  /**
+   * S'abonne aux événements de l'orchestrateur
+   * @param {Function} callback - (event: string, payload: *) => void
+   * @returns {Function} Désabonnement
+   */
+  static onEvent(callback) {
+    const listener = (message) => {
+      if (message?.type === RUNTIME_MESSAGES.CALL_EVENT) {
+        callback(message.event, message.payload);
+      }
+    };
+
+    chrome.runtime.onMessage.addListener(listener);
+    return () => chrome.runtime.onMessage.removeListener(listener);
+  }
+}
+
+// ============================================================================
+// CUSTOM ERRORS
+// ============================================================================
+
+/**
+ * Erreur renvoyée par l'orchestrateur (message déjà formulé pour l'utilisateur)
+ */
+export class CallCommandError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'CallCommandError';
+  }
+}
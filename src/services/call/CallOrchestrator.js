@@ -0,0 +1,608 @@
+/**
+ * CALL ORCHESTRATOR
+ * =================
+ * Pipeline capture → traitement → session, hébergé dans le document offscreen
+ * pour survivre à la fermeture de la popup. Les vues (popup, panneau latéral,
+ * fenêtre) envoient des commandes et reçoivent des événements via chrome.runtime ;
+ * en se rattachant, elles reconstruisent leur affichage depuis getState().
+ */
+
+import {
+  AUDIO_CONFIG,
+  CALL_COMMANDS,
+  CALL_EVENTS,
+  CALL_STATUS,
+  CAPTURE_TRACK_EVENTS,
+  LEVEL_CONFIG,
+  OFFSCREEN_CONFIG,
+  SPEAKERS
+} from '../../utils/constants.js';
+import { Logger } from '../../utils/logger.js';
+import { AudioCaptureService } from '../audio/AudioCaptureService.js';
+import { AudioProcessingService } from '../audio/AudioProcessingService.js';
+import { SessionService } from '../api/SessionService.js';
+import { CallHistoryStore } from '../storage/CallHistoryStore.js';
+import { SessionRecovery } from './SessionRecovery.js';
+import { LevelSystem } from '../../components/level/LevelSystem.js';
+
+/**
+ * @typedef {Object} TranscriptEntry
+ * @property {string} kind - 'text' (transcription backend) ou 'marker' (pause, coupure, masquage)
+ * @property {string} text - Contenu
+ * @property {number} timestamp - Réception
+ */
+
+export class CallOrchestrator {
+  /**
+   * @param {Object} options
+   * @param {Function} options.broadcast - Diffusion aux vues (event, payload)
+   */
+  constructor({ broadcast }) {
+    this.broadcast = broadcast;
+    this.audioCaptureService = null;
+    this.audioProcessingService = null;
+    this.sessionService = new SessionService();
+    this.callHistoryStore = new CallHistoryStore();
+
+    this.status = CALL_STATUS.IDLE;
+    this.isPaused = false;
+    // Coupures de capture en cours, par source : { reason, startedAt }
+    this.openCaptureGaps = {};
+    // Historique rejoué aux vues qui se rattachent
+    this.transcriptEntries = [];
+    this.insights = [];
+    this.queueStatus = { pendingChunks: 0, pendingSeconds: 0, authRequired: false };
+    this.lastTurn = null;
+    this.lastRecording = null;
+    // Titre de l'onglet de la réunion (historique)
+    this.meetingTitle = null;
+
+    Logger.debug('✓ CallOrchestrator initialisé');
+  }
+
+  /**
+   * Exécute une commande d'une vue
+   * @param {string} command - CALL_COMMANDS.*
+   * @param {Object} payload - Paramètres de la commande
+   * @returns {Promise<Object>} État de l'appel (données du rapport pour GET_REPORT_DATA)
+   */
+  async handleCommand(command, payload = {}) {
+    switch (command) {
+      case CALL_COMMANDS.START:
+        await this.start(payload);
+        break;
+      case CALL_COMMANDS.RESUME_SESSION:
+        await this.start({ ...payload, resume: true });
+        break;
+      case CALL_COMMANDS.STOP:
+        await this.stop();
+        break;
+      case CALL_COMMANDS.PAUSE:
+        this.pause();
+        break;
+      case CALL_COMMANDS.RESUME:
+        this.resume();
+        break;
+      case CALL_COMMANDS.TOGGLE_PRIVACY_MUTE:
+        this.togglePrivacyMute(payload.speaker);
+        break;
+      case CALL_COMMANDS.REACQUIRE_SOURCE:
+        await this.reacquireSource(payload.source, payload);
+        break;
+      case CALL_COMMANDS.GET_REPORT_DATA:
+        return this.getReportData();
+      case CALL_COMMANDS.END_SESSION:
+        await this.endSession(payload);
+        break;
+      case CALL_COMMANDS.GET_STATE:
+        break;
+      default:
+        throw new Error(`Commande inconnue: ${command}`);
+    }
+
+    return this.getState();
+  }
+
+  /**
+   * Démarre l'écoute sur une nouvelle session, ou sur la session interrompue
+   * @param {Object} options
+   * @param {string|null} options.micDeviceId - Micro choisi (null = périphérique par défaut)
+   * @param {boolean} options.record - Enregistrer l'appel localement
+   * @param {boolean} options.resume - Reprendre la session persistée au lieu d'en créer une
+   * @param {number|null} options.tabId - Onglet de la réunion détectée (null = onglet actif)
+   */
+  async start({ micDeviceId = null, record = false, resume = false, tabId = null } = {}) {
+    Logger.session('Démarrage de l\'écoute');
+
+    if (this.status !== CALL_STATUS.IDLE) {
+      Logger.warn('⚠️ Écoute déjà en cours ou en démarrage');
+      return;
+    }
+
+    this._setStatus(CALL_STATUS.STARTING);
+
+    try {
+      await this._cleanup();
+
+      this.audioCaptureService = new AudioCaptureService();
+      this.audioProcessingService = new AudioProcessingService();
+
+      this.transcriptEntries = [];
+      this.insights = [];
+      this.openCaptureGaps = {};
+      this.lastTurn = null;
+      this.lastRecording = null;
+
+      // 1. Créer la session (ou reprendre la session interrompue)
+      if (!resume) {
+        await this._closeOrphanSession();
+      }
+
+      const sessionId = resume
+        ? await this._resumeInterruptedSession()
+        : await this.sessionService.createSession();
+      Logger.session(resume ? 'Session reprise' : 'Session créée', { sessionId });
+
+      // 2. Capturer l'audio (micro choisi + réunion)
+      const { micStream, displayStream } = await this.audioCaptureService.startCapture({ micDeviceId, tabId });
+      this.meetingTitle = this.audioCaptureService.getAudioInfo().capturedTab?.title || null;
+      Logger.session('Capture de la réunion', {
+        strategy: this.audioCaptureService.getAudioInfo().captureStrategy
+      });
+
+      // Partage arrêté, micro débranché ou coupé en cours d'appel
+      this.audioCaptureService.watchTracks((event) => this._handleTrackEvent(event));
+
+      // 3. Démarrer le traitement audio
+      await this.audioProcessingService.startProcessing(
+        micStream,
+        displayStream,
+        sessionId,
+        (data) => this._handleAudioData(data),
+        {
+          onQueueChange: (status) => this._handleQueueChange(status),
+          onSequenceIssued: (sequence) => this.sessionService.recordIssuedSequence(sequence),
+          onTurnChange: (turn) => this._handleTurnChange(turn),
+          onMetricsUpdate: (snapshot) => this._handleMetricsUpdate(snapshot),
+          record,
+          callStartTime: this.sessionService.sessionStartTime,
+          nextSequence: this.sessionService.getNextSequence()
+        }
+      );
+
+      this._setStatus(CALL_STATUS.LISTENING);
+      Logger.session('✅ Écoute démarrée avec succès');
+
+    } catch (error) {
+      Logger.error('❌ Erreur lors du démarrage de l\'écoute', error);
+      await this._cleanup();
+      this._setStatus(CALL_STATUS.IDLE);
+      throw error;
+    }
+  }
+
+  /**
+   * Arrête l'écoute (la session reste ouverte pour le compte-rendu)
+   */
+  async stop() {
+    Logger.session('Arrêt de l\'écoute');
+
+    if (this.status !== CALL_STATUS.LISTENING) {
+      return;
+    }
+
+    // Clore la pause, les masquages et les coupures en cours (marqueurs dans la transcription)
+    Object.values(SPEAKERS).forEach(speaker => {
+      this._addMarker(this.sessionService.recordPrivacyMute(speaker, false));
+    });
+    if (this.isPaused) {
+      this._addMarker(this.sessionService.endPause());
+      this.isPaused = false;
+    }
+    Object.keys(this.openCaptureGaps).forEach(source => this._closeCaptureGap(source));
+
+    // Plus de nouvel audio (la phrase en cours part), puis dernière chance pour la
+    // file hors-ligne : après l'arrêt, ses chunks ne seraient plus jamais envoyés
+    this._setStatus(CALL_STATUS.STOPPING);
+    await this.audioProcessingService.pause();
+    const unsent = await this.audioProcessingService.drainQueue();
+    if (unsent.pendingChunks > 0) {
+      this._addMarker(this.sessionService.recordUnsentAudio(unsent));
+    }
+
+    this.audioProcessingService.stopProcessing();
+    this.audioCaptureService.stopCapture();
+
+    this.lastRecording = await this.audioProcessingService.lastRecording;
+    this.queueStatus = { pendingChunks: 0, pendingSeconds: 0, authRequired: false };
+
+    this._setStatus(CALL_STATUS.IDLE);
+    Logger.session('✅ Écoute arrêtée');
+  }
+
+  /**
+   * Met l'écoute en pause (attente, aparté) : capture et session restent ouvertes
+   */
+  pause() {
+    if (this.status !== CALL_STATUS.LISTENING || this.isPaused) return;
+
+    this.audioProcessingService.pause();
+    this._addMarker(this.sessionService.startPause());
+    this.isPaused = true;
+
+    this._broadcastState();
+  }
+
+  /**
+   * Reprend l'écoute sur la même session (même call_id)
+   */
+  resume() {
+    if (this.status !== CALL_STATUS.LISTENING || !this.isPaused) return;
+
+    this.audioProcessingService.resume();
+    this._addMarker(this.sessionService.endPause());
+    this.isPaused = false;
+
+    this._broadcastState();
+  }
+
+  /**
+   * Masque ou rétablit un canal : rien de ce qui est dit n'atteint le backend
+   * @param {string} speaker - SPEAKERS.CLIENT ou SPEAKERS.COMMERCIAL
+   */
+  togglePrivacyMute(speaker) {
+    if (this.status !== CALL_STATUS.LISTENING) return;
+
+    const muted = !this.audioProcessingService.isChannelMuted(speaker);
+
+    this.audioProcessingService.setChannelMuted(speaker, muted);
+    this._addMarker(this.sessionService.recordPrivacyMute(speaker, muted));
+
+    this._broadcastState();
+  }
+
+  /**
+   * Ré-acquiert une source perdue et la rebranche sur le traitement en cours
+   * @param {string} source - SPEAKERS.CLIENT ou SPEAKERS.COMMERCIAL
+   * @param {Object} options
+   * @param {string|null} options.micDeviceId - Micro à utiliser (null = périphérique par défaut)
+   */
+  async reacquireSource(source, { micDeviceId = null } = {}) {
+    if (this.status !== CALL_STATUS.LISTENING) return;
+
+    try {
+      const stream = await this.audioCaptureService.reacquireSource(source, { micDeviceId });
+      await this.audioProcessingService.replaceSource(source, stream);
+
+      this._closeCaptureGap(source);
+      Logger.session('✅ Source audio ré-acquise', { source });
+
+    } finally {
+      this._broadcastState();
+    }
+  }
+
+  /**
+   * Reprend l'envoi de l'audio suspendu faute de connexion
+   */
+  resumeAfterLogin() {
+    if (this.status !== CALL_STATUS.LISTENING && this.status !== CALL_STATUS.STOPPING) return;
+
+    this.audioProcessingService.resumeAfterLogin();
+  }
+
+  /**
+   * Données nécessaires au compte-rendu de la session
+   * @returns {{sessionId: string|null, transcript: string, conversationMetrics: Object|null}}
+   */
+  getReportData() {
+    return {
+      sessionId: this.sessionService.getSessionId(),
+      transcript: this.sessionService.getFullTranscript(),
+      conversationMetrics: this.sessionService.getConversationMetrics()
+    };
+  }
+
+  /**
+   * Termine la session (après le compte-rendu) et l'ajoute à l'historique
+   * @param {Object} options
+   * @param {Object|null} options.summary - Compte-rendu généré
+   */
+  async endSession({ summary = null } = {}) {
+    if (this.status !== CALL_STATUS.IDLE) {
+      throw new Error('Arrêtez l\'écoute avant de terminer la session');
+    }
+
+    if (this.sessionService.hasActiveSession()) {
+      await this._archiveSession(summary);
+      await this.sessionService.endSession();
+    }
+  }
+
+  /**
+   * Instantané de l'appel pour une vue qui se rattache
+   * @returns {Object}
+   */
+  getState() {
+    return {
+      status: this.status,
+      isPaused: this.isPaused,
+      sessionId: this.sessionService.getSessionId(),
+      sessionDuration: this.sessionService.getSessionDuration(),
+      captureStrategy: this.audioCaptureService?.captureStrategy || null,
+      mutedChannels: this.audioProcessingService?.isProcessing
+        ? { ...this.audioProcessingService.mutedChannels }
+        : { [SPEAKERS.CLIENT]: false, [SPEAKERS.COMMERCIAL]: false },
+      captureGaps: { ...this.openCaptureGaps },
+      queue: this.queueStatus,
+      lastTurn: this.lastTurn,
+      conversationMetrics: this.sessionService.getConversationMetrics(),
+      transcript: this.transcriptEntries.slice(-OFFSCREEN_CONFIG.REPLAY_TRANSCRIPT_ENTRIES),
+      insights: this.insights.slice(-OFFSCREEN_CONFIG.REPLAY_INSIGHTS),
+      lastRecording: this.lastRecording
+    };
+  }
+
+  /**
+   * Libère la capture et le traitement, termine la session précédente
+   * @private
+   */
+  async _cleanup() {
+    try {
+      this.audioProcessingService?.stopProcessing();
+    } catch (e) {
+      Logger.warn('Erreur arrêt AudioProcessingService', e);
+    }
+
+    try {
+      this.audioCaptureService?.stopCapture();
+    } catch (e) {
+      Logger.warn('Erreur arrêt AudioCaptureService', e);
+    }
+
+    if (this.sessionService.hasActiveSession()) {
+      try {
+        // Session abandonnée sans compte-rendu : conservée dans l'historique
+        await this._archiveSession(null);
+        await this.sessionService.endSession();
+      } catch (e) {
+        Logger.warn('Erreur fermeture session', e);
+      }
+    }
+
+    this.isPaused = false;
+  }
+
+  /**
+   * Nouvelle session : la session interrompue restante est clôturée
+   * (elle serait sinon remplacée sans CALLS_END)
+   * @private
+   */
+  async _closeOrphanSession() {
+    try {
+      const orphan = await SessionRecovery.findOrphan();
+      if (orphan) {
+        await SessionRecovery.close(orphan);
+      }
+    } catch (error) {
+      Logger.warn('⚠️ Session interrompue non clôturée', error);
+    }
+  }
+
+  /**
+   * Restaure la session persistée et vérifie qu'elle existe encore côté backend.
+   * Si ce n'est pas le cas, l'échec du démarrage la clôture (historique + CALLS_END).
+   * @private
+   * @returns {Promise<string>} ID de la session reprise
+   */
+  async _resumeInterruptedSession() {
+    const snapshot = await SessionService.loadPersisted();
+    if (!snapshot) {
+      throw new Error('Aucune session interrompue à reprendre');
+    }
+
+    this.sessionService.restore(snapshot);
+
+    // Transcription d'avant l'interruption, rediffusée aux vues
+    this.sessionService.conversationTranscript.forEach((text) => {
+      this._addTranscriptEntry(SessionService.isMarker(text) ? 'marker' : 'text', text);
+    });
+
+    try {
+      await this.sessionService.getSessionState();
+    } catch (error) {
+      throw new Error('La session interrompue n\'existe plus côté serveur : elle a été clôturée');
+    }
+
+    this._addMarker(this.sessionService.recordResume());
+    await this.sessionService.persist();
+
+    return snapshot.sessionId;
+  }
+
+  /**
+   * Ajoute la session à l'historique (avant sa fermeture, qui efface ses données).
+   * Un échec n'empêche pas de terminer la session.
+   * @private
+   * @param {Object|null} summary - Compte-rendu généré
+   */
+  async _archiveSession(summary) {
+    if (this.transcriptEntries.length === 0 && this.insights.length === 0 && !summary) {
+      Logger.debug('Session vide : non ajoutée à l\'historique');
+      return;
+    }
+
+    const statistics = this.sessionService.getStatistics();
+
+    try {
+      await this.callHistoryStore.save({
+        id: statistics.sessionId,
+        title: this.meetingTitle,
+        startedAt: statistics.startTime,
+        endedAt: Date.now(),
+        durationMs: statistics.duration,
+        transcript: this.transcriptEntries,
+        insights: this.insights,
+        summary,
+        statistics
+      });
+    } catch (error) {
+      Logger.error('❌ Appel non ajouté à l\'historique', error);
+    }
+  }
+
+  /**
+   * @private
+   */
+  _setStatus(status) {
+    this.status = status;
+    this._broadcastState();
+  }
+
+  /**
+   * @private
+   */
+  _broadcastState() {
+    this.broadcast(CALL_EVENTS.STATE, this.getState());
+  }
+
+  /**
+   * Ajoute une entrée à la transcription affichée et la diffuse
+   * @private
+   * @param {string} kind - 'text' ou 'marker'
+   * @param {string} text - Contenu
+   */
+  _addTranscriptEntry(kind, text) {
+    const entry = { kind, text, timestamp: Date.now() };
+
+    this.transcriptEntries.push(entry);
+    this.broadcast(CALL_EVENTS.TRANSCRIPT, entry);
+  }
+
+  /**
+   * @private
+   * @param {string|null} marker - Marqueur déjà enregistré dans la session
+   */
+  _addMarker(marker) {
+    if (marker) {
+      this._addTranscriptEntry('marker', marker);
+    }
+  }
+
+  /**
+   * Données traitées par le backend (insight, transcription)
+   * @private
+   */
+  _handleAudioData(data) {
+    if (!data) {
+      Logger.warn('⚠️ Données vides reçues du backend');
+      return;
+    }
+
+    // Accusé de réception du chunk (détection des segments manquants)
+    if (Number.isInteger(data.sequence)) {
+      this.sessionService.acknowledgeChunk(data.sequence);
+    }
+
+    if (data.advice) {
+      Logger.insight('💡 Insight détecté dans la réponse', data.advice);
+
+      // Tous conservés pour l'historique ; seuls les derniers sont rejoués aux vues
+      this.insights.push({ advice: data.advice, receivedAt: Date.now() });
+      this.broadcast(CALL_EVENTS.INSIGHT, data.advice);
+
+      // Points attribués ici, une seule fois, quel que soit le nombre de surfaces ouvertes
+      LevelSystem.awardPoints(LEVEL_CONFIG.POINTS_PER_ACTION.INSIGHT_RECEIVED);
+    } else if (data.reason) {
+      Logger.debug(`Raison : ${data.reason}`);
+    }
+
+    if (data.transcription && data.transcription.trim()) {
+      this.sessionService.addTranscript(data.transcription);
+      this._addTranscriptEntry('text', data.transcription);
+    }
+  }
+
+  /**
+   * @private
+   */
+  _handleQueueChange(status) {
+    const authChanged = status.authRequired !== this.queueStatus.authRequired;
+
+    this.queueStatus = status;
+    this.broadcast(CALL_EVENTS.QUEUE, status);
+
+    // Connexion requise : signalée aussi aux overlays (QUEUE n'y est pas relayé)
+    if (authChanged) {
+      this._broadcastState();
+    }
+  }
+
+  /**
+   * @private
+   */
+  _handleTurnChange(turn) {
+    this.sessionService.recordTurn(turn);
+
+    this.lastTurn = {
+      ...turn,
+      turnChanges: this.sessionService.getStatistics().turns.turnChanges
+    };
+    this.broadcast(CALL_EVENTS.TURN, this.lastTurn);
+  }
+
+  /**
+   * @private
+   */
+  _handleMetricsUpdate(snapshot) {
+    this.sessionService.updateConversationMetrics(snapshot);
+    this.broadcast(CALL_EVENTS.METRICS, snapshot);
+  }
+
+  /**
+   * Piste capturée terminée ou muette : la session continue,
+   * la source peut être ré-acquise depuis une vue
+   * @private
+   * @param {Object} event - TrackEvent { source, type, label }
+   */
+  _handleTrackEvent({ source, type }) {
+    if (this.status === CALL_STATUS.IDLE) return;
+
+    const gap = this.openCaptureGaps[source];
+
+    if (type === CAPTURE_TRACK_EVENTS.UNMUTE) {
+      // Une piste terminée ne revient pas : seule la ré-acquisition clôt la coupure
+      if (gap?.reason === CAPTURE_TRACK_EVENTS.MUTE) {
+        this._closeCaptureGap(source);
+      }
+    } else if (!gap) {
+      this.openCaptureGaps[source] = { reason: type, startedAt: Date.now() };
+    } else if (type === CAPTURE_TRACK_EVENTS.ENDED) {
+      // Muette puis terminée : même coupure, désormais à ré-acquérir
+      gap.reason = CAPTURE_TRACK_EVENTS.ENDED;
+    }
+
+    this._broadcastState();
+  }
+
+  /**
+   * Clôt la coupure d'une source et la signale dans la transcription
+   * @private
+   * @param {string} source - SPEAKERS.CLIENT ou SPEAKERS.COMMERCIAL
+   */
+  _closeCaptureGap(source) {
+    const gap = this.openCaptureGaps[source];
+    if (!gap) return;
+
+    delete this.openCaptureGaps[source];
+
+    const endedAt = Date.now();
+    if ((endedAt - gap.startedAt) / 1000 < AUDIO_CONFIG.CAPTURE_GAP_MIN_SECONDS) {
+      return;
+    }
+
+    this._addMarker(
+      this.sessionService.recordCaptureGap({ source, reason: gap.reason, startedAt: gap.startedAt, endedAt })
+    );
+  }
+}
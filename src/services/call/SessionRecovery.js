@@ -0,0 +1,86 @@
+/**
+ * SESSION RECOVERY
+ * ================
+ * Sessions orphelines : persistées par une écoute interrompue (popup ou
+ * document offscreen fermés, navigateur redémarré) sans appel en cours pour
+ * les porter. Les vues proposent de les reprendre (CALL_COMMANDS.RESUME_SESSION)
+ * ou de les clôturer ; au-delà de ORPHAN_MAX_AGE_MINUTES elles sont clôturées
+ * d'office. Une session clôturée est ajoutée à l'historique.
+ */
+
+import { SESSION_RECOVERY_CONFIG } from '../../utils/constants.js';
+import { Logger } from '../../utils/logger.js';
+import { SessionService } from '../api/SessionService.js';
+import { CallHistoryStore } from '../storage/CallHistoryStore.js';
+
+export class SessionRecovery {
+  /**
+   * Session persistée qui n'appartient pas à l'appel en cours
+   * @param {string|null} liveSessionId - Session de l'orchestrateur (null si aucun appel)
+   * @returns {Promise<PersistedSession|null>}
+   */
+  static async findOrphan(liveSessionId = null) {
+    const snapshot = await SessionService.loadPersisted();
+    return snapshot && snapshot.sessionId !== liveSessionId ? snapshot : null;
+  }
+
+  /**
+   * Trop ancienne pour être reprise ?
+   * @param {PersistedSession} snapshot
+   * @returns {boolean}
+   */
+  static isExpired(snapshot) {
+    return Date.now() - snapshot.updatedAt > SESSION_RECOVERY_CONFIG.ORPHAN_MAX_AGE_MINUTES * 60 * 1000;
+  }
+
+  /**
+   * Clôture une session orpheline : historique, puis CALLS_END côté backend
+   * @param {PersistedSession} snapshot
+   */
+  static async close(snapshot) {
+    const sessionService = new SessionService();
+    sessionService.restore(snapshot);
+
+    const statistics = sessionService.getStatistics();
+
+    try {
+      await new CallHistoryStore().save({
+        id: snapshot.sessionId,
+        title: null,
+        startedAt: snapshot.startTime,
+        endedAt: snapshot.updatedAt,
+        durationMs: statistics.duration,
+        transcript: snapshot.transcript.map(text => ({
+          kind: SessionService.isMarker(text) ? 'marker' : 'text',
+          text,
+          timestamp: snapshot.updatedAt
+        })),
+        insights: [],
+        summary: null,
+        statistics
+      });
+    } catch (error) {
+      Logger.error('❌ Session orpheline non ajoutée à l\'historique', error);
+    }
+
+    await sessionService.endSession();
+
+    Logger.session('🧹 Session orpheline clôturée', { sessionId: snapshot.sessionId });
+  }
+
+  /**
+   * Clôture la session orpheline si elle est trop ancienne
+   * @param {string|null} liveSessionId - Session de l'orchestrateur (null si aucun appel)
+   * @returns {Promise<PersistedSession|null>} Orpheline encore proposable à la reprise
+   */
+  static async closeIfExpired(liveSessionId = null) {
+    const snapshot = await SessionRecovery.findOrphan(liveSessionId);
+
+    if (snapshot && SessionRecovery.isExpired(snapshot)) {
+      await SessionRecovery.close(snapshot);
+      return null;
+    }
+
+    return snapshot;
+  }
+}
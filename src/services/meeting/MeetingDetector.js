@@ -0,0 +1,303 @@
+/**
+ * MEETING DETECTOR
+ * ================
+ * Côté service worker : repère les onglets de réunion (motifs d'adresse
+ * modifiables dans les réglages) et, selon le réglage, propose ou démarre
+ * l'écoute. Sur Meet, Teams et Zoom, content.js signale en plus si l'appel
+ * est réellement en cours (bouton Quitter présent).
+ * L'écoute est arrêtée à la fermeture de l'onglet de la réunion.
+ *
+ * L'état (onglet de la session, onglets déjà traités) est conservé dans
+ * chrome.storage.session : le service worker peut être arrêté entre deux événements.
+ */
+
+import {
+  CALL_COMMANDS,
+  CALL_STATUS,
+  MEETING_DETECTION_CONFIG,
+  MEETING_DETECTION_MODES,
+  RECORDING_CONFIG,
+  STORAGE_KEYS
+} from '../../utils/constants.js';
+import { Logger } from '../../utils/logger.js';
+import { matchesUrlPattern } from '../../utils/helpers.js';
+
+/**
+ * @typedef {Object} DetectionState
+ * @property {number|null} sessionTabId - Onglet de la réunion écoutée
+ * @property {number[]} handledTabIds - Onglets déjà proposés ou démarrés (pas de nouvelle proposition)
+ */
+
+export class MeetingDetector {
+  /**
+   * @param {Object} options
+   * @param {Function} options.sendCommand - (command, payload) => Promise<Object|null> vers l'orchestrateur
+   * @param {Promise} options.ready - Réglages chargés (mode et motifs à jour)
+   */
+  constructor({ sendCommand, ready = Promise.resolve() }) {
+    this.sendCommand = sendCommand;
+    this.ready = ready;
+  }
+
+  /**
+   * Branche les écouteurs d'onglets et de notifications.
+   * À appeler au chargement du service worker (écouteurs synchrones).
+   */
+  listen() {
+    chrome.tabs.onUpdated.addListener((tabId, changeInfo, tab) => {
+      this._handleTabUpdated(tab, changeInfo)
+        .catch((error) => Logger.warn('⚠️ Détection de réunion en échec', error));
+    });
+
+    chrome.tabs.onRemoved.addListener((tabId) => {
+      this._handleTabClosed(tabId)
+        .catch((error) => Logger.warn('⚠️ Arrêt automatique en échec', error));
+    });
+
+    chrome.notifications.onButtonClicked.addListener((notificationId, buttonIndex) => {
+      this._handleNotificationButton(notificationId, buttonIndex)
+        .catch((error) => Logger.warn('⚠️ Démarrage depuis la notification en échec', error));
+    });
+  }
+
+  /**
+   * L'adresse est-elle celle d'une réunion ?
+   * @param {string} url
+   * @returns {boolean}
+   */
+  static isMeetingUrl(url) {
+    return MEETING_DETECTION_CONFIG.URL_PATTERNS.some(pattern => matchesUrlPattern(url, pattern));
+  }
+
+  /**
+   * La page signale-t-elle elle-même l'appel en cours (content.js) ?
+   * @param {string} url
+   * @returns {boolean}
+   */
+  static hasInCallSignal(url) {
+    return Object.keys(MEETING_DETECTION_CONFIG.IN_CALL_SELECTORS)
+      .some(pattern => matchesUrlPattern(url, pattern));
+  }
+
+  /**
+   * État de l'appel signalé par la page de réunion
+   * @param {chrome.tabs.Tab} tab - Onglet émetteur
+   * @param {boolean} inCall - Appel en cours dans la page
+   */
+  async handlePageState(tab, inCall) {
+    await this.ready;
+
+    if (inCall) {
+      if (MeetingDetector.isMeetingUrl(tab.url)) {
+        await this._handleMeetingDetected(tab);
+      }
+      return;
+    }
+
+    // Appel quitté : la prochaine réunion de cet onglet sera de nouveau détectée
+    await this._forgetTab(tab.id);
+  }
+
+  /**
+   * Mémorise l'onglet écouté (capture tabCapture ou démarrage automatique)
+   * @param {number} tabId
+   */
+  async setSessionTab(tabId) {
+    const state = await this._loadState();
+    await this._saveState({ ...state, sessionTabId: tabId });
+  }
+
+  /**
+   * @private
+   */
+  async _handleTabUpdated(tab, changeInfo) {
+    await this.ready;
+
+    if (changeInfo.url && !MeetingDetector.isMeetingUrl(changeInfo.url)) {
+      const { sessionTabId } = await this._loadState();
+      if (sessionTabId === tab.id) {
+        await this._autoStop('réunion quittée');
+      }
+      await this._forgetTab(tab.id);
+      return;
+    }
+
+    // Sans signal de la page, l'adresse suffit
+    if (changeInfo.status === 'complete'
+      && MeetingDetector.isMeetingUrl(tab.url)
+      && !MeetingDetector.hasInCallSignal(tab.url)) {
+      await this._handleMeetingDetected(tab);
+    }
+  }
+
+  /**
+   * @private
+   */
+  async _handleTabClosed(tabId) {
+    await this.ready;
+
+    const { sessionTabId } = await this._loadState();
+    if (sessionTabId === tabId) {
+      await this._autoStop('onglet de la réunion fermé');
+    }
+
+    await this._forgetTab(tabId);
+  }
+
+  /**
+   * Propose ou démarre l'écoute (une seule fois par réunion et par onglet)
+   * @private
+   */
+  async _handleMeetingDetected(tab) {
+    const mode = MEETING_DETECTION_CONFIG.MODE;
+    if (mode === MEETING_DETECTION_MODES.OFF) {
+      return;
+    }
+
+    const state = await this._loadState();
+    if (state.handledTabIds.includes(tab.id)) {
+      return;
+    }
+    await this._saveState({ ...state, handledTabIds: [...state.handledTabIds, tab.id] });
+
+    const callState = await this.sendCommand(CALL_COMMANDS.GET_STATE);
+    if (callState && callState.status !== CALL_STATUS.IDLE) {
+      Logger.debug('📅 Réunion détectée, écoute déjà en cours', { tabId: tab.id });
+      return;
+    }
+
+    Logger.info('📅 Réunion détectée', { tabId: tab.id, title: tab.title, mode });
+
+    if (mode === MEETING_DETECTION_MODES.AUTO) {
+      await this._startListening(tab.id);
+    } else {
+      await this._prompt(tab);
+    }
+  }
+
+  /**
+   * Démarre l'écoute de l'onglet de la réunion (micro et enregistrement choisis dans la popup).
+   * Un échec (capture refusée faute d'invocation de KITT sur l'onglet) est notifié.
+   * @private
+   */
+  async _startListening(tabId) {
+    const settings = await chrome.storage.local.get([
+      STORAGE_KEYS.MIC_DEVICE_ID,
+      STORAGE_KEYS.RECORDING_ENABLED
+    ]);
+
+    try {
+      await this.sendCommand(CALL_COMMANDS.START, {
+        micDeviceId: settings[STORAGE_KEYS.MIC_DEVICE_ID] || null,
+        record: settings[STORAGE_KEYS.RECORDING_ENABLED] ?? RECORDING_CONFIG.ENABLED_BY_DEFAULT,
+        tabId
+      });
+    } catch (error) {
+      Logger.warn('⚠️ Écoute de la réunion détectée non démarrée', error);
+      await this._notifyStartFailed(tabId, error);
+      return;
+    }
+
+    await this.setSessionTab(tabId);
+    Logger.session('▶️ Écoute démarrée pour la réunion détectée', { tabId });
+  }
+
+  /**
+   * Notification d'échec du démarrage (sinon invisible : aucune vue n'est ouverte)
+   * @private
+   */
+  async _notifyStartFailed(tabId, error) {
+    await chrome.notifications.create(`${MEETING_DETECTION_CONFIG.START_FAILED_NOTIFICATION_ID_PREFIX}${tabId}`, {
+      type: 'basic',
+      iconUrl: chrome.runtime.getURL(MEETING_DETECTION_CONFIG.NOTIFICATION_ICON_PATH),
+      title: 'Écoute non démarrée',
+      message: error.message
+    });
+  }
+
+  /**
+   * Notification proposant de démarrer l'écoute
+   * @private
+   */
+  async _prompt(tab) {
+    await chrome.notifications.create(`${MEETING_DETECTION_CONFIG.NOTIFICATION_ID_PREFIX}${tab.id}`, {
+      type: 'basic',
+      iconUrl: chrome.runtime.getURL(MEETING_DETECTION_CONFIG.NOTIFICATION_ICON_PATH),
+      title: 'Réunion détectée',
+      message: tab.title || 'Démarrer l\'écoute de KITT ?',
+      buttons: [{ title: 'Démarrer l\'écoute' }, { title: 'Ignorer' }],
+      requireInteraction: true
+    });
+  }
+
+  /**
+   * @private
+   */
+  async _handleNotificationButton(notificationId, buttonIndex) {
+    const prefix = MEETING_DETECTION_CONFIG.NOTIFICATION_ID_PREFIX;
+    if (!notificationId.startsWith(prefix)) {
+      return;
+    }
+
+    await chrome.notifications.clear(notificationId);
+
+    if (buttonIndex === 0) {
+      await this._startListening(Number(notificationId.slice(prefix.length)));
+    }
+  }
+
+  /**
+   * Arrête l'écoute de la réunion (la session reste ouverte pour le compte-rendu)
+   * @private
+   */
+  async _autoStop(reason) {
+    const state = await this._loadState();
+    await this._saveState({ ...state, sessionTabId: null });
+
+    if (!MEETING_DETECTION_CONFIG.AUTO_STOP) {
+      return;
+    }
+
+    const callState = await this.sendCommand(CALL_COMMANDS.GET_STATE);
+    if (callState?.status !== CALL_STATUS.LISTENING) {
+      return;
+    }
+
+    await this.sendCommand(CALL_COMMANDS.STOP);
+    Logger.session('⏹️ Écoute arrêtée automatiquement', { reason });
+  }
+
+  /**
+   * Onglet fermé ou réunion quittée : oublier l'onglet et sa proposition
+   * @private
+   */
+  async _forgetTab(tabId) {
+    const state = await this._loadState();
+
+    if (state.handledTabIds.includes(tabId)) {
+      await this._saveState({
+        ...state,
+        handledTabIds: state.handledTabIds.filter(id => id !== tabId)
+      });
+    }
+
+    await chrome.notifications.clear(`${MEETING_DETECTION_CONFIG.NOTIFICATION_ID_PREFIX}${tabId}`);
+  }
+
+  /**
+   * @private
+   * @returns {Promise<DetectionState>}
+   */
+  async _loadState() {
+    const result = await chrome.storage.session.get(STORAGE_KEYS.MEETING_DETECTION_STATE);
+    return { sessionTabId: null, handledTabIds: [], ...result[STORAGE_KEYS.MEETING_DETECTION_STATE] };
+  }
+
+  /**
+   * @private
+   * @param {DetectionState} state
+   */
+  async _saveState(state) {
+    await chrome.storage.session.set({ [STORAGE_KEYS.MEETING_DETECTION_STATE]: state });
+  }
+}
@@ -0,0 +1,79 @@
+/**
+ * BACKEND ENVIRONMENTS
+ * ====================
+ * Serveurs proposés à la connexion (réglage api.environments, une ligne
+ * "Nom = URL" par serveur, déployable avec la configuration d'équipe).
+ * Choisir un environnement renseigne api.baseUrl et api.wsBaseUrl ; l'accès
+ * au serveur est demandé à la volée (optional_host_permissions du manifest).
+ */
+
+/**
+ * @typedef {Object} BackendEnvironment
+ * @property {string} name - Nom affiché
+ * @property {string} baseUrl - URL HTTP du backend
+ * @property {string} wsBaseUrl - URL WebSocket déduite (http → ws, https → wss)
+ */
+
+export class BackendEnvironments {
+  /**
+   * @param {string[]} lines - Réglage api.environments ("Nom = URL")
+   * @returns {BackendEnvironment[]}
+   */
+  static parse(lines) {
+    return lines.map(line => {
+      const separator = line.indexOf('=');
+      const baseUrl = line.slice(separator + 1).trim();
+
+      return {
+        name: line.slice(0, separator).trim(),
+        baseUrl,
+        wsBaseUrl: BackendEnvironments.toWebSocketUrl(baseUrl)
+      };
+    });
+  }
+
+  /**
+   * @param {string} baseUrl - URL HTTP(S)
+   * @returns {string} URL WS(S) du même serveur
+   */
+  static toWebSocketUrl(baseUrl) {
+    return baseUrl.replace(/^http/, 'ws');
+  }
+
+  /**
+   * Environnement correspondant à l'URL configurée
+   * @param {BackendEnvironment[]} environments
+   * @param {string} baseUrl - Réglage api.baseUrl
+   * @returns {BackendEnvironment|null} null si l'URL a été saisie à la main
+   */
+  static findByUrl(environments, baseUrl) {
+    return environments.find(environment => environment.baseUrl === baseUrl) || null;
+  }
+
+  /**
+   * @param {string} baseUrl
+   * @returns {string} Motif de permission d'hôte (origine du serveur)
+   */
+  static originPattern(baseUrl) {
+    return `${new URL(baseUrl).origin}/*`;
+  }
+
+  /**
+   * @param {string} baseUrl
+   * @returns {Promise<boolean>}
+   */
+  static async hasHostPermission(baseUrl) {
+    return chrome.permissions.contains({ origins: [BackendEnvironments.originPattern(baseUrl)] });
+  }
+
+  /**
+   * Demande l'accès au serveur (accordé sans invite s'il l'est déjà).
+   * À appeler dès le geste de l'utilisateur (clic, envoi de formulaire),
+   * avant tout await : Chrome refuse la demande sinon.
+   * @param {string} baseUrl
+   * @returns {Promise<boolean>} Accès accordé
+   */
+  static async requestHostPermission(baseUrl) {
+    return chrome.permissions.request({ origins: [BackendEnvironments.originPattern(baseUrl)] });
+  }
+}
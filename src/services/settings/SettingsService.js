@@ -0,0 +1,508 @@
+/**
+ * SETTINGS SERVICE
+ * ================
+ * Réglages utilisateur (STORAGE_KEYS.SETTINGS) décrits par un schéma typé :
+ * valeurs par défaut issues de constants.js, validation, import / export JSON.
+ *
+ * Les réglages sont appliqués aux objets de configuration partagés
+ * (API_CONFIG, AUDIO_CONFIG, FEATURE_FLAGS, LOG_CONFIG, MEETING_DETECTION_CONFIG,
+ * RECORDING_CONFIG, SESSION_RECOVERY_CONFIG) de chaque contexte
+ * et réappliqués à chaque modification (chrome.storage.onChanged) : les
+ * services qui lisent ces objets au moment de l'appel les prennent en compte
+ * immédiatement, les autres au prochain appel.
+ */
+
+import {
+  API_CONFIG,
+  AUTH_CONFIG,
+  AUDIO_CONFIG,
+  AUDIO_TRANSPORT_MODES,
+  FEATURE_FLAGS,
+  LOG_CONFIG,
+  MEETING_DETECTION_CONFIG,
+  MEETING_DETECTION_MODES,
+  RECORDING_CONFIG,
+  SESSION_RECOVERY_CONFIG,
+  STORAGE_KEYS,
+  VAD_MODES
+} from '../../utils/constants.js';
+import { Logger } from '../../utils/logger.js';
+import { URL_MATCH_PATTERN } from '../../utils/helpers.js';
+import { WINDOW_CONFIG } from '../../../config.js';
+import { ExtensionStorage } from '../storage/ExtensionStorage.js';
+import { WindowSettingsStore } from '../storage/WindowSettingsStore.js';
+
+// Format du fichier d'export (vérifié à l'import)
+const EXPORT_FORMAT = 'kitt-settings';
+const EXPORT_VERSION = 1;
+
+/**
+ * @typedef {Object} SettingDefinition
+ * @property {string} type - 'string' | 'number' | 'boolean' | 'enum' | 'list'
+ * @property {string} label - Libellé de la page de réglages
+ * @property {*} default - Valeur par défaut (constants.js)
+ * @property {number} [min] - Borne (number)
+ * @property {number} [max] - Borne (number)
+ * @property {string} [atMost] - Réglage de la même section à ne pas dépasser (number)
+ * @property {string[]} [options] - Valeurs admises (enum)
+ * @property {RegExp} [pattern] - Format attendu (string, chaque élément d'une list)
+ */
+
+/**
+ * Schéma des réglages, par section. Les valeurs par défaut sont lues une
+ * seule fois, avant toute application des réglages aux constantes.
+ * La section "window" est gérée par WindowSettingsStore (config.js).
+ */
+export const SETTINGS_SCHEMA = {
+  api: {
+    baseUrl: {
+      type: 'string',
+      label: 'URL du backend',
+      default: API_CONFIG.BASE_URL,
+      pattern: /^https?:\/\/[^\s/]+(:\d+)?$/
+    },
+    wsBaseUrl: {
+      type: 'string',
+      label: 'URL WebSocket du backend',
+      default: API_CONFIG.WS_BASE_URL,
+      pattern: /^wss?:\/\/[^\s/]+(:\d+)?$/
+    },
+    environments: {
+      type: 'list',
+      label: 'Environnements proposés à la connexion (un par ligne : Nom = URL)',
+      default: AUTH_CONFIG.DEFAULT_ENVIRONMENTS,
+      pattern: /^[^=]+=\s*https?:\/\/[^\s/]+(:\d+)?$/
+    },
+    mockBackend: {
+      type: 'boolean',
+      label: 'Backend simulé (développement sans serveur)',
+      default: API_CONFIG.USE_MOCK_BACKEND
+    }
+  },
+  audio: {
+    transportMode: {
+      type: 'enum',
+      label: 'Transport audio (stream : backend avec /ws/audio uniquement)',
+      default: AUDIO_CONFIG.TRANSPORT_MODE,
+      options: Object.values(AUDIO_TRANSPORT_MODES)
+    },
+    vadMode: {
+      type: 'enum',
+      label: 'Mode de détection de la voix',
+      default: AUDIO_CONFIG.VAD_MODE,
+      options: Object.values(VAD_MODES)
+    },
+    silenceRatio: {
+      type: 'number',
+      label: 'Seuil de silence (× bruit de fond)',
+      default: AUDIO_CONFIG.VAD_CALIBRATION.SILENCE_RATIO,
+      min: 1,
+      max: 20,
+      atMost: 'speechRatio'
+    },
+    speechRatio: {
+      type: 'number',
+      label: 'Seuil de parole (× bruit de fond)',
+      default: AUDIO_CONFIG.VAD_CALIBRATION.SPEECH_RATIO,
+      min: 1,
+      max: 50
+    },
+    minSpeechThreshold: {
+      type: 'number',
+      label: 'Seuil de parole minimal (RMS)',
+      default: AUDIO_CONFIG.VAD_CALIBRATION.MIN_SPEECH_THRESHOLD,
+      min: 0.001,
+      max: 0.1,
+      atMost: 'maxSpeechThreshold'
+    },
+    maxSpeechThreshold: {
+      type: 'number',
+      label: 'Seuil de parole maximal (RMS)',
+      default: AUDIO_CONFIG.VAD_CALIBRATION.MAX_SPEECH_THRESHOLD,
+      min: 0.01,
+      max: 0.5
+    },
+    recordingMaxSizeMb: {
+      type: 'number',
+      label: 'Taille maximale d\'un enregistrement local (Mo)',
+      default: RECORDING_CONFIG.MAX_SIZE_MB,
+      min: 10,
+      max: 2000
+    }
+  },
+  features: {
+    levelSystem: {
+      type: 'boolean',
+      label: 'Système de niveaux',
+      default: FEATURE_FLAGS.ENABLE_LEVEL_SYSTEM
+    },
+    animations: {
+      type: 'boolean',
+      label: 'Animations avancées',
+      default: FEATURE_FLAGS.ENABLE_ANIMATIONS
+    },
+    debugMode: {
+      type: 'boolean',
+      label: 'Mode debug',
+      default: FEATURE_FLAGS.DEBUG_MODE
+    },
+    analytics: {
+      type: 'boolean',
+      label: 'Analytics',
+      default: FEATURE_FLAGS.ENABLE_ANALYTICS
+    },
+    summaryCache: {
+      type: 'boolean',
+      label: 'Cache des résumés',
+      default: FEATURE_FLAGS.ENABLE_SUMMARY_CACHE
+    }
+  },
+  meetings: {
+    detectionMode: {
+      type: 'enum',
+      label: 'Réunion détectée (off, prompt : proposer, auto : démarrer)',
+      default: MEETING_DETECTION_CONFIG.MODE,
+      options: Object.values(MEETING_DETECTION_MODES)
+    },
+    autoStop: {
+      type: 'boolean',
+      label: 'Arrêter l\'écoute à la fermeture de l\'onglet de la réunion',
+      default: MEETING_DETECTION_CONFIG.AUTO_STOP
+    },
+    urlPatterns: {
+      type: 'list',
+      label: 'Adresses de réunion (une par ligne, ex. https://*.zoom.us/wc/*)',
+      default: MEETING_DETECTION_CONFIG.URL_PATTERNS,
+      pattern: URL_MATCH_PATTERN
+    }
+  },
+  sessions: {
+    orphanMaxAgeMinutes: {
+      type: 'number',
+      label: 'Clôturer sans proposer la reprise une session interrompue depuis plus de (minutes)',
+      default: SESSION_RECOVERY_CONFIG.ORPHAN_MAX_AGE_MINUTES,
+      min: 5,
+      max: 10080
+    }
+  },
+  logging: {
+    level: {
+      type: 'enum',
+      label: 'Niveau de log',
+      default: LOG_CONFIG.LOG_LEVEL,
+      options: ['DEBUG', 'INFO', 'WARN', 'ERROR']
+    },
+    verbose: {
+      type: 'boolean',
+      label: 'Logs détaillés',
+      default: LOG_CONFIG.VERBOSE
+    }
+  }
+};
+
+export class SettingsService {
+  /**
+   * Réglages par défaut (constants.js et config.js)
+   * @returns {Object} Réglages complets, par section
+   */
+  static getDefaults() {
+    const defaults = { window: WindowSettingsStore.sanitize({ ...WINDOW_CONFIG }) };
+
+    Object.entries(SETTINGS_SCHEMA).forEach(([section, fields]) => {
+      defaults[section] = Object.fromEntries(
+        Object.entries(fields).map(([key, definition]) => [key, definition.default])
+      );
+    });
+
+    return defaults;
+  }
+
+  /**
+   * Réglages effectifs (défauts complétés par les réglages enregistrés)
+   * @returns {Promise<Object>}
+   */
+  static async load() {
+    const result = await ExtensionStorage.get(STORAGE_KEYS.SETTINGS);
+    return SettingsService._merge(result[STORAGE_KEYS.SETTINGS] || {});
+  }
+
+  /**
+   * Valide et enregistre des réglages (sections partielles acceptées)
+   * @param {Object} settings - { section: { clé: valeur } }
+   * @returns {Promise<Object>} Réglages effectifs
+   * @throws {SettingsValidationError}
+   */
+  static async save(settings) {
+    const current = await SettingsService.load();
+
+    const errors = SettingsService.validate(settings, current);
+    if (errors.length > 0) {
+      throw new SettingsValidationError(errors);
+    }
+
+    const merged = SettingsService._merge(settings, current);
+
+    await ExtensionStorage.set({ [STORAGE_KEYS.SETTINGS]: merged });
+    Logger.info('⚙️ Réglages enregistrés');
+
+    return merged;
+  }
+
+  /**
+   * Revient aux valeurs par défaut
+   * @returns {Promise<Object>}
+   */
+  static async reset() {
+    const defaults = SettingsService.getDefaults();
+    await ExtensionStorage.set({ [STORAGE_KEYS.SETTINGS]: defaults });
+
+    Logger.info('⚙️ Réglages réinitialisés');
+    return defaults;
+  }
+
+  /**
+   * Vérifie des réglages par rapport au schéma, puis la cohérence des
+   * réglages liés (atMost) une fois complétés par la base
+   * @param {Object} settings - { section: { clé: valeur } }
+   * @param {Object} base - Réglages qui complètent des sections partielles
+   * @returns {string[]} Erreurs (vide si valide)
+   */
+  static validate(settings, base = SettingsService.getDefaults()) {
+    const errors = [];
+
+    if (!settings || typeof settings !== 'object') {
+      return ['Réglages absents ou invalides'];
+    }
+
+    Object.entries(settings).forEach(([section, values]) => {
+      // Fenêtre : bornée par WindowSettingsStore, pas rejetée
+      if (section === 'window') return;
+
+      const fields = SETTINGS_SCHEMA[section];
+      if (!fields) {
+        errors.push(`Section inconnue: ${section}`);
+        return;
+      }
+
+      Object.entries(values || {}).forEach(([key, value]) => {
+        const definition = fields[key];
+        const error = definition
+          ? SettingsService._validateValue(definition, value)
+          : 'réglage inconnu';
+
+        if (error) {
+          errors.push(`${section}.${key}: ${error}`);
+        }
+      });
+    });
+
+    if (errors.length > 0) {
+      return errors;
+    }
+
+    const merged = SettingsService._merge(settings, base);
+
+    Object.entries(SETTINGS_SCHEMA).forEach(([section, fields]) => {
+      Object.entries(fields).forEach(([key, definition]) => {
+        const value = merged[section][key];
+        const limit = merged[section][definition.atMost];
+
+        if (definition.atMost && value > limit) {
+          errors.push(`${section}.${key}: doit être inférieur ou égal à ${section}.${definition.atMost} (${limit})`);
+        }
+      });
+    });
+
+    return errors;
+  }
+
+  /**
+   * Exporte les réglages en JSON (déploiement d'une configuration d'équipe)
+   * @returns {Promise<string>}
+   */
+  static async exportJson() {
+    const settings = await SettingsService.load();
+
+    return JSON.stringify({
+      format: EXPORT_FORMAT,
+      version: EXPORT_VERSION,
+      exportedAt: new Date().toISOString(),
+      settings
+    }, null, 2);
+  }
+
+  /**
+   * Importe des réglages exportés : tout ou rien
+   * @param {string} json - Contenu du fichier d'export
+   * @returns {Promise<Object>} Réglages effectifs
+   * @throws {SettingsValidationError}
+   */
+  static async importJson(json) {
+    let data;
+
+    try {
+      data = JSON.parse(json);
+    } catch (error) {
+      throw new SettingsValidationError(['Fichier JSON illisible']);
+    }
+
+    if (data?.format !== EXPORT_FORMAT || data.version !== EXPORT_VERSION) {
+      throw new SettingsValidationError(['Ce fichier n\'est pas un export de réglages KITT']);
+    }
+
+    // Partir des valeurs par défaut : l'import remplace toute la configuration
+    const errors = SettingsService.validate(data.settings);
+    if (errors.length > 0) {
+      throw new SettingsValidationError(errors);
+    }
+
+    const imported = SettingsService._merge(data.settings);
+    await ExtensionStorage.set({ [STORAGE_KEYS.SETTINGS]: imported });
+
+    Logger.info('⚙️ Réglages importés', { exportedAt: data.exportedAt });
+    return imported;
+  }
+
+  /**
+   * Applique les réglages enregistrés à ce contexte et suit leurs modifications.
+   * À appeler au démarrage de chaque contexte (vues, document offscreen, service worker).
+   */
+  static async initialize() {
+    try {
+      SettingsService.apply(await SettingsService.load());
+    } catch (error) {
+      Logger.warn('⚠️ Réglages non chargés, valeurs par défaut conservées', error);
+    }
+
+    ExtensionStorage.onChanged((changes) => {
+      const change = changes[STORAGE_KEYS.SETTINGS];
+      if (change) {
+        SettingsService.apply(SettingsService._merge(change.newValue || {}));
+      }
+    });
+  }
+
+  /**
+   * Applique des réglages aux objets de configuration partagés
+   * @param {Object} settings - Réglages effectifs
+   */
+  static apply({ api, audio, features, meetings, sessions, logging }) {
+    API_CONFIG.BASE_URL = api.baseUrl;
+    API_CONFIG.WS_BASE_URL = api.wsBaseUrl;
+    API_CONFIG.USE_MOCK_BACKEND = api.mockBackend;
+
+    AUDIO_CONFIG.TRANSPORT_MODE = audio.transportMode;
+    AUDIO_CONFIG.VAD_MODE = audio.vadMode;
+    AUDIO_CONFIG.VAD_CALIBRATION.SILENCE_RATIO = audio.silenceRatio;
+    AUDIO_CONFIG.VAD_CALIBRATION.SPEECH_RATIO = audio.speechRatio;
+    AUDIO_CONFIG.VAD_CALIBRATION.MIN_SPEECH_THRESHOLD = audio.minSpeechThreshold;
+    AUDIO_CONFIG.VAD_CALIBRATION.MAX_SPEECH_THRESHOLD = audio.maxSpeechThreshold;
+    RECORDING_CONFIG.MAX_SIZE_MB = audio.recordingMaxSizeMb;
+
+    FEATURE_FLAGS.ENABLE_LEVEL_SYSTEM = features.levelSystem;
+    FEATURE_FLAGS.ENABLE_ANIMATIONS = features.animations;
+    FEATURE_FLAGS.DEBUG_MODE = features.debugMode;
+    FEATURE_FLAGS.ENABLE_ANALYTICS = features.analytics;
+    FEATURE_FLAGS.ENABLE_SUMMARY_CACHE = features.summaryCache;
+
+    MEETING_DETECTION_CONFIG.MODE = meetings.detectionMode;
+    MEETING_DETECTION_CONFIG.AUTO_STOP = meetings.autoStop;
+    MEETING_DETECTION_CONFIG.URL_PATTERNS = meetings.urlPatterns;
+
+    SESSION_RECOVERY_CONFIG.ORPHAN_MAX_AGE_MINUTES = sessions.orphanMaxAgeMinutes;
+
+    LOG_CONFIG.VERBOSE = logging.verbose;
+    if (LOG_CONFIG.LOG_LEVEL !== logging.level) {
+      LOG_CONFIG.LOG_LEVEL = logging.level;
+      Logger.setLevel(logging.level);
+    }
+
+    Logger.debug('⚙️ Réglages appliqués', { baseUrl: api.baseUrl, vadMode: audio.vadMode });
+  }
+
+  /**
+   * Complète des réglages (partiels) par une base, section par section.
+   * Les valeurs invalides ou inconnues sont écartées.
+   * @private
+   */
+  static _merge(settings, base = SettingsService.getDefaults()) {
+    const merged = {
+      window: WindowSettingsStore.sanitize({ ...base.window, ...settings.window })
+    };
+
+    Object.entries(SETTINGS_SCHEMA).forEach(([section, fields]) => {
+      merged[section] = { ...base[section] };
+
+      Object.entries(settings[section] || {}).forEach(([key, value]) => {
+        const definition = fields[key];
+        if (definition && !SettingsService._validateValue(definition, value)) {
+          merged[section][key] = value;
+        }
+      });
+    });
+
+    return merged;
+  }
+
+  /**
+   * @private
+   * @returns {string|null} Erreur, null si la valeur est valide
+   */
+  static _validateValue(definition, value) {
+    switch (definition.type) {
+      case 'boolean':
+        return typeof value === 'boolean' ? null : 'booléen attendu';
+
+      case 'number':
+        if (typeof value !== 'number' || !Number.isFinite(value)) {
+          return 'nombre attendu';
+        }
+        if (value < definition.min || value > definition.max) {
+          return `doit être entre ${definition.min} et ${definition.max}`;
+        }
+        return null;
+
+      case 'enum':
+        return definition.options.includes(value)
+          ? null
+          : `valeurs possibles : ${definition.options.join(', ')}`;
+
+      case 'string':
+        if (typeof value !== 'string') {
+          return 'texte attendu';
+        }
+        return definition.pattern && !definition.pattern.test(value) ? 'format invalide' : null;
+
+      case 'list': {
+        if (!Array.isArray(value) || value.some(item => typeof item !== 'string')) {
+          return 'liste de textes attendue';
+        }
+        const invalid = definition.pattern
+          ? value.filter(item => !definition.pattern.test(item))
+          : [];
+        return invalid.length > 0 ? `format invalide : ${invalid.join(', ')}` : null;
+      }
+
+      default:
+        return 'type inconnu';
+    }
+  }
+}
+
+// ============================================================================
+// CUSTOM ERRORS
+// ============================================================================
+
+/**
+ * Réglages refusés par le schéma
+ */
+export class SettingsValidationError extends Error {
+  /**
+   * @param {string[]} errors - Erreurs de validation
+   */
+  constructor(errors) {
+    super(`Réglages invalides : ${errors.join(' ; ')}`);
+    this.name = 'SettingsValidationError';
+    this.errors = errors;
+  }
+}
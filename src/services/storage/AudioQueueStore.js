@@ -0,0 +1,126 @@
+/**
+ * AUDIO QUEUE STORE
+ * =================
+ * File d'attente persistante (IndexedDB) des chunks audio non envoyés,
+ * indexée par [sessionId, sequence] pour un rejeu dans l'ordre
+ */
+
+import { INDEXED_DB_CONFIG } from '../../utils/constants.js';
+import { Logger } from '../../utils/logger.js';
+import { openKittDatabase, promisifyRequest, transactionComplete } from './KittDatabase.js';
+
+const STORE_NAME = INDEXED_DB_CONFIG.STORES.AUDIO_QUEUE;
+
+/**
+ * @typedef {Object} QueuedAudioChunk
+ * @property {string} sessionId - ID de la session
+ * @property {number} sequence - Numéro de séquence (ordre d'envoi)
+ * @property {ArrayBuffer} clientAudio - PCM 16-bit canal client
+ * @property {ArrayBuffer} commercialAudio - PCM 16-bit canal commercial
+ * @property {number} sampleRate - Fréquence d'échantillonnage
+ * @property {number} durationSeconds - Durée du chunk
+ * @property {number} startOffsetMs - Début du chunk dans l'appel
+ * @property {number} endOffsetMs - Fin du chunk dans l'appel
+ * @property {string} vadReason - Raison de l'envoi (décision VAD)
+ * @property {string|null} vadSpeaker - Interlocuteur ayant déclenché l'envoi
+ * @property {number} createdAt - Timestamp de mise en file
+ */
+
+export class AudioQueueStore {
+  /**
+   * Ajoute un chunk à la file
+   * @param {QueuedAudioChunk} chunk - Chunk à mettre en attente
+   */
+  async enqueue(chunk) {
+    const db = await openKittDatabase();
+    const transaction = db.transaction(STORE_NAME, 'readwrite');
+    transaction.objectStore(STORE_NAME).put(chunk);
+    await transactionComplete(transaction);
+
+    Logger.debug('💾 Chunk audio mis en file', {
+      sessionId: chunk.sessionId,
+      sequence: chunk.sequence
+    });
+  }
+
+  /**
+   * Récupère le chunk le plus ancien d'une session
+   * @param {string} sessionId - ID de la session
+   * @returns {Promise<QueuedAudioChunk|null>}
+   */
+  async peekOldest(sessionId) {
+    const db = await openKittDatabase();
+    const store = db.transaction(STORE_NAME, 'readonly').objectStore(STORE_NAME);
+    const cursor = await promisifyRequest(store.openCursor(this._sessionRange(sessionId)));
+    return cursor ? cursor.value : null;
+  }
+
+  /**
+   * Supprime un chunk (après envoi réussi)
+   * @param {string} sessionId - ID de la session
+   * @param {number} sequence - Numéro de séquence
+   */
+  async remove(sessionId, sequence) {
+    const db = await openKittDatabase();
+    const transaction = db.transaction(STORE_NAME, 'readwrite');
+    transaction.objectStore(STORE_NAME).delete([sessionId, sequence]);
+    await transactionComplete(transaction);
+  }
+
+  /**
+   * Résume la file d'une session (nombre de chunks, durée en attente)
+   * @param {string} sessionId - ID de la session
+   * @returns {Promise<{count: number, durationSeconds: number, lastSequence: number}>}
+   */
+  async getSummary(sessionId) {
+    const db = await openKittDatabase();
+    const store = db.transaction(STORE_NAME, 'readonly').objectStore(STORE_NAME);
+    const chunks = await promisifyRequest(store.getAll(this._sessionRange(sessionId)));
+
+    return {
+      count: chunks.length,
+      durationSeconds: chunks.reduce((acc, chunk) => acc + (chunk.durationSeconds || 0), 0),
+      lastSequence: chunks.length > 0 ? chunks[chunks.length - 1].sequence : -1
+    };
+  }
+
+  /**
+   * Supprime les chunks plus anciens qu'un âge donné (toutes sessions)
+   * @param {number} maxAgeMs - Âge maximum en millisecondes
+   * @returns {Promise<number>} Nombre de chunks supprimés
+   */
+  async purgeOlderThan(maxAgeMs) {
+    const db = await openKittDatabase();
+    const transaction = db.transaction(STORE_NAME, 'readwrite');
+    const store = transaction.objectStore(STORE_NAME);
+    const limit = Date.now() - maxAgeMs;
+    let purged = 0;
+
+    store.openCursor().onsuccess = (event) => {
+      const cursor = event.target.result;
+      if (!cursor) return;
+
+      if (cursor.value.createdAt < limit) {
+        cursor.delete();
+        purged++;
+      }
+      cursor.continue();
+    };
+
+    await transactionComplete(transaction);
+
+    if (purged > 0) {
+      Logger.info(`🧹 ${purged} chunk(s) audio expiré(s) supprimé(s) de la file`);
+    }
+
+    return purged;
+  }
+
+  /**
+   * Plage de clés couvrant tous les chunks d'une session
+   * @private
+   */
+  _sessionRange(sessionId) {
+    return IDBKeyRange.bound([sessionId, -Infinity], [sessionId, Infinity]);
+  }
+}
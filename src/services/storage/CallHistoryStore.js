@@ -0,0 +1,252 @@
+/**
+ * CALL HISTORY STORE
+ * ==================
+ * Historique des appels terminés : métadonnées, transcription, insights,
+ * compte-rendu et statistiques. Stocké sous STORAGE_KEYS.CALL_HISTORY tant
+ * qu'il tient dans le budget réservé de chrome.storage.local, puis déplacé
+ * en une fois dans IndexedDB (l'emplacement est mémorisé sous la même clé).
+ * Supprimer un appel supprime aussi son enregistrement local.
+ * Utilisable depuis le document offscreen (chrome.storage relayé).
+ */
+
+import { CALL_HISTORY_CONFIG, INDEXED_DB_CONFIG, STORAGE_KEYS } from '../../utils/constants.js';
+import { Logger } from '../../utils/logger.js';
+import { ExtensionStorage } from './ExtensionStorage.js';
+import { openKittDatabase, promisifyRequest, transactionComplete } from './KittDatabase.js';
+import { RecordingStore } from './RecordingStore.js';
+
+const { CALL_HISTORY } = INDEXED_DB_CONFIG.STORES;
+const { BACKENDS } = CALL_HISTORY_CONFIG;
+
+/**
+ * @typedef {Object} CallHistoryEntry
+ * @property {string} id - ID de la session
+ * @property {string|null} title - Titre de l'onglet de la réunion (tabCapture)
+ * @property {number} startedAt - Timestamp de début
+ * @property {number} endedAt - Timestamp de fin
+ * @property {number} durationMs - Durée (pauses exclues)
+ * @property {TranscriptEntry[]} transcript - Transcription affichée (texte et marqueurs)
+ * @property {Object[]} insights - Insights reçus { advice, receivedAt }
+ * @property {Object|null} summary - Compte-rendu généré (null si non généré)
+ * @property {Object} statistics - SessionService.getStatistics() en fin d'appel
+ */
+
+/**
+ * @typedef {Object} CallHistorySummary
+ * @property {string} id
+ * @property {string|null} title
+ * @property {number} startedAt
+ * @property {number} endedAt
+ * @property {number} durationMs
+ * @property {number} transcriptCount - Lignes de transcription
+ * @property {number} insightCount
+ * @property {boolean} hasSummary - Compte-rendu disponible
+ */
+
+export class CallHistoryStore {
+  /**
+   * @param {Object} options
+   * @param {RecordingStore} options.recordingStore - Enregistrements locaux des appels
+   */
+  constructor({ recordingStore = new RecordingStore() } = {}) {
+    this.recordingStore = recordingStore;
+  }
+
+  /**
+   * Enregistre (ou remplace) un appel terminé
+   * @param {CallHistoryEntry} entry
+   */
+  async save(entry) {
+    const history = await this._loadStorageHistory();
+
+    if (history.backend === BACKENDS.INDEXED_DB) {
+      await this._putInDatabase([entry]);
+      await this._pruneDatabase();
+    } else {
+      const calls = [entry, ...history.calls.filter(call => call.id !== entry.id)]
+        .sort((a, b) => b.endedAt - a.endedAt)
+        .slice(0, CALL_HISTORY_CONFIG.MAX_ENTRIES);
+
+      await this._saveInStorage(calls);
+    }
+
+    await ExtensionStorage.set({ [STORAGE_KEYS.LAST_SESSION_DATE]: entry.endedAt });
+
+    Logger.info('🗂️ Appel ajouté à l\'historique', { id: entry.id });
+  }
+
+  /**
+   * Liste les appels, plus récents d'abord
+   * @param {Object} options
+   * @param {string} options.query - Recherche (titre, transcription, insights, compte-rendu)
+   * @returns {Promise<CallHistorySummary[]>}
+   */
+  async list({ query = '' } = {}) {
+    const calls = await this._loadAll();
+    const terms = query.toLowerCase().split(/\s+/).filter(Boolean);
+
+    return calls
+      .filter(call => terms.length === 0 || CallHistoryStore._matches(call, terms))
+      .map(call => CallHistoryStore._summarize(call));
+  }
+
+  /**
+   * Récupère un appel complet
+   * @param {string} id - ID de la session
+   * @returns {Promise<CallHistoryEntry|null>}
+   */
+  async get(id) {
+    const history = await this._loadStorageHistory();
+
+    if (history.backend === BACKENDS.INDEXED_DB) {
+      const db = await openKittDatabase();
+      const store = db.transaction(CALL_HISTORY, 'readonly').objectStore(CALL_HISTORY);
+      return (await promisifyRequest(store.get(id))) || null;
+    }
+
+    return history.calls.find(call => call.id === id) || null;
+  }
+
+  /**
+   * Supprime un appel de l'historique et son enregistrement local
+   * @param {string} id - ID de la session
+   */
+  async delete(id) {
+    const history = await this._loadStorageHistory();
+
+    if (history.backend === BACKENDS.INDEXED_DB) {
+      const db = await openKittDatabase();
+      const transaction = db.transaction(CALL_HISTORY, 'readwrite');
+      transaction.objectStore(CALL_HISTORY).delete(id);
+      await transactionComplete(transaction);
+    } else {
+      await this._saveInStorage(history.calls.filter(call => call.id !== id));
+    }
+
+    await this.recordingStore.delete(id);
+
+    Logger.info('🗑️ Appel supprimé de l\'historique', { id });
+  }
+
+  /**
+   * @private
+   * @returns {Promise<{backend: string, calls: CallHistoryEntry[]}>}
+   */
+  async _loadStorageHistory() {
+    const result = await ExtensionStorage.get(STORAGE_KEYS.CALL_HISTORY);
+    return { backend: BACKENDS.STORAGE, calls: [], ...result[STORAGE_KEYS.CALL_HISTORY] };
+  }
+
+  /**
+   * @private
+   * @returns {Promise<CallHistoryEntry[]>} Plus récents d'abord
+   */
+  async _loadAll() {
+    const history = await this._loadStorageHistory();
+
+    if (history.backend !== BACKENDS.INDEXED_DB) {
+      return history.calls;
+    }
+
+    const db = await openKittDatabase();
+    const store = db.transaction(CALL_HISTORY, 'readonly').objectStore(CALL_HISTORY);
+    const calls = await promisifyRequest(store.index('endedAt').getAll());
+    return calls.reverse();
+  }
+
+  /**
+   * Écrit l'historique dans chrome.storage, ou le déplace dans IndexedDB
+   * s'il dépasse le budget (ou le quota de chrome.storage)
+   * @private
+   */
+  async _saveInStorage(calls) {
+    const history = { backend: BACKENDS.STORAGE, calls };
+    const bytes = new TextEncoder().encode(JSON.stringify(history)).length;
+
+    if (bytes <= CALL_HISTORY_CONFIG.STORAGE_BUDGET_BYTES) {
+      try {
+        await ExtensionStorage.set({ [STORAGE_KEYS.CALL_HISTORY]: history });
+        return;
+      } catch (error) {
+        if (!/quota/i.test(error.message)) {
+          throw error;
+        }
+      }
+    }
+
+    await this._moveToDatabase(calls, bytes);
+  }
+
+  /**
+   * @private
+   */
+  async _moveToDatabase(calls, bytes) {
+    Logger.info('🗂️ Historique déplacé vers IndexedDB', { calls: calls.length, bytes });
+
+    await this._putInDatabase(calls);
+    await ExtensionStorage.set({
+      [STORAGE_KEYS.CALL_HISTORY]: { backend: BACKENDS.INDEXED_DB, calls: [] }
+    });
+  }
+
+  /**
+   * @private
+   */
+  async _putInDatabase(calls) {
+    const db = await openKittDatabase();
+    const transaction = db.transaction(CALL_HISTORY, 'readwrite');
+    const store = transaction.objectStore(CALL_HISTORY);
+
+    calls.forEach(call => store.put(call));
+
+    await transactionComplete(transaction);
+  }
+
+  /**
+   * Supprime les appels les plus anciens au-delà de MAX_ENTRIES
+   * @private
+   */
+  async _pruneDatabase() {
+    const db = await openKittDatabase();
+    const transaction = db.transaction(CALL_HISTORY, 'readwrite');
+    const store = transaction.objectStore(CALL_HISTORY);
+
+    const ids = await promisifyRequest(store.index('endedAt').getAllKeys());
+    ids.slice(0, Math.max(0, ids.length - CALL_HISTORY_CONFIG.MAX_ENTRIES))
+      .forEach(id => store.delete(id));
+
+    await transactionComplete(transaction);
+  }
+
+  /**
+   * Chaque terme apparaît dans le titre, la transcription, les insights ou le compte-rendu
+   * @private
+   */
+  static _matches(call, terms) {
+    const haystack = [
+      call.title || '',
+      ...call.transcript.map(entry => entry.text),
+      ...call.insights.map(({ advice }) => `${advice.title} ${advice.details?.description || ''}`),
+      call.summary ? JSON.stringify(call.summary) : ''
+    ].join('\n').toLowerCase();
+
+    return terms.every(term => haystack.includes(term));
+  }
+
+  /**
+   * @private
+   * @returns {CallHistorySummary}
+   */
+  static _summarize(call) {
+    return {
+      id: call.id,
+      title: call.title,
+      startedAt: call.startedAt,
+      endedAt: call.endedAt,
+      durationMs: call.durationMs,
+      transcriptCount: call.transcript.filter(entry => entry.kind === 'text').length,
+      insightCount: call.insights.length,
+      hasSummary: !!call.summary
+    };
+  }
+}
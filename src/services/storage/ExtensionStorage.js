@@ -0,0 +1,72 @@
+/**
+ * EXTENSION STORAGE
+ * =================
+ * Accès à chrome.storage.local depuis n'importe quel contexte de l'extension.
+ * Le document offscreen n'a accès qu'à chrome.runtime : les lectures et
+ * écritures y sont relayées par le service worker.
+ */
+
+import { RUNTIME_MESSAGES } from '../../utils/constants.js';
+
+export class ExtensionStorage {
+  /**
+   * Lit des clés de chrome.storage.local
+   * @param {string|string[]} keys - Clé(s) à lire
+   * @returns {Promise<Object>}
+   */
+  static async get(keys) {
+    if (chrome.storage?.local) {
+      return chrome.storage.local.get(keys);
+    }
+
+    return ExtensionStorage._relay({ type: RUNTIME_MESSAGES.STORAGE_GET, keys });
+  }
+
+  /**
+   * Écrit des valeurs dans chrome.storage.local
+   * @param {Object} items - Valeurs à écrire
+   * @returns {Promise<void>}
+   */
+  static async set(items) {
+    if (chrome.storage?.local) {
+      return chrome.storage.local.set(items);
+    }
+
+    await ExtensionStorage._relay({ type: RUNTIME_MESSAGES.STORAGE_SET, items });
+  }
+
+  /**
+   * Suit les modifications de chrome.storage.local
+   * (dans le document offscreen : relayées par le service worker)
+   * @param {Function} callback - (changes: Object) => void
+   */
+  static onChanged(callback) {
+    if (chrome.storage?.onChanged) {
+      chrome.storage.onChanged.addListener((changes, areaName) => {
+        if (areaName === 'local') {
+          callback(changes);
+        }
+      });
+      return;
+    }
+
+    chrome.runtime.onMessage.addListener((message) => {
+      if (message?.type === RUNTIME_MESSAGES.STORAGE_CHANGED) {
+        callback(message.changes);
+      }
+    });
+  }
+
+  /**
+   * @private
+   */
+  static async _relay(message) {
+    const response = await chrome.runtime.sendMessage(message);
+
+    if (!response || response.error) {
+      throw new Error(response?.error || 'Stockage indisponible');
+    }
+
+    return response.result;
+  }
+}
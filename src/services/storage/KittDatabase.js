@@ -0,0 +1,107 @@
+/**
+ * KITT DATABASE
+ * =============
+ * Accès partagé à la base IndexedDB de l'extension
+ * (données volumineuses qui ne tiennent pas dans chrome.storage)
+ */
+
+import { INDEXED_DB_CONFIG } from '../../utils/constants.js';
+import { Logger } from '../../utils/logger.js';
+
+const { STORES } = INDEXED_DB_CONFIG;
+
+/**
+ * Migrations par version de schéma
+ * Chaque migration reçoit la base en cours d'upgrade
+ */
+const MIGRATIONS = {
+  1: (db) => {
+    // File d'attente audio : clé composite [sessionId, sequence] → ordre de rejeu garanti
+    db.createObjectStore(STORES.AUDIO_QUEUE, { keyPath: ['sessionId', 'sequence'] });
+  },
+  2: (db) => {
+    // Enregistrements locaux : métadonnées par appel + segments PCM ordonnés
+    db.createObjectStore(STORES.RECORDINGS, { keyPath: 'sessionId' });
+    db.createObjectStore(STORES.RECORDING_SEGMENTS, { keyPath: ['sessionId', 'index'] });
+  },
+  3: (db) => {
+    // Historique des appels (une fois le budget de chrome.storage dépassé), du plus récent au plus ancien
+    db.createObjectStore(STORES.CALL_HISTORY, { keyPath: 'id' })
+      .createIndex('endedAt', 'endedAt');
+  }
+};
+
+let databasePromise = null;
+
+/**
+ * Ouvre (une seule fois) la base IndexedDB et applique les migrations
+ * @returns {Promise<IDBDatabase>}
+ */
+export function openKittDatabase() {
+  if (databasePromise) {
+    return databasePromise;
+  }
+
+  databasePromise = new Promise((resolve, reject) => {
+    const request = indexedDB.open(INDEXED_DB_CONFIG.NAME, INDEXED_DB_CONFIG.VERSION);
+
+    request.onupgradeneeded = (event) => {
+      const db = request.result;
+      Logger.info('🗄️ Migration IndexedDB', {
+        from: event.oldVersion,
+        to: event.newVersion
+      });
+
+      for (let version = event.oldVersion + 1; version <= event.newVersion; version++) {
+        if (MIGRATIONS[version]) {
+          MIGRATIONS[version](db, request.transaction);
+        }
+      }
+    };
+
+    request.onsuccess = () => {
+      const db = request.result;
+
+      // Une autre page a ouvert une version plus récente : libérer la connexion
+      db.onversionchange = () => {
+        db.close();
+        databasePromise = null;
+      };
+
+      resolve(db);
+    };
+
+    request.onerror = () => {
+      databasePromise = null;
+      Logger.error('❌ Impossible d\'ouvrir IndexedDB', request.error);
+      reject(request.error);
+    };
+  });
+
+  return databasePromise;
+}
+
+/**
+ * Convertit une IDBRequest en promesse
+ * @param {IDBRequest} request - Requête IndexedDB
+ * @returns {Promise<*>}
+ */
+export function promisifyRequest(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+/**
+ * Attend la fin d'une transaction
+ * @param {IDBTransaction} transaction - Transaction IndexedDB
+ * @returns {Promise<void>}
+ */
+export function transactionComplete(transaction) {
+  return new Promise((resolve, reject) => {
+    transaction.oncomplete = () => resolve();
+    transaction.onerror = () => reject(transaction.error);
+    transaction.onabort = () => reject(transaction.error);
+  });
+}
@@ -0,0 +1,114 @@
+/**
+ * RECORDING STORE
+ * ===============
+ * Enregistrements locaux des appels (IndexedDB) : une entrée de métadonnées
+ * par appel et des segments PCM 16-bit stéréo entrelacés, indexés par
+ * [sessionId, index] pour être relus dans l'ordre
+ */
+
+import { INDEXED_DB_CONFIG } from '../../utils/constants.js';
+import { Logger } from '../../utils/logger.js';
+import { openKittDatabase, promisifyRequest, transactionComplete } from './KittDatabase.js';
+
+const { RECORDINGS, RECORDING_SEGMENTS } = INDEXED_DB_CONFIG.STORES;
+
+/**
+ * @typedef {Object} RecordingMetadata
+ * @property {string} sessionId - ID de la session enregistrée
+ * @property {number} sampleRate - Fréquence d'échantillonnage
+ * @property {number} channels - Nombre de canaux (2 : client à gauche, commercial à droite)
+ * @property {number} bytes - Taille des données PCM
+ * @property {number} durationSeconds - Durée enregistrée
+ * @property {number} segmentCount - Nombre de segments
+ * @property {boolean} truncated - true si la taille maximale a été atteinte
+ * @property {number} createdAt - Timestamp de début
+ * @property {number|null} completedAt - Timestamp de fin (null si en cours)
+ */
+
+export class RecordingStore {
+  /**
+   * Ajoute un segment et met à jour les métadonnées dans la même transaction
+   * @param {RecordingMetadata} metadata - Métadonnées à jour
+   * @param {number} index - Index du segment
+   * @param {ArrayBuffer} pcm - PCM 16-bit stéréo entrelacé
+   */
+  async appendSegment(metadata, index, pcm) {
+    const db = await openKittDatabase();
+    const transaction = db.transaction([RECORDINGS, RECORDING_SEGMENTS], 'readwrite');
+
+    transaction.objectStore(RECORDING_SEGMENTS).put({ sessionId: metadata.sessionId, index, pcm });
+    transaction.objectStore(RECORDINGS).put(metadata);
+
+    await transactionComplete(transaction);
+  }
+
+  /**
+   * Enregistre les métadonnées
+   * @param {RecordingMetadata} metadata
+   */
+  async saveMetadata(metadata) {
+    const db = await openKittDatabase();
+    const transaction = db.transaction(RECORDINGS, 'readwrite');
+    transaction.objectStore(RECORDINGS).put(metadata);
+    await transactionComplete(transaction);
+  }
+
+  /**
+   * Récupère les métadonnées d'un enregistrement
+   * @param {string} sessionId - ID de la session
+   * @returns {Promise<RecordingMetadata|null>}
+   */
+  async getMetadata(sessionId) {
+    const db = await openKittDatabase();
+    const store = db.transaction(RECORDINGS, 'readonly').objectStore(RECORDINGS);
+    const metadata = await promisifyRequest(store.get(sessionId));
+    return metadata || null;
+  }
+
+  /**
+   * Liste tous les enregistrements (plus récents d'abord)
+   * @returns {Promise<RecordingMetadata[]>}
+   */
+  async list() {
+    const db = await openKittDatabase();
+    const store = db.transaction(RECORDINGS, 'readonly').objectStore(RECORDINGS);
+    const recordings = await promisifyRequest(store.getAll());
+    return recordings.sort((a, b) => b.createdAt - a.createdAt);
+  }
+
+  /**
+   * Récupère les segments PCM d'un enregistrement, dans l'ordre
+   * @param {string} sessionId - ID de la session
+   * @returns {Promise<ArrayBuffer[]>}
+   */
+  async getSegments(sessionId) {
+    const db = await openKittDatabase();
+    const store = db.transaction(RECORDING_SEGMENTS, 'readonly').objectStore(RECORDING_SEGMENTS);
+    const segments = await promisifyRequest(store.getAll(this._sessionRange(sessionId)));
+    return segments.map(segment => segment.pcm);
+  }
+
+  /**
+   * Supprime un enregistrement (métadonnées + segments)
+   * @param {string} sessionId - ID de la session
+   */
+  async delete(sessionId) {
+    const db = await openKittDatabase();
+    const transaction = db.transaction([RECORDINGS, RECORDING_SEGMENTS], 'readwrite');
+
+    transaction.objectStore(RECORDINGS).delete(sessionId);
+    transaction.objectStore(RECORDING_SEGMENTS).delete(this._sessionRange(sessionId));
+
+    await transactionComplete(transaction);
+
+    Logger.info('🗑️ Enregistrement supprimé', { sessionId });
+  }
+
+  /**
+   * Plage de clés couvrant tous les segments d'une session
+   * @private
+   */
+  _sessionRange(sessionId) {
+    return IDBKeyRange.bound([sessionId, -Infinity], [sessionId, Infinity]);
+  }
+}
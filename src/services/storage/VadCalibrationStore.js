@@ -0,0 +1,71 @@
+/**
+ * VAD CALIBRATION STORE
+ * =====================
+ * Mémorise le bruit de fond calibré par périphérique d'entrée
+ * (chrome.storage.local, relayé depuis l'offscreen) pour démarrer l'appel suivant avec des seuils justes
+ */
+
+import { STORAGE_KEYS } from '../../utils/constants.js';
+import { Logger } from '../../utils/logger.js';
+import { ExtensionStorage } from './ExtensionStorage.js';
+
+// Nombre max de périphériques mémorisés (les plus anciens sont oubliés)
+const MAX_DEVICES = 10;
+
+export class VadCalibrationStore {
+  /**
+   * Charge la calibration d'un périphérique
+   * @param {string} deviceId - ID du périphérique (MediaTrackSettings.deviceId)
+   * @returns {Promise<Object|null>} { noiseFloor, silenceThreshold, speechThreshold, updatedAt }
+   */
+  async load(deviceId) {
+    try {
+      const calibrations = await this._loadAll();
+      return calibrations[deviceId] || null;
+    } catch (error) {
+      Logger.warn('⚠️ Impossible de charger la calibration VAD', error);
+      return null;
+    }
+  }
+
+  /**
+   * Enregistre la calibration d'un périphérique
+   * @param {string} deviceId - ID du périphérique
+   * @param {Object} calibration - { noiseFloor, silenceThreshold, speechThreshold }
+   */
+  async save(deviceId, calibration) {
+    if (!deviceId || !calibration) {
+      return;
+    }
+
+    try {
+      const calibrations = await this._loadAll();
+      calibrations[deviceId] = { ...calibration, updatedAt: Date.now() };
+
+      // Ne garder que les périphériques les plus récents
+      const recent = Object.entries(calibrations)
+        .sort(([, a], [, b]) => b.updatedAt - a.updatedAt)
+        .slice(0, MAX_DEVICES);
+
+      await ExtensionStorage.set({
+        [STORAGE_KEYS.VAD_CALIBRATION]: Object.fromEntries(recent)
+      });
+
+      Logger.debug('💾 Calibration VAD sauvegardée', {
+        deviceId,
+        noiseFloor: calibration.noiseFloor.toFixed(4)
+      });
+
+    } catch (error) {
+      Logger.warn('⚠️ Impossible de sauvegarder la calibration VAD', error);
+    }
+  }
+
+  /**
+   * @private
+   */
+  async _loadAll() {
+    const result = await ExtensionStorage.get(STORAGE_KEYS.VAD_CALIBRATION);
+    return result[STORAGE_KEYS.VAD_CALIBRATION] || {};
+  }
+}
@@ -0,0 +1,98 @@
+/**
+ * WINDOW SETTINGS STORE
+ * =====================
+ * Réglages de la fenêtre détachée (taille, position, marge, mode mini) :
+ * valeurs par défaut de config.js surchargées par la page de réglages,
+ * et dernière position / taille mémorisée de la fenêtre
+ */
+
+import { WINDOW_CONFIG, WINDOW_LIMITS, WINDOW_POSITIONS } from '../../../config.js';
+import { STORAGE_KEYS } from '../../utils/constants.js';
+import { Logger } from '../../utils/logger.js';
+
+export class WindowSettingsStore {
+  /**
+   * Réglages effectifs (défauts de config.js + réglages enregistrés)
+   * @returns {Promise<Object>} WINDOW_CONFIG complété
+   */
+  async load() {
+    try {
+      const result = await chrome.storage.local.get(STORAGE_KEYS.SETTINGS);
+      const saved = result[STORAGE_KEYS.SETTINGS]?.window || {};
+
+      return WindowSettingsStore.sanitize({ ...WINDOW_CONFIG, ...saved });
+    } catch (error) {
+      Logger.warn('⚠️ Impossible de charger les réglages de la fenêtre', error);
+      return { ...WINDOW_CONFIG };
+    }
+  }
+
+  /**
+   * Enregistre les réglages de la fenêtre
+   * @param {Object} settings - Réglages (partiels acceptés)
+   * @returns {Promise<Object>} Réglages effectifs après bornage
+   */
+  async save(settings) {
+    const current = await this.load();
+    const windowSettings = WindowSettingsStore.sanitize({ ...current, ...settings });
+
+    const result = await chrome.storage.local.get(STORAGE_KEYS.SETTINGS);
+    await chrome.storage.local.set({
+      [STORAGE_KEYS.SETTINGS]: { ...result[STORAGE_KEYS.SETTINGS], window: windowSettings }
+    });
+
+    Logger.info('🪟 Réglages de la fenêtre enregistrés', windowSettings);
+    return windowSettings;
+  }
+
+  /**
+   * Dernière position / taille de la fenêtre
+   * @returns {Promise<Object|null>} { left, top, width, height }
+   */
+  async loadBounds() {
+    const result = await chrome.storage.local.get(STORAGE_KEYS.WINDOW_BOUNDS);
+    return result[STORAGE_KEYS.WINDOW_BOUNDS] || null;
+  }
+
+  /**
+   * Mémorise la position / taille de la fenêtre
+   * @param {Object} bounds - { left, top, width, height }
+   */
+  async saveBounds({ left, top, width, height }) {
+    await chrome.storage.local.set({
+      [STORAGE_KEYS.WINDOW_BOUNDS]: { left, top, width, height }
+    });
+  }
+
+  /**
+   * Oublie la position mémorisée (retour au préréglage)
+   */
+  async clearBounds() {
+    await chrome.storage.local.remove(STORAGE_KEYS.WINDOW_BOUNDS);
+    Logger.info('🪟 Position mémorisée de la fenêtre oubliée');
+  }
+
+  /**
+   * Borne les valeurs numériques et valide le préréglage de position
+   * @param {Object} settings
+   * @returns {Object}
+   */
+  static sanitize(settings) {
+    const sanitized = { ...settings };
+
+    Object.entries(WINDOW_LIMITS).forEach(([key, { min, max }]) => {
+      const value = Number(sanitized[key]);
+      sanitized[key] = Number.isFinite(value)
+        ? Math.round(Math.min(max, Math.max(min, value)))
+        : WINDOW_CONFIG[key];
+    });
+
+    if (!WINDOW_POSITIONS.includes(sanitized.position)) {
+      sanitized.position = WINDOW_CONFIG.position;
+    }
+
+    sanitized.rememberBounds = !!sanitized.rememberBounds;
+
+    return sanitized;
+  }
+}
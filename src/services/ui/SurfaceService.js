@@ -0,0 +1,149 @@
+/**
+ * SURFACE SERVICE
+ * ===============
+ * Surfaces d'affichage de KITT : popup, panneau latéral ou fenêtre détachée.
+ * Les trois chargent la même page ; l'appel est partagé via le document
+ * offscreen. La surface par défaut (clic sur l'icône) est mémorisée dans
+ * chrome.storage et appliquée par le service worker.
+ */
+
+import { STORAGE_KEYS, SURFACE_CONFIG, UI_SURFACES } from '../../utils/constants.js';
+import { Logger } from '../../utils/logger.js';
+import { getWindowPosition } from '../../../config.js';
+import { WindowSettingsStore } from '../storage/WindowSettingsStore.js';
+
+export class SurfaceService {
+  /**
+   * Surface de la page courante (paramètre ?surface=…, popup par défaut)
+   * @returns {string} UI_SURFACES.*
+   */
+  static getCurrentSurface() {
+    const surface = new URLSearchParams(location.search).get('surface');
+    return SurfaceService.isValid(surface) ? surface : UI_SURFACES.POPUP;
+  }
+
+  /**
+   * @param {string} surface
+   * @returns {boolean}
+   */
+  static isValid(surface) {
+    return Object.values(UI_SURFACES).includes(surface);
+  }
+
+  /**
+   * URL de la page pour une surface
+   * @param {string} surface - UI_SURFACES.*
+   * @returns {string} Chemin relatif à la racine de l'extension
+   */
+  static getPagePath(surface) {
+    return surface === UI_SURFACES.POPUP
+      ? SURFACE_CONFIG.PAGE_PATH
+      : `${SURFACE_CONFIG.PAGE_PATH}?surface=${surface}`;
+  }
+
+  /**
+   * Surface ouverte par le clic sur l'icône
+   * @returns {Promise<string>} UI_SURFACES.*
+   */
+  static async getDefaultSurface() {
+    const result = await chrome.storage.local.get(STORAGE_KEYS.DEFAULT_SURFACE);
+    const surface = result[STORAGE_KEYS.DEFAULT_SURFACE];
+
+    return SurfaceService.isValid(surface) ? surface : SURFACE_CONFIG.DEFAULT;
+  }
+
+  /**
+   * Mémorise la surface par défaut (appliquée par le service worker)
+   * @param {string} surface - UI_SURFACES.*
+   */
+  static async setDefaultSurface(surface) {
+    if (!SurfaceService.isValid(surface)) {
+      throw new Error(`Surface inconnue: ${surface}`);
+    }
+
+    await chrome.storage.local.set({ [STORAGE_KEYS.DEFAULT_SURFACE]: surface });
+    Logger.info('🪟 Surface par défaut', { surface });
+  }
+
+  /**
+   * Configure le clic sur l'icône pour une surface (service worker).
+   * Popup : default_popup ; panneau : ouverture native du panneau ;
+   * fenêtre : ni l'un ni l'autre, action.onClicked ouvre la fenêtre.
+   * @param {string} surface - UI_SURFACES.*
+   */
+  static async applyDefaultSurface(surface) {
+    await chrome.action.setPopup({
+      popup: surface === UI_SURFACES.POPUP ? SURFACE_CONFIG.PAGE_PATH : ''
+    });
+    await chrome.sidePanel.setPanelBehavior({
+      openPanelOnActionClick: surface === UI_SURFACES.SIDE_PANEL
+    });
+
+    Logger.debug('🪟 Clic sur l\'icône configuré', { surface });
+  }
+
+  /**
+   * Ouvre la fenêtre détachée, ou met au premier plan celle déjà ouverte.
+   * Dernière position / taille si mémorisée, sinon taille et préréglage configurés.
+   */
+  static async openWindow() {
+    const existingWindowId = await SurfaceService.findWindowId();
+
+    if (existingWindowId !== null) {
+      await chrome.windows.update(existingWindowId, { focused: true });
+      return;
+    }
+
+    const store = new WindowSettingsStore();
+    const settings = await store.load();
+    const bounds = (settings.rememberBounds && await store.loadBounds())
+      || await SurfaceService._computeWindowBounds(settings);
+
+    await chrome.windows.create({
+      url: chrome.runtime.getURL(SurfaceService.getPagePath(UI_SURFACES.WINDOW)),
+      type: 'popup',
+      ...bounds,
+      focused: true
+    });
+  }
+
+  /**
+   * Fenêtre détachée KITT actuellement ouverte
+   * @returns {Promise<number|null>} ID de la fenêtre
+   */
+  static async findWindowId() {
+    const url = chrome.runtime.getURL(SurfaceService.getPagePath(UI_SURFACES.WINDOW));
+    const tabs = await chrome.tabs.query({ windowType: 'popup' });
+
+    return tabs.find(tab => tab.url === url)?.windowId ?? null;
+  }
+
+  /**
+   * Taille configurée, placée selon le préréglage sur l'écran principal
+   * @private
+   */
+  static async _computeWindowBounds({ width, height, position, margin }) {
+    const displays = await chrome.system.display.getInfo();
+    const display = displays.find(d => d.isPrimary) || displays[0];
+
+    if (!display) {
+      return { width, height };
+    }
+
+    return {
+      width,
+      height,
+      ...getWindowPosition(display.workArea, width, height, position, margin)
+    };
+  }
+
+  /**
+   * Ouvre le panneau latéral d'une fenêtre de navigation.
+   * Doit être appelé directement dans le gestionnaire du geste utilisateur.
+   * @param {number} windowId - Fenêtre de navigation (type 'normal')
+   * @returns {Promise<void>}
+   */
+  static openSidePanel(windowId) {
+    return chrome.sidePanel.open({ windowId });
+  }
+}
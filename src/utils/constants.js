@@ -9,12 +9,20 @@
 // ============================================================================
 
 export const AUDIO_CONFIG = {
-  // Fréquence d'échantillonnage (Hz)
+  // Fréquence d'échantillonnage par défaut (Hz)
+  // La fréquence réelle est celle de l'AudioContext (souvent 48000)
   SAMPLE_RATE: 44100,
+
+  // Fréquence envoyée au backend après rééchantillonnage (Hz)
+  // 16 kHz suffit pour la transcription et divise la taille d'upload par 3
+  // null = pas de rééchantillonnage
+  TARGET_SAMPLE_RATE: 16000,
   
-  // Taille du buffer de traitement
+  // Taille des chunks postés par l'AudioWorklet (échantillons par canal)
   BUFFER_SIZE: 4096,
-  
+  // Attente max du dernier chunk partiel de l'AudioWorklet à la pause (ms)
+  WORKLET_FLUSH_TIMEOUT: 500,
+
   // Intervalle d'envoi au backend (secondes)
   // ⚠️ NOTE: Ce paramètre est utilisé uniquement si VAD_ENABLED = false
   // Avec VAD activé, l'envoi se fait automatiquement à la fin de chaque phrase
@@ -26,6 +34,56 @@ export const AUDIO_CONFIG = {
   // - false: Envoie toutes les SEND_INTERVAL_SECONDS (mode legacy)
   VAD_ENABLED: true,
 
+  // Mode de détection du VAD (voir VAD_MODES)
+  // - 'energy': RMS seul (léger)
+  // - 'spectral': RMS + descripteurs spectraux (ignore clavier, ventilation, bruit large bande)
+  VAD_MODE: 'energy',
+
+  // Critères du mode spectral (un buffer est « vocal » s'il les respecte tous)
+  VAD_SPECTRAL: {
+    FFT_SIZE: 512,
+    SPEECH_BAND: [300, 3400],       // Bande vocale (Hz)
+    MIN_SPEECH_BAND_RATIO: 0.5,     // Part minimale d'énergie dans la bande vocale
+    MAX_SPECTRAL_FLATNESS: 0.4,     // Au-delà : bruit large bande (clavier, souffle)
+    MAX_ZERO_CROSSING_RATE: 0.35    // Au-delà : sifflantes / bruit haute fréquence
+  },
+
+  // Calibration adaptative du VAD : les seuils sont dérivés du bruit de fond mesuré
+  VAD_CALIBRATION: {
+    DURATION_SECONDS: 2,          // Phase de calibration au démarrage de la session
+    NOISE_PERCENTILE: 0.2,        // Percentile RMS retenu comme bruit de fond (robuste à la parole)
+    SILENCE_RATIO: 2,             // Seuil de silence = bruit de fond × 2
+    SPEECH_RATIO: 6,              // Seuil de parole = bruit de fond × 6
+    MIN_SILENCE_THRESHOLD: 0.002, // Bornes (casque très silencieux / open space bruyant)
+    MIN_SPEECH_THRESHOLD: 0.008,
+    MAX_SPEECH_THRESHOLD: 0.15,
+    FLOOR_RISE_SECONDS: 10,       // Suivi continu : le plancher monte lentement...
+    FLOOR_FALL_SECONDS: 0.5       // ...et redescend vite
+  },
+
+  // Indicateurs de dynamique d'appel (ConversationMetrics)
+  CONVERSATION_METRICS: {
+    UPDATE_INTERVAL: 1000,                // Rafraîchissement de l'UI (ms)
+    MIN_INTERRUPTION_SECONDS: 0.3,        // Chevauchement minimal compté comme interruption
+    MAX_RESPONSE_GAP_SECONDS: 5,          // Au-delà, ce n'est plus une réponse
+    MONOLOGUE_PAUSE_TOLERANCE_SECONDS: 2  // Pause tolérée dans un monologue
+  },
+
+  // Transport vers le backend (voir AUDIO_TRANSPORT_MODES)
+  // - 'post' (défaut): un POST multipart par fin de phrase
+  // - 'stream' (opt-in, réglage audio.transportMode): une WebSocket par session, trames PCM
+  //   envoyées en continu ; exige /ws/audio/{id} côté backend, sinon fallback POST après
+  //   STREAM_CONNECT_TIMEOUT à chaque démarrage
+  TRANSPORT_MODE: 'post',
+
+  // File d'attente hors-ligne (IndexedDB) pour les chunks non envoyés
+  // Intervalle entre deux tentatives de rejeu quand le backend est injoignable (ms)
+  OFFLINE_QUEUE_REPLAY_INTERVAL: 5000,
+  // Âge max d'un chunk en attente avant purge (ms)
+  OFFLINE_QUEUE_MAX_AGE: 24 * 60 * 60 * 1000,
+  // Attente max des chunks en file à l'arrêt de l'écoute, avant de les déclarer perdus (ms)
+  OFFLINE_QUEUE_DRAIN_TIMEOUT: 15000,
+
   // Contraintes de capture audio
   CAPTURE_CONSTRAINTS: {
     audio: {
@@ -35,6 +93,15 @@ export const AUDIO_CONFIG = {
     }
   },
   
+  // Stratégie de capture de l'audio de la réunion (voir CAPTURE_STRATEGIES)
+  // - 'tab_capture' (recommandé): audio seul de l'onglet actif, sans sélecteur de partage
+  // - 'display_media': sélecteur de partage d'écran (fallback automatique si tabCapture échoue)
+  CAPTURE_STRATEGY: 'tab_capture',
+
+  // Coupure d'une source (piste terminée ou muette) : durée minimale pour
+  // être signalée dans la transcription (ignore les micro-coupures)
+  CAPTURE_GAP_MIN_SECONDS: 1,
+
   // Contraintes de capture écran
   DISPLAY_CONSTRAINTS: {
     audio: {
@@ -46,6 +113,157 @@ export const AUDIO_CONFIG = {
   }
 };
 
+// Stratégies de capture de l'audio de la réunion
+export const CAPTURE_STRATEGIES = {
+  TAB_CAPTURE: 'tab_capture',
+  DISPLAY_MEDIA: 'display_media'
+};
+
+// Événements des pistes capturées (noms des événements MediaStreamTrack)
+export const CAPTURE_TRACK_EVENTS = {
+  ENDED: 'ended',    // Partage arrêté, micro débranché : la source doit être ré-acquise
+  MUTE: 'mute',      // Piste temporairement muette (micro coupé au niveau système)
+  UNMUTE: 'unmute'
+};
+
+// Messages chrome.runtime échangés entre vues, service worker et document offscreen
+export const RUNTIME_MESSAGES = {
+  GET_TAB_STREAM_ID: 'kitt:get-tab-stream-id',
+  CALL_COMMAND: 'kitt:call-command',           // vue → service worker { command, payload }
+  OFFSCREEN_COMMAND: 'kitt:offscreen-command', // service worker → document offscreen { command, payload }
+  CALL_EVENT: 'kitt:call-event',               // document offscreen → vues { event, payload }
+  STORAGE_GET: 'kitt:storage-get',             // chrome.storage relayé (indisponible dans l'offscreen)
+  STORAGE_SET: 'kitt:storage-set',
+  STORAGE_CHANGED: 'kitt:storage-changed',     // service worker → offscreen { changes }
+  MEETING_PAGE_STATE: 'kitt:meeting-page-state' // content script → service worker { inCall }
+};
+
+// Document offscreen qui héberge la capture et la session (survit à la fermeture de la popup)
+export const OFFSCREEN_CONFIG = {
+  DOCUMENT_PATH: 'src/offscreen/offscreen.html',
+  REASONS: ['USER_MEDIA', 'DISPLAY_MEDIA', 'AUDIO_PLAYBACK'],
+  JUSTIFICATION: 'Capture et analyse de l\'audio de l\'appel pendant que la popup est fermée',
+  // Entrées de transcription renvoyées à une vue qui se rattache
+  REPLAY_TRANSCRIPT_ENTRIES: 50,
+  // Insights conservés pour une vue qui se rattache
+  REPLAY_INSIGHTS: 10
+};
+
+// Commandes acceptées par l'orchestrateur d'appel
+export const CALL_COMMANDS = {
+  START: 'start',
+  RESUME_SESSION: 'resume_session', // Reprise de la session interrompue (persistée) { micDeviceId, record }
+  STOP: 'stop',
+  PAUSE: 'pause',
+  RESUME: 'resume',
+  TOGGLE_PRIVACY_MUTE: 'toggle_privacy_mute',
+  REACQUIRE_SOURCE: 'reacquire_source',
+  GET_STATE: 'get_state',
+  GET_REPORT_DATA: 'get_report_data',
+  END_SESSION: 'end_session'
+};
+
+// Événements diffusés par l'orchestrateur aux vues
+export const CALL_EVENTS = {
+  STATE: 'state',
+  TRANSCRIPT: 'transcript',
+  INSIGHT: 'insight',
+  QUEUE: 'queue',
+  TURN: 'turn',
+  METRICS: 'metrics'
+};
+
+// États de l'orchestrateur
+export const CALL_STATUS = {
+  IDLE: 'idle',
+  STARTING: 'starting',
+  LISTENING: 'listening',
+  STOPPING: 'stopping'      // Envoi des chunks en file avant l'arrêt
+};
+
+// Pages de réunion où l'overlay est injecté (doit rester aligné sur content_scripts du manifest)
+export const MEETING_URL_PATTERNS = [
+  'https://meet.google.com/*',
+  'https://teams.microsoft.com/*',
+  'https://teams.live.com/*',
+  'https://*.zoom.us/*'
+];
+
+// Réaction à une réunion détectée
+export const MEETING_DETECTION_MODES = {
+  OFF: 'off',
+  PROMPT: 'prompt',   // Notification proposant de démarrer l'écoute
+  AUTO: 'auto'
+};
+
+// Détection des réunions par le service worker (MODE, AUTO_STOP et URL_PATTERNS modifiables dans les réglages)
+export const MEETING_DETECTION_CONFIG = {
+  MODE: MEETING_DETECTION_MODES.PROMPT,
+  AUTO_STOP: true,       // Arrêt de l'écoute à la fermeture de l'onglet de la réunion
+  // Adresses d'une réunion en cours (motifs de correspondance Chrome)
+  URL_PATTERNS: [
+    'https://meet.google.com/*-*-*',
+    'https://teams.microsoft.com/*',
+    'https://teams.live.com/*',
+    'https://*.zoom.us/wc/*'
+  ],
+  // Élément présent uniquement pendant l'appel (bouton Quitter), pages couvertes par content.js.
+  // Ailleurs, l'adresse suffit.
+  IN_CALL_SELECTORS: {
+    'https://meet.google.com/*': 'button[jsname="CQylAd"]',
+    'https://teams.microsoft.com/*': '#hangup-button',
+    'https://teams.live.com/*': '#hangup-button',
+    'https://*.zoom.us/*': '.footer__leave-btn'
+  },
+  IN_CALL_CHECK_DELAY_MS: 500,
+  NOTIFICATION_ID_PREFIX: 'kitt-meeting-',
+  START_FAILED_NOTIFICATION_ID_PREFIX: 'kitt-start-failed-',
+  NOTIFICATION_ICON_PATH: 'src/assets/icons/icon-128.png'
+};
+
+// Overlay dans la page de réunion (content script, shadow root)
+export const OVERLAY_CONFIG = {
+  HOST_ID: 'kitt-meeting-overlay',
+  STYLESHEET_PATH: 'src/components/overlay/meeting-overlay.css',
+  MAX_INSIGHTS: 3,
+  MAX_TRANSCRIPT_LINES: 6,
+  // Marge minimale avec les bords de la fenêtre lors du déplacement (px)
+  EDGE_MARGIN: 8,
+  // Événements relayés aux onglets de réunion par le service worker (METRICS et TURN : trop fréquents)
+  RELAYED_EVENTS: [CALL_EVENTS.STATE, CALL_EVENTS.TRANSCRIPT, CALL_EVENTS.INSIGHT]
+};
+
+// Raccourcis clavier (chrome.commands, voir manifest.json) → canal masqué (valeur de SPEAKERS)
+export const PRIVACY_MUTE_COMMANDS = {
+  'toggle-mute-commercial': 'commercial',
+  'toggle-mute-client': 'client'
+};
+
+// Enregistrement local des appels (opt-in)
+export const RECORDING_CONFIG = {
+  ENABLED_BY_DEFAULT: false,
+  MAX_SIZE_MB: 200,        // Taille max d'un enregistrement (~50 min en stéréo 16 kHz), réglage audio.recordingMaxSizeMb
+  SEGMENT_SECONDS: 10      // Écriture dans IndexedDB par segments
+};
+
+// Modes de détection du VAD
+export const VAD_MODES = {
+  ENERGY: 'energy',
+  SPECTRAL: 'spectral'
+};
+
+// Modes de transport audio vers le backend
+export const AUDIO_TRANSPORT_MODES = {
+  STREAM: 'stream',
+  POST: 'post'
+};
+
+// Interlocuteurs (un canal audio chacun)
+export const SPEAKERS = {
+  CLIENT: 'client',         // Audio de l'onglet (canal 0)
+  COMMERCIAL: 'commercial'  // Microphone (canal 1)
+};
+
 // ============================================================================
 // TYPES D'INSIGHTS
 // ============================================================================
@@ -129,6 +347,21 @@ export const UI_CONFIG = {
   TRANSITION_DURATION: 300
 };
 
+// Surfaces d'affichage de KITT (même page, même appel partagé via le document offscreen)
+export const UI_SURFACES = {
+  POPUP: 'popup',
+  SIDE_PANEL: 'side_panel',
+  WINDOW: 'window'
+};
+
+export const SURFACE_CONFIG = {
+  // Page commune aux trois surfaces (?surface=… pour adapter la mise en page)
+  PAGE_PATH: 'src/popup/popup.html',
+  // Surface ouverte par le clic sur l'icône de l'extension
+  DEFAULT: UI_SURFACES.POPUP
+  // Taille et position de la fenêtre détachée : voir config.js (WINDOW_CONFIG)
+};
+
 // ============================================================================
 // API & BACKEND
 // ============================================================================
@@ -136,6 +369,9 @@ export const UI_CONFIG = {
 export const API_CONFIG = {
   // URL de base du backend
   BASE_URL: 'http://localhost:8000',
+
+  // URL de base pour les flux WebSocket
+  WS_BASE_URL: 'ws://localhost:8000',
   
   // Endpoints
   ENDPOINTS: {
@@ -143,16 +379,41 @@ export const API_CONFIG = {
     CALLS_END: (sessionId) => `/calls/${sessionId}/end`,
     CALLS_STATE: (sessionId) => `/calls/${sessionId}/state`,
     AUDIO_UPLOAD: (sessionId) => `/audio/${sessionId}`,
-    RESUME_GENERATE: (sessionId) => `/resume/${sessionId}`
+    AUDIO_STREAM: (sessionId) => `/ws/audio/${sessionId}`,
+    RESUME_GENERATE: (sessionId) => `/resume/${sessionId}`,
+    AUTH_LOGIN: '/auth/login',
+    AUTH_REFRESH: '/auth/refresh'
   },
   
   // Timeouts (millisecondes)
   REQUEST_TIMEOUT: 30000,
+
+  // Délai max d'ouverture du flux WebSocket avant fallback en POST
+  STREAM_CONNECT_TIMEOUT: 5000,
   
   // Retry configuration
   RETRY_ATTEMPTS: 3,
   RETRY_DELAY: 1000,
-  RETRY_BACKOFF_MULTIPLIER: 2
+  RETRY_BACKOFF_MULTIPLIER: 2,
+
+  // Génération du compte-rendu (LLM) : plus lente, une seule tentative
+  RESUME_TIMEOUT: 120000,
+
+  // Backend simulé en mémoire (développement sans le serveur Python)
+  USE_MOCK_BACKEND: false,
+  MOCK_LATENCY_MS: 300
+};
+
+// ============================================================================
+// AUTHENTIFICATION
+// ============================================================================
+
+export const AUTH_CONFIG = {
+  // Jeton rafraîchi s'il expire dans moins de REFRESH_MARGIN_MS
+  REFRESH_MARGIN_MS: 60000,
+
+  // Environnements proposés par défaut (réglage api.environments, "Nom = URL")
+  DEFAULT_ENVIRONMENTS: ['Local = http://localhost:8000']
 };
 
 // ============================================================================
@@ -164,6 +425,12 @@ export const ERROR_MESSAGES = {
   MICROPHONE_DENIED: "Microphone refusé. Vérifiez les permissions système (Préférences → Sécurité → Microphone)",
   SCREEN_DENIED: "Partage d'écran refusé. Assurez-vous de sélectionner 'Partager l'audio de l'onglet'",
   NO_AUDIO_TRACK: "Aucune piste audio détectée. Cochez bien 'Partager l'audio' dans la popup",
+  MEETING_TAB_CAPTURE_REFUSED: "Chrome refuse la capture de l'onglet de la réunion : cliquez sur l'icône KITT dans cet onglet, puis démarrez l'écoute",
+  MICROPHONE_DEVICE_MISSING: "Le micro sélectionné n'est plus disponible (débranché ?). Choisissez un autre périphérique.",
+  MICROPHONE_LOST: "Micro déconnecté : votre voix n'est plus captée.",
+  MEETING_AUDIO_LOST: "Capture de la réunion arrêtée : la voix du client n'est plus captée.",
+  MICROPHONE_MUTED: "Micro coupé au niveau système.",
+  MEETING_AUDIO_MUTED: "Audio de la réunion momentanément indisponible.",
   
   // Session
   NO_ACTIVE_SESSION: "Aucune session active. Démarrez un appel d'abord.",
@@ -172,11 +439,20 @@ export const ERROR_MESSAGES = {
   
   // Backend
   BACKEND_UNREACHABLE: "Impossible de joindre le backend. Vérifiez qu'il est bien lancé sur localhost:8000",
+  BACKEND_TIMEOUT: "Le backend n'a pas répondu à temps",
+  BACKEND_INVALID_RESPONSE: "Réponse du backend invalide",
+
+  // Authentification
+  AUTH_REQUIRED: "Connexion requise : connectez-vous au serveur depuis les réglages de KITT",
+  AUTH_FAILED: "Identifiants refusés par le serveur",
+  HOST_PERMISSION_DENIED: "Accès au serveur refusé : KITT ne pourra pas le joindre",
   SUMMARY_GENERATION_FAILED: "Erreur lors de la génération du résumé",
   
   // Audio
   AUDIO_PROCESSING_ERROR: "Erreur de traitement audio",
   AUDIO_SEND_FAILED: "Échec de l'envoi des données audio",
+  AUDIO_QUEUED: "Backend injoignable : l'audio est conservé et sera renvoyé automatiquement.",
+  AUDIO_REJECTED: "Un segment audio a été refusé par le serveur : il ne sera pas transcrit.",
   
   // Validation
   INVALID_INSIGHT_TYPE: "Type d'insight invalide",
@@ -212,6 +488,7 @@ export const LEVEL_CONFIG = {
   
   // Points gagnés par action
   POINTS_PER_ACTION: {
+    INSIGHT_RECEIVED: 10,
     CALL_COMPLETED: 100,
     INSIGHT_APPLIED: 50,
     REPORT_GENERATED: 200,
@@ -232,13 +509,57 @@ export const LEVEL_CONFIG = {
 // ============================================================================
 
 export const STORAGE_KEYS = {
-  CURRENT_SESSION_ID: 'kitt_current_session_id',
+  CURRENT_SESSION_ID: 'kitt_current_session_id', // Session en cours persistée (PersistedSession)
   USER_LEVEL: 'kitt_user_level',
   USER_POINTS: 'kitt_user_points',
   INSIGHTS_CACHE: 'kitt_insights_cache',
   SETTINGS: 'kitt_settings',
   LAST_SESSION_DATE: 'kitt_last_session_date',
-  CALL_HISTORY: 'kitt_call_history'
+  VAD_CALIBRATION: 'kitt_vad_calibration',
+  RECORDING_ENABLED: 'kitt_recording_enabled',
+  MIC_DEVICE_ID: 'kitt_mic_device_id',
+  CALL_HISTORY: 'kitt_call_history',
+  DEFAULT_SURFACE: 'kitt_default_surface',
+  OVERLAY_STATE: 'kitt_overlay_state',
+  WINDOW_BOUNDS: 'kitt_window_bounds',
+  MEETING_DETECTION_STATE: 'kitt_meeting_detection', // chrome.storage.session
+  AUTH_SESSION: 'kitt_auth_session' // Jetons du serveur connecté (AuthSession)
+};
+
+// ============================================================================
+// INDEXEDDB
+// ============================================================================
+
+export const INDEXED_DB_CONFIG = {
+  NAME: 'kitt',
+  VERSION: 3,
+
+  // Object stores
+  STORES: {
+    AUDIO_QUEUE: 'audio_queue',
+    RECORDINGS: 'recordings',                 // Métadonnées (une entrée par appel)
+    RECORDING_SEGMENTS: 'recording_segments', // PCM stéréo par segments
+    CALL_HISTORY: 'call_history'              // Appels terminés (quand chrome.storage ne suffit plus)
+  }
+};
+
+// Reprise d'une session interrompue (popup, document offscreen ou navigateur fermés)
+export const SESSION_RECOVERY_CONFIG = {
+  SAVE_DELAY_MS: 2000,             // Regroupement des écritures de la session persistée
+  ORPHAN_MAX_AGE_MINUTES: 120      // Au-delà, clôturée sans proposer la reprise (modifiable dans les réglages)
+};
+
+// Historique des appels terminés
+export const CALL_HISTORY_CONFIG = {
+  // Emplacement des appels : STORAGE_KEYS.CALL_HISTORY, puis IndexedDB au-delà du budget
+  BACKENDS: {
+    STORAGE: 'storage',
+    INDEXED_DB: 'indexeddb'
+  },
+  // Part de chrome.storage.local (10 Mo, partagés avec les autres clés) réservée à l'historique
+  STORAGE_BUDGET_BYTES: 4 * 1024 * 1024,
+  MAX_ENTRIES: 200,           // Les plus anciens appels sont supprimés au-delà
+  SEARCH_DEBOUNCE_MS: 250
 };
 
 // ============================================================================
@@ -331,15 +652,37 @@ export const FEATURE_FLAGS = {
 
 export default {
   AUDIO_CONFIG,
+  VAD_MODES,
+  AUDIO_TRANSPORT_MODES,
+  CAPTURE_STRATEGIES,
+  CAPTURE_TRACK_EVENTS,
+  RUNTIME_MESSAGES,
+  OFFSCREEN_CONFIG,
+  CALL_COMMANDS,
+  CALL_EVENTS,
+  CALL_STATUS,
+  MEETING_URL_PATTERNS,
+  MEETING_DETECTION_MODES,
+  MEETING_DETECTION_CONFIG,
+  OVERLAY_CONFIG,
+  PRIVACY_MUTE_COMMANDS,
+  RECORDING_CONFIG,
+  SPEAKERS,
   INSIGHT_TYPES,
   INSIGHT_VISUAL_CONFIG,
   THROTTLING_CONFIG,
   UI_CONFIG,
+  UI_SURFACES,
+  SURFACE_CONFIG,
   API_CONFIG,
+  AUTH_CONFIG,
   ERROR_MESSAGES,
   SUCCESS_MESSAGES,
   LEVEL_CONFIG,
   STORAGE_KEYS,
+  INDEXED_DB_CONFIG,
+  CALL_HISTORY_CONFIG,
+  SESSION_RECOVERY_CONFIG,
   VALIDATION_RULES,
   LOG_CONFIG,
   ANIMATION_CONFIG,
@@ -151,13 +151,15 @@ export function sleep(ms) {
  * @param {number} maxAttempts - Nombre max de tentatives
  * @param {number} delay - Délai initial en ms
  * @param {number} backoffMultiplier - Multiplicateur pour le backoff
+ * @param {Function} shouldRetry - (error) => boolean, false pour abandonner sans attendre
  * @returns {Promise}
  */
 export async function retryWithBackoff(
   fn,
   maxAttempts = 3,
   delay = 1000,
-  backoffMultiplier = 2
+  backoffMultiplier = 2,
+  shouldRetry = () => true
 ) {
   let lastError;
   
@@ -166,6 +168,10 @@ export async function retryWithBackoff(
       return await fn();
     } catch (error) {
       lastError = error;
+
+      if (!shouldRetry(error)) {
+        break;
+      }
       
       if (attempt < maxAttempts) {
         const waitTime = delay * Math.pow(backoffMultiplier, attempt - 1);
@@ -259,6 +265,62 @@ export function float32ToPCM16(float32Array) {
   return buffer;
 }
 
+/**
+ * Convertit deux canaux Float32Array en PCM 16-bit stéréo entrelacé
+ * @param {Float32Array} left - Canal gauche (client)
+ * @param {Float32Array} right - Canal droit (commercial)
+ * @returns {ArrayBuffer}
+ */
+export function float32ToInterleavedPCM16(left, right) {
+  const frames = Math.min(left.length, right.length);
+  const buffer = new ArrayBuffer(frames * 4);
+  const view = new DataView(buffer);
+
+  for (let i = 0; i < frames; i++) {
+    const l = Math.max(-1, Math.min(1, left[i]));
+    const r = Math.max(-1, Math.min(1, right[i]));
+    view.setInt16(i * 4, l * 0x7FFF, true);
+    view.setInt16(i * 4 + 2, r * 0x7FFF, true);
+  }
+
+  return buffer;
+}
+
+/**
+ * Construit l'en-tête RIFF/WAVE (44 octets) d'un fichier PCM 16-bit
+ * @param {number} dataBytes - Taille des données PCM en octets
+ * @param {number} sampleRate - Fréquence d'échantillonnage
+ * @param {number} channels - Nombre de canaux
+ * @returns {ArrayBuffer}
+ */
+export function createWavHeader(dataBytes, sampleRate, channels) {
+  const bytesPerSample = 2;
+  const header = new ArrayBuffer(44);
+  const view = new DataView(header);
+
+  const writeString = (offset, text) => {
+    for (let i = 0; i < text.length; i++) {
+      view.setUint8(offset + i, text.charCodeAt(i));
+    }
+  };
+
+  writeString(0, 'RIFF');
+  view.setUint32(4, 36 + dataBytes, true);
+  writeString(8, 'WAVE');
+  writeString(12, 'fmt ');
+  view.setUint32(16, 16, true);                                    // Taille du bloc fmt
+  view.setUint16(20, 1, true);                                     // PCM
+  view.setUint16(22, channels, true);
+  view.setUint32(24, sampleRate, true);
+  view.setUint32(28, sampleRate * channels * bytesPerSample, true); // Octets par seconde
+  view.setUint16(32, channels * bytesPerSample, true);             // Alignement des blocs
+  view.setUint16(34, bytesPerSample * 8, true);
+  writeString(36, 'data');
+  view.setUint32(40, dataBytes, true);
+
+  return header;
+}
+
 /**
  * Extrait le nom de fichier d'une URL
  * @param {string} url - URL
@@ -276,6 +338,47 @@ export function extractFilename(url) {
   }
 }
 
+// Motif de correspondance Chrome : schéma://hôte/chemin (ex. https://*.zoom.us/wc/*)
+export const URL_MATCH_PATTERN = /^(\*|https?):\/\/(\*|(?:\*\.)?[^/*]+)(\/.*)$/;
+
+/**
+ * Vérifie si une URL correspond à un motif de correspondance Chrome
+ * ("*." couvre le domaine et ses sous-domaines, "*" du chemin couvre tout)
+ * @param {string} url - URL à tester
+ * @param {string} pattern - Motif (voir URL_MATCH_PATTERN)
+ * @returns {boolean}
+ */
+export function matchesUrlPattern(url, pattern) {
+  const match = URL_MATCH_PATTERN.exec(pattern);
+  if (!match || !url) return false;
+
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch (e) {
+    return false;
+  }
+
+  const [, scheme, host, path] = match;
+
+  const schemes = scheme === '*' ? ['http:', 'https:'] : [`${scheme}:`];
+  if (!schemes.includes(parsed.protocol)) return false;
+
+  if (host.startsWith('*.')) {
+    const domain = host.slice(2);
+    if (parsed.hostname !== domain && !parsed.hostname.endsWith(`.${domain}`)) return false;
+  } else if (host !== '*' && parsed.hostname !== host) {
+    return false;
+  }
+
+  const pathRegex = path
+    .split('*')
+    .map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&'))
+    .join('.*');
+
+  return new RegExp(`^${pathRegex}$`).test(parsed.pathname + parsed.search);
+}
+
 /**
  * Vérifie si un objet est vide
  * @param {Object} obj - Objet à vérifier
@@ -313,6 +416,20 @@ export function formatNumber(num) {
   return num.toString();
 }
 
+/**
+ * Formate une taille en octets (1536 -> 1.5 Ko)
+ * @param {number} bytes - Taille en octets
+ * @returns {string}
+ */
+export function formatFileSize(bytes) {
+  if (bytes >= 1024 * 1024) {
+    return (bytes / 1024 / 1024).toFixed(1) + ' Mo';
+  } else if (bytes >= 1024) {
+    return (bytes / 1024).toFixed(1) + ' Ko';
+  }
+  return `${bytes} o`;
+}
+
 /**
  * Parse un JSON en toute sécurité
  * @param {string} json - String JSON
@@ -384,4 +501,23 @@ export async function copyToClipboard(text) {
     console.error('Failed to copy:', err);
     return false;
   }
-}
\ No newline at end of file
+}
+
+/**
+ * Concatène une liste de Float32Array en un seul buffer
+ * @param {Float32Array[]} chunks - Morceaux à concaténer
+ * @param {number} totalLength - Longueur totale (calculée si absente)
+ * @returns {Float32Array}
+ */
+export function concatFloat32Arrays(chunks, totalLength = null) {
+  const length = totalLength ?? chunks.reduce((acc, chunk) => acc + chunk.length, 0);
+  const result = new Float32Array(length);
+
+  let offset = 0;
+  for (const chunk of chunks) {
+    result.set(chunk, offset);
+    offset += chunk.length;
+  }
+
+  return result;
+}
@@ -0,0 +1,69 @@
+/**
+ * Signaux synthétiques pour les tests audio (déterministes)
+ */
+
+/**
+ * Sinusoïde pure
+ * @param {number} frequency - Hz
+ * @param {Object} options
+ * @returns {Float32Array}
+ */
+export function tone(frequency, { sampleRate = 16000, seconds = 1, amplitude = 0.3 } = {}) {
+  return Float32Array.from(
+    { length: Math.round(sampleRate * seconds) },
+    (_, i) => amplitude * Math.sin(2 * Math.PI * frequency * i / sampleRate)
+  );
+}
+
+/**
+ * Bruit blanc uniforme (générateur pseudo-aléatoire à graine fixe)
+ * @returns {Float32Array}
+ */
+export function whiteNoise({ sampleRate = 16000, seconds = 1, amplitude = 0.3, seed = 42 } = {}) {
+  const random = mulberry32(seed);
+  return Float32Array.from(
+    { length: Math.round(sampleRate * seconds) },
+    () => amplitude * (2 * random() - 1)
+  );
+}
+
+/**
+ * Voyelle synthétique : fondamentale de 150 Hz et harmoniques pondérées par
+ * deux formants (~700 Hz et ~1200 Hz), modulée à 4 Hz comme un débit syllabique
+ * @returns {Float32Array}
+ */
+export function speechLike({ sampleRate = 16000, seconds = 1, amplitude = 0.3 } = {}) {
+  const fundamental = 150;
+  const formants = [700, 1200];
+  const harmonics = [];
+
+  for (let n = 1; n * fundamental < 3400; n++) {
+    const frequency = n * fundamental;
+    const gain = formants.reduce((acc, formant) => acc + Math.exp(-(((frequency - formant) / 250) ** 2)), 0);
+    harmonics.push({ frequency, gain: n === 1 ? 0.1 : gain + 0.02 });
+  }
+
+  const total = harmonics.reduce((acc, { gain }) => acc + gain, 0);
+
+  return Float32Array.from({ length: Math.round(sampleRate * seconds) }, (_, i) => {
+    const t = i / sampleRate;
+    const envelope = 0.6 + 0.4 * Math.sin(2 * Math.PI * 4 * t);
+    const value = harmonics.reduce((acc, { frequency, gain }) => acc + gain * Math.sin(2 * Math.PI * frequency * t), 0);
+    return amplitude * envelope * value / total * 2;
+  });
+}
+
+/**
+ * @param {number} seed
+ * @returns {Function} () => nombre dans [0, 1)
+ */
+function mulberry32(seed) {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
@@ -0,0 +1,92 @@
+import { describe, it, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { CAPTURE_TRACK_EVENTS, SPEAKERS, STORAGE_KEYS } from '../../../src/utils/constants.js';
+import { ApiClient } from '../../../src/services/api/ApiClient.js';
+import { MockBackend } from '../../../src/services/api/MockBackend.js';
+import { SessionService } from '../../../src/services/api/SessionService.js';
+
+// chrome.storage.local en mémoire
+const storage = {};
+globalThis.chrome = {
+  storage: {
+    local: {
+      get: async (key) => ({ [key]: storage[key] }),
+      set: async (items) => Object.assign(storage, items)
+    }
+  }
+};
+
+describe('SessionService', () => {
+  afterEach(() => {
+    ApiClient.backend = null;
+  });
+
+  it('conserve les segments manquants d\'une session restaurée', async () => {
+    const service = new SessionService();
+    service.currentSessionId = 'session-1';
+    service.sessionStartTime = Date.now();
+    for (let sequence = 0; sequence <= 7; sequence++) {
+      service.recordIssuedSequence(sequence);
+    }
+    for (const sequence of [0, 1, 3, 4, 6]) {
+      service.acknowledgeChunk(sequence);
+    }
+    await service.persist();
+
+    const restored = new SessionService();
+    restored.restore(storage[STORAGE_KEYS.CURRENT_SESSION_ID]);
+
+    assert.deepEqual(restored.getMissingSequences(), [2, 5]);
+    assert.equal(restored.getNextSequence(), 8);
+
+    // Un chunk manquant rejoué après la reprise est acquitté
+    restored.acknowledgeChunk(2);
+    assert.deepEqual(restored.getMissingSequences(), [5]);
+  });
+
+  it('reprend la numérotation après un chunk envoyé mais non acquitté avant l\'interruption', async () => {
+    const service = new SessionService();
+    service.currentSessionId = 'session-3';
+    service.sessionStartTime = Date.now();
+    for (let sequence = 0; sequence <= 3; sequence++) {
+      service.recordIssuedSequence(sequence);
+    }
+    service.acknowledgeChunk(0);
+    service.acknowledgeChunk(1);
+    // Chunks 2 et 3 en vol au moment du crash
+    await service.persist();
+
+    const restored = new SessionService();
+    restored.restore(storage[STORAGE_KEYS.CURRENT_SESSION_ID]);
+
+    assert.equal(restored.getNextSequence(), 4);
+    assert.deepEqual(restored.getMissingSequences(), []);
+  });
+
+  it('ne réattribue pas un numéro envoyé mais non acquitté', () => {
+    const service = new SessionService();
+    service.currentSessionId = 'session-2';
+    service.sessionStartTime = Date.now();
+
+    for (let sequence = 0; sequence <= 4; sequence++) {
+      service.recordIssuedSequence(sequence);
+    }
+    service.acknowledgeChunk(0);
+    service.acknowledgeChunk(1);
+
+    assert.equal(service.getNextSequence(), 5);
+  });
+
+  it('oublie les coupures de capture en fin de session', async () => {
+    ApiClient.backend = new MockBackend({ latencyMs: 0 });
+    const service = new SessionService();
+    await service.createSession();
+    const now = Date.now();
+    service.recordCaptureGap({ source: SPEAKERS.CLIENT, reason: CAPTURE_TRACK_EVENTS.ENDED, startedAt: now, endedAt: now + 1000 });
+
+    await service.endSession();
+
+    assert.deepEqual(service.captureGaps, []);
+  });
+});
@@ -0,0 +1,248 @@
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { API_CONFIG, SPEAKERS, STORAGE_KEYS } from '../../../src/utils/constants.js';
+import { ApiClient } from '../../../src/services/api/ApiClient.js';
+import { MockBackend, DEFAULT_MOCK_SCRIPT } from '../../../src/services/api/MockBackend.js';
+import { AudioProcessingService } from '../../../src/services/audio/AudioProcessingService.js';
+
+const SAMPLE_RATE = 16000;
+
+// chrome.storage.local en mémoire (session de connexion lue par AuthService)
+const storage = {};
+globalThis.chrome = {
+  storage: {
+    local: {
+      get: async (key) => ({ [key]: storage[key] }),
+      set: async (items) => Object.assign(storage, items)
+    }
+  }
+};
+
+/**
+ * AudioQueueStore en mémoire
+ */
+class MemoryQueueStore {
+  constructor() {
+    this.chunks = [];
+    // Écriture retenue jusqu'à l'appel de releaseWrite() (transaction IndexedDB lente)
+    this.holdNextWrite = false;
+    this.releaseWrite = null;
+  }
+
+  async enqueue(chunk) {
+    if (this.holdNextWrite) {
+      this.holdNextWrite = false;
+      await new Promise(resolve => { this.releaseWrite = resolve; });
+    }
+    this.chunks.push(chunk);
+    this.chunks.sort((a, b) => a.sequence - b.sequence);
+  }
+
+  async peekOldest(sessionId) {
+    return this.chunks.find(chunk => chunk.sessionId === sessionId) || null;
+  }
+
+  async remove(sessionId, sequence) {
+    this.chunks = this.chunks.filter(chunk => chunk.sessionId !== sessionId || chunk.sequence !== sequence);
+  }
+
+  async getSummary(sessionId) {
+    const chunks = this.chunks.filter(chunk => chunk.sessionId === sessionId);
+    return {
+      count: chunks.length,
+      durationSeconds: chunks.reduce((acc, chunk) => acc + chunk.durationSeconds, 0),
+      lastSequence: chunks.length > 0 ? chunks.at(-1).sequence : -1
+    };
+  }
+}
+
+describe('AudioProcessingService (file hors-ligne)', () => {
+  let mockBackend;
+  let rejectTokens;
+  let requests;
+  let service;
+  let statuses;
+  let received;
+
+  /**
+   * Encode un chunk de 0,1 s
+   */
+  function encodeChunk() {
+    const samples = SAMPLE_RATE / 10;
+    const buffer = {
+      client: [new Float32Array(samples)],
+      commercial: [new Float32Array(samples)],
+      length: samples,
+      startSample: 0
+    };
+
+    return service._encodeChunk(buffer, 'end_of_speech', SPEAKERS.CLIENT);
+  }
+
+  /**
+   * Met en file un chunk de 0,1 s
+   */
+  async function enqueueChunk() {
+    await service.queueStore.enqueue(encodeChunk());
+    await service._refreshQueueStatus(service.sessionId);
+  }
+
+  beforeEach(async () => {
+    mockBackend = new MockBackend({ latencyMs: 0 });
+    rejectTokens = false;
+    requests = [];
+
+    // Serveur qui refuse tout jeton (401), connexion comprise tant que rejectTokens
+    ApiClient.backend = {
+      request: (request) => {
+        requests.push(request.path);
+        return rejectTokens
+          ? { status: 401, data: { detail: 'Jeton invalide' } }
+          : mockBackend.request(request);
+      }
+    };
+
+    storage[STORAGE_KEYS.AUTH_SESSION] = {
+      baseUrl: API_CONFIG.BASE_URL,
+      accessToken: 'jeton',
+      refreshToken: 'jeton-de-rafraichissement',
+      expiresAt: Date.now() + 3600 * 1000,
+      user: null
+    };
+
+    service = new AudioProcessingService();
+    service.queueStore = new MemoryQueueStore();
+    service.isProcessing = true;
+    service.sessionId = (await ApiClient.startCall()).call_id;
+    service.outputSampleRate = SAMPLE_RATE;
+    statuses = [];
+    service.onQueueChange = (status) => statuses.push(status);
+    received = [];
+    service.onDataCallback = (data) => received.push(data);
+  });
+
+  afterEach(() => {
+    service.stopProcessing();
+    ApiClient.backend = null;
+  });
+
+  it('suspend le rejeu sur un jeton refusé, sans nouveau rafraîchissement', async () => {
+    await enqueueChunk();
+    rejectTokens = true;
+
+    await service._replayQueue();
+
+    const refreshes = requests.filter(path => path === API_CONFIG.ENDPOINTS.AUTH_REFRESH);
+    assert.equal(refreshes.length, 1);
+    assert.equal(storage[STORAGE_KEYS.AUTH_SESSION], null);
+    assert.equal(statuses.at(-1).authRequired, true);
+    assert.equal(statuses.at(-1).pendingChunks, 1);
+    assert.equal(service._replayTimer, null);
+
+    // Plus aucune requête : ni rejeu programmé, ni envoi direct des nouveaux chunks
+    const requestCount = requests.length;
+    service._scheduleReplay();
+    service.audioBuffer = service._createEmptyBuffer();
+    await service._sendAudioToBackend('end_of_speech', SPEAKERS.CLIENT);
+
+    assert.equal(service._replayTimer, null);
+    assert.equal(requests.length, requestCount);
+    assert.equal(service.queueStore.chunks.length, 2);
+  });
+
+  it('rejoue la file après une nouvelle connexion', async () => {
+    await enqueueChunk();
+    rejectTokens = true;
+    await service._replayQueue();
+
+    rejectTokens = false;
+    await service.resumeAfterLogin();
+
+    assert.equal(statuses.at(-1).authRequired, false);
+    assert.equal(statuses.at(-1).pendingChunks, 0);
+    assert.equal(service.queueStore.chunks.length, 0);
+    assert.equal(received.at(-1).transcription, DEFAULT_MOCK_SCRIPT[0].transcription);
+  });
+
+  it('garde l\'ordre des séquences quand un chunk est mis en file pendant un rejeu', async () => {
+    await enqueueChunk();
+
+    // Chunk 1 : écriture encore en cours pendant tout le rejeu du chunk 0
+    service.queueStore.holdNextWrite = true;
+    const pendingWrite = service._enqueueChunk(encodeChunk());
+    await service._replayQueue();
+
+    assert.equal(service._pendingQueue.count, 1);
+
+    // Chunk 2 : doit passer derrière le chunk 1, pas partir directement
+    service.audioBuffer = service._createEmptyBuffer();
+    await service._sendAudioToBackend('end_of_speech', SPEAKERS.CLIENT);
+    assert.deepEqual(service.queueStore.chunks.map(chunk => chunk.sequence), [2]);
+
+    service.queueStore.releaseWrite();
+    await pendingWrite;
+    await service._replayQueue();
+
+    assert.deepEqual(received.map(data => data.sequence), [0, 1, 2]);
+    assert.equal(service._pendingQueue.count, 0);
+  });
+});
+
+describe('AudioProcessingService (pause)', () => {
+  let service;
+  let posted;
+  let sent;
+
+  beforeEach(() => {
+    service = new AudioProcessingService();
+    service.isProcessing = true;
+    service.audioContext = { close: () => {} };
+    service.outputSampleRate = SAMPLE_RATE;
+    service.resamplers = { client: { process: (x) => x }, commercial: { process: (x) => x } };
+    service.vadEnabled = false;
+    service.bufferThreshold = Infinity;
+
+    // Phrase envoyée : longueur du buffer au moment de l'envoi
+    sent = [];
+    service._sendAudioToBackend = async (reason) => {
+      sent.push({ reason, length: service.audioBuffer.length });
+    };
+
+    // Worklet : répond au flush par son chunk partiel puis 'flushed', en asynchrone
+    posted = [];
+    service.workletNode = {
+      disconnect: () => {},
+      port: {
+        postMessage: (message) => {
+          posted.push(message.type);
+          if (message.type === 'flush') {
+            setTimeout(() => {
+              const partial = new Float32Array(100);
+              service._handleWorkletMessage({ type: 'chunk', client: partial, commercial: partial, frames: 100 });
+              service._handleWorkletMessage({ type: 'flushed' });
+            }, 0);
+          }
+        }
+      }
+    };
+  });
+
+  afterEach(() => {
+    service.stopProcessing();
+  });
+
+  it('envoie le dernier chunk partiel du worklet avec la phrase en cours', async () => {
+    const chunk = new Float32Array(4096);
+    service._handleWorkletMessage({ type: 'chunk', client: chunk, commercial: chunk, frames: 4096 });
+
+    await service.pause();
+
+    assert.deepEqual(posted, ['flush']);
+    assert.deepEqual(sent, [{ reason: 'pause', length: 4096 + 100 }]);
+
+    // Après le flush, l'audio est ignoré
+    service._handleWorkletMessage({ type: 'chunk', client: chunk, commercial: chunk, frames: 4096 });
+    assert.equal(service.audioBuffer.length, 4096 + 100);
+  });
+});
@@ -0,0 +1,189 @@
+import { describe, it, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { API_CONFIG, AUDIO_TRANSPORT_MODES, SPEAKERS } from '../../../src/utils/constants.js';
+import { sleep } from '../../../src/utils/helpers.js';
+import { MockBackend, DEFAULT_MOCK_SCRIPT } from '../../../src/services/api/MockBackend.js';
+import { AudioStreamTransport, StreamConnectionError } from '../../../src/services/audio/AudioStreamTransport.js';
+import { AudioProcessingService } from '../../../src/services/audio/AudioProcessingService.js';
+import { SessionService } from '../../../src/services/api/SessionService.js';
+
+const SAMPLE_RATE = 16000;
+
+// Pas de session de connexion enregistrée (AuthService.getAccessToken → null)
+globalThis.chrome = { storage: { local: { get: async () => ({}) } } };
+
+/**
+ * Attend qu'une condition soit remplie (messages poussés de façon asynchrone)
+ */
+async function waitFor(predicate, timeoutMs = 1000) {
+  const deadline = Date.now() + timeoutMs;
+  while (!predicate()) {
+    if (Date.now() > deadline) {
+      throw new Error('Condition non remplie à temps');
+    }
+    await sleep(5);
+  }
+}
+
+describe('AudioStreamTransport', () => {
+  let backend;
+  let callId;
+  let sockets;
+  let transport;
+
+  beforeEach(async () => {
+    backend = new MockBackend({ latencyMs: 0 });
+    callId = (await backend.request({ method: 'POST', path: API_CONFIG.ENDPOINTS.CALLS_START })).data.call_id;
+    sockets = [];
+    transport = new AudioStreamTransport({
+      socketFactory: (url) => {
+        const socket = backend.openSocket(url);
+        sockets.push(socket);
+        return socket;
+      }
+    });
+  });
+
+  it('ouvre le flux de la session et envoie le message de démarrage', async () => {
+    await transport.connect(callId, { sampleRate: SAMPLE_RATE, accessToken: 'jeton', onMessage: () => {} });
+
+    assert.equal(transport.isOpen(), true);
+    assert.ok(sockets[0].url.endsWith(API_CONFIG.ENDPOINTS.AUDIO_STREAM(callId)));
+    assert.deepEqual(sockets[0].controls[0], {
+      type: 'start',
+      call_id: callId,
+      sample_rate: SAMPLE_RATE,
+      channels: 2,
+      encoding: 'pcm_s16le',
+      layout: 'interleaved',
+      channel_map: ['client', 'commercial'],
+      access_token: 'jeton'
+    });
+
+    transport.close();
+    assert.equal(transport.isOpen(), false);
+    assert.deepEqual(sockets[0].controls.at(-1), { type: 'stop' });
+  });
+
+  it('envoie les trames en PCM 16 bits stéréo entrelacé', async () => {
+    await transport.connect(callId, { sampleRate: SAMPLE_RATE, onMessage: () => {} });
+
+    const channel = new Float32Array(SAMPLE_RATE / 10);
+    assert.equal(transport.sendFrame(channel, channel), true);
+    assert.equal(transport.sendFrame(channel, channel), true);
+
+    assert.equal(sockets[0].bytesReceived, 2 * channel.length * 2 * 2);
+    assert.equal(transport.getStatistics().framesSent, 2);
+  });
+
+  it('transmet les messages poussés par le serveur', async () => {
+    const messages = [];
+    await transport.connect(callId, { sampleRate: SAMPLE_RATE, onMessage: (data) => messages.push(data) });
+
+    transport.sendControl({ type: 'vad_boundary', reason: 'end_of_speech', speaker: SPEAKERS.CLIENT });
+    transport.sendControl({ type: 'vad_boundary', reason: 'end_of_speech', speaker: SPEAKERS.COMMERCIAL });
+    await waitFor(() => messages.length === 2);
+
+    assert.deepEqual(messages.map(message => message.transcription),
+      DEFAULT_MOCK_SCRIPT.slice(0, 2).map(step => step.transcription));
+  });
+
+  it('ignore les erreurs signalées par le serveur', async () => {
+    const messages = [];
+    await transport.connect(callId, { sampleRate: SAMPLE_RATE, onMessage: (data) => messages.push(data) });
+
+    transport.sendControl({ type: 'inconnu' });
+    transport.sendControl({ type: 'vad_boundary', reason: 'end_of_speech', speaker: SPEAKERS.CLIENT });
+    await waitFor(() => messages.length === 1);
+    await sleep(20);
+
+    assert.equal(messages.length, 1);
+    assert.equal(messages[0].transcription, DEFAULT_MOCK_SCRIPT[0].transcription);
+  });
+
+  it('échoue si le serveur refuse le flux', async () => {
+    await assert.rejects(
+      transport.connect('session-inconnue', { sampleRate: SAMPLE_RATE, onMessage: () => {} }),
+      StreamConnectionError
+    );
+    assert.equal(transport.isOpen(), false);
+  });
+
+  it('signale une fermeture par le serveur, pas une fermeture par le client', async () => {
+    let closes = 0;
+    const options = { sampleRate: SAMPLE_RATE, onMessage: () => {}, onClose: () => closes++ };
+
+    await transport.connect(callId, options);
+    transport.close();
+    await sleep(20);
+    assert.equal(closes, 0);
+
+    await transport.connect(callId, options);
+    backend.closeSockets(1011);
+    await waitFor(() => closes === 1);
+    assert.equal(transport.isOpen(), false);
+  });
+});
+
+describe('AudioProcessingService (mode flux)', () => {
+  let backend;
+  let service;
+  let received;
+
+  beforeEach(async () => {
+    backend = new MockBackend({ latencyMs: 0 });
+    service = new AudioProcessingService({
+      streamTransport: new AudioStreamTransport({ socketFactory: (url) => backend.openSocket(url) })
+    });
+    service.sessionId = (await backend.request({ method: 'POST', path: API_CONFIG.ENDPOINTS.CALLS_START })).data.call_id;
+    received = [];
+    service.onDataCallback = (data) => received.push(data);
+  });
+
+  it('reçoit les répliques par le flux', async () => {
+    await service._openStream(SAMPLE_RATE);
+    assert.equal(service.activeTransport, AUDIO_TRANSPORT_MODES.STREAM);
+
+    service.streamTransport.sendControl({ type: 'vad_boundary', reason: 'end_of_speech', speaker: SPEAKERS.CLIENT });
+    await waitFor(() => received.length === 1);
+    assert.equal(received[0].transcription, DEFAULT_MOCK_SCRIPT[0].transcription);
+
+    service.streamTransport.close();
+  });
+
+  it('acquitte les segments du flux par leur séquence', async () => {
+    // Comme CallOrchestrator : accusé de réception de chaque réplique
+    const sessionService = new SessionService();
+    service.onDataCallback = (data) => sessionService.acknowledgeChunk(data.sequence);
+    service.outputSampleRate = SAMPLE_RATE;
+    service._nextSequence = 4;
+    await service._openStream(SAMPLE_RATE);
+
+    for (let segment = 1; segment <= 3; segment++) {
+      service._samplesReceived = segment * SAMPLE_RATE;
+      service._flushBeforeGap('pause');
+    }
+    await waitFor(() => sessionService.lastAcknowledgedSequence === 6);
+
+    assert.deepEqual([...sessionService.acknowledgedSequences], [4, 5, 6]);
+    assert.equal(sessionService.getNextSequence(), 7);
+
+    service.streamTransport.close();
+  });
+
+  it('bascule en POST si le flux ne s\'ouvre pas', async () => {
+    service.sessionId = 'session-inconnue';
+    await service._openStream(SAMPLE_RATE);
+
+    assert.equal(service.activeTransport, AUDIO_TRANSPORT_MODES.POST);
+  });
+
+  it('bascule en POST si le serveur ferme le flux', async () => {
+    await service._openStream(SAMPLE_RATE);
+    backend.closeSockets(1011);
+
+    await waitFor(() => service.activeTransport === AUDIO_TRANSPORT_MODES.POST);
+    assert.equal(service.streamTransport.isOpen(), false);
+  });
+});
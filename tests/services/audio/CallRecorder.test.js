@@ -0,0 +1,95 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { RECORDING_CONFIG } from '../../../src/utils/constants.js';
+import { CallRecorder } from '../../../src/services/audio/CallRecorder.js';
+
+const SAMPLE_RATE = 16000;
+
+/**
+ * RecordingStore en mémoire
+ */
+class MemoryRecordingStore {
+  constructor() {
+    this.metadata = new Map();
+    this.segments = new Map();
+  }
+
+  async appendSegment(metadata, index, pcm) {
+    this.segments.set(`${metadata.sessionId}:${index}`, pcm);
+    this.metadata.set(metadata.sessionId, metadata);
+  }
+
+  async saveMetadata(metadata) {
+    this.metadata.set(metadata.sessionId, metadata);
+  }
+
+  async getMetadata(sessionId) {
+    return this.metadata.get(sessionId) || null;
+  }
+}
+
+/**
+ * Enregistre une écoute de `seconds` secondes sur la session
+ */
+async function record(recorder, sessionId, seconds) {
+  await recorder.start(sessionId, SAMPLE_RATE);
+
+  const chunk = new Float32Array(SAMPLE_RATE).fill(0.1);
+  for (let i = 0; i < seconds; i++) {
+    recorder.append(chunk, chunk);
+  }
+
+  return recorder.stop();
+}
+
+describe('CallRecorder', () => {
+  it('reprend l\'enregistrement d\'une session reprise sans écraser ses segments', async () => {
+    const store = new MemoryRecordingStore();
+    const segmentSeconds = RECORDING_CONFIG.SEGMENT_SECONDS;
+
+    const first = await record(new CallRecorder({ store }), 'session-1', segmentSeconds + 2);
+    const firstSegments = new Map(store.segments);
+
+    const resumed = await record(new CallRecorder({ store }), 'session-1', 3);
+
+    assert.equal(resumed.segmentCount, first.segmentCount + 1);
+    assert.equal(resumed.createdAt, first.createdAt);
+    assert.ok(Math.abs(resumed.durationSeconds - (segmentSeconds + 5)) < 1e-6);
+    assert.equal(resumed.bytes, (segmentSeconds + 5) * SAMPLE_RATE * 4);
+
+    // Les segments d'avant l'interruption sont intacts
+    for (const [key, pcm] of firstSegments) {
+      assert.equal(store.segments.get(key), pcm);
+    }
+    assert.equal(store.segments.size, resumed.segmentCount);
+  });
+
+  it('s\'arrête à la taille maximale reçue au démarrage', async () => {
+    const store = new MemoryRecordingStore();
+    const recorder = new CallRecorder({ store });
+    const maxSizeMb = 0.1;
+
+    await recorder.start('session-3', SAMPLE_RATE, { maxSizeMb });
+    const chunk = new Float32Array(SAMPLE_RATE).fill(0.1);
+    recorder.append(chunk, chunk);
+    recorder.append(chunk, chunk);
+    const metadata = await recorder.stop();
+
+    assert.equal(metadata.truncated, true);
+    assert.ok(metadata.bytes <= maxSizeMb * 1024 * 1024);
+    assert.ok(metadata.bytes > maxSizeMb * 1024 * 1024 - 4);
+  });
+
+  it('ne reprend pas un enregistrement à une autre fréquence', async () => {
+    const store = new MemoryRecordingStore();
+    const first = await record(new CallRecorder({ store }), 'session-2', 2);
+
+    const recorder = new CallRecorder({ store });
+    await recorder.start('session-2', SAMPLE_RATE * 2);
+
+    assert.equal(recorder.isRecording, false);
+    assert.equal(await recorder.stop(), null);
+    assert.deepEqual(await store.getMetadata('session-2'), first);
+  });
+});
@@ -0,0 +1,83 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { Resampler } from '../../../src/services/audio/Resampler.js';
+import { tone } from '../../helpers/signals.js';
+
+const OUTPUT_RATE = 16000;
+const INPUT_RATES = [48000, 44100];
+
+// Taille des chunks postés par l'AudioWorklet
+const CHUNK_SIZE = 4096;
+
+/**
+ * Rééchantillonne un signal par chunks, comme en capture
+ * @returns {Float32Array[]} Sorties de chaque appel à process()
+ */
+function processInChunks(resampler, signal) {
+  const outputs = [];
+  for (let start = 0; start < signal.length; start += CHUNK_SIZE) {
+    outputs.push(resampler.process(signal.subarray(start, start + CHUNK_SIZE)));
+  }
+  return outputs;
+}
+
+/**
+ * RMS hors transitoires de bord (latence du filtre)
+ */
+function steadyRms(samples, margin = 1000) {
+  const steady = samples.subarray(margin, samples.length - margin);
+  return Math.sqrt(steady.reduce((acc, x) => acc + x * x, 0) / steady.length);
+}
+
+describe('Resampler', () => {
+  for (const inputRate of INPUT_RATES) {
+    describe(`${inputRate} Hz → ${OUTPUT_RATE} Hz`, () => {
+      it('produit le nombre d\'échantillons attendu, à la latence du filtre près', () => {
+        const resampler = new Resampler(inputRate, OUTPUT_RATE);
+        const outputs = processInChunks(resampler, tone(1000, { sampleRate: inputRate, seconds: 2 }));
+
+        const total = outputs.reduce((acc, output) => acc + output.length, 0);
+        const latency = Math.ceil(resampler.halfWidth / resampler.ratio);
+        assert.ok(total <= 2 * OUTPUT_RATE && total >= 2 * OUTPUT_RATE - latency - 1,
+          `${total} échantillons pour ${2 * OUTPUT_RATE} attendus`);
+
+        // Régime établi : chaque chunk donne CHUNK_SIZE / ratio échantillons (arrondi)
+        const expected = CHUNK_SIZE / resampler.ratio;
+        for (const output of outputs.slice(1, -1)) {
+          assert.ok(output.length === Math.floor(expected) || output.length === Math.ceil(expected),
+            `${output.length} échantillons pour ${expected.toFixed(2)} attendus`);
+        }
+      });
+
+      it('conserve l\'amplitude dans la bande passante', () => {
+        for (const frequency of [1000, 4000]) {
+          const resampler = new Resampler(inputRate, OUTPUT_RATE);
+          const output = resampler.process(tone(frequency, { sampleRate: inputRate, amplitude: 1 }));
+
+          // Sinusoïde d'amplitude 1 : RMS = 1/√2
+          assert.ok(Math.abs(steadyRms(output) - Math.SQRT1_2) < 0.01,
+            `${frequency} Hz : RMS ${steadyRms(output).toFixed(4)}`);
+        }
+      });
+
+      it('atténue les fréquences au-dessus de 8 kHz (anti-repliement)', () => {
+        for (const frequency of [10000, 12000, 15000]) {
+          const resampler = new Resampler(inputRate, OUTPUT_RATE);
+          const output = resampler.process(tone(frequency, { sampleRate: inputRate, amplitude: 1 }));
+
+          // Au moins 40 dB d'atténuation
+          assert.ok(steadyRms(output) < Math.SQRT1_2 / 100,
+            `${frequency} Hz : RMS ${steadyRms(output).toFixed(4)}`);
+        }
+      });
+    });
+  }
+
+  it('renvoie l\'entrée telle quelle à fréquence égale', () => {
+    const resampler = new Resampler(OUTPUT_RATE, OUTPUT_RATE);
+    const input = tone(1000);
+
+    assert.equal(resampler.process(input), input);
+  });
+});
@@ -0,0 +1,84 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+  averagePowerSpectrum,
+  bandEnergyRatio,
+  computeSpectralFeatures,
+  spectralFlatness,
+  zeroCrossingRate
+} from '../../../src/services/audio/SpectralFeatures.js';
+import { speechLike, tone, whiteNoise } from '../../helpers/signals.js';
+
+const SAMPLE_RATE = 16000;
+const FFT_SIZE = 512;
+const SPEECH_BAND = [300, 3400];
+
+const spectrumOf = (samples) => averagePowerSpectrum(samples, FFT_SIZE);
+
+describe('SpectralFeatures', () => {
+  describe('zeroCrossingRate', () => {
+    it('vaut 2f / fréquence d\'échantillonnage pour une sinusoïde', () => {
+      assert.ok(Math.abs(zeroCrossingRate(tone(1000)) - 2 * 1000 / SAMPLE_RATE) < 0.001);
+      assert.ok(Math.abs(zeroCrossingRate(tone(100)) - 2 * 100 / SAMPLE_RATE) < 0.001);
+    });
+
+    it('est proche de 0,5 pour un bruit blanc', () => {
+      assert.ok(Math.abs(zeroCrossingRate(whiteNoise()) - 0.5) < 0.02);
+    });
+
+    it('vaut 0 pour un silence ou un buffer trop court', () => {
+      assert.equal(zeroCrossingRate(new Float32Array(1024)), 0);
+      assert.equal(zeroCrossingRate(new Float32Array(1)), 0);
+    });
+  });
+
+  describe('spectralFlatness', () => {
+    it('est proche de 1 pour un bruit blanc', () => {
+      assert.ok(spectralFlatness(spectrumOf(whiteNoise())) > 0.9);
+    });
+
+    it('est proche de 0 pour une sinusoïde pure', () => {
+      assert.ok(spectralFlatness(spectrumOf(tone(1000))) < 0.01);
+    });
+
+    it('vaut 0 pour un silence', () => {
+      assert.equal(spectralFlatness(spectrumOf(new Float32Array(FFT_SIZE))), 0);
+    });
+  });
+
+  describe('bandEnergyRatio', () => {
+    it('mesure la part d\'énergie dans la bande vocale', () => {
+      assert.ok(bandEnergyRatio(spectrumOf(tone(1000)), SAMPLE_RATE, FFT_SIZE, SPEECH_BAND) > 0.99);
+      assert.ok(bandEnergyRatio(spectrumOf(tone(100)), SAMPLE_RATE, FFT_SIZE, SPEECH_BAND) < 0.01);
+      assert.ok(bandEnergyRatio(spectrumOf(tone(6000)), SAMPLE_RATE, FFT_SIZE, SPEECH_BAND) < 0.01);
+    });
+
+    it('répartit un bruit blanc au prorata de la largeur de bande', () => {
+      const expected = (SPEECH_BAND[1] - SPEECH_BAND[0]) / (SAMPLE_RATE / 2);
+      const ratio = bandEnergyRatio(spectrumOf(whiteNoise()), SAMPLE_RATE, FFT_SIZE, SPEECH_BAND);
+      assert.ok(Math.abs(ratio - expected) < 0.05, `ratio ${ratio}`);
+    });
+  });
+
+  describe('computeSpectralFeatures', () => {
+    it('distingue une voix synthétique d\'un bruit blanc', () => {
+      const options = { fftSize: FFT_SIZE, speechBand: SPEECH_BAND };
+      const speech = computeSpectralFeatures(speechLike(), SAMPLE_RATE, options);
+      const noise = computeSpectralFeatures(whiteNoise(), SAMPLE_RATE, options);
+
+      assert.ok(speech.speechBandRatio > 0.9);
+      assert.ok(speech.spectralFlatness < 0.1);
+      assert.ok(speech.zeroCrossingRate < 0.3);
+
+      assert.ok(noise.speechBandRatio < 0.5);
+      assert.ok(noise.spectralFlatness > 0.9);
+      assert.ok(noise.zeroCrossingRate > 0.4);
+    });
+
+    it('complète par des zéros un buffer plus court qu\'une trame', () => {
+      const features = computeSpectralFeatures(tone(1000, { seconds: 0.01 }), SAMPLE_RATE, { fftSize: FFT_SIZE });
+      assert.ok(features.speechBandRatio > 0.9);
+    });
+  });
+});
@@ -0,0 +1,84 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { SPEAKERS } from '../../../src/utils/constants.js';
+import { TurnTakingDetector } from '../../../src/services/audio/TurnTakingDetector.js';
+import { tone } from '../../helpers/signals.js';
+
+const SAMPLE_RATE = 16000;
+const BUFFER_SECONDS = 0.1;
+
+const silence = new Float32Array(SAMPLE_RATE * BUFFER_SECONDS);
+const speech = tone(220, { sampleRate: SAMPLE_RATE, seconds: BUFFER_SECONDS });
+
+/**
+ * Rejoue une suite de segments [clientData, commercialData, secondes]
+ * @returns {Object[]} Décisions renvoyées pour chaque buffer
+ */
+function play(detector, segments) {
+  const decisions = [];
+  for (const [client, commercial, seconds] of segments) {
+    const buffers = Math.round(seconds / BUFFER_SECONDS);
+    for (let i = 0; i < buffers; i++) {
+      decisions.push(detector.analyze(client, commercial, BUFFER_SECONDS));
+    }
+  }
+  return decisions;
+}
+
+describe('TurnTakingDetector', () => {
+  it('ne découpe pas un tour plus long que MAX_WAIT_TIME', () => {
+    const detector = new TurnTakingDetector(SAMPLE_RATE);
+    const maxWait = detector.detectors[SPEAKERS.CLIENT].MAX_WAIT_TIME;
+
+    const decisions = play(detector, [
+      [silence, silence, 1],
+      [speech, silence, 20],
+      [silence, silence, 2]
+    ]);
+
+    const turns = decisions.flatMap(decision => decision.turns);
+    assert.equal(turns.length, 1);
+    assert.equal(turns[0].speaker, SPEAKERS.CLIENT);
+    assert.ok(turns[0].durationSeconds > maxWait, `tour de ${turns[0].durationSeconds}s`);
+    // Le lissage RMS prolonge la parole de quelques buffers
+    assert.ok(Math.abs(turns[0].durationSeconds - 20) < 0.5, `tour de ${turns[0].durationSeconds}s`);
+
+    // Pendant la parole, les envois forcés sont attribués au client qui parle
+    const sends = decisions.filter(decision => decision.shouldSend);
+    const timeoutSends = sends.filter(decision => decision.reason !== 'end_of_speech');
+    assert.ok(timeoutSends.length >= 3);
+    assert.ok(timeoutSends.slice(1).every(decision =>
+      decision.reason === 'max_time_reached' && decision.speaker === SPEAKERS.CLIENT));
+
+    const last = sends.at(-1);
+    assert.equal(last.reason, 'end_of_speech');
+    assert.equal(last.speaker, SPEAKERS.CLIENT);
+  });
+
+  it('continue d\'accumuler le tour après un envoi sur timeout', () => {
+    const detector = new TurnTakingDetector(SAMPLE_RATE);
+    const vad = detector.detectors[SPEAKERS.CLIENT];
+
+    play(detector, [[speech, silence, vad.MAX_WAIT_TIME + 1]]);
+
+    assert.equal(vad.isSpeaking, true);
+    assert.ok(vad.speechDuration > vad.MAX_WAIT_TIME);
+    assert.ok(vad.totalAccumulatedTime < vad.MAX_WAIT_TIME);
+  });
+
+  it('clôt deux tours distincts séparés par un silence', () => {
+    const detector = new TurnTakingDetector(SAMPLE_RATE);
+
+    const decisions = play(detector, [
+      [speech, silence, 3],
+      [silence, silence, 2],
+      [silence, speech, 2],
+      [silence, silence, 2]
+    ]);
+
+    const turns = decisions.flatMap(decision => decision.turns);
+    assert.deepEqual(turns.map(turn => turn.speaker), [SPEAKERS.CLIENT, SPEAKERS.COMMERCIAL]);
+    assert.equal(turns[1].isTurnChange, true);
+  });
+});
@@ -0,0 +1,68 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { AUDIO_CONFIG, VAD_MODES } from '../../../src/utils/constants.js';
+import { VoiceActivityDetector } from '../../../src/services/audio/VoiceActivityDetector.js';
+import { computeSpectralFeatures } from '../../../src/services/audio/SpectralFeatures.js';
+import { speechLike, tone, whiteNoise } from '../../helpers/signals.js';
+
+const SAMPLE_RATE = 16000;
+const BUFFER_SECONDS = 0.1;
+
+const featuresOf = (samples) => computeSpectralFeatures(samples, SAMPLE_RATE, {
+  fftSize: AUDIO_CONFIG.VAD_SPECTRAL.FFT_SIZE,
+  speechBand: AUDIO_CONFIG.VAD_SPECTRAL.SPEECH_BAND
+});
+
+/**
+ * Buffers successifs d'un signal, analysés par le VAD
+ * @returns {Object[]} Décisions
+ */
+function analyzeSignal(vad, signal) {
+  const length = SAMPLE_RATE * BUFFER_SECONDS;
+  const decisions = [];
+  for (let offset = 0; offset + length <= signal.length; offset += length) {
+    decisions.push(vad.analyze(signal.subarray(offset, offset + length), BUFFER_SECONDS));
+  }
+  return decisions;
+}
+
+describe('VoiceActivityDetector', () => {
+  describe('_isSpeechLike (mode spectral)', () => {
+    const vad = new VoiceActivityDetector(SAMPLE_RATE, { mode: VAD_MODES.SPECTRAL });
+
+    it('accepte une voix synthétique', () => {
+      assert.equal(vad._isSpeechLike(featuresOf(speechLike())), true);
+    });
+
+    it('rejette un bruit blanc (spectre plat, passages par zéro fréquents)', () => {
+      assert.equal(vad._isSpeechLike(featuresOf(whiteNoise())), false);
+    });
+
+    it('rejette un ronflement grave hors de la bande vocale', () => {
+      assert.equal(vad._isSpeechLike(featuresOf(tone(100))), false);
+    });
+  });
+
+  describe('analyze', () => {
+    // Détecteur calibré sur un environnement calme
+    const createVad = (mode) => {
+      const vad = new VoiceActivityDetector(SAMPLE_RATE, { mode });
+      vad.applyCalibration({ noiseFloor: 0.001 });
+      return vad;
+    };
+
+    it('en mode spectral, un bruit énergétique n\'est pas de la parole', () => {
+      const noise = analyzeSignal(createVad(VAD_MODES.SPECTRAL), whiteNoise({ seconds: 2 }));
+      assert.ok(noise.every(decision => !decision.stats.isSpeechNow));
+
+      const speech = analyzeSignal(createVad(VAD_MODES.SPECTRAL), speechLike({ seconds: 2 }));
+      assert.ok(speech.every(decision => decision.stats.isSpeechNow));
+    });
+
+    it('en mode énergie, le même bruit est pris pour de la parole', () => {
+      const noise = analyzeSignal(createVad(VAD_MODES.ENERGY), whiteNoise({ seconds: 2 }));
+      assert.ok(noise.every(decision => decision.stats.isSpeechNow));
+    });
+  });
+});
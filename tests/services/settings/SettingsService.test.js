@@ -0,0 +1,70 @@
+import { describe, it, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { STORAGE_KEYS } from '../../../src/utils/constants.js';
+import { SettingsService, SettingsValidationError } from '../../../src/services/settings/SettingsService.js';
+
+// chrome.storage.local en mémoire
+const storage = {};
+globalThis.chrome = {
+  storage: {
+    local: {
+      get: async (key) => ({ [key]: storage[key] }),
+      set: async (items) => Object.assign(storage, items)
+    }
+  }
+};
+
+/**
+ * Export de réglages (format de SettingsService.exportJson)
+ */
+async function exportWith(audio) {
+  const data = JSON.parse(await SettingsService.exportJson());
+  data.settings.audio = { ...data.settings.audio, ...audio };
+  return JSON.stringify(data);
+}
+
+describe('SettingsService', () => {
+  beforeEach(() => {
+    delete storage[STORAGE_KEYS.SETTINGS];
+  });
+
+  it('refuse un seuil de silence au-dessus du seuil de parole', () => {
+    const errors = SettingsService.validate({ audio: { silenceRatio: 6, speechRatio: 4 } });
+
+    assert.equal(errors.length, 1);
+    assert.match(errors[0], /^audio\.silenceRatio: .*audio\.speechRatio/);
+  });
+
+  it('refuse un seuil minimal au-dessus du seuil maximal', () => {
+    const errors = SettingsService.validate({ audio: { minSpeechThreshold: 0.08, maxSpeechThreshold: 0.05 } });
+
+    assert.equal(errors.length, 1);
+    assert.match(errors[0], /^audio\.minSpeechThreshold: .*audio\.maxSpeechThreshold/);
+  });
+
+  it('vérifie un enregistrement partiel par rapport aux réglages enregistrés', async () => {
+    await SettingsService.save({ audio: { speechRatio: 3, silenceRatio: 2 } });
+
+    await assert.rejects(
+      SettingsService.save({ audio: { silenceRatio: 5 } }),
+      (error) => error instanceof SettingsValidationError && error.errors.length === 1
+    );
+
+    const saved = await SettingsService.save({ audio: { silenceRatio: 3 } });
+    assert.equal(saved.audio.silenceRatio, 3);
+    assert.equal(saved.audio.speechRatio, 3);
+  });
+
+  it('refuse un import incohérent sans rien enregistrer', async () => {
+    await assert.rejects(
+      SettingsService.importJson(await exportWith({ minSpeechThreshold: 0.09, maxSpeechThreshold: 0.02 })),
+      (error) => error instanceof SettingsValidationError &&
+        error.errors.some(message => message.startsWith('audio.minSpeechThreshold'))
+    );
+    assert.equal(storage[STORAGE_KEYS.SETTINGS], undefined);
+
+    const imported = await SettingsService.importJson(await exportWith({ silenceRatio: 2, speechRatio: 8 }));
+    assert.equal(imported.audio.speechRatio, 8);
+  });
+});